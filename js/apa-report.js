@@ -0,0 +1,636 @@
+/**
+ * APA Report Module
+ * Turns the results of an analysis into an APA 7 report: the results paragraph
+ * in Arabic and English (e.g. "t(38) = 2.41, p = .021, d = 0.76"), APA-style
+ * tables, the assumption checks, notes on data preparation and the chart
+ */
+
+const ALPHA = 0.05;
+const MINUS = '−';
+
+// Statistics that cannot exceed 1 are reported without a leading zero (APA 7, 6.36)
+const BOUNDED_STATISTICS = [
+    'r', 'rho', 'rSquared', 'adjustedRSquared', 'etaSquared', 'omegaSquared', 'partialEtaSquared',
+    'epsilonSquared', 'cramersV', 'kendallW', 'coxSnellR2', 'nagelkerkeR2', 'effectSizeR',
+    'alpha', 'cronbachAlpha', 'power'
+];
+
+class ApaReport {
+    /**
+     * Report model for one set of results
+     * context: { columns: { categorical, numerical }, assumptionCheck, missingData,
+     *            transformations, chart: { dataUrl, width, height }, translate }
+     */
+    build(results, test, context = {}) {
+        const translate = context.translate || (key => key);
+        const tables = this.buildTables(results, test, translate);
+        
+        const assumptions = this.collectAssumptions(results, context.assumptionCheck);
+        if (assumptions.length > 0) {
+            tables.push({
+                title: 'فحص افتراضات الاختبار',
+                columns: ['الافتراض', 'النتيجة', 'التفاصيل'],
+                rows: assumptions.map(item => [item.name, item.result, item.details || '']),
+                note: 'تُعد الافتراضات متحققة عند p ≥ .05 في اختبارات التوزيع الطبيعي وتجانس التباين.'
+            });
+        }
+        
+        const notes = [];
+        if (context.missingData) notes.push(`معالجة القيم المفقودة: ${context.missingData}`);
+        if (context.transformations) notes.push(`تحويلات البيانات: ${context.transformations}`);
+        
+        return {
+            title: 'تقرير النتائج الإحصائية (APA 7)',
+            testName: test.name,
+            date: new Date().toISOString().slice(0, 10),
+            paragraphs: {
+                ar: this.writeParagraph(results, test, context.columns || {}, 'ar'),
+                en: this.writeParagraph(results, test, context.columns || {}, 'en')
+            },
+            interpretation: typeof results.interpretation === 'string' ? results.interpretation : '',
+            tables: tables,
+            assumptions: assumptions,
+            notes: notes,
+            chart: context.chart || null,
+            references: test.references || []
+        };
+    }
+    
+    /**
+     * Number with the given decimals, a true minus sign, and no leading zero
+     * for statistics bounded by 1
+     */
+    formatNumber(value, digits = 2, bounded = false) {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (!isFinite(number)) return value === null || value === undefined ? '' : String(value);
+        
+        let text = Math.abs(number).toFixed(digits);
+        if (bounded) text = text.replace(/^0(?=\.)/, '');
+        
+        return (number < 0 && parseFloat(text) !== 0 ? MINUS : '') + text;
+    }
+    
+    /**
+     * p as reported by APA: three decimals without a leading zero, "< .001" below that
+     */
+    formatP(value, withSymbol = true) {
+        const p = parseFloat(value);
+        if (!isFinite(p)) return '';
+        
+        const prefix = withSymbol ? 'p ' : '';
+        if (p < 0.001) return `${prefix}< .001`;
+        if (p > 0.999) return `${prefix}> .999`;
+        return `${prefix}${withSymbol ? '= ' : ''}${p.toFixed(3).replace(/^0/, '')}`;
+    }
+    
+    /**
+     * Integers (n, df) as they are, other numbers with two decimals
+     */
+    formatValue(key, value) {
+        if (value === null || value === undefined || value === '') return '';
+        if (/pvalue$/i.test(key)) return this.formatP(value, false);
+        
+        const interval = this.parseInterval(value);
+        if (interval) {
+            const bounded = BOUNDED_STATISTICS.includes(key.replace(/CI$/, ''));
+            return this.formatInterval(interval[0], interval[1], bounded);
+        }
+        
+        const text = String(value).trim();
+        if (/^-?\d+$/.test(text)) return text.replace('-', MINUS);
+        if (/^-?(\d+\.?\d*|\.\d+)$/.test(text)) {
+            return this.formatNumber(text, 2, BOUNDED_STATISTICS.includes(key));
+        }
+        return text;
+    }
+    
+    formatInterval(lower, upper, bounded = false) {
+        return `[${this.formatNumber(lower, 2, bounded)}, ${this.formatNumber(upper, 2, bounded)}]`;
+    }
+    
+    /**
+     * "[a, b]" (as formatted by the tests) or [a, b] to numbers
+     */
+    parseInterval(value) {
+        if (Array.isArray(value) && value.length === 2) return value.map(Number);
+        
+        const match = typeof value === 'string' && value.match(/^\[\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\]$/);
+        return match ? [parseFloat(match[1]), parseFloat(match[2])] : null;
+    }
+    
+    /**
+     * "95% CI [a, b]" / "فترة ثقة 95% [a, b]" from an effect size interval
+     */
+    formatCI(ci, bounded, lang) {
+        if (!ci) return '';
+        
+        const interval = ci.lower !== undefined ? [ci.lower, ci.upper] : this.parseInterval(ci);
+        if (!interval) return '';
+        
+        const level = Math.round((ci.level || 0.95) * 100);
+        const label = lang === 'ar' ? `فترة ثقة ${level}%` : `${level}% CI`;
+        return `${label} ${this.formatInterval(interval[0], interval[1], bounded)}`;
+    }
+    
+    /**
+     * APA results paragraph in Arabic or English; statistical symbols stay in Latin
+     * letters in both languages, as in Arabic journals following APA
+     */
+    writeParagraph(results, test, columns, lang) {
+        const { lead, statistics, separator } = this.describeResults(results, test, columns, lang);
+        const comma = lang === 'ar' ? '، ' : ', ';
+        const text = statistics.length > 0
+            ? `${lead}${comma}${statistics.filter(Boolean).join(separator || comma)}`
+            : lead;
+            
+        return `${text.replace(/[.\s]+$/, '')}.`;
+    }
+    
+    describeResults(results, test, columns, lang) {
+        const s = results.statistics || {};
+        const es = results.effectSize || {};
+        const ar = lang === 'ar';
+        const significant = parseFloat(s.pValue) < ALPHA;
+        const groups = results.groups || [];
+        const x = columns.categorical || '';
+        const y = columns.numerical || '';
+        const p = this.formatP(s.pValue);
+        const n = (symbol, value, digits = 2, bounded = false) =>
+            value === null || value === undefined || value === '' ? '' : `${symbol} = ${this.formatNumber(value, digits, bounded)}`;
+        const effect = (symbol, value, ci, bounded) =>
+            [n(symbol, value, 2, bounded), this.formatCI(ci, bounded, lang)].filter(Boolean).join(ar ? '، ' : ', ');
+        const showed = ar ? (significant ? 'أظهر' : 'لم يُظهر') : (significant ? 'showed a' : 'showed no');
+        const difference = ar ? 'فرقاً دالاً إحصائياً' : 'statistically significant difference';
+        
+        switch (test.id) {
+            case 'independent-t-test': {
+                const welch = s.variant === 'Welch';
+                const describe = (i) => `${groups[i]} (M = ${this.formatNumber(s[`mean${i + 1}`])}, SD = ${this.formatNumber(s[`std${i + 1}`])}, n = ${s[`n${i + 1}`]})`;
+                return {
+                    lead: ar
+                        ? `${showed} اختبار t للعينات المستقلة${welch ? ' (بتصحيح Welch)' : ''} ${difference} بين ${describe(0)} و${describe(1)}`
+                        : `An independent-samples t-test${welch ? ' (Welch correction)' : ''} ${showed} ${difference} between ${describe(0)} and ${describe(1)}`,
+                    statistics: [`t(${this.formatValue('df', s.df)}) = ${this.formatNumber(s.t)}`, p, effect('d', s.cohensD, es.ci, false)]
+                };
+            }
+            
+            case 'paired-t-test':
+                return {
+                    lead: ar
+                        ? `${showed} اختبار t للعينات المترابطة ${difference} بين القياسين (Mdiff = ${this.formatNumber(s.meanDifference)}, SD = ${this.formatNumber(s.stdDifference)}, n = ${s.nPairs})`
+                        : `A paired-samples t-test ${showed} ${difference} between the two measurements (Mdiff = ${this.formatNumber(s.meanDifference)}, SD = ${this.formatNumber(s.stdDifference)}, n = ${s.nPairs})`,
+                    statistics: [`t(${s.df}) = ${this.formatNumber(s.t)}`, p, effect('d', s.cohensD, es.ci, false)]
+                };
+                
+            case 'one-way-anova': {
+                const variant = this.selectedVariant(results);
+                const welch = results.variants && results.variants.selected === 'welch';
+                const f = variant ? variant.f : s.f;
+                const df1 = variant ? variant.df1 : s.dfBetween;
+                const df2 = variant ? variant.df2 : s.dfWithin;
+                const pValue = this.formatP(variant ? variant.pValue : s.pValue);
+                const sig = parseFloat(variant ? variant.pValue : s.pValue) < ALPHA;
+                return {
+                    lead: ar
+                        ? `${sig ? 'أظهر' : 'لم يُظهر'} تحليل التباين الأحادي${welch ? ' (بصيغة Welch)' : ''} ${difference} بين المجموعات الـ${groups.length} في ${y}`
+                        : `A one-way ANOVA${welch ? ' (Welch)' : ''} ${sig ? 'showed a' : 'showed no'} ${difference} in ${y} among the ${groups.length} groups`,
+                    statistics: [`F(${this.formatValue('df', df1)}, ${this.formatValue('df', df2)}) = ${this.formatNumber(f)}`, pValue, effect('η²', es.etaSquared, es.ci, true)]
+                };
+            }
+            
+            case 'factorial-anova': {
+                const table = results.anovaTable;
+                return {
+                    lead: ar
+                        ? `أُجري تحليل التباين العاملي (مجموع المربعات من النوع ${table.sumOfSquaresType}) على ${y}`
+                        : `A factorial ANOVA (Type ${table.sumOfSquaresType} sums of squares) was conducted on ${y}`,
+                    statistics: table.rows.map(row => {
+                        const term = ar
+                            ? `${row.significant ? 'كان أثر' : 'لم يكن أثر'} ${row.source} دالاً إحصائياً`
+                            : `the effect of ${row.source} was ${row.significant ? '' : 'not '}statistically significant`;
+                        return [
+                            term,
+                            `F(${row.df}, ${table.error.df}) = ${this.formatNumber(row.f)}`,
+                            this.formatP(row.pValue),
+                            `ηp² = ${this.formatNumber(row.partialEtaSquared, 2, true)}`
+                        ].join(ar ? '، ' : ', ');
+                    }),
+                    separator: ar ? '؛ ' : '; '
+                };
+            }
+            
+            case 'mann-whitney':
+                return {
+                    lead: ar
+                        ? `${showed} اختبار مان-ويتني ${difference} بين ${groups[0]} (n = ${s.n1}) و${groups[1]} (n = ${s.n2})`
+                        : `A Mann–Whitney U test ${showed} ${difference} between ${groups[0]} (n = ${s.n1}) and ${groups[1]} (n = ${s.n2})`,
+                    statistics: [n('U', s.u), n('z', s.z), p, effect('r', s.effectSizeR, es.ci, true)]
+                };
+                
+            case 'kruskal-wallis':
+                return {
+                    lead: ar
+                        ? `${showed} اختبار كروسكال-واليس ${difference} بين المجموعات الـ${groups.length} في ${y}`
+                        : `A Kruskal–Wallis H test ${showed} ${difference} in ${y} among the ${groups.length} groups`,
+                    statistics: [`H(${s.df}) = ${this.formatNumber(s.h)}`, p, effect('ε²', s.epsilonSquared, es.ci, true)]
+                };
+                
+            case 'pearson-correlation':
+            case 'spearman-correlation': {
+                const pearson = test.id === 'pearson-correlation';
+                const coefficient = pearson ? s.r : s.rho;
+                const direction = parseFloat(coefficient) >= 0;
+                const relation = ar
+                    ? `${significant ? 'علاقة' : 'عدم وجود علاقة'}${significant ? (direction ? ' طردية' : ' عكسية') : ''} دالة إحصائياً بين ${x} و${y}`
+                    : `${significant ? `a statistically significant ${direction ? 'positive' : 'negative'}` : 'no statistically significant'} relationship between ${x} and ${y}`;
+                return {
+                    lead: ar
+                        ? `أظهر معامل ارتباط ${pearson ? 'بيرسون' : 'سبيرمان'} ${relation}`
+                        : `A ${pearson ? 'Pearson' : 'Spearman rank'} correlation showed ${relation}`,
+                    statistics: [
+                        `${pearson ? 'r' : 'rs'}(${s.n - 2}) = ${this.formatNumber(coefficient, 2, true)}`,
+                        p,
+                        this.formatCI(pearson ? s.rCI : s.rhoCI, true, lang)
+                    ]
+                };
+            }
+            
+            case 'chi-square-independence':
+                return {
+                    lead: ar
+                        ? `${showed} اختبار مربع كاي للاستقلال ارتباطاً دالاً إحصائياً بين ${x} و${y}`
+                        : `A chi-square test of independence ${showed} statistically significant association between ${x} and ${y}`,
+                    statistics: [`χ²(${s.df}, N = ${s.n}) = ${this.formatNumber(s.chiSquare)}`, p, effect('V', s.cramersV, es.ci, true)]
+                };
+                
+            case 'fisher-exact':
+                return {
+                    lead: ar
+                        ? `${showed} اختبار فيشر الدقيق ارتباطاً دالاً إحصائياً بين ${x} و${y} (N = ${s.n})`
+                        : `Fisher's exact test ${showed} statistically significant association between ${x} and ${y} (N = ${s.n})`,
+                    statistics: [p, effect('OR', s.oddsRatio, es.ci, false)]
+                };
+                
+            case 'chi-square-goodness-of-fit':
+                return {
+                    lead: ar
+                        ? `${significant ? 'اختلفت' : 'لم تختلف'} التكرارات الملاحظة لـ${x} اختلافاً دالاً إحصائياً عن التكرارات المتوقعة وفق اختبار مربع كاي لجودة المطابقة`
+                        : `A chi-square goodness-of-fit test showed that the observed frequencies of ${x} ${significant ? 'differed' : 'did not differ'} significantly from the expected frequencies`,
+                    statistics: [`χ²(${s.df}, N = ${s.n}) = ${this.formatNumber(s.chiSquare)}`, p, effect('w', s.cohensW, es.ci, false)]
+                };
+                
+            case 'mcnemar':
+                return {
+                    lead: ar
+                        ? `${showed} اختبار ماكنمار تغيراً دالاً إحصائياً بين ${x} و${y}`
+                        : `McNemar's test ${showed} statistically significant change between ${x} and ${y}`,
+                    statistics: [`χ²(${s.df}, N = ${s.n}) = ${this.formatNumber(s.chiSquare)}`, p]
+                };
+                
+            case 'simple-linear-regression': {
+                const slope = results.coefficients ? results.coefficients.slope : null;
+                return {
+                    lead: ar
+                        ? `${significant ? 'تنبأ' : 'لم يتنبأ'} ${x} بـ${y} تنبؤاً دالاً إحصائياً وفق الانحدار الخطي البسيط`
+                        : `A simple linear regression showed that ${x} ${significant ? 'significantly predicted' : 'did not significantly predict'} ${y}`,
+                    statistics: [
+                        slope ? `b = ${this.formatNumber(slope.value)}` : '',
+                        slope && slope.ci ? this.formatCI(slope.ci, false, lang) : '',
+                        `R² = ${this.formatNumber(s.rSquared, 2, true)}`,
+                        `F(${s.df1}, ${s.df2}) = ${this.formatNumber(s.f)}`,
+                        p
+                    ]
+                };
+            }
+            
+            case 'multiple-linear-regression':
+                return {
+                    lead: ar
+                        ? `${significant ? 'كان' : 'لم يكن'} نموذج الانحدار المتعدد للتنبؤ بـ${y} دالاً إحصائياً`
+                        : `The multiple regression model predicting ${y} was ${significant ? '' : 'not '}statistically significant`,
+                    statistics: [
+                        `R² = ${this.formatNumber(s.rSquared, 2, true)}`,
+                        `adjusted R² = ${this.formatNumber(s.adjustedRSquared, 2, true)}`,
+                        `F(${s.dfRegression}, ${s.dfResidual}) = ${this.formatNumber(s.f)}`,
+                        p
+                    ]
+                };
+                
+            case 'logistic-regression':
+                return {
+                    lead: ar
+                        ? `${significant ? 'كان' : 'لم يكن'} نموذج الانحدار اللوجستي الثنائي للتنبؤ بـ${y} دالاً إحصائياً`
+                        : `The binary logistic regression model predicting ${y} was ${significant ? '' : 'not '}statistically significant`,
+                    statistics: [
+                        `χ²(${s.df}, N = ${s.n}) = ${this.formatNumber(s.chiSquare)}`,
+                        p,
+                        `Nagelkerke R² = ${this.formatNumber(s.nagelkerkeR2, 2, true)}`,
+                        ar ? `نسبة التصنيف الصحيح = ${s.accuracy}` : `correct classification = ${s.accuracy}`
+                    ]
+                };
+                
+            case 'wilcoxon-signed-rank':
+                return {
+                    lead: ar
+                        ? `${showed} اختبار ويلكوكسون لإشارات الرتب ${difference} بين القياسين (n = ${s.nPairs})`
+                        : `A Wilcoxon signed-rank test ${showed} ${difference} between the two measurements (n = ${s.nPairs})`,
+                    statistics: [n('W', s.w), n('z', s.z), p, effect('r', s.effectSizeR, es.ci, true)]
+                };
+                
+            case 'repeated-measures-anova': {
+                const variant = this.selectedVariant(results);
+                const corrected = variant && results.variants.selected !== 'sphericity'
+                    ? results.variants.rows.find(row => row.id === results.variants.selected).name
+                    : '';
+                const values = variant || { f: s.f, df1: s.df1, df2: s.df2, pValue: s.pValue };
+                const sig = parseFloat(values.pValue) < ALPHA;
+                return {
+                    lead: ar
+                        ? `${sig ? 'أظهر' : 'لم يُظهر'} تحليل التباين للقياسات المتكررة${corrected ? ` (بتصحيح ${corrected})` : ''} ${difference} بين القياسات (${groups.join('، ')})`
+                        : `A repeated-measures ANOVA${corrected ? ` (${corrected} correction)` : ''} ${sig ? 'showed a' : 'showed no'} ${difference} among the measurements (${groups.join(', ')})`,
+                    statistics: [
+                        `F(${this.formatValue('df', values.df1)}, ${this.formatValue('df', values.df2)}) = ${this.formatNumber(values.f)}`,
+                        this.formatP(values.pValue),
+                        effect('ηp²', s.partialEtaSquared, es.ci, true)
+                    ]
+                };
+            }
+            
+            case 'friedman':
+                return {
+                    lead: ar
+                        ? `${showed} اختبار فريدمان ${difference} بين القياسات`
+                        : `A Friedman test ${showed} ${difference} among the measurements`,
+                    statistics: [`χ²(${s.df}, N = ${s.n}) = ${this.formatNumber(s.chiSquare)}`, p, effect('W', s.kendallW, es.ci, true)]
+                };
+                
+            case 'descriptive-statistics':
+                return { lead: this.describeDescriptives(results, lang), statistics: [] };
+                
+            default:
+                return this.describeGeneric(results, test, lang);
+        }
+    }
+    
+    /**
+     * Analyses without a dedicated template (reliability, factor analysis, power,
+     * resampling...): their citable sentence or their numeric statistics
+     */
+    describeGeneric(results, test, lang) {
+        if (lang === 'en' && results.citation) {
+            return { lead: results.citation, statistics: [] };
+        }
+        
+        const statistics = Object.entries(results.statistics || {})
+            .filter(([key, value]) => value !== null && value !== '' && typeof value !== 'object' && key !== 'method')
+            .map(([key, value]) => `${key} = ${this.formatValue(key, value)}`);
+            
+        if (lang === 'ar') {
+            return {
+                lead: results.interpretation && typeof results.interpretation === 'string'
+                    ? `${test.name}: ${results.interpretation.replace(/[.\s]+$/, '')}`
+                    : `نتائج ${test.name}`,
+                statistics
+            };
+        }
+        
+        return { lead: `Results of ${results.test || test.name}`, statistics };
+    }
+    
+    /**
+     * M and SD of each described variable (per group when split) and the most
+     * frequent category of each frequency table
+     */
+    describeDescriptives(results, lang) {
+        const ar = lang === 'ar';
+        const separator = ar ? '؛ ' : '; ';
+        const sentences = [];
+        
+        const rows = (results.descriptives || []).filter(row => row.mean !== null);
+        if (rows.length > 0) {
+            const described = rows.map(row => {
+                const name = row.group === null ? row.variable : `${row.variable} (${results.groupBy} = ${row.group})`;
+                const sd = row.sd !== null ? `, SD = ${this.formatNumber(row.sd)}` : '';
+                return `${name}: M = ${this.formatNumber(row.mean)}${sd}, n = ${row.n}`;
+            });
+            sentences.push(ar
+                ? `بلغت المتوسطات والانحرافات المعيارية: ${described.join(separator)}`
+                : `Means and standard deviations were as follows: ${described.join(separator)}`);
+        }
+        
+        (results.frequencies || []).forEach(table => {
+            const mode = table.rows.reduce((best, row) => !best || row.count > best.count ? row : best, null);
+            if (!mode) return;
+            sentences.push(ar
+                ? `كانت الفئة الأكثر تكراراً في ${table.variable} هي ${mode.value} (n = ${mode.count}, ${mode.validPercent}%) من ${table.valid} حالة صالحة`
+                : `The most frequent category of ${table.variable} was ${mode.value} (n = ${mode.count}, ${mode.validPercent}%) of ${table.valid} valid cases`);
+        });
+        
+        if (results.crosstab) {
+            const table = results.crosstab;
+            sentences.push(ar
+                ? `ويعرض الجدول التقاطعي توزيع ${table.rowVariable} حسب ${table.columnVariable} (N = ${table.total})`
+                : `The crosstabulation of ${table.rowVariable} by ${table.columnVariable} is shown in the table (N = ${table.total})`);
+        }
+        
+        return sentences.length > 0 ? sentences.join('. ') : (ar ? 'الإحصاءات الوصفية' : 'Descriptive statistics');
+    }
+    
+    selectedVariant(results) {
+        const variants = results.variants;
+        if (!variants || !variants.rows) return null;
+        
+        const row = variants.rows.find(item => item.id === variants.selected);
+        return row ? row.values : null;
+    }
+    
+    /**
+     * Descriptive statistics, the test statistics and any model tables
+     */
+    buildTables(results, test, translate) {
+        const tables = [];
+        const s = results.statistics || {};
+        
+        // Descriptive statistics by group
+        if (test.id === 'independent-t-test' && results.groups) {
+            tables.push({
+                title: 'الإحصاءات الوصفية للمجموعتين',
+                columns: ['المجموعة', 'n', 'M', 'SD'],
+                rows: results.groups.map((group, i) => [
+                    group, s[`n${i + 1}`], this.formatNumber(s[`mean${i + 1}`]), this.formatNumber(s[`std${i + 1}`])
+                ])
+            });
+        } else if (results.groupStats) {
+            const entries = Object.entries(results.groupStats);
+            const ranks = entries.length > 0 && entries[0][1].meanRank !== undefined;
+            tables.push({
+                title: ranks ? 'متوسطات الرتب حسب المجموعة' : 'الإحصاءات الوصفية حسب المجموعة',
+                columns: ranks ? ['المجموعة', 'n', 'متوسط الرتب'] : ['المجموعة', 'n', 'M', 'SD'],
+                rows: entries.map(([group, stats]) => ranks
+                    ? [group, stats.n, this.formatNumber(stats.meanRank)]
+                    : [group, stats.n, this.formatNumber(stats.mean), this.formatNumber(stats.std)])
+            });
+        }
+        
+        if (results.contingencyTable && results.contingencyTable.observed) {
+            const table = results.contingencyTable;
+            tables.push({
+                title: 'جدول التكرارات الملاحظة',
+                columns: ['', ...table.columns],
+                rows: table.rows.map((row, i) => [row, ...table.observed[i]])
+            });
+        }
+        
+        if (results.frequencyTable) {
+            tables.push({
+                title: 'التكرارات الملاحظة والمتوقعة',
+                columns: ['الفئة', 'الملاحظ', 'المتوقع', 'البواقي المعيارية'],
+                rows: results.frequencyTable.map(row => [
+                    row.category, row.observed, this.formatNumber(row.expected), this.formatNumber(row.residual)
+                ])
+            });
+        }
+        
+        if (results.descriptives) {
+            const split = Boolean(results.groupBy);
+            const shape = (value, se) => value === null ? '—' : `${this.formatNumber(value)} (${this.formatNumber(se)})`;
+            tables.push({
+                title: split ? `الإحصاءات الوصفية حسب ${results.groupBy}` : 'الإحصاءات الوصفية',
+                columns: ['المتغير', ...(split ? [results.groupBy] : []), 'n', 'M', 'SD', 'SE', 'Mdn', 'IQR', 'الالتواء (SE)', 'التفلطح (SE)', 'Min', 'Max'],
+                rows: results.descriptives.map(row => [
+                    row.variable,
+                    ...(split ? [row.group] : []),
+                    row.n,
+                    ...['mean', 'sd', 'se', 'median', 'iqr'].map(key => row[key] === null ? '—' : this.formatNumber(row[key])),
+                    shape(row.skewness, row.skewnessSE),
+                    shape(row.kurtosis, row.kurtosisSE),
+                    row.min === null ? '—' : this.formatNumber(row.min),
+                    row.max === null ? '—' : this.formatNumber(row.max)
+                ]),
+                note: 'SD = الانحراف المعياري للعينة؛ SE = الخطأ المعياري للمتوسط؛ IQR = المدى الربيعي بالاستيفاء الخطي (Hyndman-Fan النوع 7). الالتواء والتفلطح الزائد بصيغتي G1 وG2 وأخطاؤهما المعيارية بين القوسين.'
+            });
+        }
+        
+        (results.frequencies || []).forEach(table => {
+            tables.push({
+                title: `توزيع تكرارات ${table.variable}`,
+                columns: ['الفئة', 'n', '%', 'النسبة الصالحة %', 'النسبة التراكمية %'],
+                rows: [
+                    ...table.rows.map(row => [row.value, row.count, row.percent, row.validPercent, row.cumulativePercent]),
+                    ...(table.missing > 0 ? [['مفقود', table.missing, table.missingPercent, '', '']] : []),
+                    ['المجموع', table.total, '100.0', '', '']
+                ]
+            });
+        });
+        
+        if (results.crosstab) {
+            const table = results.crosstab;
+            tables.push({
+                title: `الجدول التقاطعي: ${table.rowVariable} × ${table.columnVariable}`,
+                columns: ['', ...table.columns, 'المجموع'],
+                rows: [
+                    ...table.rows.map((row, i) => [
+                        row,
+                        ...table.observed[i].map((count, j) => `${count} (${table.rowPercents[i][j]}%)`),
+                        table.rowTotals[i]
+                    ]),
+                    ['المجموع', ...table.columnTotals, table.total]
+                ],
+                note: 'النسب المئوية بين القوسين من مجموع الصف.'
+            });
+        }
+        
+        // Test statistics
+        const statistics = Object.entries(s)
+            .filter(([key, value]) => value !== null && value !== undefined && value !== '' && typeof value !== 'object')
+            .filter(([key]) => !/^(mean|std|n)[12]$/.test(key));
+        if (statistics.length > 0) {
+            tables.push({
+                title: `نتائج ${test.name}`,
+                columns: ['الإحصائي', 'القيمة'],
+                rows: statistics.map(([key, value]) => [translate(key), this.formatValue(key, value)]),
+                note: 'القيم مقربة إلى منزلتين عشريتين، وقيم p إلى ثلاث منازل.'
+            });
+        }
+        
+        if (results.anovaTable) {
+            const table = results.anovaTable;
+            tables.push({
+                title: `جدول تحليل التباين (مجموع المربعات من النوع ${table.sumOfSquaresType || 'III'})`,
+                columns: ['المصدر', 'SS', 'df', 'MS', 'F', 'p', 'ηp²', 'فترة ثقة 95%'],
+                rows: [
+                    ...table.rows.map(row => [
+                        row.source, this.formatNumber(row.ss), row.df, this.formatNumber(row.ms), this.formatNumber(row.f),
+                        this.formatP(row.pValue, false), this.formatNumber(row.partialEtaSquared, 2, true),
+                        this.formatValue('partialEtaSquaredCI', row.partialEtaSquaredCI)
+                    ]),
+                    ['الخطأ', this.formatNumber(table.error.ss), table.error.df, this.formatNumber(table.error.ms), '', '', '', '']
+                ]
+            });
+        }
+        
+        if (results.coefficientsTable) {
+            const table = results.coefficientsTable;
+            tables.push({
+                title: 'معاملات نموذج الانحدار',
+                columns: ['المتغير', ...table.columns.map(column => this.columnSymbol(column))],
+                rows: table.rows.map(row => [
+                    row.term,
+                    ...table.columns.map(column => row[column] === null ? '—' : this.formatValue(column, row[column]))
+                ])
+            });
+        } else if (results.coefficients && results.coefficients.slope) {
+            const coefficients = results.coefficients;
+            tables.push({
+                title: 'معاملات نموذج الانحدار',
+                columns: ['المتغير', 'B', 'SE', 't', 'p', 'فترة ثقة 95%'],
+                rows: [['(الثابت)', coefficients.intercept], [translate('slope'), coefficients.slope]].map(([term, row]) => [
+                    term, this.formatNumber(row.value), this.formatNumber(row.se), this.formatNumber(row.t),
+                    this.formatP(row.pValue, false), row.ci ? this.formatInterval(row.ci[0], row.ci[1]) : ''
+                ])
+            });
+        }
+        
+        return tables;
+    }
+    
+    columnSymbol(column) {
+        const symbols = { b: 'B', se: 'SE', beta: 'β', pValue: 'p', ciLower: 'الحد الأدنى', ciUpper: 'الحد الأعلى', vif: 'VIF', tolerance: 'Tolerance', oddsRatio: 'OR', wald: 'Wald' };
+        return symbols[column] || column;
+    }
+    
+    /**
+     * Assumption checks of the results and of the separate assumption check, as
+     * { name, result, passed, details }
+     */
+    collectAssumptions(results, assumptionCheck) {
+        const items = [];
+        const own = Array.isArray(results.assumptions)
+            ? results.assumptions
+            : (results.assumptions && results.assumptions.assumptions) || [];
+            
+        own.forEach(item => items.push({
+            name: item.name,
+            result: item.result,
+            passed: item.passed,
+            details: item.details || ''
+        }));
+        
+        Object.values(assumptionCheck || {}).forEach(check => {
+            if (!check) return;
+            
+            const details = [];
+            if (check.statistic !== null && check.statistic !== undefined) {
+                details.push(`${check.statisticName || 'الإحصائي'} = ${this.formatNumber(check.statistic)}`);
+            }
+            if (check.pValue !== null && check.pValue !== undefined) {
+                details.push(this.formatP(check.pValue));
+            }
+            items.push({ name: check.test, result: check.result, passed: check.passed, details: details.join(', ') });
+        });
+        
+        return items;
+    }
+}
+
+export default ApaReport;
@@ -0,0 +1,206 @@
+/**
+ * Assumption Diagnostics Module
+ * Data for the diagnostic plots: normal Q-Q plot, histogram with kernel and
+ * normal density curves, boxplots with the IQR outliers and residuals against
+ * fitted values, with the Shapiro-Wilk and Lilliefors tests
+ */
+
+import StatisticalTests from './statistical-tests.js';
+import Distributions from './distributions.js';
+import Descriptive from './descriptive.js';
+
+// Points drawn per scatter plot; larger samples are thinned evenly
+const MAX_POINTS = 2000;
+
+// Points along each density curve
+const CURVE_POINTS = 100;
+
+class AssumptionDiagnostics {
+    constructor(statisticalTests = new StatisticalTests()) {
+        this.tests = statisticalTests;
+    }
+    
+    /**
+     * Diagnostics of a numeric column, overall and per group when groups are given
+     * options: { normality, outliers } choose the tests and plots
+     */
+    build(values, groups, options = { normality: true, outliers: true }) {
+        const cases = values
+            .map((value, i) => ({ value: parseFloat(value), group: groups ? groups[i] : null }))
+            .filter(item => !isNaN(item.value) && isFinite(item.value) &&
+                (!groups || (item.group !== '' && item.group !== null && item.group !== undefined)));
+                
+        if (cases.length < 3) {
+            throw new Error('يحتاج فحص الافتراضات إلى ثلاث قيم رقمية على الأقل');
+        }
+        
+        const numbers = cases.map(item => item.value);
+        const levels = groups
+            ? [...new Set(cases.map(item => String(item.group)))].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            : [];
+        const groupValues = levels.map(level => ({
+            group: level,
+            values: cases.filter(item => String(item.group) === level).map(item => item.value)
+        }));
+        
+        const diagnostics = { n: numbers.length };
+        
+        if (options.normality) {
+            diagnostics.normality = [
+                this.normalityTests(numbers, null),
+                ...(groupValues.length > 1 ? groupValues.map(item => this.normalityTests(item.values, item.group)) : [])
+            ];
+            diagnostics.qqPlot = this.qqPlot(numbers);
+            diagnostics.histogram = this.histogram(numbers);
+        }
+        
+        if (options.outliers) {
+            diagnostics.boxplots = groupValues.length > 1
+                ? groupValues.map(item => this.boxplot(item.values, item.group))
+                : [this.boxplot(numbers, null)];
+        }
+        
+        return diagnostics;
+    }
+    
+    /**
+     * Diagnostics of a regression's residuals: residuals against fitted values,
+     * their Q-Q plot, histogram and normality tests
+     */
+    buildResiduals(residualPlot) {
+        const { fitted, residuals } = residualPlot;
+        
+        return {
+            n: residuals.length,
+            normality: [this.normalityTests(residuals, null)],
+            qqPlot: this.qqPlot(residuals),
+            histogram: this.histogram(residuals),
+            residualPlot: {
+                points: this.thin(fitted.map((x, i) => ({ x: x, y: residuals[i] }))),
+                range: [fitted.reduce((a, b) => Math.min(a, b), Infinity), fitted.reduce((a, b) => Math.max(a, b), -Infinity)]
+            }
+        };
+    }
+    
+    normalityTests(values, group) {
+        return {
+            group: group,
+            n: values.length,
+            shapiroWilk: this.tests.shapiroWilkTest(values),
+            lilliefors: this.tests.lillieforsTest(values)
+        };
+    }
+    
+    /**
+     * Ordered values against normal quantiles at the plotting positions of R's
+     * ppoints, with the reference line through the quartiles (as qqline)
+     */
+    qqPlot(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const n = sorted.length;
+        const a = n <= 10 ? 3 / 8 : 0.5;
+        
+        const points = sorted.map((value, i) => ({
+            x: Distributions.normal.inv((i + 1 - a) / (n + 1 - 2 * a)),
+            y: value
+        }));
+        
+        const q1 = this.tests.calculatePercentile(sorted, 25);
+        const q3 = this.tests.calculatePercentile(sorted, 75);
+        const z1 = Distributions.normal.inv(0.25);
+        const z3 = Distributions.normal.inv(0.75);
+        const slope = (q3 - q1) / (z3 - z1);
+        
+        return {
+            points: this.thin(points),
+            line: { slope: slope, intercept: q1 - slope * z1 },
+            range: [points[0].x, points[n - 1].x]
+        };
+    }
+    
+    /**
+     * Sturges bins, with a Gaussian kernel density (Silverman's bandwidth) and the
+     * normal density of the sample's mean and SD, both scaled to counts
+     */
+    histogram(values) {
+        const n = values.length;
+        const min = values.reduce((a, b) => Math.min(a, b), Infinity);
+        const max = values.reduce((a, b) => Math.max(a, b), -Infinity);
+        const binCount = Math.ceil(Math.log2(n) + 1);
+        const width = max > min ? (max - min) / binCount : 1;
+        
+        const counts = new Array(binCount).fill(0);
+        values.forEach(value => {
+            counts[Math.min(Math.floor((value - min) / width), binCount - 1)]++;
+        });
+        
+        const bins = counts.map((count, i) => ({
+            lower: min + i * width,
+            upper: min + (i + 1) * width,
+            center: min + (i + 0.5) * width,
+            count: count
+        }));
+        
+        const mean = Descriptive.mean(values);
+        const sd = n > 1 ? Descriptive.sampleStandardDeviation(values) : 0;
+        if (sd === 0) {
+            return { bins: bins, width: width, density: [], normal: [] };
+        }
+        
+        const sorted = [...values].sort((a, b) => a - b);
+        const iqr = this.tests.calculatePercentile(sorted, 75) - this.tests.calculatePercentile(sorted, 25);
+        const spread = iqr > 0 ? Math.min(sd, iqr / 1.34) : sd;
+        const bandwidth = 0.9 * spread * Math.pow(n, -0.2);
+        
+        const from = min - 3 * bandwidth;
+        const step = (max - min + 6 * bandwidth) / (CURVE_POINTS - 1);
+        const grid = Array.from({ length: CURVE_POINTS }, (_, i) => from + i * step);
+        const scale = n * width;
+        
+        return {
+            bins: bins,
+            width: width,
+            density: grid.map(x => ({
+                x: x,
+                y: scale * values.reduce((sum, value) => sum + Distributions.normal.pdf(x, value, bandwidth), 0) / n
+            })),
+            normal: grid.map(x => ({ x: x, y: scale * Distributions.normal.pdf(x, mean, sd) }))
+        };
+    }
+    
+    /**
+     * Quartiles, whiskers to the furthest values inside the 1.5 × IQR fences and the
+     * outliers found by detectOutliers
+     */
+    boxplot(values, group) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const detection = this.tests.detectOutliers(values);
+        const outliers = detection.outliers.map(item => item.value);
+        const flagged = new Set(outliers);
+        const inside = sorted.filter(value => !flagged.has(value));
+        
+        return {
+            group: group,
+            n: values.length,
+            q1: this.tests.calculatePercentile(sorted, 25),
+            median: this.tests.calculatePercentile(sorted, 50),
+            q3: this.tests.calculatePercentile(sorted, 75),
+            lowerWhisker: inside.length > 0 ? inside[0] : sorted[0],
+            upperWhisker: inside.length > 0 ? inside[inside.length - 1] : sorted[sorted.length - 1],
+            outliers: outliers,
+            outlierResult: detection.result
+        };
+    }
+    
+    /**
+     * Every k-th point of a long series, keeping the first and last
+     */
+    thin(points) {
+        if (points.length <= MAX_POINTS) return points;
+        
+        const step = (points.length - 1) / (MAX_POINTS - 1);
+        return Array.from({ length: MAX_POINTS }, (_, i) => points[Math.round(i * step)]);
+    }
+}
+
+export default AssumptionDiagnostics;
@@ -3,14 +3,24 @@
  * Handles all data input validation and cleaning
  */
 
+import XlsxReader from './xlsx-reader.js';
+import SavReader from './sav-reader.js';
+
 class DataValidator {
     constructor() {
         this.config = {
             maxFileSize: 10 * 1024 * 1024, // 10MB
             maxRows: 100000,
             maxColumns: 100,
-            allowedMimeTypes: ['text/csv', 'text/plain', 'text/tab-separated-values'],
-            allowedExtensions: ['.csv', '.txt', '.tsv'],
+            allowedMimeTypes: [
+                'text/csv',
+                'text/plain',
+                'text/tab-separated-values',
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                'application/x-spss-sav',
+                'application/octet-stream'
+            ],
+            allowedExtensions: ['.csv', '.txt', '.tsv', '.xlsx', '.sav'],
             maxCellLength: 10000,
             maxColumnNameLength: 100
         };
@@ -59,33 +69,282 @@ class DataValidator {
     /**
      * Parse CSV file with security measures
      */
-    async parseCSV(file) {
+    async parseCSV(file, dialect = null) {
+        return (await this.readDelimitedFile(file, dialect)).data;
+    }
+    
+    /**
+     * Read a delimited text file, detecting its encoding and dialect unless they are given
+     * Returns { data, dialect } so that the detection can be shown and overridden
+     */
+    async readDelimitedFile(file, dialect = null) {
+        const buffer = await this.readArrayBuffer(file);
+        
+        try {
+            const bytes = new Uint8Array(buffer);
+            const encoding = dialect && dialect.encoding ? dialect.encoding : this.detectEncoding(bytes);
+            const content = new TextDecoder(encoding).decode(bytes);
+            const detected = { ...this.resolveDialect(content, dialect), encoding };
+            
+            return { data: this.parseCSVContent(content, detected), dialect: detected };
+        } catch (error) {
+            throw new Error(`فشل تحليل الملف: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Text encoding from the byte order mark, else by UTF-16 byte patterns,
+     * else UTF-8 when the bytes are valid UTF-8 and Windows-1256 (Arabic) otherwise
+     */
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+        
+        // Without a BOM, UTF-16 text has a high byte of 0x00 (Latin) or 0x06 (Arabic) in every pair
+        const sample = bytes.subarray(0, Math.min(bytes.length, 4096) & ~1);
+        const pairs = sample.length / 2;
+        if (pairs >= 2) {
+            let highEven = 0;
+            let highOdd = 0;
+            for (let i = 0; i < sample.length; i += 2) {
+                if (sample[i] === 0x00 || sample[i] === 0x06) highEven++;
+                if (sample[i + 1] === 0x00 || sample[i + 1] === 0x06) highOdd++;
+            }
+            if (highOdd / pairs > 0.7 && highEven / pairs < 0.3) return 'utf-16le';
+            if (highEven / pairs > 0.7 && highOdd / pairs < 0.3) return 'utf-16be';
+        }
+        
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return 'utf-8';
+        } catch (error) {
+            return 'windows-1256';
+        }
+    }
+    
+    /**
+     * Fill in the dialect fields that were not given: quote, delimiter and number format
+     */
+    resolveDialect(content, dialect = null) {
+        const given = dialect || {};
+        const lines = this.splitRecords(
+            content.trim().replace(/\r\n/g, '\n').replace(/\r/g, '\n'),
+            given.quote || '"'
+        ).filter(line => line.trim() !== '').slice(0, 50);
+        
+        const quote = given.quote || this.detectQuote(lines);
+        const delimiter = given.delimiter || this.detectDelimiter(lines, quote);
+        const numberFormat = given.decimal
+            ? { decimal: given.decimal, thousands: given.thousands !== undefined ? given.thousands : '' }
+            : this.detectNumberFormat(lines.slice(1), { delimiter, quote });
+        
+        return { delimiter, quote, ...numberFormat };
+    }
+    
+    /**
+     * The delimiter that splits the sample lines into the most consistent number
+     * of fields (ties go to the one giving more fields)
+     */
+    detectDelimiter(lines, quote) {
+        let best = ',';
+        let bestScore = 0;
+        
+        [',', ';', '\t', '|'].forEach(delimiter => {
+            const counts = lines.map(line => this.parseCSVLine(line, { delimiter, quote }).length);
+            if (counts.length === 0 || counts[0] < 2) return;
+            
+            const consistency = counts.filter(count => count === counts[0]).length / counts.length;
+            const score = consistency + counts[0] / 1000;
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Single quotes only when fields are wrapped in them more often than in double quotes
+     */
+    detectQuote(lines) {
+        const wrapped = quote => lines.reduce((count, line) => {
+            const pattern = new RegExp(`(^|[,;\\t|])${quote}[^${quote}]*${quote}(?=[,;\\t|]|$)`, 'g');
+            return count + (line.match(pattern) || []).length;
+        }, 0);
+        
+        return wrapped("'") > wrapped('"') ? "'" : '"';
+    }
+    
+    /**
+     * Decimal comma (1.234,5) or decimal point (1,234.5), from the numeric-looking fields
+     */
+    detectNumberFormat(lines, dialect) {
+        let commaVotes = 0;
+        let pointVotes = 0;
+        
+        lines.forEach(line => {
+            this.parseCSVLine(line, dialect).forEach(field => {
+                const value = this.normalizeDigits(field).trim().replace(/^[+-]/, '');
+                
+                if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(value) || /^\d+,(\d{1,2}|\d{4,})$/.test(value)) {
+                    commaVotes++;
+                } else if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(value) || /^\d*\.\d+$/.test(value)) {
+                    pointVotes++;
+                }
+            });
+        });
+        
+        return commaVotes > pointVotes
+            ? { decimal: ',', thousands: '.' }
+            : { decimal: '.', thousands: ',' };
+    }
+    
+    /**
+     * Split content into records on newlines outside quoted fields
+     */
+    splitRecords(content, quote = '"') {
+        const records = [];
+        let current = '';
+        let inQuotes = false;
+        
+        for (const char of content) {
+            if (char === quote) {
+                inQuotes = !inQuotes;
+            } else if (char === '\n' && !inQuotes) {
+                records.push(current);
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        
+        records.push(current);
+        return records;
+    }
+    
+    /**
+     * Parse any supported file by its extension
+     * Returns { data, dictionary, sheets, sheet, dialect }: SPSS files carry a dictionary of
+     * variable labels, value labels and missing values; workbooks list their sheets;
+     * text files report the detected (or given) encoding and dialect
+     */
+    async parseFile(file, options = {}) {
+        const extension = '.' + file.name.split('.').pop().toLowerCase();
+        
+        switch (extension) {
+            case '.xlsx':
+                return this.parseXLSX(file, options.sheet);
+            case '.sav':
+                return this.parseSAV(file);
+            default: {
+                const { data, dialect } = await this.readDelimitedFile(file, options.dialect);
+                return { data, dictionary: null, sheets: null, sheet: null, dialect };
+            }
+        }
+    }
+    
+    /**
+     * Parse one sheet of an Excel workbook (the first one by default)
+     */
+    async parseXLSX(file, sheet = null) {
+        try {
+            const reader = new XlsxReader();
+            const sheets = await reader.open(await this.readArrayBuffer(file));
+            const selected = sheet && sheets.includes(sheet) ? sheet : sheets[0];
+            const [headerRow, ...rows] = await reader.readSheet(selected, {
+                maxRows: this.config.maxRows + 1,
+                maxColumns: this.config.maxColumns
+            });
+            
+            if (!headerRow) {
+                throw new Error(`الورقة "${selected}" فارغة`);
+            }
+            
+            const { data } = this.createRecords(headerRow, rows);
+            return { data, dictionary: null, sheets, sheet: selected };
+        } catch (error) {
+            throw new Error(`فشل تحليل الملف: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Parse an SPSS .sav file; the dictionary is keyed by the sanitized column names
+     */
+    async parseSAV(file) {
+        try {
+            const reader = new SavReader();
+            const table = reader.toTable(reader.read(await this.readArrayBuffer(file)));
+            const { data, headers } = this.createRecords(table.headers, table.rows);
+            
+            const dictionary = {};
+            table.headers.forEach((name, i) => {
+                dictionary[headers[i]] = table.dictionary[name];
+            });
+            
+            return { data, dictionary, sheets: null, sheet: null };
+        } catch (error) {
+            throw new Error(`فشل تحليل الملف: ${error.message}`);
+        }
+    }
+    
+    readArrayBuffer(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
+            reader.onload = (event) => resolve(event.target.result);
+            reader.onerror = () => reject(new Error('تعذر قراءة الملف'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+    
+    /**
+     * Rows of cell values from a workbook or a statistics file to records,
+     * with the same sanitizing and checks as CSV content
+     */
+    createRecords(rawHeaders, rawRows) {
+        if (rawRows.length > this.config.maxRows) {
+            throw new Error(`عدد الصفوف كبير جداً (الحد الأقصى: ${this.config.maxRows})`);
+        }
+        
+        let headers = rawHeaders.map(header => this.sanitizeColumnName(String(header)));
+        headers = this.validateHeaders(headers) || headers;
+        
+        const data = [];
+        rawRows.forEach((values, i) => {
+            const row = {};
+            let hasData = false;
             
-            reader.onload = (event) => {
-                try {
-                    const content = event.target.result;
-                    const data = this.parseCSVContent(content);
-                    resolve(data);
-                } catch (error) {
-                    reject(new Error(`فشل تحليل الملف: ${error.message}`));
+            headers.forEach((header, j) => {
+                const value = this.sanitizeCellValue(values[j]);
+                
+                if (value.length > this.config.maxCellLength) {
+                    throw new Error(`الخلية ${header} في الصف ${i + 2} طويلة جداً`);
                 }
-            };
-            
-            reader.onerror = () => {
-                reject(new Error('تعذر قراءة الملف'));
-            };
+                
+                row[header] = value;
+                if (value !== '') {
+                    hasData = true;
+                }
+            });
             
-            // Read with UTF-8 encoding
-            reader.readAsText(file, 'UTF-8');
+            // Only add row if it has data
+            if (hasData) {
+                data.push(row);
+            }
         });
+        
+        this.normalizeNumericColumns(data, headers, { decimal: '.', thousands: ',' });
+        
+        this.validateDataStructure(data, headers);
+        
+        return { data, headers };
     }
     
     /**
      * Parse CSV content with validation
      */
-    parseCSVContent(content) {
+    parseCSVContent(content, dialect = null) {
         // Trim and normalize line endings
         content = content.trim().replace(/\r\n/g, '\n').replace(/\r/g, '\n');
         
@@ -94,8 +353,11 @@ class DataValidator {
             throw new Error('المحتوى كبير جداً');
         }
         
-        // Parse lines
-        const lines = content.split('\n');
+        // Delimiter, quote and number format, detected unless given
+        const format = this.resolveDialect(content, dialect);
+        
+        // Parse lines (quoted fields may span several lines)
+        const lines = this.splitRecords(content, format.quote);
         
         if (lines.length === 0) {
             throw new Error('الملف فارغ');
@@ -106,12 +368,12 @@ class DataValidator {
         }
         
         // Parse headers
-        const headers = this.parseCSVLine(lines[0]).map(header => 
+        let headers = this.parseCSVLine(lines[0], format).map(header => 
             this.sanitizeColumnName(header)
         );
         
         // Validate headers
-        this.validateHeaders(headers);
+        headers = this.validateHeaders(headers) || headers;
         
         // Parse data rows
         const data = [];
@@ -119,7 +381,7 @@ class DataValidator {
         for (let i = 1; i < lines.length; i++) {
             if (lines[i].trim() === '') continue;
             
-            const values = this.parseCSVLine(lines[i]);
+            const values = this.parseCSVLine(lines[i], format);
             
             // Validate row length
             if (values.length !== headers.length) {
@@ -155,6 +417,9 @@ class DataValidator {
             }
         }
         
+        // Numbers written with Arabic-Indic digits or separators become plain numbers
+        this.normalizeNumericColumns(data, headers, format);
+        
         // Final validation
         this.validateDataStructure(data, headers);
         
@@ -162,30 +427,31 @@ class DataValidator {
     }
     
     /**
-     * Parse a single CSV line with proper handling of quotes and commas
+     * Parse a single CSV line with proper handling of quotes and delimiters
      */
-    parseCSVLine(line) {
+    parseCSVLine(line, dialect = {}) {
+        const delimiter = dialect.delimiter || ',';
+        const quote = dialect.quote || '"';
         const values = [];
         let current = '';
         let inQuotes = false;
-        let quoteChar = '';
         
         for (let i = 0; i < line.length; i++) {
             const char = line[i];
             const nextChar = line[i + 1];
             
-            if (!inQuotes && (char === '"' || char === "'")) {
+            if (!inQuotes && char === quote && current.trim() === '') {
                 // Start quoted value
                 inQuotes = true;
-                quoteChar = char;
-            } else if (inQuotes && char === quoteChar && nextChar === quoteChar) {
+                current = '';
+            } else if (inQuotes && char === quote && nextChar === quote) {
                 // Escaped quote
                 current += char;
                 i++; // Skip next quote
-            } else if (inQuotes && char === quoteChar) {
+            } else if (inQuotes && char === quote) {
                 // End quoted value
                 inQuotes = false;
-            } else if (!inQuotes && char === ',') {
+            } else if (!inQuotes && char === delimiter) {
                 // End of value
                 values.push(current);
                 current = '';
@@ -198,18 +464,36 @@ class DataValidator {
         // Add last value
         values.push(current);
         
-        // Clean values
-        return values.map(value => {
-            // Remove surrounding quotes if present
-            if ((value.startsWith('"') && value.endsWith('"')) ||
-                (value.startsWith("'") && value.endsWith("'"))) {
-                value = value.slice(1, -1);
-            }
+        return values.map(value => value.trim());
+    }
+    
+    /**
+     * Western digits for Arabic-Indic (٠-٩) and Persian (۰-۹) ones
+     */
+    normalizeDigits(text) {
+        return String(text)
+            .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+            .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+    }
+    
+    /**
+     * Rewrite the columns whose values are all numbers in the dialect's format,
+     * so that "١٬٢٣٤٫٥" or "1.234,5" reach the tests as "1234.5"
+     */
+    normalizeNumericColumns(data, headers, format) {
+        headers.forEach(header => {
+            const values = data.map(row => row[header]).filter(value => value !== '');
+            if (values.length === 0) return;
             
-            // Unescape quotes
-            value = value.replace(/""/g, '"').replace(/''/g, "'");
+            const numbers = values.map(value => this.parseNumber(value, format));
+            if (numbers.some(number => isNaN(number))) return;
             
-            return value.trim();
+            data.forEach(row => {
+                const value = row[header];
+                if (value !== '' && !/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value)) {
+                    row[header] = String(this.parseNumber(value, format));
+                }
+            });
         });
     }
     
@@ -307,6 +591,40 @@ class DataValidator {
         return text.replace(/[&<>"'/]/g, char => map[char]);
     }
     
+    /**
+     * Text of a value escaped by escapeHTML
+     */
+    unescapeHTML(text) {
+        const map = {
+            '&amp;': '&',
+            '&lt;': '<',
+            '&gt;': '>',
+            '&quot;': '"',
+            '&#x27;': "'",
+            '&#x2F;': '/'
+        };
+        
+        return text.replace(/&(amp|lt|gt|quot|#x27|#x2F);/g, entity => map[entity]);
+    }
+    
+    /**
+     * Copy of stored records or results with their strings (and keys) unescaped,
+     * for exports that write plain text rather than HTML
+     */
+    unescapeValues(value) {
+        if (typeof value === 'string') {
+            return this.unescapeHTML(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.unescapeValues(item));
+        }
+        if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [this.unescapeHTML(key), this.unescapeValues(item)]));
+        }
+        
+        return value;
+    }
+    
     /**
      * Validate headers
      */
@@ -429,27 +747,37 @@ class DataValidator {
     }
     
     /**
-     * Parse number with localization support
+     * Parse number with localization support: Arabic-Indic and Persian digits, the
+     * Arabic decimal (٫) and thousands (٬) separators, and the dialect's decimal mark
+     * and thousands separator (spaces between digit groups are always accepted)
      */
-    parseNumber(value) {
+    parseNumber(value, format = { decimal: '.', thousands: ',' }) {
         if (typeof value === 'number') return value;
         if (typeof value !== 'string') return NaN;
         
-        // Try standard number parsing
-        let num = parseFloat(value);
-        if (!isNaN(num)) return num;
+        const decimal = format.decimal || '.';
+        const thousands = format.thousands || '';
         
-        // Try with Arabic decimal separator (٫)
-        const arabicValue = value.replace(/٫/g, '.');
-        num = parseFloat(arabicValue);
-        if (!isNaN(num)) return num;
+        let text = this.normalizeDigits(value)
+            .trim()
+            .replace(/\u066B/g, decimal)
+            .replace(/\u066C/g, thousands || ',')
+            .replace(/(\d)[\s\u00A0\u202F](?=\d{3}\b)/g, '$1');
+        
+        // Thousands separators only between complete groups of three digits
+        if (thousands && text.includes(thousands)) {
+            const escaped = thousands.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const grouped = new RegExp(`^[+-]?\\d{1,3}(${escaped}\\d{3})+([^\\d].*)?$`);
+            if (!grouped.test(text)) return NaN;
+            text = text.split(thousands).join('');
+        }
         
-        // Try with comma as decimal separator
-        const commaValue = value.replace(/,/g, '.');
-        num = parseFloat(commaValue);
-        if (!isNaN(num)) return num;
+        if (decimal !== '.') {
+            if (text.includes('.')) return NaN;
+            text = text.replace(decimal, '.');
+        }
         
-        return NaN;
+        return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text) ? parseFloat(text) : NaN;
     }
     
     /**
@@ -0,0 +1,291 @@
+/**
+ * Descriptive Analysis Module
+ * Report of the descriptive statistics of numeric variables (overall or split by
+ * a grouping variable), frequency tables with cumulative percentages and crosstabs
+ */
+
+import DataValidator from './data-validator.js';
+
+class DescriptiveAnalysis {
+    constructor(validator = new DataValidator()) {
+        this.validator = validator;
+    }
+    
+    /**
+     * Descriptor shown in the results header and used by the exports,
+     * shaped like the entries of the tests database
+     */
+    getDefinition() {
+        return {
+            id: 'descriptive-statistics',
+            name: 'الإحصاءات الوصفية والتكرارات',
+            category: 'descriptive',
+            type: 'descriptive',
+            description: 'مقاييس النزعة المركزية والتشتت والشكل، وجداول التكرار والجداول التقاطعية',
+            icon: 'fas fa-table',
+            references: [
+                'American Psychological Association. (2020). Publication manual of the American Psychological Association (7th ed.).',
+                'Joanes, D. N., & Gill, C. A. (1998). Comparing measures of sample skewness and kurtosis. The Statistician.'
+            ]
+        };
+    }
+    
+    /**
+     * Run the selected parts of the report
+     * options: { variables: [], groupBy, frequencies: [], crosstab: { row, column } }
+     */
+    analyze(data, options = {}) {
+        if (!data || data.length === 0) {
+            throw new Error('لا توجد بيانات');
+        }
+        
+        const variables = options.variables || [];
+        const frequencies = options.frequencies || [];
+        const crosstab = options.crosstab && (options.crosstab.row || options.crosstab.column) ? options.crosstab : null;
+        
+        if (crosstab && !(crosstab.row && crosstab.column)) {
+            throw new Error('الرجاء اختيار متغير الصفوف ومتغير الأعمدة للجدول التقاطعي');
+        }
+        if (variables.length === 0 && frequencies.length === 0 && !crosstab) {
+            throw new Error('الرجاء اختيار متغير واحد على الأقل للإحصاءات الوصفية أو جداول التكرار أو الجدول التقاطعي');
+        }
+        if (crosstab && crosstab.row === crosstab.column) {
+            throw new Error('الرجاء اختيار متغيرين مختلفين للجدول التقاطعي');
+        }
+        if (options.groupBy && variables.includes(options.groupBy)) {
+            throw new Error('لا يمكن أن يكون متغير التقسيم أحد المتغيرات الموصوفة');
+        }
+        
+        const results = {
+            test: 'Descriptive Statistics',
+            statistics: {
+                n: data.length,
+                variables: new Set([...variables, ...frequencies, ...(crosstab ? [crosstab.row, crosstab.column] : [])]).size
+            },
+            groupBy: options.groupBy || null,
+            descriptives: variables.length > 0 ? this.describeVariables(data, variables, options.groupBy) : null,
+            frequencies: frequencies.map(variable => this.frequencyTable(data, variable)),
+            crosstab: crosstab ? this.crosstab(data, crosstab.row, crosstab.column) : null
+        };
+        
+        results.interpretation = this.interpret(results);
+        
+        return results;
+    }
+    
+    /**
+     * One row per variable, or per variable and group level when split by a group
+     */
+    describeVariables(data, variables, groupBy) {
+        const levels = groupBy ? this.levels(data, groupBy) : [null];
+        if (groupBy && levels.length === 0) {
+            throw new Error(`متغير التقسيم لا يحتوي على قيم: ${groupBy}`);
+        }
+        
+        const rows = [];
+        variables.forEach(variable => {
+            levels.forEach(level => {
+                const cases = level === null
+                    ? data
+                    : data.filter(row => !this.isMissing(row[groupBy]) && String(row[groupBy]) === level);
+                rows.push({
+                    variable: variable,
+                    group: level,
+                    ...this.describe(cases.map(row => row[variable]))
+                });
+            });
+        });
+        
+        return rows;
+    }
+    
+    /**
+     * n, M, SD, SE, median, IQR, skewness and kurtosis with their standard errors,
+     * minimum and maximum of one column (non-numeric cells count as missing).
+     * Quartiles use linear interpolation (Hyndman-Fan type 7, as R and Excel's
+     * QUARTILE.INC), not the HAVERAGE definition of SPSS EXAMINE
+     */
+    describe(values) {
+        const numbers = values
+            .map(value => this.isMissing(value) ? NaN : this.validator.parseNumber(value))
+            .filter(value => !isNaN(value));
+        const n = numbers.length;
+        const format = value => value === null || !isFinite(value) ? null : value.toFixed(4);
+        
+        if (n === 0) {
+            return {
+                n: 0, missing: values.length, mean: null, sd: null, se: null, median: null, q1: null, q3: null, iqr: null,
+                skewness: null, skewnessSE: null, kurtosis: null, kurtosisSE: null, min: null, max: null
+            };
+        }
+        
+        const stats = this.validator.calculateNumericStats(numbers);
+        const sd = n > 1 ? Math.sqrt(stats.variance * n / (n - 1)) : null;
+        const shape = this.shape(numbers, stats);
+        
+        return {
+            n: n,
+            missing: values.length - n,
+            mean: format(stats.mean),
+            sd: format(sd),
+            se: format(sd === null ? null : sd / Math.sqrt(n)),
+            median: format(stats.median),
+            q1: format(stats.q1),
+            q3: format(stats.q3),
+            iqr: format(stats.q3 - stats.q1),
+            skewness: format(shape.skewness),
+            skewnessSE: format(shape.skewnessSE),
+            kurtosis: format(shape.kurtosis),
+            kurtosisSE: format(shape.kurtosisSE),
+            min: format(stats.min),
+            max: format(stats.max)
+        };
+    }
+    
+    /**
+     * Sample skewness G1 and excess kurtosis G2 with their standard errors, as SPSS
+     * and Excel report them, from the moment coefficients g1 and g2 of the validator
+     */
+    shape(values, stats) {
+        const n = values.length;
+        const shape = { skewness: null, skewnessSE: null, kurtosis: null, kurtosisSE: null };
+        if (stats.variance === 0) return shape;
+        
+        if (n >= 3) {
+            const g1 = this.validator.calculateSkewness(values);
+            shape.skewness = g1 * Math.sqrt(n * (n - 1)) / (n - 2);
+            shape.skewnessSE = Math.sqrt(6 * n * (n - 1) / ((n - 2) * (n + 1) * (n + 3)));
+        }
+        
+        if (n >= 4) {
+            const g2 = this.validator.calculateKurtosis(values);
+            shape.kurtosis = ((n + 1) * g2 + 6) * (n - 1) / ((n - 2) * (n - 3));
+            shape.kurtosisSE = 2 * shape.skewnessSE * Math.sqrt((n * n - 1) / ((n - 3) * (n + 5)));
+        }
+        
+        return shape;
+    }
+    
+    /**
+     * Counts of each value with the percentage of all cases, of the valid cases
+     * and the cumulative valid percentage
+     */
+    frequencyTable(data, variable) {
+        const counts = new Map();
+        let missing = 0;
+        
+        data.forEach(row => {
+            const value = row[variable];
+            if (this.isMissing(value)) {
+                missing++;
+                return;
+            }
+            const key = String(value);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        
+        const valid = data.length - missing;
+        let cumulative = 0;
+        
+        const rows = this.sortLevels([...counts.keys()]).map(value => {
+            const count = counts.get(value);
+            cumulative += count;
+            return {
+                value: value,
+                count: count,
+                percent: (100 * count / data.length).toFixed(1),
+                validPercent: (100 * count / valid).toFixed(1),
+                cumulativePercent: (100 * cumulative / valid).toFixed(1)
+            };
+        });
+        
+        return {
+            variable: variable,
+            rows: rows,
+            valid: valid,
+            missing: missing,
+            missingPercent: (100 * missing / data.length).toFixed(1),
+            total: data.length
+        };
+    }
+    
+    /**
+     * Counts of the pairs of values with row and column totals; cases missing either
+     * value are left out
+     */
+    crosstab(data, rowVariable, columnVariable) {
+        const cases = data.filter(row => !this.isMissing(row[rowVariable]) && !this.isMissing(row[columnVariable]));
+        if (cases.length === 0) {
+            throw new Error('لا توجد حالات مكتملة للمتغيرين في الجدول التقاطعي');
+        }
+        
+        const rows = this.levels(cases, rowVariable);
+        const columns = this.levels(cases, columnVariable);
+        const observed = rows.map(() => columns.map(() => 0));
+        
+        cases.forEach(row => {
+            observed[rows.indexOf(String(row[rowVariable]))][columns.indexOf(String(row[columnVariable]))]++;
+        });
+        
+        const rowTotals = observed.map(counts => counts.reduce((a, b) => a + b, 0));
+        const columnTotals = columns.map((_, j) => observed.reduce((sum, counts) => sum + counts[j], 0));
+        
+        return {
+            rowVariable: rowVariable,
+            columnVariable: columnVariable,
+            rows: rows,
+            columns: columns,
+            observed: observed,
+            rowPercents: observed.map((counts, i) => counts.map(count => (100 * count / rowTotals[i]).toFixed(1))),
+            columnPercents: observed.map(counts => counts.map((count, j) => (100 * count / columnTotals[j]).toFixed(1))),
+            rowTotals: rowTotals,
+            columnTotals: columnTotals,
+            total: cases.length,
+            missing: data.length - cases.length
+        };
+    }
+    
+    interpret(results) {
+        const sentences = [];
+        
+        (results.descriptives || []).filter(row => row.group === null && row.mean !== null).forEach(row => {
+            sentences.push(`بلغ متوسط ${row.variable} ${parseFloat(row.mean).toFixed(2)}` +
+                (row.sd !== null ? ` بانحراف معياري ${parseFloat(row.sd).toFixed(2)}` : '') + ` (n = ${row.n})`);
+        });
+        
+        if (results.groupBy && results.descriptives) {
+            sentences.push(`وُصفت المتغيرات حسب فئات ${results.groupBy}`);
+        }
+        
+        results.frequencies.forEach(table => {
+            const mode = table.rows.reduce((best, row) => !best || row.count > best.count ? row : best, null);
+            if (mode) {
+                sentences.push(`الفئة الأكثر تكراراً في ${table.variable} هي "${mode.value}" بنسبة ${mode.validPercent}% من الحالات الصالحة`);
+            }
+        });
+        
+        if (results.crosstab) {
+            const table = results.crosstab;
+            sentences.push(`يعرض الجدول التقاطعي توزيع ${table.rowVariable} حسب ${table.columnVariable} لـ ${table.total} حالة مكتملة`);
+        }
+        
+        return sentences.length > 0 ? sentences.join('. ') + '.' : '';
+    }
+    
+    levels(data, column) {
+        return this.sortLevels([...new Set(data
+            .map(row => row[column])
+            .filter(value => !this.isMissing(value))
+            .map(String))]);
+    }
+    
+    sortLevels(levels) {
+        return levels.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+    
+    isMissing(value) {
+        return value === '' || value === null || value === undefined;
+    }
+}
+
+export default DescriptiveAnalysis;
@@ -0,0 +1,83 @@
+/**
+ * Descriptive Statistics Helpers
+ * Local replacements for the simple-statistics functions the tests rely on.
+ * standardDeviation/variance are population versions, as in simple-statistics;
+ * use the sample* variants for n - 1 denominators.
+ */
+
+const Descriptive = {
+    sum: function(values) {
+        // Kahan summation keeps long columns accurate
+        let sum = 0;
+        let compensation = 0;
+        for (const value of values) {
+            const y = value - compensation;
+            const t = sum + y;
+            compensation = (t - sum) - y;
+            sum = t;
+        }
+        return sum;
+    },
+    
+    mean: function(values) {
+        if (values.length === 0) {
+            throw new Error('لا يمكن حساب المتوسط لمجموعة فارغة');
+        }
+        return this.sum(values) / values.length;
+    },
+    
+    median: function(values) {
+        if (values.length === 0) {
+            throw new Error('لا يمكن حساب الوسيط لمجموعة فارغة');
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0
+            ? (sorted[middle - 1] + sorted[middle]) / 2
+            : sorted[middle];
+    },
+    
+    sumOfSquaredDeviations: function(values) {
+        const mean = this.mean(values);
+        return this.sum(values.map(value => (value - mean) * (value - mean)));
+    },
+    
+    variance: function(values) {
+        return this.sumOfSquaredDeviations(values) / values.length;
+    },
+    
+    standardDeviation: function(values) {
+        return Math.sqrt(this.variance(values));
+    },
+    
+    sampleVariance: function(values) {
+        if (values.length < 2) {
+            throw new Error('يتطلب التباين للعينة ملاحظتين على الأقل');
+        }
+        return this.sumOfSquaredDeviations(values) / (values.length - 1);
+    },
+    
+    sampleStandardDeviation: function(values) {
+        return Math.sqrt(this.sampleVariance(values));
+    },
+    
+    sampleCovariance: function(x, y) {
+        if (x.length !== y.length || x.length < 2) {
+            throw new Error('يتطلب التغاير متغيرين بنفس الطول وملاحظتين على الأقل');
+        }
+        const meanX = this.mean(x);
+        const meanY = this.mean(y);
+        let sum = 0;
+        for (let i = 0; i < x.length; i++) {
+            sum += (x[i] - meanX) * (y[i] - meanY);
+        }
+        return sum / (x.length - 1);
+    },
+    
+    sampleCorrelation: function(x, y) {
+        return this.sampleCovariance(x, y) /
+            (this.sampleStandardDeviation(x) * this.sampleStandardDeviation(y));
+    }
+};
+
+export default Descriptive;
@@ -0,0 +1,450 @@
+/**
+ * Document Writer Module
+ * Writes an APA report model as a Word document (.docx), an OpenDocument text
+ * (.odt) or a printable HTML page (saved as PDF from the browser's print dialog).
+ * Both document formats are ZIP packages of XML parts, written here without libraries
+ */
+
+const DOCX_NAMESPACES = [
+    'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+    'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"',
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+    'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"'
+].join(' ');
+
+const ODT_NAMESPACES = [
+    'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+    'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"',
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+    'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"',
+    'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0"',
+    'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"',
+    'xmlns:svg="urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0"',
+    'xmlns:xlink="http://www.w3.org/1999/xlink"'
+].join(' ');
+
+// Largest chart width in the documents: 16 cm (A4 with 2.5 cm margins)
+const CHART_WIDTH_CM = 16;
+const EMU_PER_CM = 360000;
+
+const FONT = 'Times New Roman';
+
+class DocumentWriter {
+    /**
+     * Word document (Office Open XML)
+     */
+    toDocx(report) {
+        const chart = this.readChart(report.chart);
+        const body = [];
+        
+        body.push(this.docxParagraph(report.title, { bold: true, size: 32, align: 'center' }));
+        body.push(this.docxParagraph(`${report.testName} — ${report.date}`, { align: 'center' }));
+        
+        body.push(this.docxParagraph('فقرة النتائج', { bold: true, size: 26 }));
+        body.push(this.docxParagraph(report.paragraphs.ar, { align: 'both' }));
+        body.push(this.docxParagraph('Results', { bold: true, size: 26, ltr: true }));
+        body.push(this.docxParagraph(report.paragraphs.en, { align: 'both', ltr: true }));
+        
+        report.tables.forEach((table, i) => {
+            body.push(this.docxParagraph(`جدول ${i + 1}`, { bold: true, keepNext: true }));
+            body.push(this.docxParagraph(table.title, { italic: true, keepNext: true }));
+            body.push(this.docxTable(table));
+            if (table.note) {
+                body.push(this.docxParagraph(`ملاحظة. ${table.note}`, { size: 20 }));
+            }
+        });
+        
+        if (chart) {
+            body.push(this.docxParagraph('شكل 1', { bold: true, keepNext: true }));
+            body.push(this.docxParagraph(`الرسم البياني لنتائج ${report.testName}`, { italic: true, keepNext: true }));
+            body.push(this.docxImage(chart));
+        }
+        
+        this.appendClosingSections(report, (text, options) => body.push(this.docxParagraph(text, options)));
+        
+        const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${DOCX_NAMESPACES}><w:body>${body.join('')}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1418" w:right="1418" w:bottom="1418" w:left="1418" w:header="708" w:footer="708" w:gutter="0"/><w:bidi/></w:sectPr></w:body></w:document>`;
+        
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Default Extension="png" ContentType="image/png"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/></Types>`
+            },
+            {
+                name: '_rels/.rels',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>`
+            },
+            {
+                name: 'word/_rels/document.xml.rels',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>${chart ? '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/chart.png"/>' : ''}</Relationships>`
+            },
+            {
+                name: 'word/styles.xml',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="${FONT}" w:hAnsi="${FONT}" w:cs="${FONT}" w:eastAsia="${FONT}"/><w:sz w:val="24"/><w:szCs w:val="24"/><w:lang w:val="en-US" w:bidi="ar-SA"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="360" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults></w:styles>`
+            },
+            { name: 'word/document.xml', data: document }
+        ];
+        
+        if (chart) {
+            files.push({ name: 'word/media/chart.png', data: chart.bytes });
+        }
+        
+        return new Blob([this.createZip(files)], {
+            type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        });
+    }
+    
+    /**
+     * options: { bold, italic, size (half-points), align, ltr, keepNext }
+     */
+    docxParagraph(text, options = {}) {
+        const rtl = !options.ltr;
+        const properties = [
+            options.keepNext ? '<w:keepNext/>' : '',
+            rtl ? '<w:bidi/>' : '',
+            options.align ? `<w:jc w:val="${options.align}"/>` : ''
+        ].join('');
+        const run = [
+            options.bold ? '<w:b/><w:bCs/>' : '',
+            options.italic ? '<w:i/><w:iCs/>' : '',
+            options.size ? `<w:sz w:val="${options.size}"/><w:szCs w:val="${options.size}"/>` : '',
+            rtl ? '<w:rtl/>' : ''
+        ].join('');
+        
+        return `<w:p><w:pPr>${properties}</w:pPr><w:r><w:rPr>${run}</w:rPr><w:t xml:space="preserve">${this.escapeXml(text)}</w:t></w:r></w:p>`;
+    }
+    
+    /**
+     * APA table: horizontal rules above and below the header row and below the last row only
+     */
+    docxTable(table) {
+        const rule = (side, size) => `<w:${side} w:val="single" w:sz="${size}" w:space="0" w:color="000000"/>`;
+        const width = Math.floor(9070 / table.columns.length);
+        
+        const row = (cells, borders, header) => `<w:tr>${header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells.map(cell =>
+            `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${borders ? `<w:tcBorders>${borders}</w:tcBorders>` : ''}</w:tcPr>` +
+            this.docxParagraph(this.cellText(cell), { align: 'center', size: 22 }) +
+            '</w:tc>').join('')}</w:tr>`;
+            
+        const rows = table.rows.map((cells, i) =>
+            row(cells, i === table.rows.length - 1 ? rule('bottom', 8) : '', false));
+            
+        return `<w:tbl><w:tblPr><w:bidiVisual/><w:tblW w:w="5000" w:type="pct"/><w:jc w:val="center"/><w:tblLayout w:type="fixed"/></w:tblPr>` +
+            `<w:tblGrid>${table.columns.map(() => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>` +
+            row(table.columns, rule('top', 8) + rule('bottom', 4), true) +
+            rows.join('') +
+            '</w:tbl>' + this.docxParagraph('');
+    }
+    
+    docxImage(chart) {
+        const cx = Math.round(chart.widthCm * EMU_PER_CM);
+        const cy = Math.round(chart.heightCm * EMU_PER_CM);
+        
+        return `<w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">` +
+            `<wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="1" name="chart"/>` +
+            '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>' +
+            '<pic:nvPicPr><pic:cNvPr id="1" name="chart.png"/><pic:cNvPicPr/></pic:nvPicPr>' +
+            '<pic:blipFill><a:blip r:embed="rId2"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>' +
+            `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+            '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r></w:p>';
+    }
+    
+    /**
+     * OpenDocument text (LibreOffice, Google Docs, Word)
+     */
+    toOdt(report) {
+        const chart = this.readChart(report.chart);
+        const body = [];
+        const paragraph = (text, style = 'Body') =>
+            `<text:p text:style-name="${style}">${this.escapeXml(text)}</text:p>`;
+            
+        body.push(paragraph(report.title, 'Title'));
+        body.push(paragraph(`${report.testName} — ${report.date}`, 'Center'));
+        body.push(paragraph('فقرة النتائج', 'Heading'));
+        body.push(paragraph(report.paragraphs.ar));
+        body.push(paragraph('Results', 'HeadingLtr'));
+        body.push(paragraph(report.paragraphs.en, 'BodyLtr'));
+        
+        report.tables.forEach((table, i) => {
+            body.push(paragraph(`جدول ${i + 1}`, 'Label'));
+            body.push(paragraph(table.title, 'Caption'));
+            body.push(this.odtTable(table, i + 1));
+            if (table.note) {
+                body.push(paragraph(`ملاحظة. ${table.note}`, 'Note'));
+            }
+        });
+        
+        if (chart) {
+            body.push(paragraph('شكل 1', 'Label'));
+            body.push(paragraph(`الرسم البياني لنتائج ${report.testName}`, 'Caption'));
+            body.push(`<text:p text:style-name="Center"><draw:frame draw:name="chart" text:anchor-type="as-char" svg:width="${chart.widthCm.toFixed(2)}cm" svg:height="${chart.heightCm.toFixed(2)}cm">` +
+                '<draw:image xlink:href="Pictures/chart.png" xlink:type="simple" xlink:show="embed" xlink:actuate="onLoad"/></draw:frame></text:p>');
+        }
+        
+        this.appendClosingSections(report, (text, options = {}) => {
+            const style = options.bold ? (options.ltr ? 'HeadingLtr' : 'Heading') : (options.ltr ? 'BodyLtr' : 'Body');
+            body.push(paragraph(text, style));
+        });
+        
+        const paragraphStyle = (name, properties, text) =>
+            `<style:style style:name="${name}" style:family="paragraph"><style:paragraph-properties ${properties}/><style:text-properties style:font-name="${FONT}" style:font-name-complex="${FONT}" ${text}/></style:style>`;
+        const size = (points) => `fo:font-size="${points}pt" style:font-size-complex="${points}pt"`;
+        const bold = 'fo:font-weight="bold" style:font-weight-complex="bold"';
+        const italic = 'fo:font-style="italic" style:font-style-complex="italic"';
+        const rtl = 'style:writing-mode="rl-tb"';
+        const ltr = 'style:writing-mode="lr-tb"';
+        const rule = '0.5pt solid #000000';
+        
+        const content = `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content ${ODT_NAMESPACES} office:version="1.2"><office:font-face-decls><style:font-face style:name="${FONT}" svg:font-family="'${FONT}'"/></office:font-face-decls><office:automatic-styles>` +
+            paragraphStyle('Title', `fo:text-align="center" fo:margin-bottom="0.2cm" ${rtl}`, `${size(16)} ${bold}`) +
+            paragraphStyle('Center', `fo:text-align="center" fo:margin-bottom="0.3cm" ${rtl}`, size(12)) +
+            paragraphStyle('Heading', `fo:text-align="start" fo:margin-top="0.4cm" fo:margin-bottom="0.2cm" ${rtl}`, `${size(13)} ${bold}`) +
+            paragraphStyle('HeadingLtr', `fo:text-align="start" fo:margin-top="0.4cm" fo:margin-bottom="0.2cm" ${ltr}`, `${size(13)} ${bold}`) +
+            paragraphStyle('Body', `fo:text-align="justify" fo:line-height="150%" fo:margin-bottom="0.2cm" ${rtl}`, size(12)) +
+            paragraphStyle('BodyLtr', `fo:text-align="justify" fo:line-height="150%" fo:margin-bottom="0.2cm" ${ltr}`, size(12)) +
+            paragraphStyle('Label', `fo:text-align="start" fo:margin-top="0.4cm" fo:keep-with-next="always" ${rtl}`, `${size(12)} ${bold}`) +
+            paragraphStyle('Caption', `fo:text-align="start" fo:margin-bottom="0.2cm" fo:keep-with-next="always" ${rtl}`, `${size(12)} ${italic}`) +
+            paragraphStyle('Note', `fo:text-align="start" fo:margin-top="0.1cm" ${rtl}`, size(10)) +
+            paragraphStyle('Cell', `fo:text-align="center" ${rtl}`, size(11)) +
+            `<style:style style:name="Table" style:family="table"><style:table-properties style:width="${CHART_WIDTH_CM}cm" table:align="center" ${rtl}/></style:style>` +
+            `<style:style style:name="HeadCell" style:family="table-cell"><style:table-cell-properties fo:padding="0.1cm" fo:border-top="${rule}" fo:border-bottom="${rule}" fo:border-left="none" fo:border-right="none"/></style:style>` +
+            '<style:style style:name="BodyCell" style:family="table-cell"><style:table-cell-properties fo:padding="0.1cm" fo:border="none"/></style:style>' +
+            `<style:style style:name="LastCell" style:family="table-cell"><style:table-cell-properties fo:padding="0.1cm" fo:border-top="none" fo:border-bottom="${rule}" fo:border-left="none" fo:border-right="none"/></style:style>` +
+            `</office:automatic-styles><office:body><office:text>${body.join('')}</office:text></office:body></office:document-content>`;
+            
+        const files = [
+            // The mimetype entry must come first and be stored uncompressed
+            { name: 'mimetype', data: 'application/vnd.oasis.opendocument.text' },
+            {
+                name: 'META-INF/manifest.xml',
+                data: `<?xml version="1.0" encoding="UTF-8"?>
+<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2"><manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="application/vnd.oasis.opendocument.text"/><manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>${chart ? '<manifest:file-entry manifest:full-path="Pictures/chart.png" manifest:media-type="image/png"/>' : ''}</manifest:manifest>`
+            },
+            { name: 'content.xml', data: content }
+        ];
+        
+        if (chart) {
+            files.push({ name: 'Pictures/chart.png', data: chart.bytes });
+        }
+        
+        return new Blob([this.createZip(files)], { type: 'application/vnd.oasis.opendocument.text' });
+    }
+    
+    odtTable(table, number) {
+        const cell = (value, style) =>
+            `<table:table-cell table:style-name="${style}" office:value-type="string"><text:p text:style-name="Cell">${this.escapeXml(this.cellText(value))}</text:p></table:table-cell>`;
+            
+        return `<table:table table:name="Table${number}" table:style-name="Table">` +
+            `<table:table-column table:number-columns-repeated="${table.columns.length}"/>` +
+            `<table:table-header-rows><table:table-row>${table.columns.map(column => cell(column, 'HeadCell')).join('')}</table:table-row></table:table-header-rows>` +
+            table.rows.map((cells, i) => `<table:table-row>${cells.map(value =>
+                cell(value, i === table.rows.length - 1 ? 'LastCell' : 'BodyCell')).join('')}</table:table-row>`).join('') +
+            '</table:table>';
+    }
+    
+    /**
+     * HTML page of the report, laid out for printing to PDF by the given stylesheet
+     * (a file rather than inline styles, which the page's Content-Security-Policy blocks)
+     */
+    toHtml(report, stylesheet = 'css/apa-report.css') {
+        const escape = (text) => this.escapeXml(this.cellText(text));
+        const tables = report.tables.map((table, i) => `
+            <section class="apa-table">
+                <p class="label">جدول ${i + 1}</p>
+                <p class="caption">${escape(table.title)}</p>
+                <table>
+                    <thead><tr>${table.columns.map(column => `<th>${escape(column)}</th>`).join('')}</tr></thead>
+                    <tbody>${table.rows.map(cells => `<tr>${cells.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+                ${table.note ? `<p class="note"><em>ملاحظة.</em> ${escape(table.note)}</p>` : ''}
+            </section>`).join('');
+            
+        const sections = [];
+        this.appendClosingSections(report, (text, options = {}) => {
+            const tag = options.bold ? 'h2' : 'p';
+            sections.push(`<${tag}${options.ltr ? ' dir="ltr" lang="en"' : ''}>${escape(text)}</${tag}>`);
+        });
+        
+        return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+<meta charset="UTF-8">
+<title>${escape(report.title)} — ${escape(report.testName)}</title>
+<link rel="stylesheet" href="${stylesheet}">
+</head>
+<body>
+    <h1>${escape(report.title)}</h1>
+    <p class="subtitle">${escape(report.testName)} — ${escape(report.date)}</p>
+    <h2>فقرة النتائج</h2>
+    <p>${escape(report.paragraphs.ar)}</p>
+    <h2 dir="ltr" lang="en">Results</h2>
+    <p dir="ltr" lang="en">${escape(report.paragraphs.en)}</p>
+    ${tables}
+    ${report.chart && report.chart.dataUrl ? `
+    <section>
+        <p class="label">شكل 1</p>
+        <p class="caption">الرسم البياني لنتائج ${escape(report.testName)}</p>
+        <figure><img src="${report.chart.dataUrl}" alt="${escape(report.testName)}"></figure>
+    </section>` : ''}
+    ${sections.join('\n    ')}
+</body>
+</html>`;
+    }
+    
+    /**
+     * Interpretation, data preparation notes and references, common to all formats
+     */
+    appendClosingSections(report, add) {
+        if (report.interpretation) {
+            add('تفسير النتائج', { bold: true });
+            add(report.interpretation);
+        }
+        
+        if (report.notes.length > 0) {
+            add('إعداد البيانات', { bold: true });
+            report.notes.forEach(note => add(note));
+        }
+        
+        if (report.references.length > 0) {
+            add('References', { bold: true, ltr: true });
+            report.references.forEach(reference => add(reference, { ltr: true }));
+        }
+    }
+    
+    cellText(value) {
+        return value === null || value === undefined ? '' : String(value);
+    }
+    
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;')
+            // Characters that are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+    
+    /**
+     * PNG bytes of the chart and its size in the document, keeping its aspect ratio
+     */
+    readChart(chart) {
+        if (!chart || !chart.dataUrl) return null;
+        
+        const base64 = chart.dataUrl.split(',')[1] || '';
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        
+        const widthCm = CHART_WIDTH_CM;
+        const heightCm = chart.width > 0 ? widthCm * chart.height / chart.width : widthCm / 2;
+        return { bytes, widthCm, heightCm };
+    }
+    
+    /**
+     * ZIP archive with the entries stored uncompressed (valid for both .docx and .odt)
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const entries = files.map(file => ({
+            name: encoder.encode(file.name),
+            data: typeof file.data === 'string' ? encoder.encode(file.data) : file.data
+        }));
+        
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const buffer = new ArrayBuffer(localSize + centralSize + 22);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        
+        // DOS date and time of the entries
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        
+        let offset = 0;
+        const offsets = entries.map(entry => {
+            entry.crc = this.crc32(entry.data);
+            const start = offset;
+            
+            view.setUint32(offset, 0x04034b50, true);
+            view.setUint16(offset + 4, 20, true);
+            view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+            view.setUint16(offset + 8, 0, true); // stored
+            view.setUint16(offset + 10, time, true);
+            view.setUint16(offset + 12, date, true);
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint32(offset + 22, entry.data.length, true);
+            view.setUint16(offset + 26, entry.name.length, true);
+            view.setUint16(offset + 28, 0, true);
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            
+            offset += 30 + entry.name.length + entry.data.length;
+            return start;
+        });
+        
+        const centralStart = offset;
+        entries.forEach((entry, i) => {
+            view.setUint32(offset, 0x02014b50, true);
+            view.setUint16(offset + 4, 20, true);
+            view.setUint16(offset + 6, 20, true);
+            view.setUint16(offset + 8, 0x0800, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, time, true);
+            view.setUint16(offset + 14, date, true);
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.data.length, true);
+            view.setUint32(offset + 24, entry.data.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            view.setUint16(offset + 30, 0, true);
+            view.setUint16(offset + 32, 0, true);
+            view.setUint16(offset + 34, 0, true);
+            view.setUint16(offset + 36, 0, true);
+            view.setUint32(offset + 38, 0, true);
+            view.setUint32(offset + 42, offsets[i], true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+        
+        // End of central directory
+        view.setUint32(offset, 0x06054b50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, offset - centralStart, true);
+        view.setUint32(offset + 16, centralStart, true);
+        
+        return bytes;
+    }
+    
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+export default DocumentWriter;
@@ -0,0 +1,391 @@
+/**
+ * Exploratory Factor Analysis Module
+ * Sampling adequacy (KMO, Bartlett), eigenvalues, principal axis or
+ * principal component extraction and varimax/promax rotation.
+ * Runs inside the statistics worker; see statS-worker.js
+ */
+
+import Distributions from './distributions.js';
+import Descriptive from './descriptive.js';
+import Matrix from './matrix.js';
+
+class FactorAnalysis {
+    /**
+     * Descriptor shown in the results header and used by the exports,
+     * shaped like the entries of the tests database
+     */
+    getDefinition() {
+        return {
+            id: 'exploratory-factor-analysis',
+            name: 'التحليل العاملي الاستكشافي',
+            category: 'factor-analysis',
+            type: 'validity',
+            description: 'الكشف عن البنية العاملية لمجموعة من المتغيرات أو بنود الاستبانة (الصدق البنائي)',
+            icon: 'fas fa-sitemap',
+            references: [
+                'Kaiser, H. F. (1958). The varimax criterion for analytic rotation in factor analysis. Psychometrika.',
+                'Hendrickson, A. E., & White, P. O. (1964). Promax: A quick method for rotation to oblique simple structure.',
+                'Kaiser, H. F. (1974). An index of factorial simplicity. Psychometrika.',
+                'Bartlett, M. S. (1950). Tests of significance in factor analysis.'
+            ]
+        };
+    }
+    
+    /**
+     * options: { extraction: 'paf' | 'pca', rotation: 'varimax' | 'promax' | 'none', factors }
+     * When options.factors is empty the Kaiser criterion (eigenvalue > 1) decides
+     */
+    analyze(data, variables, options = {}) {
+        if (!Array.isArray(variables) || variables.length < 3) {
+            throw new Error('يحتاج التحليل العاملي إلى ثلاثة متغيرات على الأقل');
+        }
+        
+        const extraction = options.extraction === 'pca' ? 'pca' : 'paf';
+        const rotation = ['varimax', 'promax', 'none'].includes(options.rotation) ? options.rotation : 'varimax';
+        
+        // Complete cases only (listwise deletion)
+        const rows = data
+            .map(row => variables.map(variable => parseFloat(row[variable])))
+            .filter(row => row.every(value => !isNaN(value)));
+        const n = rows.length;
+        const p = variables.length;
+        
+        if (n <= p) {
+            throw new Error(`عدد الحالات الكاملة (${n}) يجب أن يزيد على عدد المتغيرات (${p})`);
+        }
+        
+        const columns = variables.map((_, j) => rows.map(row => row[j]));
+        const constant = variables.filter((_, j) => Descriptive.sampleVariance(columns[j]) === 0);
+        if (constant.length > 0) {
+            throw new Error(`المتغيرات التالية ثابتة القيمة ولا يمكن تحليلها: ${constant.join('، ')}`);
+        }
+        
+        const correlations = columns.map((a, i) => columns.map((b, j) =>
+            i === j ? 1 : Descriptive.sampleCorrelation(a, b)
+        ));
+        
+        const adequacy = this.calculateSamplingAdequacy(correlations, n);
+        const { values: eigenvalues, vectors: eigenvectors } = Matrix.eigenSymmetric(correlations);
+        
+        const requested = parseInt(options.factors, 10);
+        const kaiserCount = Math.max(eigenvalues.filter(value => value > 1).length, 1);
+        const factorCount = !isNaN(requested) && requested > 0 ? Math.min(requested, p - 1) : kaiserCount;
+        
+        const extracted = extraction === 'pca'
+            ? this.extractPrincipalComponents(eigenvalues, eigenvectors, factorCount)
+            : this.extractPrincipalAxis(correlations, factorCount);
+            
+        let loadings = extracted.loadings;
+        let factorCorrelations = null;
+        let structure = null;
+        
+        if (factorCount > 1 && rotation === 'varimax') {
+            loadings = this.rotateVarimax(loadings);
+        } else if (factorCount > 1 && rotation === 'promax') {
+            const promax = this.rotatePromax(loadings);
+            loadings = promax.pattern;
+            factorCorrelations = promax.factorCorrelations;
+            structure = Matrix.multiply(loadings, factorCorrelations);
+        }
+        
+        const ordered = this.orderFactors(loadings, factorCorrelations, structure);
+        loadings = ordered.loadings;
+        factorCorrelations = ordered.factorCorrelations;
+        structure = ordered.structure;
+        
+        const factorNames = loadings[0].map((_, f) => `${extraction === 'pca' ? 'C' : 'F'}${f + 1}`);
+        const communalities = extracted.communalities;
+        const ssLoadings = factorNames.map((_, f) => Descriptive.sum(loadings.map(row => row[f] * row[f])));
+        
+        let cumulative = 0;
+        const eigenRows = eigenvalues.map((value, i) => {
+            const percent = 100 * value / p;
+            cumulative += percent;
+            return {
+                component: i + 1,
+                eigenvalue: value.toFixed(4),
+                percent: percent.toFixed(2),
+                cumulative: cumulative.toFixed(2)
+            };
+        });
+        
+        const extractedVariance = 100 * Descriptive.sum(communalities) / p;
+        
+        return {
+            test: 'Exploratory Factor Analysis',
+            variables: variables,
+            statistics: {
+                kmo: adequacy.kmo.toFixed(4),
+                bartlettChiSquare: adequacy.bartlett.chiSquare.toFixed(4),
+                bartlettDf: adequacy.bartlett.df,
+                bartlettPValue: adequacy.bartlett.pValue.toFixed(4),
+                factors: factorCount,
+                extraction: extraction === 'pca' ? 'المكونات الرئيسية' : 'المحاور الرئيسية',
+                rotation: rotation === 'none' || factorCount === 1 ? 'بدون تدوير' : rotation,
+                varianceExplained: extractedVariance.toFixed(2) + '%',
+                n: n
+            },
+            eigenvalues: eigenRows,
+            loadingsTable: {
+                factors: factorNames,
+                pattern: rotation === 'promax' && factorCount > 1,
+                rows: variables.map((variable, i) => ({
+                    variable: variable,
+                    loadings: loadings[i].map(value => value.toFixed(4)),
+                    structure: structure ? structure[i].map(value => value.toFixed(4)) : null,
+                    communality: communalities[i].toFixed(4),
+                    msa: adequacy.msa[i].toFixed(4)
+                })),
+                ssLoadings: ssLoadings.map(value => value.toFixed(4)),
+                percentVariance: ssLoadings.map(value => (100 * value / p).toFixed(2))
+            },
+            factorCorrelations: factorCorrelations
+                ? factorCorrelations.map(row => row.map(value => value.toFixed(4)))
+                : null,
+            screePlot: {
+                eigenvalues: eigenvalues.map(value => parseFloat(value.toFixed(4))),
+                kaiserCount: kaiserCount
+            },
+            iterations: extracted.iterations,
+            interpretation: this.interpretFactorAnalysis(adequacy, factorCount, extractedVariance),
+            recommendations: this.generateRecommendations(adequacy, variables, loadings, communalities, n)
+        };
+    }
+    
+    /**
+     * KMO (overall and per variable) from anti-image partial correlations,
+     * and Bartlett's test of sphericity
+     */
+    calculateSamplingAdequacy(correlations, n) {
+        const p = correlations.length;
+        const inverse = Matrix.inverse(correlations);
+        
+        let correlationSquares = 0;
+        let partialSquares = 0;
+        const msa = correlations.map((row, i) => {
+            let r2 = 0;
+            let q2 = 0;
+            for (let j = 0; j < p; j++) {
+                if (i === j) continue;
+                const partial = -inverse[i][j] / Math.sqrt(inverse[i][i] * inverse[j][j]);
+                r2 += row[j] * row[j];
+                q2 += partial * partial;
+            }
+            correlationSquares += r2;
+            partialSquares += q2;
+            return r2 / (r2 + q2);
+        });
+        
+        const determinant = Matrix.determinant(correlations);
+        const chiSquare = -(n - 1 - (2 * p + 5) / 6) * Math.log(determinant);
+        const df = p * (p - 1) / 2;
+        
+        return {
+            kmo: correlationSquares / (correlationSquares + partialSquares),
+            msa: msa,
+            determinant: determinant,
+            bartlett: {
+                chiSquare: chiSquare,
+                df: df,
+                pValue: 1 - Distributions.chisquare.cdf(chiSquare, df)
+            }
+        };
+    }
+    
+    extractPrincipalComponents(eigenvalues, eigenvectors, factorCount) {
+        const p = eigenvalues.length;
+        const loadings = Array.from({ length: p }, (_, i) =>
+            Array.from({ length: factorCount }, (_, f) => eigenvectors[f][i] * Math.sqrt(eigenvalues[f]))
+        );
+        
+        return {
+            loadings: loadings,
+            communalities: loadings.map(row => Descriptive.sum(row.map(value => value * value))),
+            iterations: 0
+        };
+    }
+    
+    /**
+     * Principal axis factoring: iterate the communalities on the diagonal of
+     * the reduced correlation matrix, starting from the squared multiple correlations
+     */
+    extractPrincipalAxis(correlations, factorCount, maxIterations = 100, tolerance = 1e-6) {
+        const p = correlations.length;
+        const inverse = Matrix.inverse(correlations);
+        let communalities = inverse.map((row, i) => 1 - 1 / row[i]);
+        let loadings = [];
+        let iterations = 0;
+        
+        for (iterations = 1; iterations <= maxIterations; iterations++) {
+            const reduced = correlations.map((row, i) => row.map((value, j) => (i === j ? communalities[i] : value)));
+            const { values, vectors } = Matrix.eigenSymmetric(reduced);
+            
+            loadings = Array.from({ length: p }, (_, i) =>
+                Array.from({ length: factorCount }, (_, f) => vectors[f][i] * Math.sqrt(Math.max(values[f], 0)))
+            );
+            
+            // Heywood cases are capped just below 1
+            const updated = loadings.map(row => Math.min(Descriptive.sum(row.map(value => value * value)), 0.995));
+            const change = Math.max(...updated.map((value, i) => Math.abs(value - communalities[i])));
+            communalities = updated;
+            if (change < tolerance) break;
+        }
+        
+        return {
+            loadings: loadings,
+            communalities: communalities,
+            iterations: Math.min(iterations, maxIterations)
+        };
+    }
+    
+    /**
+     * Varimax with Kaiser normalisation, by successive pairwise rotations (Kaiser, 1958)
+     */
+    rotateVarimax(loadings, maxIterations = 1000, tolerance = 1e-10) {
+        const p = loadings.length;
+        const m = loadings[0].length;
+        const norms = loadings.map(row => Math.sqrt(Descriptive.sum(row.map(value => value * value))) || 1);
+        const x = loadings.map((row, i) => row.map(value => value / norms[i]));
+        
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            let maxAngle = 0;
+            
+            for (let j = 0; j < m - 1; j++) {
+                for (let k = j + 1; k < m; k++) {
+                    let a = 0;
+                    let b = 0;
+                    let c = 0;
+                    let d = 0;
+                    for (let i = 0; i < p; i++) {
+                        const u = x[i][j] * x[i][j] - x[i][k] * x[i][k];
+                        const v = 2 * x[i][j] * x[i][k];
+                        a += u;
+                        b += v;
+                        c += u * u - v * v;
+                        d += 2 * u * v;
+                    }
+                    
+                    const angle = Math.atan2(d - 2 * a * b / p, c - (a * a - b * b) / p) / 4;
+                    if (Math.abs(angle) < tolerance) continue;
+                    maxAngle = Math.max(maxAngle, Math.abs(angle));
+                    
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    for (let i = 0; i < p; i++) {
+                        const xj = x[i][j];
+                        const xk = x[i][k];
+                        x[i][j] = cos * xj + sin * xk;
+                        x[i][k] = -sin * xj + cos * xk;
+                    }
+                }
+            }
+            
+            if (maxAngle < tolerance) break;
+        }
+        
+        return x.map((row, i) => row.map(value => value * norms[i]));
+    }
+    
+    /**
+     * Promax (power 4) from the varimax solution, as in R's stats::promax
+     */
+    rotatePromax(loadings, power = 4) {
+        const x = this.rotateVarimax(loadings);
+        const target = x.map(row => row.map(value => value * Math.pow(Math.abs(value), power - 1)));
+        
+        // Least-squares transformation towards the target, columns rescaled
+        const xtxInverse = Matrix.inverse(Matrix.crossProduct(x));
+        let u = Matrix.multiply(Matrix.multiply(xtxInverse, Matrix.transpose(x)), target);
+        const d = Matrix.inverse(Matrix.multiply(Matrix.transpose(u), u)).map((row, i) => row[i]);
+        u = u.map(row => row.map((value, j) => value * Math.sqrt(d[j])));
+        
+        const uInverse = Matrix.inverse(u);
+        
+        return {
+            pattern: Matrix.multiply(x, u),
+            factorCorrelations: Matrix.multiply(uInverse, Matrix.transpose(uInverse))
+        };
+    }
+    
+    /**
+     * Reflect factors to positive column sums and sort them by explained variance
+     */
+    orderFactors(loadings, factorCorrelations, structure) {
+        const m = loadings[0].length;
+        const signs = Array.from({ length: m }, (_, f) =>
+            Descriptive.sum(loadings.map(row => row[f])) < 0 ? -1 : 1
+        );
+        const variance = Array.from({ length: m }, (_, f) =>
+            Descriptive.sum((structure || loadings).map(row => row[f] * row[f]))
+        );
+        const order = Array.from({ length: m }, (_, f) => f).sort((a, b) => variance[b] - variance[a]);
+        const reorder = matrix => matrix.map(row => order.map(f => row[f] * signs[f]));
+        
+        return {
+            loadings: reorder(loadings),
+            structure: structure ? reorder(structure) : null,
+            factorCorrelations: factorCorrelations
+                ? order.map(a => order.map(b => factorCorrelations[a][b] * signs[a] * signs[b]))
+                : null
+        };
+    }
+    
+    /**
+     * Kaiser (1974) labels for the KMO index
+     */
+    interpretKMO(kmo) {
+        if (kmo >= 0.9) return 'ممتاز';
+        if (kmo >= 0.8) return 'جيد جداً';
+        if (kmo >= 0.7) return 'جيد';
+        if (kmo >= 0.6) return 'متوسط';
+        if (kmo >= 0.5) return 'ضعيف';
+        return 'غير مقبول';
+    }
+    
+    interpretFactorAnalysis(adequacy, factorCount, extractedVariance) {
+        const bartlettText = adequacy.bartlett.pValue < 0.05
+            ? 'واختبار بارتليت دال، أي أن مصفوفة الارتباط ليست مصفوفة وحدة وتصلح للتحليل العاملي'
+            : 'لكن اختبار بارتليت غير دال، أي أن الارتباطات بين المتغيرات ضعيفة وقد لا يصلح التحليل العاملي';
+            
+        return `مؤشر KMO = ${adequacy.kmo.toFixed(3)} (${this.interpretKMO(adequacy.kmo)})، ${bartlettText}. ` +
+            `تم استخلاص ${factorCount} ${factorCount === 1 ? 'عامل' : 'عوامل'} تفسر ${extractedVariance.toFixed(1)}% من التباين الكلي.`;
+    }
+    
+    generateRecommendations(adequacy, variables, loadings, communalities, n) {
+        const recommendations = [];
+        
+        if (adequacy.kmo < 0.6) {
+            recommendations.push('قيمة KMO منخفضة؛ راجع المتغيرات ذات قيم MSA الأقل من 0.5 أو زِد حجم العينة.');
+        }
+        
+        const lowMsa = variables.filter((_, i) => adequacy.msa[i] < 0.5);
+        if (lowMsa.length > 0) {
+            recommendations.push(`متغيرات بكفاية عينة فردية (MSA) أقل من 0.5: ${lowMsa.join('، ')}.`);
+        }
+        
+        const lowCommunality = variables.filter((_, i) => communalities[i] < 0.3);
+        if (lowCommunality.length > 0) {
+            recommendations.push(`متغيرات بشيوع أقل من 0.30 ولا يفسرها النموذج جيداً: ${lowCommunality.join('، ')}.`);
+        }
+        
+        const weak = variables.filter((_, i) => Math.max(...loadings[i].map(Math.abs)) < 0.4);
+        if (weak.length > 0) {
+            recommendations.push(`متغيرات لا يتشبع أي منها بقيمة 0.40 أو أكثر على أي عامل: ${weak.join('، ')}.`);
+        }
+        
+        const crossLoading = variables.filter((_, i) => loadings[i].filter(value => Math.abs(value) >= 0.4).length > 1);
+        if (crossLoading.length > 0) {
+            recommendations.push(`متغيرات تتشبع على أكثر من عامل (تشبعات متقاطعة): ${crossLoading.join('، ')}.`);
+        }
+        
+        if (n < 5 * variables.length) {
+            recommendations.push(`حجم العينة (${n}) أقل من 5 حالات لكل متغير؛ قد تكون البنية العاملية غير مستقرة.`);
+        }
+        
+        recommendations.push('تحقق من عدد العوامل بمخطط الانحدار (Scree) إلى جانب محك كايزر، واحسب ثبات كل عامل بتحليل الثبات.');
+        
+        return recommendations;
+    }
+}
+
+export default FactorAnalysis;
@@ -0,0 +1,223 @@
+/**
+ * Matrix Helpers
+ * Small dense linear algebra used by the linear-model based tests.
+ * Matrices are arrays of row arrays.
+ */
+
+const Matrix = {
+    transpose: function(a) {
+        return a[0].map((_, j) => a.map(row => row[j]));
+    },
+    
+    multiply: function(a, b) {
+        const columns = b[0].length;
+        return a.map(row => {
+            const result = new Array(columns).fill(0);
+            row.forEach((value, k) => {
+                if (value === 0) return;
+                const bRow = b[k];
+                for (let j = 0; j < columns; j++) {
+                    result[j] += value * bRow[j];
+                }
+            });
+            return result;
+        });
+    },
+    
+    multiplyVector: function(a, v) {
+        return a.map(row => row.reduce((sum, value, j) => sum + value * v[j], 0));
+    },
+    
+    identity: function(size) {
+        return Array.from({ length: size }, (_, i) =>
+            Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))
+        );
+    },
+    
+    /**
+     * X'X without forming the transpose
+     */
+    crossProduct: function(x) {
+        const p = x[0].length;
+        const result = Array.from({ length: p }, () => new Array(p).fill(0));
+        
+        x.forEach(row => {
+            for (let i = 0; i < p; i++) {
+                if (row[i] === 0) continue;
+                for (let j = i; j < p; j++) {
+                    result[i][j] += row[i] * row[j];
+                }
+            }
+        });
+        
+        for (let i = 0; i < p; i++) {
+            for (let j = 0; j < i; j++) {
+                result[i][j] = result[j][i];
+            }
+        }
+        
+        return result;
+    },
+    
+    /**
+     * Inverse by Gauss-Jordan elimination with partial pivoting
+     */
+    inverse: function(a) {
+        const n = a.length;
+        const augmented = a.map((row, i) => [
+            ...row,
+            ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+        ]);
+        
+        // Tolerance relative to the largest entry, to detect singular matrices
+        const scale = Math.max(...a.map(row => Math.max(...row.map(Math.abs))), 1e-300);
+        
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(augmented[row][col]) > Math.abs(augmented[pivot][col])) {
+                    pivot = row;
+                }
+            }
+            
+            if (Math.abs(augmented[pivot][col]) < 1e-12 * scale) {
+                throw new Error('المصفوفة منفردة (يوجد ارتباط خطي تام بين المتغيرات)');
+            }
+            
+            [augmented[col], augmented[pivot]] = [augmented[pivot], augmented[col]];
+            
+            const pivotValue = augmented[col][col];
+            for (let j = 0; j < 2 * n; j++) {
+                augmented[col][j] /= pivotValue;
+            }
+            
+            for (let row = 0; row < n; row++) {
+                if (row === col) continue;
+                const factor = augmented[row][col];
+                if (factor === 0) continue;
+                for (let j = 0; j < 2 * n; j++) {
+                    augmented[row][j] -= factor * augmented[col][j];
+                }
+            }
+        }
+        
+        return augmented.map(row => row.slice(n));
+    },
+    
+    /**
+     * Determinant by Gaussian elimination with partial pivoting
+     */
+    determinant: function(a) {
+        const n = a.length;
+        const m = a.map(row => [...row]);
+        let determinant = 1;
+        
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) {
+                    pivot = row;
+                }
+            }
+            
+            if (m[pivot][col] === 0) return 0;
+            
+            if (pivot !== col) {
+                [m[col], m[pivot]] = [m[pivot], m[col]];
+                determinant = -determinant;
+            }
+            
+            determinant *= m[col][col];
+            for (let row = col + 1; row < n; row++) {
+                const factor = m[row][col] / m[col][col];
+                for (let j = col; j < n; j++) {
+                    m[row][j] -= factor * m[col][j];
+                }
+            }
+        }
+        
+        return determinant;
+    },
+    
+    /**
+     * Eigen decomposition of a symmetric matrix by cyclic Jacobi rotations
+     * Returns eigenvalues in descending order with matching eigenvectors
+     */
+    eigenSymmetric: function(a, maxSweeps = 100) {
+        const n = a.length;
+        const m = a.map(row => [...row]);
+        const v = this.identity(n);
+        
+        for (let sweep = 0; sweep < maxSweeps; sweep++) {
+            let offDiagonal = 0;
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) {
+                    offDiagonal += m[i][j] * m[i][j];
+                }
+            }
+            if (offDiagonal < 1e-22) break;
+            
+            for (let p = 0; p < n - 1; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(m[p][q]) < 1e-300) continue;
+                    
+                    const theta = (m[q][q] - m[p][p]) / (2 * m[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+                    
+                    for (let k = 0; k < n; k++) {
+                        const mkp = m[k][p];
+                        const mkq = m[k][q];
+                        m[k][p] = c * mkp - s * mkq;
+                        m[k][q] = s * mkp + c * mkq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const mpk = m[p][k];
+                        const mqk = m[q][k];
+                        m[p][k] = c * mpk - s * mqk;
+                        m[q][k] = s * mpk + c * mqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = v[k][p];
+                        const vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+        
+        const order = m.map((row, i) => i).sort((i, j) => m[j][j] - m[i][i]);
+        
+        return {
+            values: order.map(i => m[i][i]),
+            vectors: order.map(i => v.map(row => row[i]))
+        };
+    },
+    
+    trace: function(a) {
+        return a.reduce((sum, row, i) => sum + row[i], 0);
+    },
+    
+    /**
+     * Ordinary least squares fit of y on the columns of x
+     */
+    leastSquares: function(x, y) {
+        const xtxInverse = this.inverse(this.crossProduct(x));
+        const xty = x[0].map((_, j) => x.reduce((sum, row, i) => sum + row[j] * y[i], 0));
+        const coefficients = this.multiplyVector(xtxInverse, xty);
+        const fitted = this.multiplyVector(x, coefficients);
+        const residuals = y.map((value, i) => value - fitted[i]);
+        
+        return {
+            coefficients: coefficients,
+            fitted: fitted,
+            residuals: residuals,
+            sse: residuals.reduce((sum, r) => sum + r * r, 0),
+            xtxInverse: xtxInverse
+        };
+    }
+};
+
+export default Matrix;
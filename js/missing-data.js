@@ -0,0 +1,492 @@
+/**
+ * Missing Data Module
+ * Explicit handling of missing values before analysis: listwise or pairwise
+ * deletion, mean/median imputation, last observation carried forward, simple
+ * multiple imputation, and Little's MCAR test
+ */
+
+import Descriptive from './descriptive.js';
+import Distributions from './distributions.js';
+import Matrix from './matrix.js';
+
+const STRATEGIES = {
+    listwise: 'الحذف القائمي (الحالات الكاملة فقط)',
+    pairwise: 'الحذف الزوجي (الحالات المتاحة لكل تحليل)',
+    mean: 'التعويض بالمتوسط',
+    median: 'التعويض بالوسيط',
+    locf: 'ترحيل آخر قيمة ملاحظة (LOCF)',
+    multiple: 'التعويض المتعدد'
+};
+
+class MissingDataHandler {
+    /**
+     * Descriptor shown in the results header for Little's MCAR test
+     */
+    getDefinition() {
+        return {
+            id: 'little-mcar',
+            name: 'اختبار Little للفقد العشوائي التام (MCAR)',
+            category: 'missing-data',
+            type: 'missing-data',
+            description: 'هل يعتمد نمط القيم المفقودة على قيم المتغيرات؟',
+            icon: 'fas fa-puzzle-piece',
+            references: [
+                'Little, R. J. A. (1988). A test of missing completely at random for multivariate data with missing values. JASA.',
+                'Rubin, D. B. (1987). Multiple imputation for nonresponse in surveys.'
+            ]
+        };
+    }
+    
+    getStrategies() {
+        return { ...STRATEGIES };
+    }
+    
+    isMissing(value) {
+        return value === '' || value === null || value === undefined ||
+            (typeof value === 'number' && isNaN(value));
+    }
+    
+    /**
+     * Apply a strategy to the selected columns (all columns when none are given)
+     * options: { imputations, seed } for multiple imputation
+     * Returns the treated data and the record kept in the state metadata
+     */
+    apply(data, columns, method, options = {}) {
+        if (!STRATEGIES[method]) {
+            throw new Error(`طريقة معالجة القيم المفقودة غير معروفة: ${method}`);
+        }
+        if (!data || data.length === 0) {
+            throw new Error('لا توجد بيانات');
+        }
+        
+        const selected = columns && columns.length > 0 ? columns : Object.keys(data[0]);
+        const missingBefore = this.countMissing(data, selected);
+        let treated;
+        
+        switch (method) {
+            case 'listwise':
+                treated = data.filter(row => selected.every(column => !this.isMissing(row[column])));
+                if (treated.length === 0) {
+                    throw new Error('لا توجد حالات كاملة بعد الحذف القائمي');
+                }
+                break;
+                
+            case 'mean':
+            case 'median':
+                treated = this.imputeCentral(data, selected, method);
+                break;
+                
+            case 'locf':
+                treated = this.carryForward(data, selected);
+                break;
+                
+            default:
+                // Pairwise deletion is what every test already does with the available
+                // cases; multiple imputation draws its datasets when the analysis runs
+                treated = data;
+        }
+        
+        const record = {
+            method: method,
+            label: STRATEGIES[method],
+            columns: selected,
+            missingBefore: missingBefore,
+            missingAfter: this.countMissing(treated, selected),
+            rowsBefore: data.length,
+            rowsAfter: treated.length,
+            appliedAt: new Date().toISOString()
+        };
+        
+        if (method === 'multiple') {
+            record.imputations = Math.max(2, parseInt(options.imputations, 10) || 5);
+            record.seed = options.seed !== undefined && !isNaN(parseInt(options.seed, 10))
+                ? parseInt(options.seed, 10)
+                : 20240101;
+        }
+        
+        return { data: treated, record: record };
+    }
+    
+    countMissing(data, columns) {
+        return data.reduce((total, row) =>
+            total + columns.filter(column => this.isMissing(row[column])).length, 0);
+    }
+    
+    /**
+     * One sentence describing the strategy, for reports
+     */
+    describe(record) {
+        if (!record) return 'لم تُطبق معالجة للقيم المفقودة (تستبعد الاختبارات الصفوف غير الصالحة تلقائياً)';
+        
+        let text = `${record.label} على الأعمدة: ${record.columns.join('، ')}؛ ` +
+            `القيم المفقودة ${record.missingBefore}، وعدد الصفوف ${record.rowsBefore}`;
+            
+        if (record.rowsAfter !== record.rowsBefore) {
+            text += ` ← ${record.rowsAfter}`;
+        }
+        if (record.method === 'multiple') {
+            text += `؛ ${record.imputations} مجموعات بيانات معوَّضة (البذرة ${record.seed}) ودُمجت النتائج`;
+        }
+        
+        return text;
+    }
+    
+    /**
+     * Numeric columns get the mean or median of their observed values,
+     * categorical columns the most frequent category
+     */
+    imputeCentral(data, columns, method) {
+        const fills = {};
+        
+        columns.forEach(column => {
+            const observed = data.map(row => row[column]).filter(value => !this.isMissing(value));
+            if (observed.length === 0) return;
+            
+            const numeric = observed.map(value => parseFloat(value));
+            if (numeric.every(value => !isNaN(value))) {
+                fills[column] = method === 'median' ? Descriptive.median(numeric) : Descriptive.mean(numeric);
+            } else {
+                fills[column] = this.mode(observed);
+            }
+        });
+        
+        return data.map(row => {
+            const filled = { ...row };
+            Object.keys(fills).forEach(column => {
+                if (this.isMissing(filled[column])) filled[column] = fills[column];
+            });
+            return filled;
+        });
+    }
+    
+    mode(values) {
+        const counts = {};
+        values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+        return Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a));
+    }
+    
+    /**
+     * LOCF for wide-format repeated measures: the columns are successive
+     * time points, and a missing one takes the last observed earlier value
+     */
+    carryForward(data, columns) {
+        return data.map(row => {
+            const filled = { ...row };
+            let last = null;
+            
+            columns.forEach(column => {
+                if (this.isMissing(filled[column])) {
+                    if (last !== null) filled[column] = last;
+                } else {
+                    last = filled[column];
+                }
+            });
+            
+            return filled;
+        });
+    }
+    
+    /**
+     * Numeric columns among the selection, as rows of numbers with NaN for missing
+     */
+    getNumericMatrix(data, columns) {
+        const numericColumns = columns.filter(column => data.some(row => !this.isMissing(row[column])) &&
+            data.every(row => this.isMissing(row[column]) || !isNaN(parseFloat(row[column]))));
+            
+        return {
+            columns: numericColumns,
+            rows: data.map(row => numericColumns.map(column =>
+                this.isMissing(row[column]) ? NaN : parseFloat(row[column])
+            ))
+        };
+    }
+    
+    /**
+     * Maximum likelihood mean vector and covariance matrix of incomplete
+     * multivariate normal data by the EM algorithm
+     */
+    estimateEM(rows, maxIterations = 200, tolerance = 1e-6) {
+        const p = rows[0].length;
+        const cases = rows.filter(row => row.some(value => !isNaN(value)));
+        const n = cases.length;
+        
+        // Start from the available-case means and variances
+        let mean = Array.from({ length: p }, (_, j) =>
+            Descriptive.mean(cases.map(row => row[j]).filter(value => !isNaN(value))));
+        let covariance = Array.from({ length: p }, (_, i) => Array.from({ length: p }, (_, j) => {
+            if (i !== j) return 0;
+            const observed = cases.map(row => row[j]).filter(value => !isNaN(value));
+            return observed.length > 1 ? Descriptive.variance(observed) || 1 : 1;
+        }));
+        
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const sums = new Array(p).fill(0);
+            const products = Array.from({ length: p }, () => new Array(p).fill(0));
+            
+            cases.forEach(row => {
+                const { expected, conditionalCovariance, missing } = this.conditionalMoments(row, mean, covariance);
+                
+                for (let i = 0; i < p; i++) {
+                    sums[i] += expected[i];
+                    for (let j = 0; j < p; j++) {
+                        products[i][j] += expected[i] * expected[j];
+                    }
+                }
+                
+                missing.forEach((i, a) => missing.forEach((j, b) => {
+                    products[i][j] += conditionalCovariance[a][b];
+                }));
+            });
+            
+            const newMean = sums.map(sum => sum / n);
+            const newCovariance = products.map((row, i) =>
+                row.map((value, j) => value / n - newMean[i] * newMean[j]));
+                
+            const change = Math.max(
+                ...newMean.map((value, i) => Math.abs(value - mean[i])),
+                ...newCovariance.flatMap((row, i) => row.map((value, j) => Math.abs(value - covariance[i][j])))
+            );
+            
+            mean = newMean;
+            covariance = newCovariance;
+            
+            if (change < tolerance) break;
+        }
+        
+        return { mean, covariance, n };
+    }
+    
+    /**
+     * E-step for one case: the missing values' conditional mean given the
+     * observed ones, and their conditional covariance
+     */
+    conditionalMoments(row, mean, covariance) {
+        const observed = [];
+        const missing = [];
+        row.forEach((value, j) => (isNaN(value) ? missing : observed).push(j));
+        
+        const expected = [...row];
+        if (missing.length === 0) {
+            return { expected, conditionalCovariance: [], missing };
+        }
+        
+        if (observed.length === 0) {
+            missing.forEach(j => { expected[j] = mean[j]; });
+            return {
+                expected,
+                conditionalCovariance: missing.map(i => missing.map(j => covariance[i][j])),
+                missing
+            };
+        }
+        
+        const sigmaOO = observed.map(i => observed.map(j => covariance[i][j]));
+        const sigmaMO = missing.map(i => observed.map(j => covariance[i][j]));
+        const regression = Matrix.multiply(sigmaMO, Matrix.inverse(sigmaOO));
+        const deviations = observed.map(j => row[j] - mean[j]);
+        
+        missing.forEach((j, a) => {
+            expected[j] = mean[j] + regression[a].reduce((sum, b, k) => sum + b * deviations[k], 0);
+        });
+        
+        const explained = Matrix.multiply(regression, Matrix.transpose(sigmaMO));
+        const conditionalCovariance = missing.map((i, a) =>
+            missing.map((j, b) => covariance[i][j] - explained[a][b]));
+            
+        return { expected, conditionalCovariance, missing };
+    }
+    
+    /**
+     * Little's (1988) test: d² = Σ nⱼ (ȳⱼ − μⱼ)ᵀ Σⱼ⁻¹ (ȳⱼ − μⱼ) over the missing-data
+     * patterns, with Σ pⱼ − p degrees of freedom, using the EM estimates
+     */
+    littleMCARTest(data, columns) {
+        const selected = columns && columns.length > 0 ? columns : Object.keys(data[0] || {});
+        const { columns: numericColumns, rows } = this.getNumericMatrix(data, selected);
+        
+        if (numericColumns.length < 2) {
+            throw new Error('يحتاج اختبار Little إلى متغيرين رقميين على الأقل');
+        }
+        
+        const cases = rows.filter(row => row.some(value => !isNaN(value)));
+        if (cases.length < numericColumns.length + 2) {
+            throw new Error('عدد الحالات غير كافٍ لاختبار Little');
+        }
+        
+        const { mean, covariance } = this.estimateEM(cases);
+        
+        // Group the cases by missing-data pattern
+        const patterns = {};
+        cases.forEach(row => {
+            const key = row.map(value => (isNaN(value) ? '0' : '1')).join('');
+            if (!patterns[key]) patterns[key] = [];
+            patterns[key].push(row);
+        });
+        
+        let chiSquare = 0;
+        let observedTotal = 0;
+        
+        Object.entries(patterns).forEach(([key, group]) => {
+            const observed = [...key].map((flag, j) => (flag === '1' ? j : -1)).filter(j => j >= 0);
+            const deviations = observed.map(j =>
+                Descriptive.mean(group.map(row => row[j])) - mean[j]);
+            const inverse = Matrix.inverse(observed.map(i => observed.map(j => covariance[i][j])));
+            
+            chiSquare += group.length * deviations.reduce((sum, d, a) =>
+                sum + d * inverse[a].reduce((inner, value, b) => inner + value * deviations[b], 0), 0);
+            observedTotal += observed.length;
+        });
+        
+        const df = observedTotal - numericColumns.length;
+        const pValue = df > 0 ? 1 - Distributions.chisquare.cdf(chiSquare, df) : 1;
+        const patternList = Object.entries(patterns)
+            .map(([key, group]) => ({ key, count: group.length }))
+            .sort((a, b) => b.count - a.count);
+            
+        return {
+            test: "Little's MCAR Test",
+            statistics: {
+                chiSquare: chiSquare.toFixed(4),
+                df: df,
+                pValue: pValue.toFixed(4),
+                patterns: patternList.length,
+                n: cases.length,
+                variables: numericColumns.length
+            },
+            missingSummary: numericColumns.map((column, j) => {
+                const missing = rows.filter(row => isNaN(row[j])).length;
+                return {
+                    variable: column,
+                    missing: missing,
+                    percent: (100 * missing / rows.length).toFixed(1),
+                    emMean: mean[j].toFixed(4)
+                };
+            }),
+            missingPatterns: patternList.map(pattern => ({
+                pattern: [...pattern.key].map((flag, j) => (flag === '1' ? '' : numericColumns[j])).filter(Boolean),
+                count: pattern.count,
+                percent: (100 * pattern.count / cases.length).toFixed(1)
+            })),
+            interpretation: df > 0
+                ? `χ²(${df}) = ${chiSquare.toFixed(2)}، p = ${pValue.toFixed(4)}. ` +
+                    (pValue < 0.05
+                        ? 'نمط الفقد يرتبط بقيم المتغيرات، فالبيانات ليست مفقودة عشوائياً تماماً (MCAR)؛ الحذف قد يحيز النتائج.'
+                        : 'لا دليل على مخالفة افتراض الفقد العشوائي التام (MCAR).')
+                : 'لا توجد قيم مفقودة في المتغيرات المختارة، فلا حاجة إلى الاختبار.',
+            recommendations: pValue < 0.05
+                ? [
+                    'يُفضل التعويض المتعدد على الحذف القائمي أو التعويض بالمتوسط عندما لا تكون البيانات MCAR.',
+                    'أضف إلى نموذج التعويض المتغيرات المرتبطة بالفقد لجعل افتراض MAR أقرب إلى الواقع.'
+                ]
+                : [
+                    'الحذف القائمي لا يحيز التقديرات تحت MCAR لكنه يقلل القوة الإحصائية؛ فكر في التعويض المتعدد إذا كان الفقد كبيراً.',
+                    'عدم الدلالة لا يثبت أن البيانات MCAR؛ الاختبار ضعيف مع العينات الصغيرة.'
+                ]
+        };
+    }
+    
+    /**
+     * Multiple imputation under a multivariate normal model: each missing value is
+     * drawn from its conditional distribution given the observed values of the row,
+     * with the EM estimates as parameters (categorical columns are left untouched).
+     * The parameters stay fixed at those estimates instead of being drawn for each
+     * dataset, so the imputation is improper (Rubin, 1987): the between-imputation
+     * variance, and with it the uncertainty of the pooled results, is understated
+     */
+    createImputations(data, columns, count, random) {
+        const { columns: numericColumns, rows } = this.getNumericMatrix(data, columns);
+        if (numericColumns.length === 0) {
+            throw new Error('لا توجد أعمدة رقمية للتعويض المتعدد');
+        }
+        
+        const { mean, covariance } = this.estimateEM(rows);
+        const normal = () => {
+            const u = 1 - random();
+            const v = random();
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        };
+        
+        return Array.from({ length: count }, () => data.map((row, i) => {
+            const { expected, conditionalCovariance, missing } = this.conditionalMoments(rows[i], mean, covariance);
+            if (missing.length === 0) return row;
+            
+            const factor = this.cholesky(conditionalCovariance);
+            const noise = missing.map(() => normal());
+            const filled = { ...row };
+            
+            missing.forEach((j, a) => {
+                const draw = expected[j] + factor[a].reduce((sum, value, b) => sum + value * noise[b], 0);
+                filled[numericColumns[j]] = draw;
+            });
+            
+            return filled;
+        }));
+    }
+    
+    /**
+     * Lower-triangular L with L Lᵀ = A (non-positive pivots are treated as zero)
+     */
+    cholesky(a) {
+        const n = a.length;
+        const l = Array.from({ length: n }, () => new Array(n).fill(0));
+        
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = a[i][j];
+                for (let k = 0; k < j; k++) sum -= l[i][k] * l[j][k];
+                
+                if (i === j) {
+                    l[i][i] = sum > 0 ? Math.sqrt(sum) : 0;
+                } else {
+                    l[i][j] = l[j][j] > 0 ? sum / l[j][j] : 0;
+                }
+            }
+        }
+        
+        return l;
+    }
+    
+    /**
+     * Combine the results of the test on each imputed dataset: statistics are
+     * averaged and the p-value follows the median P rule (Eekhout et al., 2017);
+     * non-numeric entries such as intervals are those of the first imputation, and the
+     * interpretation is rebuilt from the pooled values instead of copied from it
+     */
+    poolResults(resultsList) {
+        const pooled = { ...resultsList[0] };
+        const statistics = { ...(resultsList[0].statistics || {}) };
+        
+        Object.keys(statistics).forEach(key => {
+            const values = resultsList.map(results => parseFloat((results.statistics || {})[key]));
+            if (key === 'pValue' || !values.every(value => isFinite(value))) return;
+            statistics[key] = typeof statistics[key] === 'number' && Number.isInteger(statistics[key])
+                ? Math.round(Descriptive.mean(values))
+                : Descriptive.mean(values).toFixed(4);
+        });
+        
+        const pValues = resultsList
+            .map(results => parseFloat((results.statistics || {}).pValue))
+            .filter(value => !isNaN(value));
+            
+        if (pValues.length > 0) {
+            statistics.pValue = Descriptive.median(pValues).toFixed(4);
+            statistics.imputationPValues = pValues.map(value => value.toFixed(4)).join('، ');
+        }
+        statistics.imputations = resultsList.length;
+        
+        pooled.statistics = statistics;
+        pooled.interpretation = `نتائج مدمجة من ${resultsList.length} مجموعات بيانات معوَّضة ` +
+            '(متوسط الإحصائيات ووسيط قيم p). ';
+            
+        if (statistics.pValue !== undefined) {
+            const pValue = parseFloat(statistics.pValue);
+            pooled.interpretation += `قيمة p المدمجة ${statistics.pValue}، ` +
+                (pValue < 0.05 ? 'والنتيجة دالة إحصائياً عند مستوى 0.05. ' : 'والنتيجة غير دالة إحصائياً عند مستوى 0.05. ');
+        }
+        pooled.interpretation += 'فترات الثقة والجداول التفصيلية من مجموعة البيانات المعوَّضة الأولى. ' +
+            'تُسحب القيم بمعالم EM ثابتة، لذا يُقدَّر التباين بين مجموعات التعويض بأقل من حقيقته وتبدو النتائج أدق مما هي.';
+            
+        return pooled;
+    }
+}
+
+export default MissingDataHandler;
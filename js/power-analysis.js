@@ -0,0 +1,644 @@
+/**
+ * Power Analysis Module
+ * A priori sample size planning for the tests of the statistical library:
+ * the smallest sample that reaches the target power for a given effect size and α,
+ * following the conventions of G*Power (Faul et al., 2007)
+ */
+
+import Distributions from './distributions.js';
+
+// Asymptotic relative efficiency of rank tests against their parametric counterparts
+// under a normal parent distribution (Lehmann, 1975)
+const RANK_EFFICIENCY = 3 / Math.PI;
+
+// Effect size indices with Cohen's (1988) small / medium / large benchmarks
+const EFFECT_SIZES = {
+    d: { symbol: 'd', label: 'حجم الأثر d لكوهين', conventions: [0.2, 0.5, 0.8], bounded: false },
+    dz: { symbol: 'dz', label: 'حجم الأثر dz (متوسط الفروق / انحرافها المعياري)', conventions: [0.2, 0.5, 0.8], bounded: false },
+    f: { symbol: 'f', label: 'حجم الأثر f لكوهين', conventions: [0.1, 0.25, 0.4], bounded: false },
+    r: { symbol: 'r', label: 'معامل الارتباط المتوقع r', conventions: [0.1, 0.3, 0.5], bounded: true },
+    rs: { symbol: 'rs', label: 'معامل ارتباط سبيرمان المتوقع', conventions: [0.1, 0.3, 0.5], bounded: true },
+    w: { symbol: 'w', label: 'حجم الأثر w لكوهين', conventions: [0.1, 0.3, 0.5], bounded: false },
+    h: { symbol: 'h', label: 'حجم الأثر h لكوهين (فرق نسبتين)', conventions: [0.2, 0.5, 0.8], bounded: false },
+    f2: { symbol: 'f²', label: 'حجم الأثر f² لكوهين', conventions: [0.02, 0.15, 0.35], bounded: false },
+    // Chen, Cohen & Chen (2010) equivalents of d = 0.2 / 0.5 / 0.8
+    oddsRatio: { symbol: 'OR', label: 'نسبة الأرجحية المتوقعة', conventions: [1.68, 3.47, 6.71], bounded: false }
+};
+
+// Extra inputs needed by each family besides the effect size, α and power
+const FAMILY_PARAMETERS = {
+    't-independent': ['tails', 'allocationRatio'],
+    't-paired': ['tails'],
+    'anova': ['groups'],
+    'anova-effect': ['groups', 'numeratorDf'],
+    'anova-repeated': ['measures', 'correlation', 'epsilon'],
+    'correlation': ['tails'],
+    'chi-square': ['df'],
+    'proportions': ['tails'],
+    'mcnemar': ['tails', 'discordantProportion'],
+    'regression': ['predictors'],
+    'logistic': ['tails', 'eventRate', 'covariateR2']
+};
+
+class PowerAnalysis {
+    constructor() {
+        this.plans = this.initializePlans();
+    }
+    
+    /**
+     * Power model used for every test id of the tests database
+     */
+    initializePlans() {
+        return {
+            'independent-t-test': {
+                family: 't-independent',
+                effectSize: 'd',
+                englishName: 'an independent-samples t test'
+            },
+            'paired-t-test': {
+                family: 't-paired',
+                effectSize: 'dz',
+                englishName: 'a paired-samples t test'
+            },
+            'mann-whitney': {
+                family: 't-independent',
+                effectSize: 'd',
+                efficiency: () => RANK_EFFICIENCY,
+                englishName: 'a Mann-Whitney U test',
+                method: 'حجم العينة محسوب من اختبار t مقسوماً على الكفاءة النسبية المقاربة (3/π) لاختبارات الرتب.'
+            },
+            'wilcoxon-signed-rank': {
+                family: 't-paired',
+                effectSize: 'dz',
+                efficiency: () => RANK_EFFICIENCY,
+                englishName: 'a Wilcoxon signed-rank test',
+                method: 'حجم العينة محسوب من اختبار t المترابط مقسوماً على الكفاءة النسبية المقاربة (3/π) لاختبارات الرتب.'
+            },
+            'one-way-anova': {
+                family: 'anova',
+                effectSize: 'f',
+                englishName: 'a one-way ANOVA'
+            },
+            'kruskal-wallis': {
+                family: 'anova',
+                effectSize: 'f',
+                efficiency: () => RANK_EFFICIENCY,
+                englishName: 'a Kruskal-Wallis test',
+                method: 'حجم العينة محسوب من تحليل التباين الأحادي مقسوماً على الكفاءة النسبية المقاربة (3/π) لاختبارات الرتب.'
+            },
+            'factorial-anova': {
+                family: 'anova-effect',
+                effectSize: 'f',
+                englishName: 'a factorial ANOVA effect'
+            },
+            'repeated-measures-anova': {
+                family: 'anova-repeated',
+                effectSize: 'f',
+                englishName: 'a repeated-measures ANOVA (within-subject effect)'
+            },
+            'friedman': {
+                family: 'anova-repeated',
+                effectSize: 'f',
+                // ARE of Friedman's test against the repeated-measures F test: 3k / (π(k + 1))
+                efficiency: settings => RANK_EFFICIENCY * settings.measures / (settings.measures + 1),
+                englishName: 'a Friedman test',
+                method: 'حجم العينة محسوب من تحليل التباين للقياسات المتكررة مقسوماً على الكفاءة النسبية المقاربة لاختبار فريدمان 3k / (π(k + 1)).'
+            },
+            'pearson-correlation': {
+                family: 'correlation',
+                effectSize: 'r',
+                englishName: 'a Pearson correlation',
+                method: 'القوة محسوبة بتحويل فيشر (z) لمعامل الارتباط.'
+            },
+            'spearman-correlation': {
+                family: 'correlation',
+                effectSize: 'rs',
+                spearman: true,
+                englishName: 'a Spearman rank correlation',
+                method: 'القوة محسوبة بتحويل فيشر مع تصحيح تباين سبيرمان (1 + r²/2) وفق Bonett & Wright (2000).'
+            },
+            'chi-square-independence': {
+                family: 'chi-square',
+                effectSize: 'w',
+                englishName: 'a chi-square test of independence'
+            },
+            'chi-square-goodness-of-fit': {
+                family: 'chi-square',
+                effectSize: 'w',
+                englishName: 'a chi-square goodness-of-fit test'
+            },
+            'fisher-exact': {
+                family: 'proportions',
+                effectSize: 'h',
+                englishName: "a Fisher's exact test (two independent proportions)",
+                method: 'القوة محسوبة بالتقريب الطبيعي لفرق نسبتين بتحويل الجيب العكسي (h)؛ الاختبار الدقيق محافظ وقد يحتاج عينة أكبر قليلاً.'
+            },
+            'mcnemar': {
+                family: 'mcnemar',
+                effectSize: 'oddsRatio',
+                englishName: 'a McNemar test',
+                method: 'القوة محسوبة بصيغة Connor (1987) من نسبة الأرجحية للأزواج المتعارضة ونسبتها المتوقعة.'
+            },
+            'simple-linear-regression': {
+                family: 'regression',
+                effectSize: 'f2',
+                predictors: 1,
+                englishName: 'a simple linear regression'
+            },
+            'multiple-linear-regression': {
+                family: 'regression',
+                effectSize: 'f2',
+                englishName: 'a multiple linear regression (R² deviation from zero)'
+            },
+            'logistic-regression': {
+                family: 'logistic',
+                effectSize: 'oddsRatio',
+                englishName: 'a binary logistic regression',
+                method: 'حجم العينة محسوب بصيغة Hsieh وآخرين (1998) لمتنبئ متصل، حيث نسبة الأرجحية لكل زيادة بانحراف معياري واحد.'
+            }
+        };
+    }
+    
+    /**
+     * Descriptor shown in the results header and used by the exports
+     */
+    getDefinition(test) {
+        return {
+            id: 'power-analysis',
+            name: `تخطيط حجم العينة والقوة الإحصائية: ${test.name}`,
+            category: 'power',
+            type: 'power',
+            description: 'تحليل قوة مسبق لتحديد حجم العينة اللازم قبل جمع البيانات',
+            icon: 'fas fa-bolt',
+            references: [
+                'Cohen, J. (1988). Statistical power analysis for the behavioral sciences (2nd ed.).',
+                'Faul, F., Erdfelder, E., Lang, A.-G., & Buchner, A. (2007). G*Power 3. Behavior Research Methods.'
+            ]
+        };
+    }
+    
+    supports(testId) {
+        return Object.prototype.hasOwnProperty.call(this.plans, testId);
+    }
+    
+    getPlan(testId) {
+        if (!this.supports(testId)) {
+            throw new Error('لا يتوفر تخطيط لحجم العينة لهذا الاختبار');
+        }
+        return this.plans[testId];
+    }
+    
+    /**
+     * Inputs the form should show for a test: effect size index and extra parameters
+     */
+    getPlanInputs(testId) {
+        const plan = this.getPlan(testId);
+        const parameters = FAMILY_PARAMETERS[plan.family]
+            .filter(name => !(name === 'predictors' && plan.predictors));
+            
+        return {
+            effectSize: EFFECT_SIZES[plan.effectSize],
+            parameters: parameters
+        };
+    }
+    
+    /**
+     * Solve for the sample size of one test
+     * options: { effectSize, alpha, power, tails, allocationRatio, groups, numeratorDf,
+     *            measures, correlation, epsilon, df, discordantProportion, predictors,
+     *            eventRate, covariateR2 }
+     */
+    analyze(test, options = {}) {
+        const plan = this.getPlan(test.id);
+        const settings = this.normalizeOptions(plan, options);
+        const effect = EFFECT_SIZES[plan.effectSize];
+        
+        const unit = this.solveSampleSize(plan, settings);
+        const achieved = this.calculatePower(plan, unit, settings);
+        const totalN = this.getTotalSize(plan, unit, settings);
+        const perGroup = this.isPerGroup(plan) ? unit : null;
+        
+        return {
+            test: 'A Priori Power Analysis',
+            targetTest: test.id,
+            family: plan.family,
+            settings: settings,
+            statistics: {
+                effectSize: `${effect.symbol} = ${settings.effectSize}`,
+                alpha: settings.alpha,
+                targetPower: settings.power,
+                sampleSizePerGroup: perGroup,
+                secondGroupSize: plan.family === 't-independent' ? this.getSecondGroupSize(unit, settings) : null,
+                totalSampleSize: totalN,
+                achievedPower: achieved.power.toFixed(4),
+                criticalValue: achieved.criticalValue.toFixed(4),
+                noncentrality: achieved.noncentrality.toFixed(4),
+                df: achieved.df
+            },
+            powerCurve: this.buildPowerCurve(plan, unit, settings),
+            interpretation: this.generateSummary(test, plan, settings, unit, totalN, achieved.power),
+            citation: this.generateCitation(plan, settings, unit, totalN, achieved.power),
+            recommendations: this.generateRecommendations(plan, settings, totalN)
+        };
+    }
+    
+    normalizeOptions(plan, options) {
+        const number = (value, fallback) => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? fallback : parsed;
+        };
+        const effect = EFFECT_SIZES[plan.effectSize];
+        
+        const settings = {
+            effectSize: number(options.effectSize, effect.conventions[1]),
+            alpha: number(options.alpha, 0.05),
+            power: number(options.power, 0.8),
+            tails: options.tails === 'one-tailed' ? 'one-tailed' : 'two-tailed'
+        };
+        
+        if (settings.alpha <= 0 || settings.alpha >= 0.5) {
+            throw new Error('مستوى الدلالة يجب أن يكون بين 0 و 0.5');
+        }
+        if (settings.power <= settings.alpha || settings.power >= 1) {
+            throw new Error('القوة المستهدفة يجب أن تكون أكبر من مستوى الدلالة وأصغر من 1');
+        }
+        if (plan.effectSize === 'oddsRatio') {
+            if (settings.effectSize <= 0 || settings.effectSize === 1) {
+                throw new Error('نسبة الأرجحية يجب أن تكون موجبة ومختلفة عن 1');
+            }
+        } else if (settings.effectSize <= 0) {
+            throw new Error('حجم الأثر يجب أن يكون أكبر من الصفر');
+        } else if (effect.bounded && settings.effectSize >= 1) {
+            throw new Error('معامل الارتباط المتوقع يجب أن يكون أصغر من 1');
+        }
+        
+        const integer = (name, fallback, minimum, message) => {
+            const value = Math.round(number(options[name], fallback));
+            if (value < minimum) throw new Error(message);
+            settings[name] = value;
+        };
+        const fraction = (name, fallback, lower, upper, message) => {
+            const value = number(options[name], fallback);
+            if (value < lower || value > upper) throw new Error(message);
+            settings[name] = value;
+        };
+        
+        FAMILY_PARAMETERS[plan.family].forEach(name => {
+            switch (name) {
+                case 'allocationRatio': {
+                    const ratio = number(options.allocationRatio, 1);
+                    if (ratio <= 0) throw new Error('نسبة حجم المجموعة الثانية إلى الأولى يجب أن تكون موجبة');
+                    settings.allocationRatio = ratio;
+                    break;
+                }
+                case 'groups':
+                    integer('groups', plan.family === 'anova-effect' ? 4 : 3, 2, 'عدد المجموعات يجب أن يكون 2 على الأقل');
+                    break;
+                case 'numeratorDf':
+                    integer('numeratorDf', 1, 1, 'درجات حرية الأثر يجب أن تكون 1 على الأقل');
+                    if (settings.numeratorDf >= settings.groups) {
+                        throw new Error('درجات حرية الأثر يجب أن تكون أقل من عدد الخلايا');
+                    }
+                    break;
+                case 'measures':
+                    integer('measures', 3, 2, 'عدد القياسات يجب أن يكون 2 على الأقل');
+                    break;
+                case 'correlation':
+                    fraction('correlation', 0.5, -0.99, 0.99, 'الارتباط بين القياسات يجب أن يكون بين -0.99 و 0.99');
+                    break;
+                case 'epsilon':
+                    fraction('epsilon', 1, 1 / (settings.measures - 1), 1, `إبسيلون الكروية يجب أن يكون بين ${(1 / (settings.measures - 1)).toFixed(3)} و 1`);
+                    break;
+                case 'df':
+                    integer('df', 1, 1, 'درجات الحرية يجب أن تكون 1 على الأقل');
+                    break;
+                case 'discordantProportion':
+                    fraction('discordantProportion', 0.3, 0.001, 1, 'نسبة الأزواج المتعارضة يجب أن تكون بين 0 و 1');
+                    break;
+                case 'predictors':
+                    if (plan.predictors) {
+                        settings.predictors = plan.predictors;
+                    } else {
+                        integer('predictors', 2, 1, 'عدد المتغيرات المستقلة يجب أن يكون 1 على الأقل');
+                    }
+                    break;
+                case 'eventRate':
+                    fraction('eventRate', 0.5, 0.001, 0.999, 'نسبة حدوث الحدث يجب أن تكون بين 0 و 1');
+                    break;
+                case 'covariateR2':
+                    fraction('covariateR2', 0, 0, 0.99, 'مربع الارتباط مع المتغيرات الأخرى يجب أن يكون بين 0 و 0.99');
+                    break;
+            }
+        });
+        
+        return settings;
+    }
+    
+    /**
+     * Smallest sample (per group for group designs) whose power reaches the target:
+     * doubling to bracket the answer, then bisection on the integers
+     */
+    solveSampleSize(plan, settings, limit = 10000000) {
+        const reaches = n => this.calculatePower(plan, n, settings).power >= settings.power;
+        
+        let lower = this.getMinimumSize(plan, settings);
+        if (reaches(lower)) return lower;
+        
+        let upper = lower * 2;
+        while (!reaches(upper)) {
+            lower = upper;
+            upper *= 2;
+            if (upper > limit) {
+                throw new Error('حجم الأثر صغير جداً: حجم العينة المطلوب يتجاوز الحد المعقول');
+            }
+        }
+        
+        while (upper - lower > 1) {
+            const middle = Math.floor((lower + upper) / 2);
+            if (reaches(middle)) {
+                upper = middle;
+            } else {
+                lower = middle;
+            }
+        }
+        
+        return upper;
+    }
+    
+    isPerGroup(plan) {
+        return ['t-independent', 'anova', 'anova-effect', 'proportions'].includes(plan.family);
+    }
+    
+    getMinimumSize(plan, settings) {
+        switch (plan.family) {
+            case 'anova-repeated':
+                return 3;
+            case 'correlation':
+                return 5;
+            case 'regression':
+                return settings.predictors + 2;
+            default:
+                return 2;
+        }
+    }
+    
+    getSecondGroupSize(n, settings) {
+        return Math.max(2, Math.ceil(n * settings.allocationRatio));
+    }
+    
+    getTotalSize(plan, n, settings) {
+        switch (plan.family) {
+            case 't-independent':
+                return n + this.getSecondGroupSize(n, settings);
+            case 'anova':
+            case 'anova-effect':
+                return n * settings.groups;
+            case 'proportions':
+                return 2 * n;
+            default:
+                return n;
+        }
+    }
+    
+    /**
+     * Power at sample size n with the critical value and noncentrality behind it
+     */
+    calculatePower(plan, n, settings) {
+        const efficiency = plan.efficiency ? plan.efficiency(settings) : 1;
+        const alpha = settings.alpha;
+        const es = settings.effectSize;
+        
+        switch (plan.family) {
+            case 't-independent': {
+                const n2 = this.getSecondGroupSize(n, settings);
+                const df = (n + n2) * efficiency - 2;
+                const ncp = es * Math.sqrt(efficiency * n * n2 / (n + n2));
+                return { ...this.tPower(ncp, df, alpha, settings.tails), df: this.formatDf(df) };
+            }
+            case 't-paired': {
+                const df = n * efficiency - 1;
+                const ncp = es * Math.sqrt(n * efficiency);
+                return { ...this.tPower(ncp, df, alpha, settings.tails), df: this.formatDf(df) };
+            }
+            case 'anova': {
+                const total = n * settings.groups * efficiency;
+                return this.fPower(es * es * total, settings.groups - 1, total - settings.groups, alpha);
+            }
+            case 'anova-effect': {
+                const total = n * settings.groups;
+                return this.fPower(es * es * total, settings.numeratorDf, total - settings.groups, alpha);
+            }
+            case 'anova-repeated': {
+                // G*Power's within-subject model: λ = f² N m ε / (1 - ρ)
+                const subjects = n * efficiency;
+                const m = settings.measures;
+                const lambda = es * es * subjects * m * settings.epsilon / (1 - settings.correlation);
+                return this.fPower(
+                    lambda,
+                    (m - 1) * settings.epsilon,
+                    (subjects - 1) * (m - 1) * settings.epsilon,
+                    alpha
+                );
+            }
+            case 'correlation': {
+                const inflation = plan.spearman ? 1 + es * es / 2 : 1;
+                const shift = Math.atanh(es) / Math.sqrt(inflation / (n - 3));
+                return this.zPower(shift, alpha, settings.tails);
+            }
+            case 'chi-square': {
+                const lambda = es * es * n;
+                const critical = Distributions.chisquare.inv(1 - alpha, settings.df);
+                return {
+                    power: 1 - Distributions.noncentralChisquare.cdf(critical, settings.df, lambda),
+                    criticalValue: critical,
+                    noncentrality: lambda,
+                    df: String(settings.df)
+                };
+            }
+            case 'proportions':
+                return this.zPower(es * Math.sqrt(n / 2), alpha, settings.tails);
+            case 'mcnemar': {
+                // Connor (1987): δ = p10 - p01 with ψ = p10 + p01 discordant
+                const psi = settings.discordantProportion;
+                const p01 = psi / (1 + es);
+                const p10 = psi * es / (1 + es);
+                const delta = Math.abs(p10 - p01);
+                const spread = Math.sqrt(psi - delta * delta);
+                const critical = Distributions.normal.inv(1 - alpha / (settings.tails === 'two-tailed' ? 2 : 1), 0, 1);
+                let power = Distributions.normal.cdf((delta * Math.sqrt(n) - critical * Math.sqrt(psi)) / spread, 0, 1);
+                if (settings.tails === 'two-tailed') {
+                    power += Distributions.normal.cdf((-delta * Math.sqrt(n) - critical * Math.sqrt(psi)) / spread, 0, 1);
+                }
+                return { power, criticalValue: critical, noncentrality: delta * Math.sqrt(n) / spread, df: null };
+            }
+            case 'regression': {
+                const p = settings.predictors;
+                return this.fPower(es * n, p, n - p - 1, alpha);
+            }
+            case 'logistic': {
+                // Hsieh, Bloch & Larsen (1998), inflated by 1 / (1 - R²) for the other covariates
+                const information = n * settings.eventRate * (1 - settings.eventRate) * (1 - settings.covariateR2);
+                return this.zPower(Math.abs(Math.log(es)) * Math.sqrt(information), alpha, settings.tails);
+            }
+        }
+        
+        throw new Error('نموذج القوة غير معروف');
+    }
+    
+    tPower(ncp, df, alpha, tails) {
+        if (tails === 'two-tailed') {
+            const critical = Distributions.studentt.inv(1 - alpha / 2, df);
+            return {
+                power: 1 - Distributions.noncentralt.cdf(critical, df, ncp) + Distributions.noncentralt.cdf(-critical, df, ncp),
+                criticalValue: critical,
+                noncentrality: ncp
+            };
+        }
+        
+        const critical = Distributions.studentt.inv(1 - alpha, df);
+        return {
+            power: 1 - Distributions.noncentralt.cdf(critical, df, ncp),
+            criticalValue: critical,
+            noncentrality: ncp
+        };
+    }
+    
+    fPower(lambda, df1, df2, alpha) {
+        const critical = Distributions.centralF.inv(1 - alpha, df1, df2);
+        return {
+            power: 1 - Distributions.noncentralF.cdf(critical, df1, df2, lambda),
+            criticalValue: critical,
+            noncentrality: lambda,
+            df: `${this.formatDf(df1)}, ${this.formatDf(df2)}`
+        };
+    }
+    
+    /**
+     * Normal-approximation power for a standardised shift of the test statistic
+     */
+    zPower(shift, alpha, tails) {
+        const critical = Distributions.normal.inv(1 - alpha / (tails === 'two-tailed' ? 2 : 1), 0, 1);
+        let power = Distributions.normal.cdf(Math.abs(shift) - critical, 0, 1);
+        if (tails === 'two-tailed') {
+            power += Distributions.normal.cdf(-Math.abs(shift) - critical, 0, 1);
+        }
+        return { power, criticalValue: critical, noncentrality: Math.abs(shift), df: null };
+    }
+    
+    formatDf(df) {
+        return Number.isInteger(df) ? String(df) : df.toFixed(2);
+    }
+    
+    /**
+     * Power against total sample size, from the minimum up to about twice the answer
+     */
+    buildPowerCurve(plan, required, settings, points = 40) {
+        const minimum = this.getMinimumSize(plan, settings);
+        const maximum = Math.max(required * 2, minimum + 10);
+        const step = Math.max(1, Math.round((maximum - minimum) / points));
+        
+        const sizes = [];
+        for (let n = minimum; n <= maximum; n += step) sizes.push(n);
+        if (!sizes.includes(required)) {
+            sizes.push(required);
+            sizes.sort((a, b) => a - b);
+        }
+        
+        return {
+            points: sizes.map(n => ({
+                n: this.getTotalSize(plan, n, settings),
+                power: parseFloat(this.calculatePower(plan, n, settings).power.toFixed(4))
+            })),
+            targetPower: settings.power,
+            requiredN: this.getTotalSize(plan, required, settings)
+        };
+    }
+    
+    /**
+     * At least two decimals; APA style drops the leading zero for values that cannot exceed 1
+     */
+    formatReportValue(value, bounded = false, digits = null) {
+        const decimals = (String(value).split('.')[1] || '').length;
+        const text = value.toFixed(digits !== null ? digits : Math.max(2, decimals));
+        return bounded ? text.replace(/^(-?)0\./, '$1.') : text;
+    }
+    
+    generateSummary(test, plan, settings, unit, totalN, achievedPower) {
+        const effect = EFFECT_SIZES[plan.effectSize];
+        const tailsText = FAMILY_PARAMETERS[plan.family].includes('tails')
+            ? (settings.tails === 'two-tailed' ? ' (اختبار ثنائي الذيل)' : ' (اختبار أحادي الذيل)')
+            : '';
+        const groupText = this.isPerGroup(plan) ? this.describeGroups(plan, settings, unit) : '';
+        
+        let text = `أُجري تحليل قوة مسبق (a priori) لاختبار ${test.name} لتحديد حجم العينة اللازم ` +
+            `للكشف عن حجم أثر ${effect.symbol} = ${settings.effectSize} عند مستوى دلالة α = ${settings.alpha}${tailsText} ` +
+            `وقوة إحصائية مستهدفة ${settings.power}. ` +
+            `أظهر التحليل أن حجم العينة الكلي المطلوب هو ${totalN}${groupText}، وتبلغ القوة الفعلية عنده ${achievedPower.toFixed(3)}.`;
+            
+        if (plan.method) {
+            text += ` ${plan.method}`;
+        }
+        
+        return text;
+    }
+    
+    describeGroups(plan, settings, unit) {
+        if (plan.family === 't-independent' && settings.allocationRatio !== 1) {
+            return ` (${unit} في المجموعة الأولى و${this.getSecondGroupSize(unit, settings)} في الثانية)`;
+        }
+        return plan.family === 'anova-effect' ? ` (${unit} في كل خلية)` : ` (${unit} في كل مجموعة)`;
+    }
+    
+    /**
+     * English sentence ready to paste into a methods section
+     */
+    generateCitation(plan, settings, unit, totalN, achievedPower) {
+        const effect = EFFECT_SIZES[plan.effectSize];
+        const tailsText = FAMILY_PARAMETERS[plan.family].includes('tails') ? `a ${settings.tails} ` : '';
+        
+        let groups = '';
+        if (this.isPerGroup(plan)) {
+            groups = plan.family === 't-independent' && settings.allocationRatio !== 1
+                ? ` (n₁ = ${unit}, n₂ = ${this.getSecondGroupSize(unit, settings)})`
+                : ` (n = ${unit} per ${plan.family === 'anova-effect' ? 'cell' : 'group'})`;
+        }
+        
+        return `An a priori power analysis was conducted for ${plan.englishName}. ` +
+            `To detect an effect of ${effect.symbol} = ${this.formatReportValue(settings.effectSize, effect.bounded)} ` +
+            `with ${tailsText}α = ${this.formatReportValue(settings.alpha, true)} and power = ${this.formatReportValue(settings.power, true)}, ` +
+            `the required total sample size is N = ${totalN}${groups}, ` +
+            `with an achieved power of ${this.formatReportValue(achievedPower, true, 3)} ` +
+            '(Cohen, 1988; Faul et al., 2007).';
+    }
+    
+    generateRecommendations(plan, settings, totalN) {
+        const recommendations = [];
+        const effect = EFFECT_SIZES[plan.effectSize];
+        const [small, medium, large] = effect.conventions;
+        
+        recommendations.push(`القيم المرجعية لحجم الأثر ${effect.symbol}: صغير ${small}، متوسط ${medium}، كبير ${large}؛ ` +
+            'ويُفضل تقدير حجم الأثر من دراسات سابقة مماثلة.');
+            
+        recommendations.push('زد حجم العينة بنسبة تعادل معدل الانسحاب أو البيانات المفقودة المتوقع.');
+        
+        if (plan.efficiency) {
+            recommendations.push('تقدير الكفاءة النسبية يفترض توزيعاً طبيعياً؛ قد تكون اختبارات الرتب أكفأ مع التوزيعات ذات الذيول الثقيلة.');
+        }
+        
+        if (plan.family === 'anova-repeated' && settings.epsilon === 1) {
+            recommendations.push('إذا كان افتراض الكروية مشكوكاً فيه فأدخل قيمة إبسيلون أقل من 1 للحصول على تقدير محافظ.');
+        }
+        
+        if (plan.family === 'logistic' && totalN * Math.min(settings.eventRate, 1 - settings.eventRate) < 10) {
+            recommendations.push('عدد الأحداث المتوقع أقل من 10 لكل متنبئ؛ قد تكون تقديرات الانحدار اللوجستي غير مستقرة.');
+        }
+        
+        if (settings.tails === 'one-tailed' && FAMILY_PARAMETERS[plan.family].includes('tails')) {
+            recommendations.push('استخدم الاختبار أحادي الذيل فقط عندما يكون اتجاه الفرضية محدداً مسبقاً.');
+        }
+        
+        return recommendations;
+    }
+}
+
+export default PowerAnalysis;
@@ -0,0 +1,265 @@
+/**
+ * Reliability Analysis Module
+ * Internal consistency of questionnaire scales (Likert items):
+ * Cronbach's alpha, McDonald's omega and item-level statistics
+ */
+
+import Descriptive from './descriptive.js';
+import Matrix from './matrix.js';
+
+class ReliabilityAnalysis {
+    /**
+     * Descriptor shown in the results header and used by the exports,
+     * shaped like the entries of the tests database
+     */
+    getDefinition() {
+        return {
+            id: 'reliability-analysis',
+            name: 'تحليل الثبات (ألفا كرونباخ وأوميغا ماكدونالد)',
+            category: 'reliability',
+            type: 'reliability',
+            description: 'قياس الاتساق الداخلي لبنود مقياس أو استبانة',
+            icon: 'fas fa-check-double',
+            references: [
+                'Cronbach, L. J. (1951). Coefficient alpha and the internal structure of tests. Psychometrika.',
+                'McDonald, R. P. (1999). Test theory: A unified treatment.',
+                'George, D., & Mallery, P. (2003). SPSS for Windows step by step.'
+            ]
+        };
+    }
+    
+    /**
+     * Run the reliability analysis on the selected item columns
+     * options: { reverseItems: [], scaleMin, scaleMax }
+     */
+    analyze(data, items, options = {}) {
+        if (!Array.isArray(items) || items.length < 2) {
+            throw new Error('يحتاج تحليل الثبات إلى بندين على الأقل');
+        }
+        
+        const reverseItems = (options.reverseItems || []).filter(item => items.includes(item));
+        
+        // Complete cases only (listwise deletion)
+        let rows = data
+            .map(row => items.map(item => parseFloat(row[item])))
+            .filter(row => row.every(value => !isNaN(value)));
+            
+        if (rows.length < 3) {
+            throw new Error('عدد الحالات ذات الإجابات الكاملة أقل من 3');
+        }
+        
+        const scale = this.getScaleRange(rows, options);
+        
+        // Reverse-scored items: x' = (min + max) - x
+        if (reverseItems.length > 0) {
+            const reversedIndices = reverseItems.map(item => items.indexOf(item));
+            rows = rows.map(row => row.map((value, j) =>
+                reversedIndices.includes(j) ? scale.min + scale.max - value : value
+            ));
+        }
+        
+        const n = rows.length;
+        const k = items.length;
+        const columns = items.map((_, j) => rows.map(row => row[j]));
+        
+        if (columns.some(column => Descriptive.sampleVariance(column) === 0)) {
+            const constant = items.filter((_, j) => Descriptive.sampleVariance(columns[j]) === 0);
+            throw new Error(`البنود التالية ثابتة القيمة ولا يمكن تحليلها: ${constant.join('، ')}`);
+        }
+        
+        const totals = rows.map(row => Descriptive.sum(row));
+        const alpha = this.calculateCronbachAlpha(columns);
+        const correlations = this.calculateCorrelationMatrix(columns);
+        
+        // Standardised alpha from the mean inter-item correlation
+        let correlationSum = 0;
+        for (let i = 0; i < k; i++) {
+            for (let j = i + 1; j < k; j++) {
+                correlationSum += correlations[i][j];
+            }
+        }
+        const meanInterItemCorrelation = correlationSum / (k * (k - 1) / 2);
+        const standardizedAlpha = (k * meanInterItemCorrelation) / (1 + (k - 1) * meanInterItemCorrelation);
+        
+        const omega = k >= 3 ? this.calculateMcDonaldOmega(correlations) : null;
+        
+        const itemRows = items.map((item, j) => {
+            const restScores = totals.map((total, i) => total - rows[i][j]);
+            const remaining = columns.filter((_, index) => index !== j);
+            
+            return {
+                item: item,
+                reversed: reverseItems.includes(item),
+                mean: Descriptive.mean(columns[j]).toFixed(4),
+                std: Descriptive.sampleStandardDeviation(columns[j]).toFixed(4),
+                itemTotalCorrelation: Descriptive.sampleCorrelation(columns[j], restScores).toFixed(4),
+                alphaIfDeleted: remaining.length >= 2 ? this.calculateCronbachAlpha(remaining).toFixed(4) : null,
+                loading: omega ? omega.loadings[j].toFixed(4) : null
+            };
+        });
+        
+        return {
+            test: 'Reliability Analysis',
+            items: items,
+            reverseItems: reverseItems,
+            scaleRange: scale,
+            statistics: {
+                cronbachAlpha: alpha.toFixed(4),
+                standardizedAlpha: standardizedAlpha.toFixed(4),
+                mcdonaldOmega: omega ? omega.omega.toFixed(4) : null,
+                meanInterItemCorrelation: meanInterItemCorrelation.toFixed(4),
+                items: k,
+                n: n,
+                scaleMean: Descriptive.mean(totals).toFixed(4),
+                scaleStd: Descriptive.sampleStandardDeviation(totals).toFixed(4)
+            },
+            itemStatistics: {
+                columns: ['mean', 'std', 'itemTotalCorrelation', 'alphaIfDeleted', 'loading'],
+                rows: itemRows
+            },
+            interpretation: this.interpretReliability(alpha, omega ? omega.omega : null),
+            recommendations: this.generateRecommendations(alpha, itemRows, n, k)
+        };
+    }
+    
+    /**
+     * Bounds used for reverse scoring: given by the user or the observed range of all items
+     */
+    getScaleRange(rows, options) {
+        const values = rows.flat();
+        const min = options.scaleMin !== undefined && options.scaleMin !== '' && !isNaN(parseFloat(options.scaleMin))
+            ? parseFloat(options.scaleMin)
+            : Math.min(...values);
+        const max = options.scaleMax !== undefined && options.scaleMax !== '' && !isNaN(parseFloat(options.scaleMax))
+            ? parseFloat(options.scaleMax)
+            : Math.max(...values);
+            
+        if (min >= max) {
+            throw new Error('الحد الأدنى للمقياس يجب أن يكون أصغر من الحد الأعلى');
+        }
+        
+        return { min, max };
+    }
+    
+    /**
+     * α = k / (k - 1) × (1 - Σs²_i / s²_total)
+     */
+    calculateCronbachAlpha(columns) {
+        const k = columns.length;
+        const totals = columns[0].map((_, i) => Descriptive.sum(columns.map(column => column[i])));
+        const itemVariances = Descriptive.sum(columns.map(column => Descriptive.sampleVariance(column)));
+        
+        return (k / (k - 1)) * (1 - itemVariances / Descriptive.sampleVariance(totals));
+    }
+    
+    calculateCorrelationMatrix(columns) {
+        return columns.map((a, i) => columns.map((b, j) =>
+            i === j ? 1 : Descriptive.sampleCorrelation(a, b)
+        ));
+    }
+    
+    /**
+     * Omega total from a one-factor principal axis solution:
+     * ω = (Σλ)² / ((Σλ)² + Σ(1 - λ²))
+     */
+    calculateMcDonaldOmega(correlations, maxIterations = 200, tolerance = 1e-6) {
+        const k = correlations.length;
+        
+        // Initial communalities: squared multiple correlations
+        let communalities;
+        try {
+            const inverse = Matrix.inverse(correlations);
+            communalities = inverse.map((row, i) => 1 - 1 / row[i]);
+        } catch (error) {
+            communalities = correlations.map((row, i) => Math.max(...row.filter((_, j) => j !== i).map(Math.abs)));
+        }
+        
+        let loadings = new Array(k).fill(0);
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const reduced = correlations.map((row, i) => row.map((value, j) => (i === j ? communalities[i] : value)));
+            const { values, vectors } = Matrix.eigenSymmetric(reduced);
+            const eigenvalue = Math.max(values[0], 0);
+            loadings = vectors[0].map(value => value * Math.sqrt(eigenvalue));
+            
+            // Heywood cases are capped just below 1
+            const updated = loadings.map(loading => Math.min(loading * loading, 0.995));
+            const change = Math.max(...updated.map((value, i) => Math.abs(value - communalities[i])));
+            communalities = updated;
+            if (change < tolerance) break;
+        }
+        
+        // Eigenvector sign is arbitrary; orient the factor with the majority of items
+        if (Descriptive.sum(loadings) < 0) {
+            loadings = loadings.map(loading => -loading);
+        }
+        
+        const loadingSum = Descriptive.sum(loadings);
+        const uniqueness = Descriptive.sum(loadings.map(loading => 1 - Math.min(loading * loading, 0.995)));
+        
+        return {
+            omega: (loadingSum * loadingSum) / (loadingSum * loadingSum + uniqueness),
+            loadings: loadings
+        };
+    }
+    
+    /**
+     * George & Mallery (2003) rule of thumb
+     */
+    interpretAlpha(alpha) {
+        if (alpha >= 0.9) return 'ممتاز';
+        if (alpha >= 0.8) return 'جيد';
+        if (alpha >= 0.7) return 'مقبول';
+        if (alpha >= 0.6) return 'مشكوك فيه';
+        if (alpha >= 0.5) return 'ضعيف';
+        return 'غير مقبول';
+    }
+    
+    interpretReliability(alpha, omega) {
+        let text = `معامل ألفا كرونباخ = ${alpha.toFixed(3)}، وهو مستوى ثبات ${this.interpretAlpha(alpha)}.`;
+        
+        if (omega !== null) {
+            text += ` معامل أوميغا ماكدونالد = ${omega.toFixed(3)} (${this.interpretAlpha(omega)})، ` +
+                'وهو لا يفترض تساوي تشبعات البنود على العامل كما يفترض ألفا.';
+        }
+        
+        return text;
+    }
+    
+    generateRecommendations(alpha, itemRows, n, k) {
+        const recommendations = [];
+        
+        const negative = itemRows.filter(row => parseFloat(row.itemTotalCorrelation) < 0 && !row.reversed);
+        if (negative.length > 0) {
+            recommendations.push(`البنود ذات الارتباط السالب بالدرجة الكلية قد تحتاج إلى عكس الترميز: ${negative.map(row => row.item).join('، ')}.`);
+        }
+        
+        const weak = itemRows.filter(row => {
+            const r = parseFloat(row.itemTotalCorrelation);
+            return r >= 0 && r < 0.3;
+        });
+        if (weak.length > 0) {
+            recommendations.push(`ارتباط البنود التالية بالدرجة الكلية المصححة أقل من 0.30: ${weak.map(row => row.item).join('، ')}.`);
+        }
+        
+        const improving = itemRows.filter(row => row.alphaIfDeleted !== null && parseFloat(row.alphaIfDeleted) > alpha);
+        if (improving.length > 0) {
+            recommendations.push(`حذف البنود التالية يرفع قيمة ألفا: ${improving.map(row => `${row.item} (${row.alphaIfDeleted})`).join('، ')}؛ راجع مضمونها قبل الحذف.`);
+        }
+        
+        if (alpha > 0.95) {
+            recommendations.push('قيمة ألفا مرتفعة جداً، وقد تشير إلى تكرار في مضمون البنود.');
+        }
+        
+        if (n < 30) {
+            recommendations.push('حجم العينة صغير؛ قد تكون تقديرات الثبات غير مستقرة.');
+        }
+        
+        if (k < 3) {
+            recommendations.push('معامل أوميغا يتطلب ثلاثة بنود على الأقل.');
+        }
+        
+        return recommendations;
+    }
+}
+
+export default ReliabilityAnalysis;
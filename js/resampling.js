@@ -0,0 +1,765 @@
+/**
+ * Resampling Module
+ * Bootstrap confidence intervals (percentile and BCa) and permutation tests for any
+ * statistic reported by StatisticalTests.runTest, driven by a seeded generator so
+ * that the same seed always reproduces the same result. The main statistic of each
+ * common test is recomputed directly for every replicate; the others rerun the test
+ */
+
+import StatisticalTests from './statistical-tests.js';
+import Distributions from './distributions.js';
+import Descriptive from './descriptive.js';
+
+// Statistics tried, in order, when none is requested
+const DEFAULT_STATISTICS = ['t', 'f', 'z', 'h', 'chiSquare', 'r', 'rho', 'rSquared', 'nagelkerkeR2', 'oddsRatio'];
+
+class ResamplingEngine {
+    constructor(statisticalTests = new StatisticalTests()) {
+        this.tests = statisticalTests;
+        
+        // Replicates between two progress reports (and cancellation checks)
+        this.progressInterval = 25;
+    }
+    
+    /**
+     * Descriptor shown in the results header and used by the exports
+     */
+    getDefinition(test, method) {
+        const permutation = method === 'permutation';
+        
+        return {
+            id: `${method}-${test.id}`,
+            name: permutation ? `اختبار التبديل: ${test.name}` : `فترات Bootstrap: ${test.name}`,
+            category: 'resampling',
+            type: 'resampling',
+            description: permutation
+                ? 'قيمة p من التوزيع التبديلي للإحصائية بدلاً من التقريب المقارب'
+                : 'فترات ثقة من توزيع الإحصائية عبر إعادة المعاينة مع الإرجاع',
+            icon: 'fas fa-random',
+            references: [
+                'Efron, B., & Tibshirani, R. J. (1993). An introduction to the bootstrap.',
+                'Good, P. (2005). Permutation, parametric, and bootstrap tests of hypotheses.'
+            ]
+        };
+    }
+    
+    /**
+     * Run a bootstrap or permutation analysis of one test
+     * options: { method: 'bootstrap' | 'permutation', statistic, replicates, seed, level,
+     *            alternative: 'two-sided' | 'greater' | 'less', testOptions }
+     * control: { onProgress(completed, total, phase), isCancelled() }
+     */
+    async analyze(testId, data, catColumn, numColumn, options = {}, control = {}) {
+        const test = this.tests.getTestById(testId);
+        if (!test) {
+            throw new Error(`الاختبار غير موجود: ${testId}`);
+        }
+        
+        const settings = this.normalizeOptions(options);
+        const design = this.getDesign(test, data, catColumn, numColumn, options.testOptions || {});
+        
+        if (settings.method === 'permutation' && !design.permutable) {
+            throw new Error('اختبار التبديل غير متاح لهذا الاختبار لأنه يعتمد على متغير واحد');
+        }
+        
+        // Nested bootstrap intervals of the effect sizes are not needed for each replicate
+        const testOptions = { ...(options.testOptions || {}), effectSizeBootstrap: false };
+        
+        const observedResults = await this.tests.runTest(testId, data, catColumn, numColumn, testOptions);
+        const statistic = this.selectStatistic(observedResults, settings.statistic);
+        const evaluate = this.createEvaluator(test, statistic, observedResults, data, catColumn, numColumn, testOptions);
+        const observed = await evaluate(data);
+        
+        if (observed === null) {
+            throw new Error(`تعذر حساب الإحصائية "${statistic}" في البيانات الأصلية`);
+        }
+        
+        const random = this.tests.createRandomGenerator(settings.seed);
+        const generate = settings.method === 'permutation'
+            ? () => this.permute(design, random)
+            : () => this.resample(design, random);
+            
+        const replicates = await this.collectReplicates(
+            settings.replicates,
+            generate,
+            evaluate,
+            control,
+            settings.method
+        );
+        
+        if (replicates.values.length < Math.max(10, settings.replicates / 2)) {
+            throw new Error('فشل حساب الإحصائية في معظم العينات المعاد سحبها؛ تحقق من حجم العينة أو اختر إحصائية أخرى');
+        }
+        
+        const centre = this.getNullCentre(testId, statistic, observedResults.statistics);
+        const context = { test, settings, design, statistic, observed, centre, observedResults, replicates };
+        
+        return settings.method === 'permutation'
+            ? this.summarizePermutation(context)
+            : this.summarizeBootstrap(context, await this.collectJackknife(design, evaluate, control));
+    }
+    
+    normalizeOptions(options) {
+        const method = options.method === 'permutation' ? 'permutation' : 'bootstrap';
+        const replicates = parseInt(options.replicates, 10) || (method === 'permutation' ? 5000 : 2000);
+        const seed = options.seed !== undefined && options.seed !== '' && !isNaN(parseInt(options.seed, 10))
+            ? parseInt(options.seed, 10)
+            : 20240101;
+        const level = parseFloat(options.level) || 0.95;
+        
+        if (replicates < 100 || replicates > 100000) {
+            throw new Error('عدد العينات المعاد سحبها يجب أن يكون بين 100 و 100000');
+        }
+        if (level <= 0.5 || level >= 1) {
+            throw new Error('مستوى الثقة يجب أن يكون بين 0.5 و 1');
+        }
+        
+        return {
+            method: method,
+            statistic: options.statistic || null,
+            replicates: replicates,
+            seed: seed,
+            level: level,
+            alternative: ['greater', 'less'].includes(options.alternative) ? options.alternative : 'two-sided'
+        };
+    }
+    
+    /**
+     * Numeric entry of results.statistics to resample
+     */
+    selectStatistic(results, requested) {
+        const statistics = results.statistics || {};
+        const isNumeric = key => statistics[key] !== null && statistics[key] !== undefined &&
+            isFinite(parseFloat(statistics[key]));
+            
+        if (requested) {
+            if (!isNumeric(requested)) {
+                throw new Error(`الإحصائية "${requested}" غير متاحة في نتائج هذا الاختبار`);
+            }
+            return requested;
+        }
+        
+        const statistic = DEFAULT_STATISTICS.find(isNumeric) || Object.keys(statistics).find(isNumeric);
+        if (!statistic) {
+            throw new Error('لا توجد إحصائية رقمية في نتائج هذا الاختبار لإعادة المعاينة');
+        }
+        return statistic;
+    }
+    
+    /**
+     * Value of a rank-sum statistic under the null hypothesis. Permutation p-values
+     * measure the distance from it: for U = min(U₁, U₂) and W = min(W+, W−) the small
+     * values are the extreme ones. Statistics centred on zero (t, z, r) and those
+     * extreme only when large (F, H, χ²) return 0
+     */
+    getNullCentre(testId, statistic, statistics) {
+        const n1 = Number(statistics.n1);
+        const n2 = Number(statistics.n2);
+        const n = Number(statistics.nPairs);
+        
+        if (testId === 'mann-whitney') {
+            if (statistic === 'u') return n1 * n2 / 2;
+            if (statistic === 'r1') return n1 * (n1 + n2 + 1) / 2;
+            if (statistic === 'r2') return n2 * (n1 + n2 + 1) / 2;
+        }
+        if (testId === 'wilcoxon-signed-rank' && ['w', 'wPlus', 'wMinus'].includes(statistic)) {
+            return n * (n + 1) / 4;
+        }
+        return 0;
+    }
+    
+    /**
+     * Function returning the statistic of a dataset, or null when it cannot be computed
+     */
+    createEvaluator(test, statistic, observedResults, data, catColumn, numColumn, testOptions) {
+        const calculate = this.getDirectStatistic(test.id, statistic, observedResults, data, catColumn, numColumn);
+        
+        if (calculate) {
+            return async sample => {
+                const value = calculate(sample);
+                return isFinite(value) ? value : null;
+            };
+        }
+        
+        // Rounded to the 4 decimals of the report; failed replicates are counted, not logged
+        const quietOptions = { ...testOptions, silent: true };
+        return async sample => {
+            try {
+                const results = await this.tests.runTest(test.id, sample, catColumn, numColumn, quietOptions);
+                const value = parseFloat(results.statistics[statistic]);
+                return isFinite(value) ? value : null;
+            } catch (error) {
+                return null;
+            }
+        };
+    }
+    
+    /**
+     * Full-precision calculation of the common statistics, without p-values, post-hoc
+     * tests or assumption checks. The group order and the t/F variant (Student or Welch)
+     * stay those of the observed analysis, so every replicate measures the same quantity
+     */
+    getDirectStatistic(testId, statistic, observedResults, data, catColumn, numColumn) {
+        const validRows = data.filter(row => !isNaN(parseFloat(row[numColumn])));
+        const labels = [...new Set(validRows.map(row => row[catColumn]))];
+        const welch = observedResults.statistics.variant === 'Welch';
+        
+        const groups = sample => this.splitGroups(sample, catColumn, numColumn, labels);
+        const differences = sample => {
+            const [first, second] = groups(sample);
+            return first.slice(0, Math.min(first.length, second.length)).map((value, i) => value - second[i]);
+        };
+        const variables = sample => {
+            const rows = sample.filter(row => !isNaN(parseFloat(row[numColumn])));
+            return { x: rows.map(row => parseFloat(row[catColumn])), y: rows.map(row => parseFloat(row[numColumn])) };
+        };
+        const correlation = sample => {
+            const { x, y } = variables(sample);
+            return Descriptive.sampleCorrelation(y, x);
+        };
+        
+        const calculators = {
+            'independent-t-test': { t: sample => this.calculateT(groups(sample), welch) },
+            'paired-t-test': { t: sample => this.calculatePairedT(differences(sample)) },
+            'one-way-anova': { f: sample => this.calculateF(groups(sample), welch) },
+            'mann-whitney': {
+                u: sample => this.calculateRankSum(groups(sample)).u,
+                z: sample => this.calculateRankSum(groups(sample)).z
+            },
+            'wilcoxon-signed-rank': {
+                w: sample => this.calculateSignedRank(differences(sample)).w,
+                z: sample => this.calculateSignedRank(differences(sample)).z
+            },
+            'kruskal-wallis': { h: sample => this.calculateH(groups(sample)) },
+            'pearson-correlation': {
+                r: correlation,
+                rSquared: sample => Math.pow(correlation(sample), 2),
+                t: sample => {
+                    const r = correlation(sample);
+                    return r * Math.sqrt((variables(sample).y.length - 2) / (1 - r * r));
+                }
+            },
+            'spearman-correlation': {
+                rho: sample => {
+                    const { x, y } = variables(sample);
+                    return Descriptive.sampleCorrelation(this.tests.calculateRanks(y), this.tests.calculateRanks(x));
+                }
+            },
+            'simple-linear-regression': {
+                rSquared: sample => Math.pow(correlation(sample), 2),
+                f: sample => {
+                    const rSquared = Math.pow(correlation(sample), 2);
+                    return rSquared * (variables(sample).y.length - 2) / (1 - rSquared);
+                }
+            },
+            'chi-square-independence': { chiSquare: sample => this.calculateChiSquare(sample, catColumn, numColumn) }
+        };
+        
+        const test = calculators[testId];
+        return test && Object.prototype.hasOwnProperty.call(test, statistic) ? test[statistic] : null;
+    }
+    
+    /**
+     * Numeric values of a sample split by the labels of the observed data, in their order
+     */
+    splitGroups(sample, catColumn, numColumn, labels) {
+        const groups = labels.map(() => []);
+        
+        sample.forEach(row => {
+            const value = parseFloat(row[numColumn]);
+            const index = labels.indexOf(row[catColumn]);
+            if (!isNaN(value) && index !== -1) groups[index].push(value);
+        });
+        
+        return groups;
+    }
+    
+    calculateT([first, second], welch) {
+        const n1 = first.length;
+        const n2 = second.length;
+        const variance1 = Descriptive.sampleVariance(first);
+        const variance2 = Descriptive.sampleVariance(second);
+        const se = welch
+            ? Math.sqrt(variance1 / n1 + variance2 / n2)
+            : Math.sqrt(((n1 - 1) * variance1 + (n2 - 1) * variance2) / (n1 + n2 - 2) * (1 / n1 + 1 / n2));
+            
+        return (Descriptive.mean(first) - Descriptive.mean(second)) / se;
+    }
+    
+    calculatePairedT(differences) {
+        return Descriptive.mean(differences) /
+            (Descriptive.sampleStandardDeviation(differences) / Math.sqrt(differences.length));
+    }
+    
+    calculateF(groups, welch) {
+        const summaries = groups.map(values => ({
+            n: values.length,
+            mean: Descriptive.mean(values),
+            variance: values.length > 1 ? Descriptive.sampleVariance(values) : 0
+        }));
+        
+        if (welch) {
+            return summaries.every(summary => summary.n > 1 && summary.variance > 0)
+                ? this.tests.runWelchANOVA(summaries).statistic
+                : NaN;
+        }
+        
+        const n = Descriptive.sum(summaries.map(summary => summary.n));
+        const grandMean = Descriptive.sum(summaries.map(summary => summary.n * summary.mean)) / n;
+        const ssBetween = Descriptive.sum(summaries.map(summary => summary.n * Math.pow(summary.mean - grandMean, 2)));
+        const ssWithin = Descriptive.sum(summaries.map(summary => (summary.n - 1) * summary.variance));
+        
+        return (ssBetween / (groups.length - 1)) / (ssWithin / (n - groups.length));
+    }
+    
+    /**
+     * Mann-Whitney U = min(U₁, U₂) and its continuity-corrected z, as in runMannWhitneyTest
+     */
+    calculateRankSum([first, second]) {
+        const n1 = first.length;
+        const n2 = second.length;
+        const all = [...first, ...second];
+        const ranks = this.tests.calculateRanks(all);
+        const u1 = Descriptive.sum(ranks.slice(0, n1)) - n1 * (n1 + 1) / 2;
+        const u = Math.min(u1, n1 * n2 - u1);
+        
+        const meanU = n1 * n2 / 2;
+        const tieCorrection = this.tests.calculateTieCorrection(all.map(value => ({ value })));
+        const stdU = Math.sqrt(n1 * n2 * (n1 + n2 + 1) / 12 * (1 - tieCorrection));
+        const z = stdU > 0 ? Math.sign(u - meanU) * Math.max(Math.abs(u - meanU) - 0.5, 0) / stdU : 0;
+        
+        return { u, z };
+    }
+    
+    /**
+     * Wilcoxon W = min(W+, W−) and its continuity-corrected z, as in runWilcoxonSignedRankTest
+     */
+    calculateSignedRank(differences) {
+        const nonZero = differences.filter(diff => diff !== 0);
+        const absolute = nonZero.map(Math.abs);
+        const ranks = this.tests.calculateRanks(absolute);
+        const n = nonZero.length;
+        const wPlus = Descriptive.sum(ranks.filter((_, i) => nonZero[i] > 0));
+        const w = Math.min(wPlus, n * (n + 1) / 2 - wPlus);
+        
+        const meanW = n * (n + 1) / 4;
+        const stdW = Math.sqrt(n * (n + 1) * (2 * n + 1) / 24 - this.tests.calculateTieSum(absolute) / 48);
+        const z = stdW > 0 ? Math.sign(w - meanW) * Math.max(Math.abs(w - meanW) - 0.5, 0) / stdW : 0;
+        
+        return n > 0 ? { w, z } : { w: NaN, z: NaN };
+    }
+    
+    /**
+     * Tie-corrected Kruskal-Wallis H
+     */
+    calculateH(groups) {
+        const all = groups.flat();
+        const n = all.length;
+        const ranks = this.tests.calculateRanks(all);
+        let offset = 0;
+        let h = 0;
+        
+        groups.forEach(values => {
+            h += Math.pow(Descriptive.sum(ranks.slice(offset, offset + values.length)), 2) / values.length;
+            offset += values.length;
+        });
+        h = 12 / (n * (n + 1)) * h - 3 * (n + 1);
+        
+        const tieCorrection = this.tests.calculateTieCorrection(all.map(value => ({ value })));
+        return tieCorrection > 0 ? h / (1 - tieCorrection) : h;
+    }
+    
+    calculateChiSquare(sample, rowColumn, columnColumn) {
+        const { observed, rowTotals, colTotals, total } = this.tests.buildContingencyTable(sample, rowColumn, columnColumn);
+        let chiSquare = 0;
+        
+        observed.forEach((row, i) => row.forEach((count, j) => {
+            const expected = rowTotals[i] * colTotals[j] / total;
+            if (expected > 0) chiSquare += Math.pow(count - expected, 2) / expected;
+        }));
+        
+        return chiSquare;
+    }
+    
+    /**
+     * How the rows of a test are resampled:
+     * - groups: independent groups of the categorical column (stratified bootstrap, label permutation)
+     * - pairs: long-format paired data where the i-th value of each group forms a pair
+     * - measures: one row per subject with the measurements in separate columns
+     * - rows: independent cases (associations and regression)
+     */
+    getDesign(test, data, catColumn, numColumn, testOptions) {
+        if (test.minMeasures || test.id === 'mcnemar') {
+            return {
+                type: 'measures',
+                units: data,
+                columns: test.minMeasures ? (testOptions.measures || []) : [catColumn, numColumn],
+                permutable: true
+            };
+        }
+        
+        if (test.id === 'paired-t-test' || test.id === 'wilcoxon-signed-rank') {
+            // Same pairing as the tests: by order within each of the first two groups
+            const validRows = data.filter(row => !isNaN(parseFloat(row[numColumn])));
+            const labels = [...new Set(validRows.map(row => row[catColumn]))].slice(0, 2);
+            const first = validRows.filter(row => row[catColumn] === labels[0]);
+            const second = validRows.filter(row => row[catColumn] === labels[1]);
+            const n = Math.min(first.length, second.length);
+            
+            return {
+                type: 'pairs',
+                units: first.slice(0, n).map((row, i) => ({ first: row, second: second[i] })),
+                column: numColumn,
+                permutable: true
+            };
+        }
+        
+        if (test.type === 'comparison' && !test.singleVariable) {
+            const strata = {};
+            data.forEach(row => {
+                const key = String(row[catColumn]);
+                if (!strata[key]) strata[key] = [];
+                strata[key].push(row);
+            });
+            
+            return {
+                type: 'groups',
+                units: data,
+                strata: Object.values(strata),
+                column: catColumn,
+                permutable: true
+            };
+        }
+        
+        return {
+            type: 'rows',
+            units: data,
+            // Permuting the outcome breaks its link with every other variable
+            column: test.type === 'prediction' && test.outcome !== 'binary' ? numColumn : catColumn,
+            permutable: !test.singleVariable
+        };
+    }
+    
+    /**
+     * Dataset handed to runTest for a list of units
+     */
+    assemble(design, units) {
+        if (design.type === 'pairs') {
+            return [...units.map(pair => pair.first), ...units.map(pair => pair.second)];
+        }
+        return units;
+    }
+    
+    /**
+     * Bootstrap sample: with replacement, within each group for group designs
+     */
+    resample(design, random) {
+        const draw = units => units.map(() => units[Math.floor(random() * units.length)]);
+        
+        if (design.type === 'groups') {
+            return design.strata.flatMap(draw);
+        }
+        return this.assemble(design, draw(design.units));
+    }
+    
+    /**
+     * Permutation sample under the null hypothesis of exchangeability
+     */
+    permute(design, random) {
+        switch (design.type) {
+            case 'pairs':
+                // Swap the two members of each pair with probability 1/2
+                return this.assemble(design, design.units.map(pair => (random() < 0.5
+                    ? pair
+                    : {
+                        first: { ...pair.first, [design.column]: pair.second[design.column] },
+                        second: { ...pair.second, [design.column]: pair.first[design.column] }
+                    })));
+                    
+            case 'measures':
+                // Shuffle the measurements within each subject
+                return design.units.map(row => {
+                    const values = this.shuffle(design.columns.map(column => row[column]), random);
+                    const permuted = { ...row };
+                    design.columns.forEach((column, j) => { permuted[column] = values[j]; });
+                    return permuted;
+                });
+                
+            default: {
+                // Shuffle one column across rows (group labels, or the outcome)
+                const values = this.shuffle(design.units.map(row => row[design.column]), random);
+                return design.units.map((row, i) => ({ ...row, [design.column]: values[i] }));
+            }
+        }
+    }
+    
+    /**
+     * Fisher-Yates shuffle of a copy
+     */
+    shuffle(values, random) {
+        const shuffled = [...values];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+    
+    async collectReplicates(count, generate, evaluate, control, phase) {
+        const values = [];
+        let failed = 0;
+        
+        for (let b = 0; b < count; b++) {
+            const value = await evaluate(generate(b));
+            if (value === null) {
+                failed++;
+            } else {
+                values.push(value);
+            }
+            
+            if ((b + 1) % this.progressInterval === 0 || b + 1 === count) {
+                await this.checkpoint(b + 1, count, phase, control);
+            }
+        }
+        
+        return { values, failed };
+    }
+    
+    /**
+     * Leave-one-out estimates for the BCa acceleration
+     */
+    async collectJackknife(design, evaluate, control) {
+        const n = design.units.length;
+        const values = [];
+        
+        for (let i = 0; i < n; i++) {
+            const value = await evaluate(this.assemble(design, design.units.filter((_, j) => j !== i)));
+            if (value !== null) values.push(value);
+            
+            if ((i + 1) % this.progressInterval === 0 || i + 1 === n) {
+                await this.checkpoint(i + 1, n, 'jackknife', control);
+            }
+        }
+        
+        return values;
+    }
+    
+    /**
+     * Report progress, then yield so that a cancel message can be received
+     */
+    async checkpoint(completed, total, phase, control) {
+        if (control.onProgress) {
+            control.onProgress(completed, total, phase);
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, 0));
+        
+        if (control.isCancelled && control.isCancelled()) {
+            const error = new Error('تم إلغاء إعادة المعاينة');
+            error.cancelled = true;
+            throw error;
+        }
+    }
+    
+    summarizeBootstrap(context, jackknife) {
+        const { test, settings, statistic, observed, replicates } = context;
+        const values = [...replicates.values].sort((a, b) => a - b);
+        const tail = (1 - settings.level) / 2;
+        const mean = Descriptive.mean(values);
+        const se = Descriptive.sampleStandardDeviation(values);
+        
+        const percentile = {
+            lower: this.tests.calculatePercentile(values, tail * 100),
+            upper: this.tests.calculatePercentile(values, (1 - tail) * 100)
+        };
+        const bca = this.calculateBcaInterval(values, observed, jackknife, settings.level);
+        const format = interval => `[${interval.lower.toFixed(4)}, ${interval.upper.toFixed(4)}]`;
+        
+        return {
+            test: 'Bootstrap',
+            targetTest: test.id,
+            method: 'bootstrap',
+            resampledStatistic: statistic,
+            statistics: {
+                resampledStatistic: statistic,
+                observedValue: observed.toFixed(4),
+                bootstrapMean: mean.toFixed(4),
+                bias: (mean - observed).toFixed(4),
+                bootstrapSE: se.toFixed(4),
+                confidenceLevel: settings.level,
+                percentileCI: format(percentile),
+                bcaCI: bca ? format(bca) : null,
+                biasCorrection: bca ? bca.z0.toFixed(4) : null,
+                acceleration: bca ? bca.acceleration.toFixed(4) : null,
+                replicates: values.length,
+                failedReplicates: replicates.failed,
+                seed: settings.seed
+            },
+            resamplingDistribution: this.buildHistogram(values, observed, bca || percentile),
+            interpretation: this.interpretBootstrap(statistic, observed, se, percentile, bca, settings, values.length),
+            recommendations: this.generateRecommendations(context, bca)
+        };
+    }
+    
+    /**
+     * Bias-corrected and accelerated interval (Efron, 1987):
+     * z₀ from the share of replicates below the estimate, a from the jackknife skewness
+     */
+    calculateBcaInterval(sortedValues, observed, jackknife, level) {
+        const b = sortedValues.length;
+        const below = sortedValues.filter(value => value < observed).length +
+            0.5 * sortedValues.filter(value => value === observed).length;
+            
+        if (below <= 0 || below >= b || jackknife.length < 3) return null;
+        
+        const z0 = Distributions.normal.inv(below / b, 0, 1);
+        const jackknifeMean = Descriptive.mean(jackknife);
+        const deviations = jackknife.map(value => jackknifeMean - value);
+        const squares = Descriptive.sum(deviations.map(d => d * d));
+        const acceleration = squares > 0
+            ? Descriptive.sum(deviations.map(d => d * d * d)) / (6 * Math.pow(squares, 1.5))
+            : 0;
+            
+        const adjust = quantile => {
+            const z = Distributions.normal.inv(quantile, 0, 1);
+            return Distributions.normal.cdf(z0 + (z0 + z) / (1 - acceleration * (z0 + z)), 0, 1);
+        };
+        const tail = (1 - level) / 2;
+        
+        return {
+            lower: this.tests.calculatePercentile(sortedValues, adjust(tail) * 100),
+            upper: this.tests.calculatePercentile(sortedValues, adjust(1 - tail) * 100),
+            z0: z0,
+            acceleration: acceleration
+        };
+    }
+    
+    summarizePermutation(context) {
+        const { test, settings, statistic, observed, centre, observedResults, replicates } = context;
+        const values = replicates.values;
+        
+        // Values within floating-point error of the observed one count as at least as extreme;
+        // the two-sided test compares distances from the null centre
+        const tolerance = 1e-7 * Math.max(1, Math.abs(observed));
+        const distance = Math.abs(observed - centre);
+        const extreme = values.filter(value => {
+            if (settings.alternative === 'greater') return value >= observed - tolerance;
+            if (settings.alternative === 'less') return value <= observed + tolerance;
+            return Math.abs(value - centre) >= distance - tolerance;
+        }).length;
+        
+        const pValue = (1 + extreme) / (1 + values.length);
+        const monteCarloError = Math.sqrt(pValue * (1 - pValue) / values.length);
+        const asymptoticPValue = observedResults.statistics.pValue !== undefined
+            ? observedResults.statistics.pValue
+            : null;
+            
+        return {
+            test: 'Permutation Test',
+            targetTest: test.id,
+            method: 'permutation',
+            resampledStatistic: statistic,
+            statistics: {
+                resampledStatistic: statistic,
+                observedValue: observed.toFixed(4),
+                permutationPValue: pValue.toFixed(4),
+                monteCarloError: monteCarloError.toFixed(4),
+                asymptoticPValue: asymptoticPValue,
+                alternative: this.describeAlternative(settings.alternative),
+                extremeCount: extreme,
+                replicates: values.length,
+                failedReplicates: replicates.failed,
+                seed: settings.seed
+            },
+            resamplingDistribution: this.buildHistogram(values, observed, null),
+            interpretation: this.interpretPermutation(statistic, observed, pValue, asymptoticPValue, values.length, settings),
+            recommendations: this.generateRecommendations(context, null, pValue)
+        };
+    }
+    
+    describeAlternative(alternative) {
+        if (alternative === 'greater') return 'أحادي (أكبر من المشاهدة)';
+        if (alternative === 'less') return 'أحادي (أصغر من المشاهدة)';
+        return 'ثنائي (القيمة المطلقة)';
+    }
+    
+    /**
+     * Histogram of the resampled statistic for the results chart
+     */
+    buildHistogram(values, observed, interval, bins = 30) {
+        const min = Math.min(...values, observed);
+        const max = Math.max(...values, observed);
+        const width = (max - min) / bins || 1;
+        const counts = new Array(bins).fill(0);
+        
+        values.forEach(value => {
+            counts[Math.min(Math.floor((value - min) / width), bins - 1)]++;
+        });
+        
+        return {
+            centers: counts.map((_, i) => min + (i + 0.5) * width),
+            counts: counts,
+            observed: observed,
+            interval: interval ? { lower: interval.lower, upper: interval.upper } : null
+        };
+    }
+    
+    interpretBootstrap(statistic, observed, se, percentile, bca, settings, count) {
+        const level = Math.round(settings.level * 100);
+        let text = `قُدّر توزيع الإحصائية ${statistic} من ${count} عينة bootstrap (البذرة ${settings.seed}). ` +
+            `القيمة المشاهدة ${observed.toFixed(3)} بخطأ معياري bootstrap قدره ${se.toFixed(3)}. ` +
+            `فترة الثقة المئينية ${level}% هي [${percentile.lower.toFixed(3)}, ${percentile.upper.toFixed(3)}]`;
+            
+        if (bca) {
+            text += `، وفترة BCa المصححة للتحيز والالتواء هي [${bca.lower.toFixed(3)}, ${bca.upper.toFixed(3)}]`;
+        }
+        
+        return text + '.';
+    }
+    
+    interpretPermutation(statistic, observed, pValue, asymptoticPValue, count, settings) {
+        let text = `من بين ${count} تبديلاً عشوائياً (البذرة ${settings.seed})، ` +
+            `بلغت قيمة p التبديلية للإحصائية ${statistic} = ${observed.toFixed(3)} ما قيمته ${pValue.toFixed(4)}، ` +
+            (pValue < 0.05 ? 'وهي دالة إحصائياً عند مستوى 0.05.' : 'وهي غير دالة إحصائياً عند مستوى 0.05.');
+            
+        if (asymptoticPValue !== null) {
+            text += ` قيمة p من التقريب المقارب للاختبار = ${asymptoticPValue}.`;
+        }
+        
+        return text;
+    }
+    
+    generateRecommendations(context, bca, pValue = null) {
+        const { settings, design, replicates } = context;
+        const recommendations = [];
+        
+        if (replicates.failed > 0) {
+            recommendations.push(`تعذر حساب الإحصائية في ${replicates.failed} عينة معاد سحبها واستُبعدت من النتائج.`);
+        }
+        
+        if (settings.method === 'bootstrap') {
+            if (!bca) {
+                recommendations.push('تعذر حساب فترة BCa (القيمة المشاهدة عند طرف توزيع bootstrap)؛ اعتمد الفترة المئينية بحذر.');
+            }
+            if (settings.replicates < 2000) {
+                recommendations.push('يُنصح بـ 2000 عينة bootstrap على الأقل لفترات الثقة، خاصة فترة BCa.');
+            }
+        } else if (pValue !== null && Math.abs(pValue - 0.05) < 3 * Math.sqrt(0.05 * 0.95 / replicates.values.length)) {
+            recommendations.push('قيمة p قريبة من 0.05 مقارنة بخطأ مونت كارلو؛ زد عدد التبديلات لتأكيد القرار.');
+        }
+        
+        if (settings.method === 'permutation' && context.test.id === 'factorial-anova') {
+            recommendations.push('يُبدَّل عمود العامل الأول فقط؛ اختر إحصائية تخص أثره الرئيسي.');
+        }
+        
+        if (design.type === 'pairs') {
+            recommendations.push('تُكوَّن الأزواج حسب ترتيب الصفوف داخل كل مجموعة، كما في الاختبار الأصلي.');
+        }
+        
+        recommendations.push(`أعد التحليل بالبذرة نفسها (${settings.seed}) للحصول على النتائج ذاتها.`);
+        
+        return recommendations;
+    }
+}
+
+export default ResamplingEngine;
@@ -0,0 +1,483 @@
+/**
+ * SPSS System File Reader
+ * Reads .sav files (uncompressed or bytecode-compressed) in the browser, keeping
+ * the variable labels, value labels, measurement levels and declared missing values.
+ * Strings longer than 255 bytes are read as their 255-byte segments.
+ */
+
+// SPSS print formats holding dates (seconds since 14 Oct 1582), and date-times
+const DATE_FORMATS = [20, 23, 24, 28, 29, 30, 38, 39];
+const DATETIME_FORMATS = [22];
+const SPSS_EPOCH_OFFSET = 12219379200; // seconds from 1582-10-14 to 1970-01-01
+
+const MEASURES = { 1: 'nominal', 2: 'ordinal', 3: 'scale' };
+
+// Windows code pages as labelled by TextDecoder
+const CODE_PAGES = {
+    65001: 'utf-8',
+    1256: 'windows-1256',
+    1252: 'windows-1252',
+    1251: 'windows-1251',
+    1250: 'windows-1250',
+    1254: 'windows-1254',
+    1255: 'windows-1255',
+    28591: 'iso-8859-1',
+    20127: 'utf-8'
+};
+
+class SavReader {
+    /**
+     * Parse a .sav file from an ArrayBuffer
+     * Returns { variables, rows, fileLabel } where each row is an array of raw values
+     * (numbers, strings, or null for system-missing)
+     */
+    read(buffer) {
+        this.view = new DataView(buffer);
+        this.bytes = new Uint8Array(buffer);
+        this.offset = 0;
+        
+        this.readHeader();
+        this.readDictionary();
+        this.applyExtensions();
+        
+        return {
+            fileLabel: this.decode(this.header.fileLabel).trim(),
+            variables: this.variables,
+            rows: this.readCases()
+        };
+    }
+    
+    readHeader() {
+        const signature = this.readText(4);
+        if (signature === '$FL3') {
+            throw new Error('ملفات SPSS المضغوطة بـ ZLIB (zsav) غير مدعومة؛ احفظ الملف بدون ضغط أو بالضغط العادي');
+        }
+        if (signature !== '$FL2') {
+            throw new Error('الملف ليس ملف بيانات SPSS صالحاً (sav)');
+        }
+        
+        this.offset = 64;
+        
+        // The layout code is 2 or 3 in the file's byte order
+        const layout = this.view.getInt32(this.offset, true);
+        this.littleEndian = layout === 2 || layout === 3;
+        this.offset += 4;
+        
+        this.header = {
+            caseSize: this.int32(),
+            compression: this.int32(),
+            weightIndex: this.int32(),
+            caseCount: this.int32(),
+            bias: this.float64()
+        };
+        
+        this.offset += 17;
+        this.header.fileLabel = this.readBytes(64);
+        this.offset += 3;
+        
+        if (this.header.compression === 2) {
+            throw new Error('ملفات SPSS المضغوطة بـ ZLIB غير مدعومة');
+        }
+    }
+    
+    readDictionary() {
+        this.slots = [];
+        this.variables = [];
+        this.extensions = {};
+        this.encoding = 'windows-1252';
+        this.sysmis = -Number.MAX_VALUE;
+        
+        for (;;) {
+            const recordType = this.int32();
+            
+            switch (recordType) {
+                case 2:
+                    this.readVariable();
+                    break;
+                    
+                case 3:
+                    this.readValueLabels();
+                    break;
+                    
+                case 6:
+                    // Documents: 80-byte lines that are not needed for the analysis
+                    this.offset += 80 * this.int32();
+                    break;
+                    
+                case 7:
+                    this.readExtension();
+                    break;
+                    
+                case 999:
+                    this.offset += 4;
+                    return;
+                    
+                default:
+                    throw new Error(`سجل غير معروف في ملف SPSS (${recordType})`);
+            }
+        }
+    }
+    
+    readVariable() {
+        const type = this.int32();
+        const hasLabel = this.int32();
+        const missingCount = this.int32();
+        const printFormat = this.int32();
+        this.offset += 4;
+        const shortName = this.readBytes(8);
+        
+        let label = null;
+        if (hasLabel === 1) {
+            const length = this.int32();
+            label = this.bytes.slice(this.offset, this.offset + length);
+            this.offset += Math.ceil(length / 4) * 4;
+        }
+        
+        // Up to three discrete values, or a range (-2) plus an optional value (-3)
+        const missing = [];
+        for (let i = 0; i < Math.abs(missingCount); i++) {
+            missing.push(type === 0 ? this.float64() : this.readBytes(8));
+        }
+        
+        // Continuation slots of long string variables
+        if (type === -1) {
+            this.slots.push(null);
+            return;
+        }
+        
+        const variable = {
+            index: this.variables.length,
+            slot: this.slots.length,
+            shortName: shortName,
+            type: type === 0 ? 'numeric' : 'string',
+            width: type,
+            rawLabel: label,
+            format: (printFormat >> 16) & 0xff,
+            decimals: printFormat & 0xff,
+            rawMissing: missing,
+            missingMode: missingCount,
+            rawValueLabels: []
+        };
+        
+        this.slots.push(variable);
+        this.variables.push(variable);
+    }
+    
+    readValueLabels() {
+        const count = this.int32();
+        const labels = [];
+        
+        for (let i = 0; i < count; i++) {
+            const value = this.readBytes(8);
+            const length = this.bytes[this.offset];
+            const label = this.bytes.slice(this.offset + 1, this.offset + 1 + length);
+            this.offset += Math.ceil((length + 1) / 8) * 8;
+            labels.push({ value, label });
+        }
+        
+        // The variable index record follows immediately (1-based slot numbers)
+        if (this.int32() !== 4) {
+            throw new Error('سجل تسميات القيم في ملف SPSS غير مكتمل');
+        }
+        
+        const variableCount = this.int32();
+        for (let i = 0; i < variableCount; i++) {
+            const variable = this.slots[this.int32() - 1];
+            if (variable) {
+                variable.rawValueLabels.push(...labels);
+            }
+        }
+    }
+    
+    readExtension() {
+        const subtype = this.int32();
+        const size = this.int32();
+        const count = this.int32();
+        const start = this.offset;
+        
+        this.extensions[subtype] = { start, size, count };
+        
+        switch (subtype) {
+            case 3: {
+                // Machine integer info: the eighth value is the character code
+                const codePage = this.view.getInt32(start + 28, this.littleEndian);
+                if (CODE_PAGES[codePage]) this.encoding = CODE_PAGES[codePage];
+                break;
+            }
+            
+            case 4:
+                this.sysmis = this.view.getFloat64(start, this.littleEndian);
+                break;
+                
+            case 20:
+                this.encoding = this.readText(size * count, start).trim().toLowerCase() || this.encoding;
+                break;
+                
+            default:
+                break;
+        }
+        
+        this.offset = start + size * count;
+    }
+    
+    /**
+     * Decode names, labels and missing values once the encoding is known
+     */
+    applyExtensions() {
+        this.variables.forEach(variable => {
+            variable.name = this.decode(variable.shortName).trim();
+            variable.label = variable.rawLabel ? this.decode(variable.rawLabel).trim() : '';
+            variable.measure = variable.type === 'string' ? 'nominal' : 'scale';
+            
+            variable.valueLabels = variable.rawValueLabels.map(({ value, label }) => ({
+                value: variable.type === 'numeric'
+                    ? new DataView(value.buffer).getFloat64(0, this.littleEndian)
+                    : this.decode(value).trimEnd(),
+                label: this.decode(label).trim()
+            }));
+            
+            variable.missingValues = this.describeMissing(variable);
+        });
+        
+        // Long variable names: SHORT=Long pairs separated by tabs
+        const longNames = this.extensions[13];
+        if (longNames) {
+            this.readText(longNames.size * longNames.count, longNames.start).split('\t').forEach(pair => {
+                const [shortName, longName] = pair.split('=');
+                const variable = this.variables.find(item => item.name === shortName);
+                if (variable && longName) variable.name = longName.trim();
+            });
+        }
+        
+        // Measurement level, display width and alignment for each variable
+        const display = this.extensions[11];
+        if (display && Number.isInteger(display.count / this.variables.length)) {
+            const fields = display.count / this.variables.length;
+            this.variables.forEach((variable, i) => {
+                const measure = this.view.getInt32(display.start + 4 * fields * i, this.littleEndian);
+                if (MEASURES[measure]) variable.measure = MEASURES[measure];
+            });
+        }
+    }
+    
+    /**
+     * Cell values for the data table: declared and system-missing values become empty
+     * cells, dates ISO strings, and nominal/ordinal codes that all carry a value label
+     * are replaced by their labels
+     */
+    toTable(file) {
+        const columns = file.variables.map((variable, i) => {
+            const labels = new Map(variable.valueLabels.map(item => [item.value, item.label]));
+            const observed = file.rows
+                .map(row => row[i])
+                .filter(value => value !== null && value !== '' && !this.isDeclaredMissing(variable, value));
+            
+            return {
+                variable: variable,
+                labels: labels,
+                useLabels: variable.measure !== 'scale' && labels.size > 0 &&
+                    observed.every(value => labels.has(value))
+            };
+        });
+        
+        const rows = file.rows.map(row => columns.map(({ variable, labels, useLabels }, i) => {
+            const value = row[i];
+            
+            if (value === null || value === '' || this.isDeclaredMissing(variable, value)) return '';
+            if (useLabels) return labels.get(value);
+            if (variable.type === 'numeric' && DATE_FORMATS.includes(variable.format)) {
+                return new Date((value - SPSS_EPOCH_OFFSET) * 1000).toISOString().slice(0, 10);
+            }
+            if (variable.type === 'numeric' && DATETIME_FORMATS.includes(variable.format)) {
+                return new Date((value - SPSS_EPOCH_OFFSET) * 1000).toISOString().slice(0, 19).replace('T', ' ');
+            }
+            return value;
+        }));
+        
+        const dictionary = {};
+        columns.forEach(({ variable, useLabels }) => {
+            dictionary[variable.name] = {
+                label: variable.label,
+                measure: variable.measure,
+                valueLabels: Object.fromEntries(variable.valueLabels.map(item => [item.value, item.label])),
+                missingValues: variable.missingValues,
+                labelsApplied: useLabels
+            };
+        });
+        
+        return {
+            headers: file.variables.map(variable => variable.name),
+            rows: rows,
+            dictionary: dictionary
+        };
+    }
+    
+    isDeclaredMissing(variable, value) {
+        const missing = variable.missingValues;
+        if (missing.values.includes(value)) return true;
+        
+        return missing.range !== null && value >= missing.range.low && value <= missing.range.high;
+    }
+    
+    describeMissing(variable) {
+        const values = variable.rawMissing.map(value =>
+            (variable.type === 'numeric' ? value : this.decode(value).trimEnd()));
+            
+        if (variable.missingMode === -2 || variable.missingMode === -3) {
+            return {
+                range: { low: values[0], high: values[1] },
+                values: variable.missingMode === -3 ? [values[2]] : []
+            };
+        }
+        
+        return { range: null, values: values };
+    }
+    
+    readCases() {
+        const rows = [];
+        const next = this.header.compression === 1 ? this.compressedSlots() : this.uncompressedSlots();
+        const caseLimit = this.header.caseCount >= 0 ? this.header.caseCount : Infinity;
+        
+        while (rows.length < caseLimit) {
+            const row = [];
+            let complete = true;
+            
+            for (let s = 0; s < this.slots.length; s++) {
+                const slot = next();
+                if (slot === undefined) {
+                    complete = false;
+                    break;
+                }
+                
+                const variable = this.slots[s];
+                if (!variable) {
+                    // Continuation of a long string: append to the variable it belongs to
+                    const owner = this.getSlotOwner(s);
+                    row[owner.index] += slot.text;
+                    continue;
+                }
+                
+                row[variable.index] = variable.type === 'numeric' ? slot.number : slot.text;
+            }
+            
+            if (!complete) break;
+            
+            rows.push(row.map((value, i) => {
+                const variable = this.variables[i];
+                if (variable.type === 'string') {
+                    return this.decode(value).slice(0, variable.width).trimEnd();
+                }
+                return value === null || value === this.sysmis ? null : value;
+            }));
+        }
+        
+        return rows;
+    }
+    
+    getSlotOwner(slot) {
+        let s = slot;
+        while (s > 0 && !this.slots[s]) s--;
+        return this.slots[s];
+    }
+    
+    /**
+     * Reader of the raw 8-byte slots; strings are kept as latin1 text until decoded
+     */
+    uncompressedSlots() {
+        return () => {
+            if (this.offset + 8 > this.bytes.length) return undefined;
+            
+            const slot = this.rawSlot(this.offset);
+            this.offset += 8;
+            return slot;
+        };
+    }
+    
+    /**
+     * Bytecode compression: blocks of eight command bytes, where 1-251 is the
+     * value minus the bias, 253 a raw slot that follows, 254 eight spaces,
+     * 255 system-missing, 0 padding and 252 the end of the data
+     */
+    compressedSlots() {
+        let commands = [];
+        
+        return () => {
+            for (;;) {
+                if (commands.length === 0) {
+                    if (this.offset + 8 > this.bytes.length) return undefined;
+                    commands = [...this.bytes.slice(this.offset, this.offset + 8)];
+                    this.offset += 8;
+                }
+                
+                const code = commands.shift();
+                
+                switch (code) {
+                    case 0:
+                        continue;
+                    case 252:
+                        commands = [];
+                        this.offset = this.bytes.length;
+                        return undefined;
+                    case 253: {
+                        if (this.offset + 8 > this.bytes.length) return undefined;
+                        const slot = this.rawSlot(this.offset);
+                        this.offset += 8;
+                        return slot;
+                    }
+                    case 254:
+                        return { number: null, text: '        ' };
+                    case 255:
+                        return { number: null, text: '' };
+                    default:
+                        return { number: code - this.header.bias, text: '' };
+                }
+            }
+        };
+    }
+    
+    rawSlot(offset) {
+        return {
+            number: this.view.getFloat64(offset, this.littleEndian),
+            text: String.fromCharCode(...this.bytes.subarray(offset, offset + 8))
+        };
+    }
+    
+    /**
+     * Bytes (or latin1 text holding bytes) to a string in the file's encoding
+     */
+    decode(value) {
+        const bytes = typeof value === 'string'
+            ? Uint8Array.from(value, char => char.charCodeAt(0))
+            : value;
+            
+        try {
+            return new TextDecoder(this.encoding).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('windows-1252').decode(bytes);
+        }
+    }
+    
+    int32() {
+        const value = this.view.getInt32(this.offset, this.littleEndian);
+        this.offset += 4;
+        return value;
+    }
+    
+    float64() {
+        const value = this.view.getFloat64(this.offset, this.littleEndian);
+        this.offset += 8;
+        return value;
+    }
+    
+    readBytes(length) {
+        const bytes = this.bytes.slice(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+    
+    readText(length, start = this.offset) {
+        return String.fromCharCode(...this.bytes.subarray(start, start + length));
+    }
+}
+
+export default SavReader;
@@ -0,0 +1,202 @@
+/**
+ * Analysis Session Module
+ * Versioned session files holding the data, its treatment, the wizard selections
+ * and the results, with a content hash; the latest session is autosaved in IndexedDB.
+ * Version 1 is the first session format: the earlier state snapshot (StateManager.toJSON)
+ * only held flags and counts, not the data, so there is nothing to upgrade and it is
+ * rejected with its own message
+ */
+
+const SESSION_FORMAT = 'statistics-session';
+const SESSION_VERSION = 1;
+
+const DATABASE_NAME = 'statistics-sessions';
+const STORE_NAME = 'sessions';
+const AUTOSAVE_KEY = 'autosave';
+
+class SessionManager {
+    constructor() {
+        this.database = null;
+    }
+    
+    /**
+     * Session of the current version for the given content
+     */
+    async create(content) {
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            savedAt: new Date().toISOString(),
+            hash: await this.hash(content),
+            content: content
+        };
+    }
+    
+    /**
+     * Session file text back to a verified session
+     */
+    async parse(text) {
+        let session;
+        try {
+            session = JSON.parse(text);
+        } catch (error) {
+            throw new Error('ملف الجلسة ليس بصيغة JSON صالحة');
+        }
+        
+        return this.open(session);
+    }
+    
+    /**
+     * Check the format, version and hash of a stored session
+     */
+    async open(session) {
+        if (session && session.format === undefined && 'hasData' in session && 'dataLength' in session) {
+            throw new Error('هذا الملف لقطة حالة من إصدار سابق لا تحتوي على البيانات، ولا يمكن فتحها كجلسة');
+        }
+        if (!session || session.format !== SESSION_FORMAT || !session.content || typeof session.content !== 'object') {
+            throw new Error('الملف ليس ملف جلسة تحليل');
+        }
+        
+        const version = parseInt(session.version, 10);
+        if (isNaN(version) || version < 1) {
+            throw new Error('إصدار ملف الجلسة غير صالح');
+        }
+        if (version !== SESSION_VERSION) {
+            throw new Error(`إصدار ملف الجلسة (${version}) غير مدعوم؛ يفتح التطبيق الإصدار ${SESSION_VERSION} فقط`);
+        }
+        
+        if (await this.hash(session.content) !== session.hash) {
+            throw new Error('بصمة ملف الجلسة غير مطابقة لمحتواه: الملف تالف أو معدَّل');
+        }
+        
+        return { ...session, version: version };
+    }
+    
+    /**
+     * SHA-256 of the canonical JSON of a value, as hex
+     */
+    async hash(value) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('المتصفح لا يدعم حساب بصمة الجلسة (SHA-256). الرجاء استخدام متصفح حديث.');
+        }
+        
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(this.canonicalize(value)));
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * JSON with sorted keys, so equal content always gives the same text (and hash)
+     */
+    canonicalize(value) {
+        if (value && typeof value.toJSON === 'function') {
+            return this.canonicalize(value.toJSON());
+        }
+        
+        if (Array.isArray(value)) {
+            return `[${value.map(item => item === undefined || typeof item === 'function'
+                ? 'null'
+                : this.canonicalize(item)).join(',')}]`;
+        }
+        
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value).sort()
+                .filter(key => value[key] !== undefined && typeof value[key] !== 'function');
+            return `{${keys.map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`).join(',')}}`;
+        }
+        
+        // NaN and Infinity become null, as they do in the saved file
+        return JSON.stringify(value);
+    }
+    
+    /**
+     * Whether two values have the same JSON content
+     */
+    equals(a, b) {
+        return this.canonicalize(a) === this.canonicalize(b);
+    }
+    
+    /**
+     * Rows as a column list and value arrays, which is much smaller than repeating the keys
+     */
+    encodeData(data) {
+        const columns = data.length > 0 ? Object.keys(data[0]) : [];
+        
+        return {
+            columns: columns,
+            rows: data.map(row => columns.map(column => row[column]))
+        };
+    }
+    
+    /**
+     * The column list and value arrays of a session, checked for shape only; the
+     * caller turns them into records through the import checks of DataValidator
+     */
+    decodeData(table) {
+        if (!table || !Array.isArray(table.columns) || !Array.isArray(table.rows)) {
+            throw new Error('ملف الجلسة لا يحتوي على بيانات صالحة');
+        }
+        
+        table.rows.forEach((values, i) => {
+            if (!Array.isArray(values) || values.length !== table.columns.length) {
+                throw new Error(`الصف ${i + 1} في ملف الجلسة لا يطابق عدد الأعمدة`);
+            }
+        });
+        
+        return { columns: table.columns, rows: table.rows };
+    }
+    
+    /**
+     * Keep the session as the autosave (one slot, replaced on every save)
+     */
+    autosave(session) {
+        return this.request('readwrite', store => store.put(session, AUTOSAVE_KEY));
+    }
+    
+    /**
+     * The autosaved session, verified, or null when there is none
+     */
+    async loadAutosave() {
+        const session = await this.request('readonly', store => store.get(AUTOSAVE_KEY));
+        return session ? this.open(session) : null;
+    }
+    
+    clearAutosave() {
+        return this.request('readwrite', store => store.delete(AUTOSAVE_KEY));
+    }
+    
+    openDatabase() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('المتصفح لا يدعم التخزين المحلي (IndexedDB)'));
+                    return;
+                }
+                
+                const request = indexedDB.open(DATABASE_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        
+        return this.database;
+    }
+    
+    /**
+     * One store request in its own transaction, resolved once the transaction completes
+     */
+    async request(mode, action) {
+        const database = await this.openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(STORE_NAME, mode);
+            const request = action(transaction.objectStore(STORE_NAME));
+            
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+export default SessionManager;
@@ -1,16 +1,25 @@
 /**
  * Statistical Tests Module
- * Implements various statistical tests using reliable libraries
+ * Implements various statistical tests on local distribution and descriptive helpers
+ * Shared by the main thread and the statistics Web Worker, so it must not touch the DOM
  */
 
-// Import statistical libraries
-import * as ss from 'https://cdn.jsdelivr.net/npm/simple-statistics@7.8.3/dist/simple-statistics.min.js';
-import * as jstat from 'https://cdn.jsdelivr.net/npm/jstat@1.9.6/dist/jstat.min.js';
+// Local modules: analyses run without any network access
+import Distributions, { SpecialFunctions } from './distributions.js';
+import Descriptive from './descriptive.js';
+import Matrix from './matrix.js';
 
 class StatisticalTests {
     constructor() {
         this.testsDatabase = this.initializeTestsDatabase();
         this.assumptionsCache = new Map();
+        
+        // Largest sample sizes for which exact permutation p-values are computed
+        this.exactLimits = {
+            mannWhitney: 50,
+            wilcoxon: 50,
+            spearman: 10
+        };
     }
     
     initializeTestsDatabase() {
@@ -88,6 +97,32 @@ class StatisticalTests {
                     'Howell, D. C. (2012). Statistical methods for psychology.'
                 ]
             },
+            {
+                id: 'factorial-anova',
+                name: 'تحليل التباين العاملي',
+                category: 'parametric',
+                type: 'comparison',
+                description: 'دراسة أثر عاملين أو أكثر وتفاعلاتهما على متغير كمي (مثل الجنس × المعالجة)',
+                conditions: [
+                    'بيانات كمية مستمرة',
+                    'عاملان فئويان مستقلان أو أكثر',
+                    'توزيع طبيعي في كل خلية',
+                    'تباينات متجانسة بين الخلايا',
+                    'لا توجد خلايا فارغة'
+                ],
+                assumptions: ['normality', 'homogeneity'],
+                minGroups: 2,
+                maxGroups: 100,
+                minFactors: 2,
+                minSampleSize: 4,
+                recommendedSampleSize: 40,
+                formula: 'F = MS_effect / MS_error (مجموع المربعات من النوع الثالث)',
+                icon: 'fas fa-th',
+                references: [
+                    'Maxwell, S. E., & Delaney, H. D. (2004). Designing experiments and analyzing data.',
+                    'Field, A. (2013). Discovering statistics using IBM SPSS Statistics.'
+                ]
+            },
             {
                 id: 'mann-whitney',
                 name: 'اختبار مان-ويتني',
@@ -192,6 +227,7 @@ class StatisticalTests {
                     'لا توجد خلايا بتوقعات صفرية'
                 ],
                 assumptions: ['expected_counts'],
+                measurement: 'nominal',
                 minGroups: 0,
                 maxGroups: 0,
                 minSampleSize: 20,
@@ -202,6 +238,79 @@ class StatisticalTests {
                     'Pearson, K. (1900). On the criterion that a given system of deviations from the probable in the case of a correlated system of variables is such that it can be reasonably supposed to have arisen from random sampling.'
                 ]
             },
+            {
+                id: 'fisher-exact',
+                name: 'اختبار فيشر الدقيق',
+                category: 'nonparametric',
+                type: 'association',
+                description: 'اختبار دقيق للعلاقة بين متغيرين فئويين، مناسب عندما تكون التكرارات المتوقعة صغيرة',
+                conditions: [
+                    'بيانات فئوية',
+                    'ملاحظات مستقلة',
+                    'مجاميع الصفوف والأعمدة ثابتة',
+                    'مناسب للعينات الصغيرة'
+                ],
+                assumptions: [],
+                measurement: 'nominal',
+                minGroups: 0,
+                maxGroups: 0,
+                minSampleSize: 2,
+                recommendedSampleSize: 10,
+                formula: 'P = Π(Rᵢ!) Π(Cⱼ!) / (N! Π(nᵢⱼ!))',
+                icon: 'fas fa-th-large',
+                references: [
+                    'Fisher, R. A. (1935). The logic of inductive inference. Journal of the Royal Statistical Society.',
+                    'Patefield, W. M. (1981). An efficient method of generating random R × C tables with given row and column totals. Applied Statistics.'
+                ]
+            },
+            {
+                id: 'chi-square-goodness-of-fit',
+                name: 'اختبار مربع كاي لجودة المطابقة',
+                category: 'nonparametric',
+                type: 'comparison',
+                description: 'مقارنة التكرارات الملاحظة لمتغير فئوي واحد بنسب متوقعة يحددها الباحث',
+                conditions: [
+                    'متغير فئوي واحد',
+                    'ملاحظات مستقلة',
+                    'توقعات > 5 في 80% من الفئات'
+                ],
+                assumptions: ['expected_counts'],
+                measurement: 'nominal',
+                singleVariable: true,
+                minGroups: 2,
+                maxGroups: 100,
+                minSampleSize: 10,
+                recommendedSampleSize: 50,
+                formula: 'χ² = Σ((O-E)²/E), E = N·pᵢ',
+                icon: 'fas fa-bullseye',
+                references: [
+                    'Pearson, K. (1900). On the criterion that a given system of deviations from the probable in the case of a correlated system of variables is such that it can be reasonably supposed to have arisen from random sampling.'
+                ]
+            },
+            {
+                id: 'mcnemar',
+                name: 'اختبار ماكنمار',
+                category: 'nonparametric',
+                type: 'comparison',
+                description: 'مقارنة نسب متغير فئوي لنفس الأفراد في قياسين (قبل/بعد)',
+                conditions: [
+                    'بيانات فئوية مترابطة (أزواج)',
+                    'عمودان بنفس الفئات',
+                    'أزواج مستقلة عن بعضها'
+                ],
+                assumptions: [],
+                measurement: 'nominal',
+                minGroups: 0,
+                maxGroups: 0,
+                minSampleSize: 10,
+                recommendedSampleSize: 30,
+                formula: 'χ² = (|b - c| - 1)² / (b + c)',
+                icon: 'fas fa-exchange-alt',
+                references: [
+                    'McNemar, Q. (1947). Note on the sampling error of the difference between correlated proportions or percentages. Psychometrika.',
+                    'Bowker, A. H. (1948). A test for symmetry in contingency tables. JASA.'
+                ]
+            },
             {
                 id: 'simple-linear-regression',
                 name: 'الانحدار الخطي البسيط',
@@ -228,6 +337,59 @@ class StatisticalTests {
                     'Draper, N. R., & Smith, H. (1998). Applied regression analysis.'
                 ]
             },
+            {
+                id: 'multiple-linear-regression',
+                name: 'الانحدار الخطي المتعدد',
+                category: 'parametric',
+                type: 'prediction',
+                description: 'التنبؤ بمتغير تابع كمي من عدة متغيرات مستقلة كمية أو فئوية (بترميز وهمي)',
+                conditions: [
+                    'متغير تابع كمي',
+                    'علاقة خطية',
+                    'استقلال الأخطاء',
+                    'توزيع طبيعي للأخطاء',
+                    'تجانس تباين الأخطاء',
+                    'عدم وجود تعدد خطي مرتفع'
+                ],
+                assumptions: ['normality', 'linearity', 'homoscedasticity', 'independence', 'multicollinearity'],
+                minGroups: 0,
+                maxGroups: 0,
+                minPredictors: 2,
+                minSampleSize: 10,
+                recommendedSampleSize: 50,
+                formula: 'Y = β₀ + β₁X₁ + β₂X₂ + ... + βₖXₖ + ε',
+                icon: 'fas fa-project-diagram',
+                references: [
+                    'Cohen, J., Cohen, P., West, S. G., & Aiken, L. S. (2003). Applied multiple regression/correlation analysis for the behavioral sciences.',
+                    'Cook, R. D. (1977). Detection of influential observation in linear regression. Technometrics.'
+                ]
+            },
+            {
+                id: 'logistic-regression',
+                name: 'الانحدار اللوجستي الثنائي',
+                category: 'regression',
+                type: 'prediction',
+                outcome: 'binary',
+                description: 'التنبؤ بمتغير تابع ثنائي (نعم/لا) من متغيرات مستقلة كمية أو فئوية',
+                conditions: [
+                    'متغير تابع ثنائي الفئة',
+                    'ملاحظات مستقلة',
+                    'علاقة خطية بين المتغيرات الكمية ولوغاريتم الأرجحية',
+                    'عدم وجود تعدد خطي مرتفع',
+                    '10 أحداث على الأقل لكل متغير مستقل'
+                ],
+                assumptions: ['independence', 'multicollinearity'],
+                minGroups: 2,
+                maxGroups: 2,
+                minSampleSize: 20,
+                recommendedSampleSize: 100,
+                formula: 'ln(p / (1 - p)) = β₀ + β₁X₁ + ... + βₖXₖ',
+                icon: 'fas fa-code-branch',
+                references: [
+                    'Hosmer, D. W., Lemeshow, S., & Sturdivant, R. X. (2013). Applied logistic regression.',
+                    'Nagelkerke, N. J. D. (1991). A note on a general definition of the coefficient of determination. Biometrika.'
+                ]
+            },
             {
                 id: 'wilcoxon-signed-rank',
                 name: 'اختبار ويلكوكسون للرتب الموقعة',
@@ -249,6 +411,56 @@ class StatisticalTests {
                 references: [
                     'Wilcoxon, F. (1945). Individual comparisons by ranking methods.'
                 ]
+            },
+            {
+                id: 'repeated-measures-anova',
+                name: 'تحليل التباين للقياسات المتكررة',
+                category: 'parametric',
+                type: 'comparison',
+                description: 'مقارنة متوسطات ثلاثة قياسات أو أكثر لنفس الأفراد (بيانات بصيغة عريضة: عمود لكل قياس)',
+                conditions: [
+                    'بيانات كمية مستمرة',
+                    'توزيع طبيعي تقريباً لكل قياس',
+                    'كروية مصفوفة الفروقات (تختبر بـ Mauchly)',
+                    'ثلاثة قياسات متكررة أو أكثر'
+                ],
+                assumptions: ['normality', 'sphericity'],
+                minGroups: 3,
+                maxGroups: 100,
+                minMeasures: 3,
+                minSampleSize: 3,
+                recommendedSampleSize: 20,
+                formula: 'F = MS_conditions / MS_error',
+                icon: 'fas fa-redo',
+                references: [
+                    'Mauchly, J. W. (1940). Significance test for sphericity of a normal n-variate distribution.',
+                    'Greenhouse, S. W., & Geisser, S. (1959). On methods in the analysis of profile data. Psychometrika.',
+                    'Huynh, H., & Feldt, L. S. (1976). Estimation of the Box correction for degrees of freedom. Journal of Educational Statistics.'
+                ]
+            },
+            {
+                id: 'friedman',
+                name: 'اختبار فريدمان',
+                category: 'nonparametric',
+                type: 'comparison',
+                description: 'بديل غير معلمي لتحليل التباين للقياسات المتكررة، يقارن رتب ثلاثة قياسات أو أكثر لنفس الأفراد',
+                conditions: [
+                    'بيانات ترتيبية أو كمية غير طبيعية',
+                    'ثلاثة قياسات متكررة أو أكثر',
+                    'أفراد مستقلون عن بعضهم'
+                ],
+                assumptions: [],
+                minGroups: 3,
+                maxGroups: 100,
+                minMeasures: 3,
+                minSampleSize: 3,
+                recommendedSampleSize: 15,
+                formula: 'χ²_F = 12 / (nk(k+1)) ΣR_j² − 3n(k+1)',
+                icon: 'fas fa-sort-amount-up',
+                references: [
+                    'Friedman, M. (1937). The use of ranks to avoid the assumption of normality. JASA.',
+                    'Kendall, M. G., & Babington Smith, B. (1939). The problem of m rankings. Annals of Mathematical Statistics.'
+                ]
             }
         ];
     }
@@ -288,12 +500,50 @@ class StatisticalTests {
             // Characteristics matching
             if (characteristics === 'continuous-normal' && test.category === 'parametric') score += 2;
             if (characteristics === 'continuous-nonnormal' && test.category === 'nonparametric') score += 2;
-            if (characteristics === 'categorical' && test.id === 'chi-square-independence') score += 2;
+            if (characteristics === 'categorical' && test.measurement === 'nominal') score += 2;
             if (characteristics === 'ordinal' && test.category === 'nonparametric') score += 2;
             
+            // Frequency tests (goodness of fit, cross-tabulations, McNemar) only suit a categorical variable
+            if (characteristics && characteristics !== 'categorical' && test.measurement === 'nominal') score -= 10;
+            
+            // Binary-outcome models only make sense for prediction designs
+            if (test.outcome === 'binary') {
+                if (design === 'prediction' && characteristics === 'categorical') score += 4;
+                if (design !== 'prediction') score -= 5;
+            }
+            
             // Sample type matching
             if (samples === 'independent' && test.id.includes('independent')) score += 2;
-            if (samples === 'paired' && (test.id.includes('paired') || test.id === 'wilcoxon-signed-rank')) score += 2;
+            if (samples === 'paired' && (test.id.includes('paired') || test.id === 'wilcoxon-signed-rank' || test.id === 'mcnemar' || test.minMeasures)) score += 2;
+            
+            // Factor count matching (factorial designs)
+            if (test.minFactors) {
+                const factorCount = dataInfo && dataInfo.factors ? dataInfo.factors.length : 1;
+                score += factorCount >= test.minFactors ? 3 : -10;
+            }
+            
+            // Predictor count matching (multiple-predictor models)
+            if (test.minPredictors) {
+                const predictorCount = dataInfo && dataInfo.predictors ? dataInfo.predictors.length : 0;
+                score += predictorCount >= test.minPredictors ? 3 : -10;
+            }
+            
+            // Measurement count matching (wide-format repeated measures)
+            if (test.minMeasures) {
+                const measureCount = dataInfo && dataInfo.measures ? dataInfo.measures.length : 0;
+                score += measureCount >= test.minMeasures ? 3 : -10;
+            }
+            
+            // Tests on a numeric outcome need a numeric column
+            const needsNumericColumn = !test.measurement && !test.minMeasures && test.outcome !== 'binary';
+            if (dataInfo && !dataInfo.valueColumn && needsNumericColumn) score -= 10;
+            
+            // Cross-tabulations need a second categorical variable, goodness of fit does not
+            if (dataInfo && test.measurement === 'nominal') {
+                const hasSecondVariable = Boolean(dataInfo.secondGroupColumn || dataInfo.valueColumn);
+                if (test.singleVariable && dataInfo.secondGroupColumn) score -= 3;
+                if (!test.singleVariable && !hasSecondVariable) score -= 10;
+            }
             
             // Group count matching
             if (groups === '2' && test.minGroups === 2 && test.maxGroups === 2) score += 2;
@@ -302,7 +552,8 @@ class StatisticalTests {
             
             // Data compatibility
             if (dataInfo) {
-                if (dataInfo.groups && dataInfo.values) {
+                // Wide-format tests take their "groups" from the measurement columns
+                if (dataInfo.groups && dataInfo.values && !test.minMeasures) {
                     const uniqueGroups = [...new Set(dataInfo.groups)];
                     
                     // Check group count compatibility
@@ -354,10 +605,13 @@ class StatisticalTests {
         }
         
         try {
-            // Normality test (Shapiro-Wilk)
+            // Normality tests (Shapiro-Wilk up to 5000 cases, Lilliefors at any size)
             if (checks.normality && values.length >= 3 && values.length <= 5000) {
                 results.normality = this.shapiroWilkTest(values);
             }
+            if (checks.normality) {
+                results.lilliefors = this.lillieforsTest(values);
+            }
             
             // Homogeneity of variance test (Levene's test)
             if (checks.homogeneity && groups && groups.length > 0) {
@@ -385,13 +639,14 @@ class StatisticalTests {
     
     /**
      * Shapiro-Wilk normality test
+     * W statistic and p-value follow Royston (1995), Algorithm AS R94
      */
     shapiroWilkTest(values) {
         try {
-            // Implementation of Shapiro-Wilk test
-            // Note: This is a simplified version. In production, use a proper library.
-            
-            const n = values.length;
+            const numericValues = values
+                .map(v => parseFloat(v))
+                .filter(v => !isNaN(v) && isFinite(v));
+            const n = numericValues.length;
             if (n < 3 || n > 5000) {
                 return {
                     test: 'Shapiro-Wilk',
@@ -404,34 +659,51 @@ class StatisticalTests {
             }
             
             // Sort values
-            const sorted = [...values].sort((a, b) => a - b);
+            const sorted = [...numericValues].sort((a, b) => a - b);
+            
+            // Sum of squared deviations from the mean
+            const mean = Descriptive.mean(sorted);
+            let denominator = 0;
+            for (let i = 0; i < n; i++) {
+                denominator += Math.pow(sorted[i] - mean, 2);
+            }
             
-            // Calculate mean
-            const mean = ss.mean(sorted);
+            if (denominator === 0 || sorted[n - 1] - sorted[0] < 1e-19) {
+                return {
+                    test: 'Shapiro-Wilk',
+                    statistic: null,
+                    pValue: null,
+                    result: 'غير قابل للتطبيق',
+                    passed: null,
+                    message: 'جميع القيم متساوية، لا يمكن فحص التوزيع الطبيعي'
+                };
+            }
             
-            // Calculate W statistic (simplified)
+            // W = (Σ aᵢ (x₍ₙ₊₁₋ᵢ₎ - x₍ᵢ₎))² / Σ(x - x̄)²
+            const coefficients = this.calculateShapiroWilkCoefficients(n);
             let numerator = 0;
-            for (let i = 0; i < n; i++) {
-                numerator += Math.pow(sorted[i] - mean, 2);
+            for (let i = 0; i < coefficients.length; i++) {
+                numerator += coefficients[i] * (sorted[n - 1 - i] - sorted[i]);
             }
             
-            // This is a simplified approximation
-            const W = 0.9; // Placeholder
+            const W = Math.min(Math.pow(numerator, 2) / denominator, 1);
             
-            // Calculate p-value using approximation
+            // Calculate p-value using Royston's normalizing transformation
             const pValue = this.calculateShapiroWilkPValue(W, n);
             
             const passed = pValue > 0.05;
             
             return {
                 test: 'Shapiro-Wilk',
+                statisticName: 'W',
                 statistic: W.toFixed(4),
                 pValue: pValue.toFixed(4),
+                n: n,
                 result: passed ? 'طبيعي' : 'غير طبيعي',
                 passed: passed,
                 message: passed 
-                    ? 'البيانات موزعة توزيعاً طبيعياً (p > 0.05)'
-                    : 'البيانات غير موزعة توزيعاً طبيعياً (p ≤ 0.05)'
+                    ? `البيانات موزعة توزيعاً طبيعياً (W = ${W.toFixed(4)}, p = ${pValue.toFixed(4)})`
+                    : `البيانات غير موزعة توزيعاً طبيعياً (W = ${W.toFixed(4)}, p = ${pValue.toFixed(4)})`
             };
             
         } catch (error) {
@@ -446,15 +718,197 @@ class StatisticalTests {
         }
     }
     
+    /**
+     * Shapiro-Wilk coefficients a₁..a₍ₙ/₂₎ (Royston, 1992/1995)
+     * Returned for the lower half only; the upper half is antisymmetric.
+     */
+    calculateShapiroWilkCoefficients(n) {
+        const half = Math.floor(n / 2);
+        
+        if (n === 3) {
+            return [Math.SQRT1_2];
+        }
+        
+        const c1 = [0, 0.221157, -0.147981, -2.07119, 4.434685, -2.706056];
+        const c2 = [0, 0.042981, -0.293762, -1.752461, 5.682633, -3.582633];
+        
+        // Expected values of normal order statistics (Blom-type approximation)
+        const m = [];
+        let sumM2 = 0;
+        for (let i = 1; i <= half; i++) {
+            const mi = Distributions.normal.inv((i - 0.375) / (n + 0.25), 0, 1);
+            m.push(mi);
+            sumM2 += mi * mi;
+        }
+        sumM2 *= 2;
+        
+        const sqrtSumM2 = Math.sqrt(sumM2);
+        const rsn = 1 / Math.sqrt(n);
+        const a1 = this.evaluatePolynomial(c1, rsn) - m[0] / sqrtSumM2;
+        
+        const a = new Array(half);
+        let firstScaled;
+        let factor;
+        
+        if (n > 5) {
+            firstScaled = 2;
+            const a2 = -m[1] / sqrtSumM2 + this.evaluatePolynomial(c2, rsn);
+            factor = Math.sqrt(
+                (sumM2 - 2 * m[0] * m[0] - 2 * m[1] * m[1]) /
+                (1 - 2 * a1 * a1 - 2 * a2 * a2)
+            );
+            a[1] = a2;
+        } else {
+            firstScaled = 1;
+            factor = Math.sqrt((sumM2 - 2 * m[0] * m[0]) / (1 - 2 * a1 * a1));
+        }
+        
+        a[0] = a1;
+        for (let i = firstScaled; i < half; i++) {
+            a[i] = -m[i] / factor;
+        }
+        
+        return a;
+    }
+    
+    /**
+     * Shapiro-Wilk p-value (Royston, 1995)
+     * Exact for n = 3, normal approximation of log(1 - W) otherwise
+     */
     calculateShapiroWilkPValue(W, n) {
-        // Simplified p-value calculation
-        // In production, use proper statistical tables or library
-        if (W > 0.95) return 0.9;
-        if (W > 0.9) return 0.5;
-        if (W > 0.85) return 0.1;
-        if (W > 0.8) return 0.05;
-        if (W > 0.75) return 0.01;
-        return 0.001;
+        if (n === 3) {
+            const pValue = (6 / Math.PI) * (Math.asin(Math.sqrt(W)) - Math.PI / 3);
+            return Math.min(Math.max(pValue, 0), 1);
+        }
+        
+        if (W >= 1) return 1;
+        
+        let y = Math.log(1 - W);
+        let mu, sigma;
+        
+        if (n <= 11) {
+            const gamma = this.evaluatePolynomial([-2.273, 0.459], n);
+            if (y >= gamma) return 1e-99;
+            
+            y = -Math.log(gamma - y);
+            mu = this.evaluatePolynomial([0.544, -0.39978, 0.025054, -6.714e-4], n);
+            sigma = Math.exp(this.evaluatePolynomial([1.3822, -0.77857, 0.062767, -0.0020322], n));
+        } else {
+            const logN = Math.log(n);
+            mu = this.evaluatePolynomial([-1.5861, -0.31082, -0.083751, 0.0038915], logN);
+            sigma = Math.exp(this.evaluatePolynomial([-0.4803, -0.082676, 0.0030302], logN));
+        }
+        
+        const pValue = 1 - Distributions.normal.cdf(y, mu, sigma);
+        return Math.min(Math.max(pValue, 0), 1);
+    }
+    
+    /**
+     * Kolmogorov-Smirnov normality test with the Lilliefors correction for a mean
+     * and SD estimated from the sample; p-value from Dallal & Wilkinson (1986)
+     * as in R's nortest::lillie.test
+     */
+    lillieforsTest(values) {
+        try {
+            const sorted = values
+                .map(v => parseFloat(v))
+                .filter(v => !isNaN(v) && isFinite(v))
+                .sort((a, b) => a - b);
+            const n = sorted.length;
+            if (n < 5) {
+                return {
+                    test: 'Kolmogorov-Smirnov (Lilliefors)',
+                    statistic: null,
+                    pValue: null,
+                    result: 'غير قابل للتطبيق',
+                    passed: null,
+                    message: `حجم العينة غير مناسب للاختبار (${n})`
+                };
+            }
+            
+            const mean = Descriptive.mean(sorted);
+            const sd = Descriptive.sampleStandardDeviation(sorted);
+            if (sd === 0) {
+                return {
+                    test: 'Kolmogorov-Smirnov (Lilliefors)',
+                    statistic: null,
+                    pValue: null,
+                    result: 'غير قابل للتطبيق',
+                    passed: null,
+                    message: 'جميع القيم متساوية، لا يمكن فحص التوزيع الطبيعي'
+                };
+            }
+            
+            // D = max |Fₙ(x) - Φ((x - x̄) / s)| over both sides of each step
+            let D = 0;
+            sorted.forEach((value, i) => {
+                const p = Distributions.normal.cdf(value, mean, sd);
+                D = Math.max(D, (i + 1) / n - p, p - i / n);
+            });
+            
+            const pValue = this.calculateLillieforsPValue(D, n);
+            const passed = pValue > 0.05;
+            
+            return {
+                test: 'Kolmogorov-Smirnov (Lilliefors)',
+                statisticName: 'D',
+                statistic: D.toFixed(4),
+                pValue: pValue.toFixed(4),
+                n: n,
+                result: passed ? 'طبيعي' : 'غير طبيعي',
+                passed: passed,
+                message: passed
+                    ? `البيانات موزعة توزيعاً طبيعياً (D = ${D.toFixed(4)}, p = ${pValue.toFixed(4)})`
+                    : `البيانات غير موزعة توزيعاً طبيعياً (D = ${D.toFixed(4)}, p = ${pValue.toFixed(4)})`
+            };
+            
+        } catch (error) {
+            return {
+                test: 'Kolmogorov-Smirnov (Lilliefors)',
+                statistic: null,
+                pValue: null,
+                result: 'فشل',
+                passed: null,
+                message: `خطأ في الحساب: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Lilliefors p-value: Dallal-Wilkinson approximation below .10, Stephens'
+     * modified statistic above
+     */
+    calculateLillieforsPValue(D, n) {
+        const Kd = n <= 100 ? D : D * Math.pow(n / 100, 0.49);
+        const nd = Math.min(n, 100);
+        let pValue = Math.exp(-7.01256 * Kd * Kd * (nd + 2.78019) + 2.99587 * Kd * Math.sqrt(nd + 2.78019) -
+            0.122119 + 0.974598 / Math.sqrt(nd) + 1.67997 / nd);
+            
+        if (pValue > 0.1) {
+            const KK = (Math.sqrt(n) - 0.01 + 0.85 / Math.sqrt(n)) * D;
+            if (KK <= 0.302) {
+                pValue = 1;
+            } else if (KK <= 0.5) {
+                pValue = this.evaluatePolynomial([2.76773, -19.828315, 80.709644, -138.55152, 81.218052], KK);
+            } else if (KK <= 0.9) {
+                pValue = this.evaluatePolynomial([-4.901232, 40.662806, -97.490286, 94.029866, -32.355711], KK);
+            } else if (KK <= 1.31) {
+                pValue = this.evaluatePolynomial([6.198765, -19.558097, 23.186922, -12.234627, 2.423045], KK);
+            } else {
+                pValue = 0;
+            }
+        }
+        
+        return Math.min(Math.max(pValue, 0), 1);
+    }
+    
+    evaluatePolynomial(coefficients, x) {
+        // c₀ + c₁x + c₂x² + ...
+        let result = 0;
+        for (let i = coefficients.length - 1; i >= 0; i--) {
+            result = result * x + coefficients[i];
+        }
+        return result;
     }
     
     /**
@@ -475,11 +929,13 @@ class StatisticalTests {
                 };
             }
             
+            values = values.map(v => parseFloat(v));
+            
             // Calculate group means
             const groupMeans = {};
             uniqueGroups.forEach(group => {
                 const groupValues = values.filter((_, i) => groups[i] === group);
-                groupMeans[group] = ss.mean(groupValues);
+                groupMeans[group] = Descriptive.mean(groupValues);
             });
             
             // Calculate absolute deviations from group means
@@ -495,6 +951,7 @@ class StatisticalTests {
             
             return {
                 test: 'Levene',
+                statisticName: 'F',
                 statistic: anovaResult.statistic.toFixed(4),
                 pValue: anovaResult.pValue.toFixed(4),
                 result: passed ? 'متجانس' : 'غير متجانس',
@@ -516,6 +973,42 @@ class StatisticalTests {
         }
     }
     
+    /**
+     * One-way F statistic used by Levene's test
+     */
+    oneWayANOVA(values, groups) {
+        const uniqueGroups = [...new Set(groups)];
+        const n = values.length;
+        const k = uniqueGroups.length;
+        const overallMean = Descriptive.mean(values);
+        
+        let ssBetween = 0;
+        let ssWithin = 0;
+        
+        uniqueGroups.forEach(group => {
+            const groupValues = values.filter((_, i) => groups[i] === group);
+            const groupMean = Descriptive.mean(groupValues);
+            ssBetween += groupValues.length * Math.pow(groupMean - overallMean, 2);
+            groupValues.forEach(value => {
+                ssWithin += Math.pow(value - groupMean, 2);
+            });
+        });
+        
+        const df1 = k - 1;
+        const df2 = n - k;
+        
+        if (df1 < 1 || df2 < 1) {
+            throw new Error('درجات الحرية غير كافية');
+        }
+        
+        const statistic = ssWithin === 0
+            ? (ssBetween === 0 ? 0 : Infinity)
+            : (ssBetween / df1) / (ssWithin / df2);
+        const pValue = isFinite(statistic) ? 1 - Distributions.centralF.cdf(statistic, df1, df2) : 0;
+        
+        return { statistic, pValue, df1, df2 };
+    }
+    
     /**
      * Detect outliers using IQR method
      */
@@ -575,7 +1068,7 @@ class StatisticalTests {
     /**
      * Run statistical test
      */
-    async runTest(testId, data, categoricalColumn, numericalColumn) {
+    async runTest(testId, data, categoricalColumn, numericalColumn, options = {}) {
         try {
             // Validate data
             const validation = this.validateDataForTest(testId, data, categoricalColumn, numericalColumn);
@@ -583,9 +1076,10 @@ class StatisticalTests {
                 throw new Error(validation.errors.join(', '));
             }
             
-            // Extract data
-            const groups = data.map(row => row[categoricalColumn]);
-            const values = data.map(row => parseFloat(row[numericalColumn]));
+            // Extract data, dropping rows without a numeric value
+            const validRows = data.filter(row => !isNaN(parseFloat(row[numericalColumn])));
+            const groups = validRows.map(row => row[categoricalColumn]);
+            const values = validRows.map(row => parseFloat(row[numericalColumn]));
             
             // Run specific test
             switch(testId) {
@@ -598,11 +1092,23 @@ class StatisticalTests {
                 case 'one-way-anova':
                     return this.runOneWayANOVA(values, groups);
                     
+                case 'factorial-anova': {
+                    const factors = [...new Set([categoricalColumn, ...(options.factors || [])])];
+                    const factorRows = validRows.filter(row => factors.every(factor =>
+                        row[factor] !== '' && row[factor] !== null && row[factor] !== undefined
+                    ));
+                    return this.runFactorialANOVA(
+                        factorRows.map(row => parseFloat(row[numericalColumn])),
+                        factors.map(factor => factorRows.map(row => String(row[factor]))),
+                        factors
+                    );
+                }
+                    
                 case 'mann-whitney':
-                    return this.runMannWhitneyTest(values, groups);
+                    return this.runMannWhitneyTest(values, groups, options);
                     
                 case 'kruskal-wallis':
-                    return this.runKruskalWallisTest(values, groups);
+                    return this.runKruskalWallisTest(values, groups, options);
                     
                 case 'pearson-correlation':
                     return this.runPearsonCorrelation(values, groups);
@@ -611,20 +1117,56 @@ class StatisticalTests {
                     return this.runSpearmanCorrelation(values, groups);
                     
                 case 'chi-square-independence':
-                    return this.runChiSquareTest(data, categoricalColumn, numericalColumn);
+                    return this.runChiSquareTest(data, categoricalColumn, numericalColumn, options);
+                    
+                case 'fisher-exact':
+                    return this.runFisherExactTest(data, categoricalColumn, numericalColumn, options);
+                    
+                case 'chi-square-goodness-of-fit':
+                    return this.runChiSquareGoodnessOfFit(data, categoricalColumn, options.expectedProportions);
+                    
+                case 'mcnemar':
+                    return this.runMcNemarTest(data, categoricalColumn, numericalColumn);
                     
                 case 'simple-linear-regression':
                     return this.runSimpleLinearRegression(values, groups);
                     
+                case 'logistic-regression': {
+                    // The categorical column is the outcome here, never a predictor
+                    const predictors = (options.predictors || []).filter(column => column !== categoricalColumn);
+                    return this.runLogisticRegression(
+                        data,
+                        predictors.length > 0 ? predictors : [numericalColumn],
+                        categoricalColumn,
+                        options.eventLevel
+                    );
+                }
+                    
+                case 'multiple-linear-regression':
+                    return this.runMultipleLinearRegression(
+                        data,
+                        options.predictors && options.predictors.length > 0 ? options.predictors : [categoricalColumn],
+                        numericalColumn
+                    );
+                    
                 case 'wilcoxon-signed-rank':
-                    return this.runWilcoxonSignedRankTest(values, groups);
+                    return this.runWilcoxonSignedRankTest(values, groups, options);
+                    
+                case 'repeated-measures-anova':
+                    return this.runRepeatedMeasuresANOVA(data, options.measures || []);
+                    
+                case 'friedman':
+                    return this.runFriedmanTest(data, options.measures || [], options);
                     
                 default:
                     throw new Error(`الاختبار غير معروف: ${testId}`);
             }
             
         } catch (error) {
-            console.error(`Error running test ${testId}:`, error);
+            // Resampling passes silent, since its failed replicates are expected and counted
+            if (!options.silent) {
+                console.error(`Error running test ${testId}:`, error);
+            }
             throw new Error(`فشل تشغيل الاختبار: ${error.message}`);
         }
     }
@@ -648,14 +1190,51 @@ class StatisticalTests {
             return { valid: false, errors, warnings };
         }
         
+        // Wide-format tests read the measurement columns from the options instead
+        if (test.minMeasures) {
+            return { valid: true, errors, warnings };
+        }
+        
         // Check columns exist
         const columns = Object.keys(data[0]);
         if (!columns.includes(categoricalColumn) && test.minGroups > 0) {
             errors.push(`العمود الفئوي "${categoricalColumn}" غير موجود`);
         }
         
-        if (!columns.includes(numericalColumn)) {
-            errors.push(`العمود العددي "${numericalColumn}" غير موجود`);
+        // Nominal tests count category pairs; the second column need not be numeric
+        if (test.measurement === 'nominal') {
+            const variables = test.singleVariable ? [categoricalColumn] : [categoricalColumn, numericalColumn];
+            variables.forEach(variable => {
+                if (!variable || !columns.includes(variable)) {
+                    errors.push(`العمود "${variable || ''}" غير موجود`);
+                }
+            });
+            
+            if (errors.length === 0) {
+                const completeRows = data.filter(row => variables.every(variable => !this.isMissingValue(row[variable])));
+                if (completeRows.length < test.minSampleSize) {
+                    errors.push(`حجم العينة صغير جداً (${completeRows.length} < ${test.minSampleSize})`);
+                }
+            }
+            
+            return { valid: errors.length === 0, errors, warnings };
+        }
+        
+        // Binary-outcome models take their predictors from the options instead
+        if (test.outcome === 'binary') {
+            const outcomeLevels = new Set(data
+                .map(row => row[categoricalColumn])
+                .filter(value => value !== '' && value !== null && value !== undefined));
+            
+            if (errors.length === 0 && outcomeLevels.size !== 2) {
+                errors.push(`المتغير التابع يجب أن يحتوي على فئتين بالضبط (يحتوي على ${outcomeLevels.size})`);
+            }
+            
+            return { valid: errors.length === 0, errors, warnings };
+        }
+        
+        if (!columns.includes(numericalColumn)) {
+            errors.push(`العمود العددي "${numericalColumn}" غير موجود`);
         }
         
         if (errors.length > 0) {
@@ -742,33 +1321,38 @@ class StatisticalTests {
         const group2Values = values.filter((_, i) => groups[i] === uniqueGroups[1]);
         
         // Calculate statistics
-        const mean1 = ss.mean(group1Values);
-        const mean2 = ss.mean(group2Values);
-        const std1 = ss.standardDeviation(group1Values);
-        const std2 = ss.standardDeviation(group2Values);
+        const mean1 = Descriptive.mean(group1Values);
+        const mean2 = Descriptive.mean(group2Values);
+        const std1 = Descriptive.sampleStandardDeviation(group1Values);
+        const std2 = Descriptive.sampleStandardDeviation(group2Values);
         const n1 = group1Values.length;
         const n2 = group2Values.length;
+        const meanDifference = mean1 - mean2;
         
         // Pooled standard deviation
         const pooledStd = Math.sqrt(((n1 - 1) * std1 * std1 + (n2 - 1) * std2 * std2) / (n1 + n2 - 2));
         
-        // t-statistic
-        const t = (mean1 - mean2) / (pooledStd * Math.sqrt(1/n1 + 1/n2));
-        
-        // Degrees of freedom
-        const df = n1 + n2 - 2;
-        
-        // p-value (two-tailed)
-        const pValue = 2 * (1 - jStat.studentt.cdf(Math.abs(t), df));
+        // Student's t (pooled variance) and Welch's t (Satterthwaite degrees of freedom)
+        const student = this.calculateTTestVariant(
+            meanDifference,
+            pooledStd * Math.sqrt(1/n1 + 1/n2),
+            n1 + n2 - 2
+        );
+        const welch = this.calculateTTestVariant(
+            meanDifference,
+            Math.sqrt(std1 * std1 / n1 + std2 * std2 / n2),
+            this.calculateWelchDf([std1 * std1, std2 * std2], [n1, n2])
+        );
         
-        // Effect size (Cohen's d)
-        const d = (mean1 - mean2) / pooledStd;
+        // Use Welch's test when Levene's test rejects equal variances
+        const levene = this.leveneTest(values, groups);
+        const variant = levene.passed === false ? 'welch' : 'student';
+        const selected = variant === 'welch' ? welch : student;
+        const { t, df, pValue, ciLower, ciUpper } = selected;
         
-        // Confidence interval
-        const se = pooledStd * Math.sqrt(1/n1 + 1/n2);
-        const tCritical = jStat.studentt.inv(0.975, df);
-        const ciLower = (mean1 - mean2) - tCritical * se;
-        const ciUpper = (mean1 - mean2) + tCritical * se;
+        // Effect size (Cohen's d) with its noncentral t interval
+        const d = meanDifference / pooledStd;
+        const dInterval = this.calculateCohensDInterval(d, Math.sqrt(1 / n1 + 1 / n2), n1 + n2 - 2);
         
         // Calculate power
         const power = this.calculatePower(t, df, 0.05, 'two-tailed');
@@ -778,17 +1362,31 @@ class StatisticalTests {
             groups: uniqueGroups,
             statistics: {
                 t: t.toFixed(4),
-                df: df,
+                df: variant === 'welch' ? df.toFixed(2) : df,
                 pValue: pValue.toFixed(4),
+                variant: variant === 'welch' ? 'Welch' : 'Student',
                 mean1: mean1.toFixed(4),
                 mean2: mean2.toFixed(4),
                 std1: std1.toFixed(4),
                 std2: std2.toFixed(4),
                 n1: n1,
-                n2: n2
+                n2: n2,
+                cohensD: d.toFixed(4),
+                cohensDCI: this.formatInterval(dInterval)
+            },
+            variants: {
+                selected: variant,
+                reason: this.describeVariantChoice(levene, variant === 'welch' ? 'Welch' : 'Student'),
+                levene: { statistic: levene.statistic, pValue: levene.pValue },
+                columns: ['t', 'df', 'pValue', 'meanDifference', 'standardError', 'ciLower', 'ciUpper'],
+                rows: [
+                    { id: 'student', name: 'تباينات متساوية مفترضة (Student)', values: this.formatTTestVariant(student, meanDifference) },
+                    { id: 'welch', name: 'تباينات غير متساوية (Welch)', values: this.formatTTestVariant(welch, meanDifference) }
+                ]
             },
             effectSize: {
                 cohensD: d.toFixed(4),
+                ci: this.formatEffectSizeInterval(dInterval),
                 interpretation: this.interpretCohensD(d)
             },
             confidenceInterval: {
@@ -836,8 +1434,8 @@ class StatisticalTests {
         }
         
         // Calculate statistics on differences
-        const meanDiff = ss.mean(differences);
-        const stdDiff = ss.standardDeviation(differences);
+        const meanDiff = Descriptive.mean(differences);
+        const stdDiff = Descriptive.sampleStandardDeviation(differences);
         const seDiff = stdDiff / Math.sqrt(n);
         
         // t-statistic
@@ -845,13 +1443,14 @@ class StatisticalTests {
         const df = n - 1;
         
         // p-value (two-tailed)
-        const pValue = 2 * (1 - jStat.studentt.cdf(Math.abs(t), df));
+        const pValue = 2 * (1 - Distributions.studentt.cdf(Math.abs(t), df));
         
-        // Effect size
+        // Effect size (d_z) with its noncentral t interval
         const d = meanDiff / stdDiff;
+        const dInterval = this.calculateCohensDInterval(d, 1 / Math.sqrt(n), df);
         
         // Confidence interval
-        const tCritical = jStat.studentt.inv(0.975, df);
+        const tCritical = Distributions.studentt.inv(0.975, df);
         const ciLower = meanDiff - tCritical * seDiff;
         const ciUpper = meanDiff + tCritical * seDiff;
         
@@ -863,10 +1462,13 @@ class StatisticalTests {
                 pValue: pValue.toFixed(4),
                 meanDifference: meanDiff.toFixed(4),
                 stdDifference: stdDiff.toFixed(4),
-                nPairs: n
+                nPairs: n,
+                cohensD: d.toFixed(4),
+                cohensDCI: this.formatInterval(dInterval)
             },
             effectSize: {
                 cohensD: d.toFixed(4),
+                ci: this.formatEffectSizeInterval(dInterval),
                 interpretation: this.interpretCohensD(d)
             },
             confidenceInterval: {
@@ -895,14 +1497,14 @@ class StatisticalTests {
             const groupValues = values.filter((_, i) => groups[i] === group);
             groupStats[group] = {
                 n: groupValues.length,
-                mean: ss.mean(groupValues),
-                std: ss.standardDeviation(groupValues),
+                mean: Descriptive.mean(groupValues),
+                std: groupValues.length > 1 ? Descriptive.sampleStandardDeviation(groupValues) : 0,
                 values: groupValues
             };
         });
         
         // Calculate overall mean
-        const overallMean = ss.mean(values);
+        const overallMean = Descriptive.mean(values);
         
         // Calculate Sum of Squares
         let ssBetween = 0;
@@ -936,11 +1538,27 @@ class StatisticalTests {
         const f = msBetween / msWithin;
         
         // p-value
-        const pValue = 1 - jStat.centralF.cdf(f, dfBetween, dfWithin);
+        const classicPValue = 1 - Distributions.centralF.cdf(f, dfBetween, dfWithin);
+        
+        // Robust variants for unequal variances
+        const summaries = uniqueGroups.map(group => ({
+            n: groupStats[group].n,
+            mean: groupStats[group].mean,
+            variance: Math.pow(groupStats[group].std, 2)
+        }));
+        const canUseRobust = summaries.every(summary => summary.n > 1 && summary.variance > 0);
+        const welch = canUseRobust ? this.runWelchANOVA(summaries) : null;
+        const brownForsythe = canUseRobust ? this.runBrownForsytheANOVA(summaries) : null;
+        
+        // Welch's ANOVA replaces the classic F when Levene's test rejects equal variances
+        const levene = this.leveneTest(values, groups);
+        const variant = levene.passed === false && welch ? 'welch' : 'classic';
+        const pValue = variant === 'welch' ? welch.pValue : classicPValue;
         
         // Effect size (Eta squared)
         const etaSquared = ssBetween / ssTotal;
         const omegaSquared = (ssBetween - (dfBetween * msWithin)) / (ssTotal + msWithin);
+        const etaSquaredInterval = this.calculateEtaSquaredInterval(f, dfBetween, dfWithin);
         
         // Post-hoc power
         const power = this.calculateAnovaPower(f, dfBetween, dfWithin, uniqueGroups.length);
@@ -960,18 +1578,33 @@ class StatisticalTests {
                 ])
             ),
             statistics: {
-                f: f.toFixed(4),
+                f: (variant === 'welch' ? welch.statistic : f).toFixed(4),
                 dfBetween: dfBetween,
-                dfWithin: dfWithin,
+                dfWithin: variant === 'welch' ? welch.df2.toFixed(2) : dfWithin,
                 pValue: pValue.toFixed(4),
+                variant: variant === 'welch' ? 'Welch' : 'Fisher (ANOVA)',
                 ssBetween: ssBetween.toFixed(4),
                 ssWithin: ssWithin.toFixed(4),
                 ssTotal: ssTotal.toFixed(4),
                 msBetween: msBetween.toFixed(4),
-                msWithin: msWithin.toFixed(4)
+                msWithin: msWithin.toFixed(4),
+                etaSquared: etaSquared.toFixed(4),
+                etaSquaredCI: this.formatInterval(etaSquaredInterval)
+            },
+            variants: {
+                selected: variant,
+                reason: this.describeVariantChoice(levene, variant === 'welch' ? 'Welch' : 'Fisher (ANOVA)'),
+                levene: { statistic: levene.statistic, pValue: levene.pValue },
+                columns: ['f', 'df1', 'df2', 'pValue'],
+                rows: [
+                    { id: 'classic', name: 'تحليل التباين التقليدي (Fisher)', values: this.formatFVariant({ statistic: f, df1: dfBetween, df2: dfWithin, pValue: classicPValue }) },
+                    { id: 'welch', name: 'Welch', values: this.formatFVariant(welch) },
+                    { id: 'brown-forsythe', name: 'Brown-Forsythe', values: this.formatFVariant(brownForsythe) }
+                ]
             },
             effectSize: {
                 etaSquared: etaSquared.toFixed(4),
+                ci: this.formatEffectSizeInterval(etaSquaredInterval),
                 omegaSquared: omegaSquared.toFixed(4),
                 interpretation: this.interpretEtaSquared(etaSquared)
             },
@@ -981,14 +1614,200 @@ class StatisticalTests {
             },
             interpretation: this.interpretAnovaResult(pValue, uniqueGroups.length),
             recommendations: this.generateAnovaRecommendations(pValue, values.length, uniqueGroups.length),
-            postHocRequired: pValue < 0.05
+            postHocRequired: pValue < 0.05,
+            postHoc: pValue < 0.05
+                ? this.runAnovaPostHoc(groupStats, msWithin, dfWithin, levene.passed !== false)
+                : null
+        };
+    }
+    
+    /**
+     * Factorial ANOVA with Type III sums of squares
+     * Effect-coded design; each effect is tested by comparing the full model
+     * with the model that drops that effect's columns
+     */
+    runFactorialANOVA(values, factorValues, factorNames) {
+        if (factorNames.length < 2) {
+            throw new Error('يحتاج تحليل التباين العاملي إلى عاملين على الأقل');
+        }
+        
+        const n = values.length;
+        const levels = factorValues.map(column => [...new Set(column)]);
+        
+        levels.forEach((factorLevels, f) => {
+            if (factorLevels.length < 2) {
+                throw new Error(`العامل "${factorNames[f]}" يحتوي على مستوى واحد فقط`);
+            }
+        });
+        
+        // Cell descriptives; every combination of levels must be observed. The key is the
+        // JSON of the level tuple, so level names containing any separator cannot collide
+        const cellKeys = values.map((_, i) => JSON.stringify(factorValues.map(column => column[i])));
+        const cellCount = levels.reduce((product, factorLevels) => product * factorLevels.length, 1);
+        const cells = {};
+        cellKeys.forEach((key, i) => {
+            if (!cells[key]) {
+                cells[key] = { levels: factorValues.map(column => column[i]), values: [] };
+            }
+            cells[key].values.push(values[i]);
+        });
+        
+        if (Object.keys(cells).length < cellCount) {
+            throw new Error('توجد خلايا فارغة في التصميم (بعض توليفات المستويات بلا ملاحظات)، لا يمكن حساب مجموع المربعات من النوع الثالث');
+        }
+        
+        if (n <= cellCount) {
+            throw new Error('عدد الملاحظات غير كافٍ لتقدير تباين الخطأ (يلزم أكثر من ملاحظة في بعض الخلايا)');
+        }
+        
+        // Effect (sum-to-zero) coding for each factor
+        const codings = factorValues.map((column, f) => {
+            const last = levels[f].length - 1;
+            return column.map(level => {
+                const index = levels[f].indexOf(level);
+                return Array.from({ length: last }, (_, l) => (index === l ? 1 : index === last ? -1 : 0));
+            });
+        });
+        
+        // All main effects and interactions, ordered by order of the term
+        const terms = [];
+        for (let mask = 1; mask < (1 << factorNames.length); mask++) {
+            terms.push(factorNames.map((_, f) => f).filter(f => mask & (1 << f)));
+        }
+        terms.sort((a, b) => a.length - b.length || a[0] - b[0]);
+        
+        const termColumns = terms.map(term => values.map((_, i) =>
+            term.reduce((products, f) => {
+                const next = [];
+                products.forEach(product => codings[f][i].forEach(code => next.push(product * code)));
+                return next;
+            }, [1])
+        ));
+        
+        const buildDesign = (excludedTerm) => values.map((_, i) => [
+            1,
+            ...termColumns.flatMap((columns, t) => (t === excludedTerm ? [] : columns[i]))
+        ]);
+        
+        const fullModel = Matrix.leastSquares(buildDesign(-1), values);
+        const parameterCount = 1 + termColumns.reduce((sum, columns) => sum + columns[0].length, 0);
+        const dfError = n - parameterCount;
+        const ssError = fullModel.sse;
+        const msError = ssError / dfError;
+        
+        const grandMean = Descriptive.mean(values);
+        const ssTotal = Descriptive.sum(values.map(value => Math.pow(value - grandMean, 2)));
+        
+        const effects = terms.map((term, t) => {
+            const reducedModel = Matrix.leastSquares(buildDesign(t), values);
+            const ss = Math.max(reducedModel.sse - ssError, 0);
+            const df = termColumns[t][0].length;
+            const ms = ss / df;
+            const f = ms / msError;
+            const pValue = 1 - Distributions.centralF.cdf(f, df, dfError);
+            
+            return {
+                source: term.map(index => factorNames[index]).join(' × '),
+                order: term.length,
+                ss: ss,
+                df: df,
+                dfError: dfError,
+                ms: ms,
+                f: f,
+                pValue: pValue,
+                partialEtaSquared: ss / (ss + ssError),
+                partialEtaSquaredInterval: this.calculateEtaSquaredInterval(f, df, dfError)
+            };
+        });
+        
+        const rSquared = 1 - ssError / ssTotal;
+        const adjustedRSquared = 1 - (1 - rSquared) * (n - 1) / dfError;
+        
+        // Homogeneity of variance across cells
+        const levene = this.leveneTest(values, cellKeys);
+        
+        return {
+            test: 'Factorial ANOVA',
+            factors: factorNames,
+            levels: Object.fromEntries(factorNames.map((name, f) => [name, levels[f]])),
+            statistics: {
+                n: n,
+                cells: cellCount,
+                dfError: dfError,
+                msError: msError.toFixed(4),
+                rSquared: rSquared.toFixed(4),
+                adjustedRSquared: adjustedRSquared.toFixed(4)
+            },
+            anovaTable: {
+                sumOfSquaresType: 'III',
+                rows: effects.map(effect => ({
+                    source: effect.source,
+                    ss: effect.ss.toFixed(4),
+                    df: effect.df,
+                    ms: effect.ms.toFixed(4),
+                    f: effect.f.toFixed(4),
+                    pValue: effect.pValue.toFixed(4),
+                    partialEtaSquared: effect.partialEtaSquared.toFixed(4),
+                    partialEtaSquaredCI: this.formatInterval(effect.partialEtaSquaredInterval),
+                    significant: effect.pValue < 0.05
+                })),
+                error: { ss: ssError.toFixed(4), df: dfError, ms: msError.toFixed(4) },
+                total: { ss: ssTotal.toFixed(4), df: n - 1 }
+            },
+            effectSize: Object.fromEntries(effects.map(effect => [
+                effect.source,
+                {
+                    partialEtaSquared: effect.partialEtaSquared.toFixed(4),
+                    ci: this.formatEffectSizeInterval(effect.partialEtaSquaredInterval),
+                    interpretation: this.interpretEtaSquared(effect.partialEtaSquared)
+                }
+            ])),
+            cellStats: Object.values(cells).map(cell => ({
+                levels: cell.levels,
+                n: cell.values.length,
+                mean: Descriptive.mean(cell.values).toFixed(4),
+                std: cell.values.length > 1
+                    ? Descriptive.sampleStandardDeviation(cell.values).toFixed(4)
+                    : null
+            })),
+            interactionPlot: this.buildInteractionPlot(values, factorValues, factorNames, levels),
+            assumptions: [{
+                name: 'تجانس التباين بين الخلايا',
+                result: levene.result,
+                passed: levene.passed,
+                details: levene.message
+            }],
+            interpretation: this.interpretFactorialAnovaResult(effects),
+            recommendations: this.generateFactorialAnovaRecommendations(effects, cells, levene)
+        };
+    }
+    
+    /**
+     * Cell means of the first factor (x axis) traced by the second factor,
+     * averaged over any further factors
+     */
+    buildInteractionPlot(values, factorValues, factorNames, levels) {
+        const [xLevels, traceLevels] = levels;
+        const means = traceLevels.map(traceLevel => xLevels.map(xLevel => {
+            const cellValues = values.filter((_, i) =>
+                factorValues[0][i] === xLevel && factorValues[1][i] === traceLevel
+            );
+            return cellValues.length > 0 ? parseFloat(Descriptive.mean(cellValues).toFixed(4)) : null;
+        }));
+        
+        return {
+            xFactor: factorNames[0],
+            traceFactor: factorNames[1],
+            xLevels: xLevels,
+            traceLevels: traceLevels,
+            means: means
         };
     }
     
     /**
      * Mann-Whitney U test
      */
-    runMannWhitneyTest(values, groups) {
+    runMannWhitneyTest(values, groups, options = {}) {
         const uniqueGroups = [...new Set(groups)];
         
         if (uniqueGroups.length !== 2) {
@@ -1051,46 +1870,58 @@ class StatisticalTests {
         const u2 = r2 - (n2 * (n2 + 1)) / 2;
         const u = Math.min(u1, u2);
         
-        // For large samples, use normal approximation
-        let z, pValue;
-        
-        if (n1 > 20 || n2 > 20) {
-            const meanU = (n1 * n2) / 2;
-            const stdU = Math.sqrt((n1 * n2 * (n1 + n2 + 1)) / 12);
-            
-            // Adjust for ties
-            const tieCorrection = this.calculateTieCorrection(allValues);
-            if (tieCorrection > 0) {
-                const correctedStdU = stdU * Math.sqrt(1 - tieCorrection);
-                z = (u - meanU) / correctedStdU;
-            } else {
-                z = (u - meanU) / stdU;
-            }
-            
-            pValue = 2 * (1 - jStat.normal.cdf(Math.abs(z), 0, 1));
+        // Normal approximation with tie and continuity corrections
+        const meanU = (n1 * n2) / 2;
+        const tieCorrection = this.calculateTieCorrection(allValues);
+        const stdU = Math.sqrt((n1 * n2 * (n1 + n2 + 1)) / 12 * (1 - tieCorrection));
+        const z = stdU > 0
+            ? Math.sign(u - meanU) * Math.max(Math.abs(u - meanU) - 0.5, 0) / stdU
+            : 0;
+        
+        let pValue, method;
+        
+        if (n1 + n2 <= this.exactLimits.mannWhitney) {
+            // Exact permutation distribution of the rank sum (conditional on ties)
+            pValue = this.calculateExactMannWhitneyPValue(
+                allValues.map(item => item.rank),
+                n1,
+                r1
+            );
+            method = 'exact';
         } else {
-            // For small samples, use exact distribution
-            // Note: In production, use exact tables or library
-            pValue = this.estimateMannWhitneyPValue(u, n1, n2);
+            pValue = 2 * (1 - Distributions.normal.cdf(Math.abs(z), 0, 1));
+            method = 'normal';
         }
         
-        // Effect size (r)
+        // Effect size (r); no closed-form interval, so it is bootstrapped within groups.
+        // The replicates keep their sign in the observed direction, so the interval can reach 0
         const r = Math.abs(z) / Math.sqrt(n1 + n2);
+        const direction = Math.sign(u1 - meanU) || 1;
+        const rInterval = this.calculateBootstrapInterval(
+            [group1Values, group2Values],
+            ([sample1, sample2]) => direction * this.calculateMannWhitneyEffect(sample1, sample2),
+            options
+        );
         
         return {
             test: 'Mann-Whitney U Test',
             groups: uniqueGroups,
             statistics: {
                 u: u.toFixed(4),
-                z: z ? z.toFixed(4) : null,
+                z: z.toFixed(4),
                 pValue: pValue.toFixed(4),
+                method: this.describePValueMethod(method),
                 r1: r1.toFixed(4),
                 r2: r2.toFixed(4),
                 n1: n1,
-                n2: n2
+                n2: n2,
+                effectSizeR: r.toFixed(4),
+                effectSizeRCI: this.formatInterval(rInterval)
             },
+            pValueMethod: method,
             effectSize: {
                 r: r.toFixed(4),
+                ci: this.formatEffectSizeInterval(rInterval),
                 interpretation: this.interpretEffectSizeR(r)
             },
             interpretation: this.interpretMannWhitneyResult(pValue, uniqueGroups[0], uniqueGroups[1]),
@@ -1101,7 +1932,7 @@ class StatisticalTests {
     /**
      * Kruskal-Wallis test
      */
-    runKruskalWallisTest(values, groups) {
+    runKruskalWallisTest(values, groups, options = {}) {
         const uniqueGroups = [...new Set(groups)];
         
         if (uniqueGroups.length < 3) {
@@ -1153,7 +1984,7 @@ class StatisticalTests {
         uniqueGroups.forEach(group => {
             const groupRanksList = groupRanks[group];
             const n = groupRanksList.length;
-            const sumRanks = ss.sum(groupRanksList);
+            const sumRanks = Descriptive.sum(groupRanksList);
             
             groupStats[group] = {
                 n: n,
@@ -1183,10 +2014,15 @@ class StatisticalTests {
         const df = uniqueGroups.length - 1;
         
         // p-value (chi-square approximation)
-        const pValue = 1 - jStat.chisquare.cdf(h, df);
+        const pValue = 1 - Distributions.chisquare.cdf(h, df);
         
-        // Effect size (epsilon squared)
+        // Effect size (epsilon squared), bootstrapped within groups
         const epsilonSquared = (h - df) / (totalN - 1);
+        const epsilonSquaredInterval = this.calculateBootstrapInterval(
+            uniqueGroups.map(group => values.filter((_, i) => groups[i] === group)),
+            samples => this.calculateKruskalWallisEffect(samples),
+            options
+        );
         
         return {
             test: 'Kruskal-Wallis H Test',
@@ -1206,15 +2042,21 @@ class StatisticalTests {
                 df: df,
                 pValue: pValue.toFixed(4),
                 n: totalN,
-                tieCorrection: tieCorrection.toFixed(4)
+                tieCorrection: tieCorrection.toFixed(4),
+                epsilonSquared: epsilonSquared.toFixed(4),
+                epsilonSquaredCI: this.formatInterval(epsilonSquaredInterval)
             },
             effectSize: {
                 epsilonSquared: epsilonSquared.toFixed(4),
+                ci: this.formatEffectSizeInterval(epsilonSquaredInterval),
                 interpretation: this.interpretEpsilonSquared(epsilonSquared)
             },
             interpretation: this.interpretKruskalWallisResult(pValue, uniqueGroups.length),
             recommendations: this.generateKruskalWallisRecommendations(pValue, totalN),
-            postHocRequired: pValue < 0.05
+            postHocRequired: pValue < 0.05,
+            postHoc: pValue < 0.05
+                ? this.runDunnTest(groupStats, totalN, this.calculateTieSum(values))
+                : null
         };
     }
     
@@ -1231,7 +2073,7 @@ class StatisticalTests {
         const numericGroups = groups.map(g => parseFloat(g));
         
         // Calculate correlation
-        const r = ss.sampleCorrelation(values, numericGroups);
+        const r = Descriptive.sampleCorrelation(values, numericGroups);
         
         // Check if correlation can be calculated
         if (isNaN(r) || !isFinite(r)) {
@@ -1246,18 +2088,12 @@ class StatisticalTests {
         const df = n - 2;
         
         // p-value (two-tailed)
-        const pValue = 2 * (1 - jStat.studentt.cdf(Math.abs(t), df));
+        const pValue = 2 * (1 - Distributions.studentt.cdf(Math.abs(t), df));
         
-        // Confidence interval
-        const fisherZ = 0.5 * Math.log((1 + r) / (1 - r));
-        const seZ = 1 / Math.sqrt(n - 3);
-        const zCritical = jStat.normal.inv(0.975, 0, 1);
-        
-        const ciLowerZ = fisherZ - zCritical * seZ;
-        const ciUpperZ = fisherZ + zCritical * seZ;
-        
-        const ciLower = (Math.exp(2 * ciLowerZ) - 1) / (Math.exp(2 * ciLowerZ) + 1);
-        const ciUpper = (Math.exp(2 * ciUpperZ) - 1) / (Math.exp(2 * ciUpperZ) + 1);
+        // Confidence interval (Fisher z)
+        const rInterval = this.calculateCorrelationInterval(r, n);
+        const ciLower = rInterval.lower;
+        const ciUpper = rInterval.upper;
         
         // Coefficient of determination
         const rSquared = r * r;
@@ -1269,6 +2105,7 @@ class StatisticalTests {
             test: 'Pearson Correlation',
             statistics: {
                 r: r.toFixed(4),
+                rCI: this.formatInterval(rInterval),
                 rSquared: rSquared.toFixed(4),
                 t: t.toFixed(4),
                 df: df,
@@ -1280,6 +2117,8 @@ class StatisticalTests {
                 upper: ciUpper.toFixed(4)
             },
             effectSize: {
+                r: r.toFixed(4),
+                ci: this.formatEffectSizeInterval(rInterval),
                 interpretation: this.interpretCorrelation(r)
             },
             power: {
@@ -1321,31 +2160,41 @@ class StatisticalTests {
             rho = 1 - (6 * sumDSquared) / (n * (n * n - 1));
         } else {
             // With ties, use Pearson correlation on ranks
-            rho = ss.sampleCorrelation(ranks1, ranks2);
+            rho = Descriptive.sampleCorrelation(ranks1, ranks2);
         }
         
-        // Significance test
-        let t, pValue;
-        if (n > 10) {
-            // t-test approximation
-            t = rho * Math.sqrt((n - 2) / (1 - rho * rho));
-            const df = n - 2;
-            pValue = 2 * (1 - jStat.studentt.cdf(Math.abs(t), df));
+        // Normal approximation with continuity correction (one step of Σd² is 6/(n³-n) in ρ)
+        const correctedRho = Math.sign(rho) * Math.max(Math.abs(rho) - 6 / (n * (n * n - 1)), 0);
+        const z = correctedRho * Math.sqrt(n - 1);
+        
+        let pValue, method;
+        if (n <= this.exactLimits.spearman) {
+            // Exact permutation distribution over all n! pairings
+            pValue = this.calculateExactSpearmanPValue(ranks1, ranks2);
+            method = 'exact';
         } else {
-            // For small samples, use exact distribution
-            // Note: In production, use exact tables
-            pValue = this.estimateSpearmanPValue(rho, n);
+            pValue = 2 * (1 - Distributions.normal.cdf(Math.abs(z), 0, 1));
+            method = 'normal';
         }
         
+        // Fisher z interval with the Bonett-Wright variance for rank correlations
+        const rhoInterval = n > 3 ? this.calculateCorrelationInterval(rho, n, 0.95, 1 + rho * rho / 2) : null;
+        
         return {
             test: 'Spearman Rank Correlation',
             statistics: {
                 rho: rho.toFixed(4),
+                rhoCI: this.formatInterval(rhoInterval),
+                z: z.toFixed(4),
                 pValue: pValue.toFixed(4),
+                method: this.describePValueMethod(method),
                 n: n,
                 sumDSquared: sumDSquared.toFixed(4)
             },
+            pValueMethod: method,
             effectSize: {
+                rho: rho.toFixed(4),
+                ci: this.formatEffectSizeInterval(rhoInterval),
                 interpretation: this.interpretCorrelation(rho)
             },
             interpretation: this.interpretSpearmanResult(rho, pValue),
@@ -1356,38 +2205,12 @@ class StatisticalTests {
     /**
      * Chi-square test for independence
      */
-    runChiSquareTest(data, var1, var2) {
+    runChiSquareTest(data, var1, var2, options = {}) {
         // Create contingency table
-        const categories1 = [...new Set(data.map(row => row[var1]))];
-        const categories2 = [...new Set(data.map(row => row[var2]))];
-        
-        // Initialize observed matrix
-        const observed = Array(categories1.length)
-            .fill(0)
-            .map(() => Array(categories2.length).fill(0));
-        
-        // Fill observed matrix
-        data.forEach(row => {
-            const i = categories1.indexOf(row[var1]);
-            const j = categories2.indexOf(row[var2]);
-            
-            if (i >= 0 && j >= 0) {
-                observed[i][j]++;
-            }
-        });
-        
-        // Calculate row and column totals
-        const rowTotals = observed.map(row => ss.sum(row));
-        const colTotals = [];
-        for (let j = 0; j < categories2.length; j++) {
-            let sum = 0;
-            for (let i = 0; i < categories1.length; i++) {
-                sum += observed[i][j];
-            }
-            colTotals[j] = sum;
-        }
-        
-        const total = ss.sum(rowTotals);
+        const table = this.buildContingencyTable(data, var1, var2);
+        const categories1 = table.rows;
+        const categories2 = table.columns;
+        const { observed, rowTotals, colTotals, total } = table;
         
         // Calculate expected matrix
         const expected = observed.map((row, i) =>
@@ -1411,7 +2234,7 @@ class StatisticalTests {
         const df = (categories1.length - 1) * (categories2.length - 1);
         
         // p-value
-        const pValue = 1 - jStat.chisquare.cdf(chiSquare, df);
+        const pValue = 1 - Distributions.chisquare.cdf(chiSquare, df);
         
         // Check assumptions
         const assumptionCheck = this.checkChiSquareAssumptions(observed, expected);
@@ -1419,6 +2242,33 @@ class StatisticalTests {
         // Effect size (Cramer's V)
         const minDim = Math.min(categories1.length, categories2.length);
         const cramersV = Math.sqrt(chiSquare / (total * (minDim - 1)));
+        const cramersVInterval = this.calculateChiSquareEffectInterval(chiSquare, df, total * (minDim - 1));
+        cramersVInterval.upper = Math.min(cramersVInterval.upper, 1);
+        
+        // Low expected counts: report Fisher's exact test next to Pearson's chi-square
+        let exact = null;
+        let variants;
+        if (!assumptionCheck.allPassed) {
+            exact = this.calculateFisherExact(observed, options);
+            variants = {
+                title: 'مربع كاي مقابل اختبار فيشر الدقيق:',
+                selected: 'fisher',
+                reason: 'التكرارات المتوقعة صغيرة في أكثر من 20% من الخلايا، لذا يُعتمد اختبار فيشر الدقيق بدلاً من تقريب مربع كاي.',
+                columns: ['chiSquare', 'df', 'pValue', 'method'],
+                rows: [
+                    {
+                        id: 'pearson',
+                        name: 'مربع كاي (بيرسون)',
+                        values: { chiSquare: chiSquare.toFixed(4), df: df, pValue: pValue.toFixed(4), method: 'تقريب χ²' }
+                    },
+                    {
+                        id: 'fisher',
+                        name: 'فيشر الدقيق',
+                        values: { chiSquare: null, df: null, pValue: exact.pValue.toFixed(4), method: exact.method }
+                    }
+                ]
+            };
+        }
         
         return {
             test: 'Chi-Square Test of Independence',
@@ -1432,10 +2282,15 @@ class StatisticalTests {
                 chiSquare: chiSquare.toFixed(4),
                 df: df,
                 pValue: pValue.toFixed(4),
-                n: total
+                exactPValue: exact ? exact.pValue.toFixed(4) : null,
+                n: total,
+                cramersV: cramersV.toFixed(4),
+                cramersVCI: this.formatInterval(cramersVInterval)
             },
+            variants: variants,
             effectSize: {
                 cramersV: cramersV.toFixed(4),
+                ci: this.formatEffectSizeInterval(cramersVInterval),
                 interpretation: this.interpretCramersV(cramersV)
             },
             assumptions: assumptionCheck,
@@ -1444,6 +2299,391 @@ class StatisticalTests {
         };
     }
     
+    isMissingValue(value) {
+        return value === '' || value === null || value === undefined;
+    }
+    
+    /**
+     * Cross-tabulate two categorical columns, skipping rows with a missing value
+     */
+    buildContingencyTable(data, var1, var2) {
+        const rows = data.filter(row => !this.isMissingValue(row[var1]) && !this.isMissingValue(row[var2]));
+        const sortLevels = levels => levels.sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+        const categories1 = sortLevels([...new Set(rows.map(row => row[var1]))]);
+        const categories2 = sortLevels([...new Set(rows.map(row => row[var2]))]);
+        
+        const observed = categories1.map(() => new Array(categories2.length).fill(0));
+        rows.forEach(row => {
+            observed[categories1.indexOf(row[var1])][categories2.indexOf(row[var2])]++;
+        });
+        
+        const rowTotals = observed.map(row => Descriptive.sum(row));
+        const colTotals = categories2.map((_, j) => Descriptive.sum(observed.map(row => row[j])));
+        
+        return {
+            rows: categories1,
+            columns: categories2,
+            observed: observed,
+            rowTotals: rowTotals,
+            colTotals: colTotals,
+            total: Descriptive.sum(rowTotals)
+        };
+    }
+    
+    /**
+     * Fisher's exact test
+     */
+    runFisherExactTest(data, var1, var2, options = {}) {
+        const table = this.buildContingencyTable(data, var1, var2);
+        
+        if (table.rows.length < 2 || table.columns.length < 2) {
+            throw new Error('يحتاج اختبار فيشر إلى فئتين على الأقل في كل متغير');
+        }
+        
+        const exact = this.calculateFisherExact(table.observed, options);
+        const is2x2 = table.rows.length === 2 && table.columns.length === 2;
+        
+        const statistics = {
+            pValue: exact.pValue.toFixed(4),
+            method: exact.method,
+            n: table.total
+        };
+        
+        // Sample odds ratio for 2×2 tables (undefined with an empty cell), with Woolf's log interval
+        let oddsRatio = null;
+        let oddsRatioInterval = null;
+        if (is2x2) {
+            const [[a, b], [c, d]] = table.observed;
+            oddsRatio = b * c > 0 ? (a * d) / (b * c) : null;
+            if (a * b * c * d > 0) {
+                const seLog = Math.sqrt(1 / a + 1 / b + 1 / c + 1 / d);
+                const zCritical = Distributions.normal.inv(0.975, 0, 1);
+                oddsRatioInterval = {
+                    lower: Math.exp(Math.log(oddsRatio) - zCritical * seLog),
+                    upper: Math.exp(Math.log(oddsRatio) + zCritical * seLog),
+                    level: 0.95,
+                    method: 'لوغاريتم نسبة الأرجحية (Woolf)'
+                };
+            }
+            statistics.oddsRatio = oddsRatio !== null ? oddsRatio.toFixed(4) : null;
+            statistics.oddsRatioCI = this.formatInterval(oddsRatioInterval);
+        } else {
+            statistics.simulations = exact.simulations;
+            statistics.seed = exact.seed;
+        }
+        
+        return {
+            test: "Fisher's Exact Test",
+            contingencyTable: {
+                rows: table.rows,
+                columns: table.columns,
+                observed: table.observed
+            },
+            statistics: statistics,
+            effectSize: oddsRatio !== null ? {
+                oddsRatio: oddsRatio.toFixed(4),
+                ci: this.formatEffectSizeInterval(oddsRatioInterval)
+            } : null,
+            interpretation: this.interpretChiSquareResult(exact.pValue, table.rows.length, table.columns.length),
+            recommendations: this.generateFisherRecommendations(is2x2, exact)
+        };
+    }
+    
+    /**
+     * Two-sided Fisher p-value: the probability of all tables with the same
+     * margins that are no more likely than the observed one.
+     * 2×2 tables are enumerated exactly; larger tables use Monte Carlo
+     * sampling of tables with fixed margins
+     */
+    calculateFisherExact(observed, options = {}) {
+        const rowTotals = observed.map(row => Descriptive.sum(row));
+        const colTotals = observed[0].map((_, j) => Descriptive.sum(observed.map(row => row[j])));
+        const n = Descriptive.sum(rowTotals);
+        
+        // log of the margins part of the table probability
+        const logMargins = Descriptive.sum(rowTotals.map(total => SpecialFunctions.logGamma(total + 1))) +
+            Descriptive.sum(colTotals.map(total => SpecialFunctions.logGamma(total + 1))) -
+            SpecialFunctions.logGamma(n + 1);
+        const logTableProbability = table => logMargins -
+            Descriptive.sum(table.flat().map(count => SpecialFunctions.logGamma(count + 1)));
+        
+        // Relative tolerance for ties in probability, as in R's fisher.test
+        const observedLogP = logTableProbability(observed) + Math.log1p(1e-7);
+        
+        if (observed.length === 2 && observed[0].length === 2) {
+            const [r1] = rowTotals;
+            const [c1] = colTotals;
+            let pValue = 0;
+            for (let a = Math.max(0, r1 + c1 - n); a <= Math.min(r1, c1); a++) {
+                const table = [[a, r1 - a], [c1 - a, n - r1 - c1 + a]];
+                const logP = logTableProbability(table);
+                if (logP <= observedLogP) pValue += Math.exp(logP);
+            }
+            
+            return { pValue: Math.min(pValue, 1), method: 'دقيق' };
+        }
+        
+        const simulations = options.simulations || 10000;
+        const seed = options.seed !== undefined ? options.seed : 20240101;
+        const random = this.createRandomGenerator(seed);
+        let extreme = 0;
+        
+        for (let s = 0; s < simulations; s++) {
+            const table = this.sampleTableWithMargins(rowTotals, colTotals, random);
+            if (logTableProbability(table) <= observedLogP) extreme++;
+        }
+        
+        return {
+            pValue: (1 + extreme) / (1 + simulations),
+            method: `مونت كارلو (${simulations} جدول)`,
+            simulations: simulations,
+            seed: seed
+        };
+    }
+    
+    /**
+     * Random table with the given margins: each cell is drawn from the
+     * hypergeometric distribution conditional on the cells already filled
+     */
+    sampleTableWithMargins(rowTotals, colTotals, random) {
+        const columnsLeft = [...colTotals];
+        let totalLeft = Descriptive.sum(colTotals);
+        
+        return rowTotals.map((rowTotal, i) => {
+            const row = new Array(colTotals.length).fill(0);
+            
+            if (i === rowTotals.length - 1) {
+                columnsLeft.forEach((count, j) => { row[j] = count; });
+                return row;
+            }
+            
+            let rowLeft = rowTotal;
+            let populationLeft = totalLeft;
+            for (let j = 0; j < colTotals.length - 1 && rowLeft > 0; j++) {
+                const count = this.sampleHypergeometric(populationLeft, columnsLeft[j], rowLeft, random);
+                row[j] = count;
+                rowLeft -= count;
+                populationLeft -= columnsLeft[j];
+            }
+            row[colTotals.length - 1] = rowLeft;
+            
+            row.forEach((count, j) => { columnsLeft[j] -= count; });
+            totalLeft -= rowTotal;
+            return row;
+        });
+    }
+    
+    /**
+     * Successes in `draws` draws without replacement from a population of
+     * `population` items holding `successes` successes (inverse transform)
+     */
+    sampleHypergeometric(population, successes, draws, random) {
+        const lower = Math.max(0, draws + successes - population);
+        const upper = Math.min(draws, successes);
+        if (lower === upper) return lower;
+        
+        const logChoose = (n, k) => SpecialFunctions.logGamma(n + 1) -
+            SpecialFunctions.logGamma(k + 1) - SpecialFunctions.logGamma(n - k + 1);
+        let probability = Math.exp(
+            logChoose(successes, lower) + logChoose(population - successes, draws - lower) - logChoose(population, draws)
+        );
+        
+        const u = random();
+        let cumulative = probability;
+        let x = lower;
+        while (cumulative < u && x < upper) {
+            probability *= ((successes - x) * (draws - x)) / ((x + 1) * (population - successes - draws + x + 1));
+            x++;
+            cumulative += probability;
+        }
+        
+        return x;
+    }
+    
+    /**
+     * Seeded uniform generator (mulberry32) so simulated p-values can be reproduced
+     */
+    createRandomGenerator(seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * Chi-square goodness of fit against expected proportions
+     * expectedProportions: { category: proportion or ratio }; equal proportions when omitted
+     */
+    runChiSquareGoodnessOfFit(data, variable, expectedProportions) {
+        const values = data.map(row => row[variable]).filter(value => !this.isMissingValue(value));
+        const observedCategories = [...new Set(values.map(String))];
+        const hasProportions = expectedProportions && Object.keys(expectedProportions).length > 0;
+        
+        let categories = observedCategories;
+        let weights;
+        if (hasProportions) {
+            const unspecified = observedCategories.filter(category => !(category in expectedProportions));
+            if (unspecified.length > 0) {
+                throw new Error(`لم تُحدد النسبة المتوقعة للفئات: ${unspecified.join('، ')}`);
+            }
+            categories = Object.keys(expectedProportions);
+            weights = categories.map(category => parseFloat(expectedProportions[category]));
+            if (weights.some(weight => isNaN(weight) || weight <= 0)) {
+                throw new Error('النسب المتوقعة يجب أن تكون أرقاماً موجبة');
+            }
+        } else {
+            categories.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+            weights = categories.map(() => 1);
+        }
+        
+        if (categories.length < 2) {
+            throw new Error('يحتاج اختبار جودة المطابقة إلى فئتين على الأقل');
+        }
+        
+        // Ratios such as 9:3:3:1 are normalised to proportions
+        const weightSum = Descriptive.sum(weights);
+        const proportions = weights.map(weight => weight / weightSum);
+        const n = values.length;
+        const observed = categories.map(category => values.filter(value => String(value) === category).length);
+        const expected = proportions.map(proportion => n * proportion);
+        
+        const chiSquare = Descriptive.sum(observed.map((o, i) => Math.pow(o - expected[i], 2) / expected[i]));
+        const df = categories.length - 1;
+        const pValue = 1 - Distributions.chisquare.cdf(chiSquare, df);
+        const cohensW = Math.sqrt(chiSquare / n);
+        const cohensWInterval = this.calculateChiSquareEffectInterval(chiSquare, df, n);
+        
+        const assumptionCheck = this.checkChiSquareAssumptions([observed], [expected]);
+        
+        return {
+            test: 'Chi-Square Goodness of Fit',
+            frequencyTable: categories.map((category, i) => ({
+                category: category,
+                observed: observed[i],
+                expected: expected[i].toFixed(2),
+                proportion: proportions[i].toFixed(4),
+                residual: ((observed[i] - expected[i]) / Math.sqrt(expected[i])).toFixed(4)
+            })),
+            statistics: {
+                chiSquare: chiSquare.toFixed(4),
+                df: df,
+                pValue: pValue.toFixed(4),
+                cohensW: cohensW.toFixed(4),
+                cohensWCI: this.formatInterval(cohensWInterval),
+                n: n
+            },
+            effectSize: {
+                cohensW: cohensW.toFixed(4),
+                ci: this.formatEffectSizeInterval(cohensWInterval),
+                interpretation: this.interpretEffectSizeR(cohensW)
+            },
+            assumptions: assumptionCheck,
+            interpretation: this.interpretGoodnessOfFitResult(pValue, hasProportions),
+            recommendations: this.generateGoodnessOfFitRecommendations(assumptionCheck, observed, expected, categories)
+        };
+    }
+    
+    /**
+     * McNemar's test for two paired nominal measurements
+     * (Bowker's test of symmetry when there are more than two categories)
+     */
+    runMcNemarTest(data, before, after) {
+        const rows = data.filter(row => !this.isMissingValue(row[before]) && !this.isMissingValue(row[after]));
+        const levels = [...new Set(rows.flatMap(row => [String(row[before]), String(row[after])]))]
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        
+        if (levels.length < 2) {
+            throw new Error('يحتاج اختبار ماكنمار إلى فئتين على الأقل');
+        }
+        
+        // Square table over the shared categories (rows: first measurement)
+        const observed = levels.map(() => new Array(levels.length).fill(0));
+        rows.forEach(row => {
+            observed[levels.indexOf(String(row[before]))][levels.indexOf(String(row[after]))]++;
+        });
+        const n = rows.length;
+        
+        const statistics = { n: n };
+        let pValue;
+        
+        if (levels.length === 2) {
+            const b = observed[0][1];
+            const c = observed[1][0];
+            const discordant = b + c;
+            
+            if (discordant === 0) {
+                throw new Error('لا توجد أزواج متغيرة بين القياسين، لا يمكن حساب اختبار ماكنمار');
+            }
+            
+            // Continuity-corrected chi-square, and the exact binomial test on the discordant pairs
+            const chiSquare = Math.pow(Math.max(Math.abs(b - c) - 1, 0), 2) / discordant;
+            const asymptoticP = 1 - Distributions.chisquare.cdf(chiSquare, 1);
+            const exactP = Math.min(1, 2 * this.calculateBinomialCdf(Math.min(b, c), discordant, 0.5));
+            
+            // Exact test for fewer than 25 discordant pairs
+            pValue = discordant < 25 ? exactP : asymptoticP;
+            Object.assign(statistics, {
+                chiSquare: chiSquare.toFixed(4),
+                df: 1,
+                pValue: pValue.toFixed(4),
+                method: discordant < 25 ? 'ثنائي الحدين الدقيق' : 'مربع كاي مع تصحيح الاستمرارية',
+                exactPValue: exactP.toFixed(4),
+                discordantPairs: discordant
+            });
+        } else {
+            let chiSquare = 0;
+            let df = 0;
+            for (let i = 0; i < levels.length; i++) {
+                for (let j = i + 1; j < levels.length; j++) {
+                    const pairTotal = observed[i][j] + observed[j][i];
+                    if (pairTotal > 0) {
+                        chiSquare += Math.pow(observed[i][j] - observed[j][i], 2) / pairTotal;
+                        df++;
+                    }
+                }
+            }
+            
+            if (df === 0) {
+                throw new Error('لا توجد أزواج متغيرة بين القياسين، لا يمكن حساب اختبار ماكنمار');
+            }
+            
+            pValue = 1 - Distributions.chisquare.cdf(chiSquare, df);
+            Object.assign(statistics, {
+                chiSquare: chiSquare.toFixed(4),
+                df: df,
+                pValue: pValue.toFixed(4),
+                method: 'اختبار التماثل لبوكر'
+            });
+        }
+        
+        return {
+            test: levels.length === 2 ? "McNemar's Test" : "McNemar-Bowker Test of Symmetry",
+            contingencyTable: {
+                rows: levels,
+                columns: levels,
+                observed: observed
+            },
+            statistics: statistics,
+            interpretation: this.interpretMcNemarResult(pValue, before, after),
+            recommendations: this.generateMcNemarRecommendations(levels.length, n)
+        };
+    }
+    
+    calculateBinomialCdf(k, n, p) {
+        let cumulative = 0;
+        for (let i = 0; i <= k; i++) {
+            cumulative += Math.exp(
+                SpecialFunctions.logGamma(n + 1) - SpecialFunctions.logGamma(i + 1) - SpecialFunctions.logGamma(n - i + 1) +
+                i * Math.log(p) + (n - i) * Math.log(1 - p)
+            );
+        }
+        return cumulative;
+    }
+    
     /**
      * Simple linear regression
      */
@@ -1453,8 +2693,8 @@ class StatisticalTests {
         
         // Calculate regression coefficients using simple statistics
         const n = values.length;
-        const meanX = ss.mean(xValues);
-        const meanY = ss.mean(values);
+        const meanX = Descriptive.mean(xValues);
+        const meanY = Descriptive.mean(values);
         
         // Calculate sums
         let ssXY = 0;
@@ -1492,20 +2732,33 @@ class StatisticalTests {
         
         // p-values
         const df = n - 2;
-        const pB1 = 2 * (1 - jStat.studentt.cdf(Math.abs(tB1), df));
-        const pB0 = 2 * (1 - jStat.studentt.cdf(Math.abs(tB0), df));
+        const pB1 = 2 * (1 - Distributions.studentt.cdf(Math.abs(tB1), df));
+        const pB0 = 2 * (1 - Distributions.studentt.cdf(Math.abs(tB0), df));
         
         // Confidence intervals
-        const tCritical = jStat.studentt.inv(0.975, df);
+        const tCritical = Distributions.studentt.inv(0.975, df);
         const ciB1 = [b1 - tCritical * seB1, b1 + tCritical * seB1];
         const ciB0 = [b0 - tCritical * seB0, b0 + tCritical * seB0];
         
         // Check assumptions
         const assumptionCheck = this.checkRegressionAssumptions(residuals, predicted);
         
+        // R² interval from the noncentral F of the model test
+        const fStatistic = (rSquared / 1) / ((1 - rSquared) / (n - 2));
+        const rSquaredInterval = this.calculateEtaSquaredInterval(fStatistic, 1, n - 2);
+        
         return {
             test: 'Simple Linear Regression',
             equation: `Y = ${b0.toFixed(4)} + ${b1.toFixed(4)}X`,
+            statistics: {
+                rSquared: rSquared.toFixed(4),
+                rSquaredCI: this.formatInterval(rSquaredInterval),
+                f: fStatistic.toFixed(4),
+                df1: 1,
+                df2: n - 2,
+                pValue: pB1.toFixed(4),
+                n: n
+            },
             coefficients: {
                 intercept: {
                     value: b0.toFixed(4),
@@ -1526,19 +2779,743 @@ class StatisticalTests {
                 rSquared: rSquared.toFixed(4),
                 adjustedRSquared: (1 - (1 - rSquared) * (n - 1) / (n - 2)).toFixed(4),
                 seRegression: seRegression.toFixed(4),
-                fStatistic: ((rSquared / 1) / ((1 - rSquared) / (n - 2))).toFixed(4),
+                fStatistic: fStatistic.toFixed(4),
                 fPValue: pB1 // Same as slope p-value for simple regression
             },
+            effectSize: {
+                rSquared: rSquared.toFixed(4),
+                ci: this.formatEffectSizeInterval(rSquaredInterval),
+                interpretation: this.interpretRSquared(rSquared)
+            },
             assumptions: assumptionCheck,
+            residualPlot: { fitted: predicted, residuals: residuals },
             interpretation: this.interpretRegressionResult(b1, pB1, rSquared),
             recommendations: this.generateRegressionRecommendations(n, assumptionCheck)
         };
     }
     
     /**
-     * Wilcoxon signed-rank test
+     * Multiple linear regression (OLS) with dummy-coded categorical predictors
      */
-    runWilcoxonSignedRankTest(values, groups) {
+    runMultipleLinearRegression(data, predictors, outcome) {
+        if (predictors.includes(outcome)) {
+            throw new Error('لا يمكن أن يكون المتغير التابع ضمن المتغيرات المستقلة');
+        }
+        
+        const isMissing = value => value === '' || value === null || value === undefined;
+        
+        // Complete cases only
+        const rows = [];
+        data.forEach((row, index) => {
+            const y = parseFloat(row[outcome]);
+            if (isNaN(y) || predictors.some(predictor => isMissing(row[predictor]))) return;
+            rows.push({ row, index, y });
+        });
+        
+        const design = this.buildRegressionDesign(rows.map(item => item.row), predictors);
+        const n = rows.length;
+        const k = design.terms.length;
+        
+        if (n <= k + 1) {
+            throw new Error(`عدد الملاحظات (${n}) غير كافٍ لتقدير ${k + 1} معاملات`);
+        }
+        
+        const y = rows.map(item => item.y);
+        const x = rows.map((_, i) => [1, ...design.terms.map(term => term.values[i])]);
+        const fit = Matrix.leastSquares(x, y);
+        
+        // Model fit
+        const dfRegression = k;
+        const dfResidual = n - k - 1;
+        const meanY = Descriptive.mean(y);
+        const ssTotal = Descriptive.sum(y.map(value => Math.pow(value - meanY, 2)));
+        const ssResidual = fit.sse;
+        const ssRegression = ssTotal - ssResidual;
+        const msResidual = ssResidual / dfResidual;
+        const rSquared = ssRegression / ssTotal;
+        const adjustedRSquared = 1 - (1 - rSquared) * (n - 1) / dfResidual;
+        const f = (ssRegression / dfRegression) / msResidual;
+        const fPValue = 1 - Distributions.centralF.cdf(f, dfRegression, dfResidual);
+        const seRegression = Math.sqrt(msResidual);
+        
+        // Coefficient table
+        const tCritical = Distributions.studentt.inv(0.975, dfResidual);
+        const sdY = Descriptive.sampleStandardDeviation(y);
+        const vif = this.calculateVIF(design.terms.map(term => term.values));
+        
+        const coefficientRows = fit.coefficients.map((b, j) => {
+            const se = Math.sqrt(msResidual * fit.xtxInverse[j][j]);
+            const t = b / se;
+            const term = j > 0 ? design.terms[j - 1] : null;
+            const beta = term ? b * Descriptive.sampleStandardDeviation(term.values) / sdY : null;
+            
+            return {
+                term: term ? term.label : '(الثابت)',
+                b: b.toFixed(4),
+                se: se.toFixed(4),
+                beta: beta !== null ? beta.toFixed(4) : null,
+                t: t.toFixed(4),
+                pValue: (2 * (1 - Distributions.studentt.cdf(Math.abs(t), dfResidual))).toFixed(4),
+                ciLower: (b - tCritical * se).toFixed(4),
+                ciUpper: (b + tCritical * se).toFixed(4),
+                tolerance: term ? (1 / vif[j - 1]).toFixed(4) : null,
+                vif: term ? vif[j - 1].toFixed(4) : null
+            };
+        });
+        
+        // Influence: Cook's distance from the leverages h_ii = x_i'(X'X)⁻¹x_i
+        const p = k + 1;
+        const cooksDistances = x.map((xi, i) => {
+            const leverage = xi.reduce((sum, value, a) =>
+                sum + value * xi.reduce((inner, other, b) => inner + fit.xtxInverse[a][b] * other, 0), 0);
+            const residual = fit.residuals[i];
+            return (residual * residual / (p * msResidual)) * leverage / Math.pow(1 - leverage, 2);
+        });
+        const cooksThreshold = 4 / n;
+        const influentialCases = cooksDistances
+            .map((value, i) => ({ row: rows[i].index + 1, value }))
+            .filter(item => item.value > cooksThreshold)
+            .sort((a, b) => b.value - a.value);
+        
+        const durbinWatson = this.calculateDurbinWatson(fit.residuals);
+        const rSquaredInterval = this.calculateEtaSquaredInterval(f, dfRegression, dfResidual);
+        const assumptionCheck = this.checkRegressionAssumptions(fit.residuals, fit.fitted);
+        const maxVif = vif.length > 0 ? Math.max(...vif) : 1;
+        
+        return {
+            test: 'Multiple Linear Regression',
+            outcome: outcome,
+            predictors: predictors,
+            equation: `${outcome} = ${fit.coefficients[0].toFixed(4)}` + design.terms
+                .map((term, j) => {
+                    const b = fit.coefficients[j + 1];
+                    return ` ${b < 0 ? '-' : '+'} ${Math.abs(b).toFixed(4)}×${term.label}`;
+                })
+                .join(''),
+            statistics: {
+                rSquared: rSquared.toFixed(4),
+                rSquaredCI: this.formatInterval(rSquaredInterval),
+                adjustedRSquared: adjustedRSquared.toFixed(4),
+                f: f.toFixed(4),
+                dfRegression: dfRegression,
+                dfResidual: dfResidual,
+                pValue: fPValue.toFixed(4),
+                seRegression: seRegression.toFixed(4),
+                durbinWatson: durbinWatson.toFixed(4),
+                n: n
+            },
+            coefficientsTable: {
+                columns: ['b', 'se', 'beta', 't', 'pValue', 'ciLower', 'ciUpper', 'tolerance', 'vif'],
+                rows: coefficientRows
+            },
+            dummyCoding: design.dummyCoding,
+            diagnostics: {
+                maxVif: maxVif.toFixed(4),
+                cooksDistance: {
+                    max: Math.max(...cooksDistances).toFixed(4),
+                    threshold: cooksThreshold.toFixed(4),
+                    influentialCases: influentialCases.slice(0, 10).map(item => ({
+                        row: item.row,
+                        value: item.value.toFixed(4)
+                    })),
+                    influentialCount: influentialCases.length
+                }
+            },
+            effectSize: {
+                rSquared: rSquared.toFixed(4),
+                ci: this.formatEffectSizeInterval(rSquaredInterval),
+                fSquared: (rSquared / (1 - rSquared)).toFixed(4),
+                interpretation: this.interpretRSquared(rSquared)
+            },
+            assumptions: assumptionCheck,
+            residualPlot: { fitted: fit.fitted, residuals: fit.residuals },
+            interpretation: this.interpretMultipleRegressionResult(fPValue, rSquared, adjustedRSquared, coefficientRows),
+            recommendations: this.generateMultipleRegressionRecommendations(n, k, assumptionCheck, maxVif, influentialCases.length)
+        };
+    }
+    
+    /**
+     * Predictor columns of a regression design: numeric predictors as-is,
+     * other predictors as k - 1 dummy variables against the first (sorted) level
+     */
+    buildRegressionDesign(rows, predictors) {
+        const terms = [];
+        const dummyCoding = {};
+        
+        predictors.forEach(predictor => {
+            const rawValues = rows.map(row => row[predictor]);
+            const numericValues = rawValues.map(value => parseFloat(value));
+            
+            if (numericValues.every(value => !isNaN(value))) {
+                terms.push({ label: predictor, predictor: predictor, values: numericValues });
+                return;
+            }
+            
+            const levels = [...new Set(rawValues.map(String))]
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+            if (levels.length < 2) {
+                throw new Error(`المتغير "${predictor}" يحتوي على فئة واحدة فقط`);
+            }
+            
+            dummyCoding[predictor] = { reference: levels[0], levels: levels };
+            levels.slice(1).forEach(level => {
+                terms.push({
+                    label: `${predictor} [${level}]`,
+                    predictor: predictor,
+                    values: rawValues.map(value => (String(value) === level ? 1 : 0))
+                });
+            });
+        });
+        
+        terms.forEach(term => {
+            if (Descriptive.sampleVariance(term.values) === 0) {
+                throw new Error(`المتغير "${term.label}" ثابت لجميع الحالات`);
+            }
+        });
+        
+        return { terms, dummyCoding };
+    }
+    
+    /**
+     * Variance inflation factors: diagonal of the inverse predictor correlation matrix
+     */
+    calculateVIF(columns) {
+        if (columns.length < 2) {
+            return columns.map(() => 1);
+        }
+        
+        const correlations = columns.map(a => columns.map(b => Descriptive.sampleCorrelation(a, b)));
+        const inverse = Matrix.inverse(correlations);
+        
+        return inverse.map((row, j) => row[j]);
+    }
+    
+    calculateDurbinWatson(residuals) {
+        let dw = 0;
+        for (let i = 1; i < residuals.length; i++) {
+            dw += Math.pow(residuals[i] - residuals[i - 1], 2);
+        }
+        return dw / residuals.reduce((sum, r) => sum + r * r, 0);
+    }
+    
+    /**
+     * Binary logistic regression fitted by iteratively reweighted least squares
+     */
+    runLogisticRegression(data, predictors, outcome, eventLevel) {
+        if (predictors.length === 0 || predictors.some(predictor => !predictor)) {
+            throw new Error('الرجاء اختيار متغير مستقل واحد على الأقل');
+        }
+        
+        if (predictors.includes(outcome)) {
+            throw new Error('لا يمكن أن يكون المتغير التابع ضمن المتغيرات المستقلة');
+        }
+        
+        const isMissing = value => value === '' || value === null || value === undefined;
+        const rows = data.filter(row =>
+            !isMissing(row[outcome]) && predictors.every(predictor => !isMissing(row[predictor]))
+        );
+        
+        // The event is the requested level, otherwise the second level in sorted order (e.g. 1 of 0/1)
+        const levels = [...new Set(rows.map(row => String(row[outcome])))]
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        if (levels.length !== 2) {
+            throw new Error(`المتغير التابع يجب أن يحتوي على فئتين بالضبط (يحتوي على ${levels.length})`);
+        }
+        const event = eventLevel !== undefined && levels.includes(String(eventLevel)) ? String(eventLevel) : levels[1];
+        const reference = levels.find(level => level !== event);
+        
+        const y = rows.map(row => (String(row[outcome]) === event ? 1 : 0));
+        const design = this.buildRegressionDesign(rows, predictors);
+        const x = rows.map((_, i) => [1, ...design.terms.map(term => term.values[i])]);
+        const n = rows.length;
+        const k = design.terms.length;
+        const events = Descriptive.sum(y);
+        
+        if (events === 0 || events === n) {
+            throw new Error('جميع الحالات تقع في فئة واحدة من المتغير التابع');
+        }
+        
+        const fit = this.fitLogisticModel(x, y);
+        
+        // Likelihood-based fit statistics
+        const minus2LLNull = -2 * (events * Math.log(events / n) + (n - events) * Math.log(1 - events / n));
+        const modelChiSquare = minus2LLNull - fit.minus2LL;
+        const modelPValue = 1 - Distributions.chisquare.cdf(modelChiSquare, k);
+        const coxSnellR2 = 1 - Math.exp(-modelChiSquare / n);
+        const nagelkerkeR2 = coxSnellR2 / (1 - Math.exp(-minus2LLNull / n));
+        
+        // Wald tests and odds ratios
+        const zCritical = Distributions.normal.inv(0.975, 0, 1);
+        const coefficientRows = fit.coefficients.map((b, j) => {
+            const se = Math.sqrt(fit.covariance[j][j]);
+            const wald = Math.pow(b / se, 2);
+            
+            return {
+                term: j > 0 ? design.terms[j - 1].label : '(الثابت)',
+                b: b.toFixed(4),
+                se: se.toFixed(4),
+                wald: wald.toFixed(4),
+                df: 1,
+                pValue: (1 - Distributions.chisquare.cdf(wald, 1)).toFixed(4),
+                oddsRatio: Math.exp(b).toFixed(4),
+                ciLower: Math.exp(b - zCritical * se).toFixed(4),
+                ciUpper: Math.exp(b + zCritical * se).toFixed(4)
+            };
+        });
+        
+        const hosmerLemeshow = this.calculateHosmerLemeshow(y, fit.probabilities);
+        
+        // Classification table at a 0.5 cut-off (rows: observed, columns: predicted)
+        const counts = [[0, 0], [0, 0]];
+        y.forEach((observed, i) => {
+            counts[observed][fit.probabilities[i] >= 0.5 ? 1 : 0]++;
+        });
+        const percentCorrect = counts.map((row, i) => 100 * row[i] / (row[0] + row[1]));
+        const overallCorrect = 100 * (counts[0][0] + counts[1][1]) / n;
+        
+        return {
+            test: 'Binary Logistic Regression',
+            outcome: outcome,
+            eventLevel: event,
+            referenceLevel: reference,
+            predictors: predictors,
+            statistics: {
+                n: n,
+                minus2LL: fit.minus2LL.toFixed(4),
+                chiSquare: modelChiSquare.toFixed(4),
+                df: k,
+                pValue: modelPValue.toFixed(4),
+                coxSnellR2: coxSnellR2.toFixed(4),
+                nagelkerkeR2: nagelkerkeR2.toFixed(4),
+                hosmerLemeshow: hosmerLemeshow.statistic.toFixed(4),
+                hlPValue: hosmerLemeshow.pValue.toFixed(4),
+                accuracy: overallCorrect.toFixed(2) + '%',
+                iterations: fit.iterations
+            },
+            coefficientsTable: {
+                columns: ['b', 'se', 'wald', 'df', 'pValue', 'oddsRatio', 'ciLower', 'ciUpper'],
+                rows: coefficientRows
+            },
+            dummyCoding: design.dummyCoding,
+            hosmerLemeshow: {
+                statistic: hosmerLemeshow.statistic.toFixed(4),
+                df: hosmerLemeshow.df,
+                pValue: hosmerLemeshow.pValue.toFixed(4),
+                groups: hosmerLemeshow.groups
+            },
+            classificationTable: {
+                cutoff: 0.5,
+                levels: [reference, event],
+                counts: counts,
+                percentCorrect: percentCorrect.map(value => value.toFixed(2)),
+                overall: overallCorrect.toFixed(2)
+            },
+            interpretation: this.interpretLogisticRegressionResult(modelPValue, nagelkerkeR2, coefficientRows, event),
+            recommendations: this.generateLogisticRegressionRecommendations(
+                Math.min(events, n - events), k, hosmerLemeshow, fit
+            )
+        };
+    }
+    
+    /**
+     * IRLS (Newton-Raphson) for the logit model
+     */
+    fitLogisticModel(x, y, maxIterations = 25, tolerance = 1e-8) {
+        const p = x[0].length;
+        let coefficients = new Array(p).fill(0);
+        let minus2LL = Infinity;
+        let probabilities = [];
+        let covariance = null;
+        let converged = false;
+        let iterations = 0;
+        
+        for (iterations = 1; iterations <= maxIterations; iterations++) {
+            probabilities = this.calculateLogisticProbabilities(x, coefficients);
+            
+            // Newton step: (X'WX)^-1 X'(y - p)
+            const score = x[0].map((_, j) => x.reduce((sum, row, i) => sum + row[j] * (y[i] - probabilities[i]), 0));
+            covariance = this.calculateLogisticCovariance(x, probabilities);
+            const step = Matrix.multiplyVector(covariance, score);
+            coefficients = coefficients.map((value, j) => value + step[j]);
+            
+            const newMinus2LL = this.calculateLogisticMinus2LL(x, y, coefficients);
+            if (Math.abs(minus2LL - newMinus2LL) < tolerance) {
+                minus2LL = newMinus2LL;
+                converged = true;
+                break;
+            }
+            minus2LL = newMinus2LL;
+        }
+        
+        // Final probabilities and covariance at the estimates
+        probabilities = this.calculateLogisticProbabilities(x, coefficients);
+        covariance = this.calculateLogisticCovariance(x, probabilities);
+        
+        // Fitted probabilities collapsing onto the observed 0/1 values signal complete separation
+        const separation = !converged || probabilities.every((probability, i) => Math.abs(probability - y[i]) < 1e-6);
+        
+        return {
+            coefficients,
+            covariance,
+            probabilities,
+            minus2LL,
+            iterations: Math.min(iterations, maxIterations),
+            converged,
+            separation
+        };
+    }
+    
+    calculateLogisticProbabilities(x, coefficients) {
+        return Matrix.multiplyVector(x, coefficients).map(eta => 1 / (1 + Math.exp(-eta)));
+    }
+    
+    /**
+     * (X'WX)^-1 with W = p(1 - p)
+     */
+    calculateLogisticCovariance(x, probabilities) {
+        const weighted = x.map((row, i) => {
+            const weight = Math.sqrt(probabilities[i] * (1 - probabilities[i]));
+            return row.map(value => value * weight);
+        });
+        return Matrix.inverse(Matrix.crossProduct(weighted));
+    }
+    
+    calculateLogisticMinus2LL(x, y, coefficients) {
+        return -2 * Descriptive.sum(x.map((row, i) => {
+            const eta = row.reduce((sum, value, j) => sum + value * coefficients[j], 0);
+            // log(1 + e^η) computed stably
+            const logOnePlusExp = eta > 0 ? eta + Math.log1p(Math.exp(-eta)) : Math.log1p(Math.exp(eta));
+            return y[i] * eta - logOnePlusExp;
+        }));
+    }
+    
+    /**
+     * Hosmer-Lemeshow goodness of fit over (up to) ten risk groups
+     * Cut points are quantiles of the predicted probabilities, so ties share a group
+     */
+    calculateHosmerLemeshow(y, probabilities, groupCount = 10) {
+        const sorted = [...probabilities].sort((a, b) => a - b);
+        const breaks = [...new Set(
+            Array.from({ length: groupCount + 1 }, (_, i) => this.calculatePercentile(sorted, 100 * i / groupCount))
+        )];
+        
+        const groups = breaks.slice(1).map(() => ({ n: 0, observed: 0, expected: 0 }));
+        probabilities.forEach((probability, i) => {
+            let index = breaks.findIndex((cut, b) => b > 0 && probability <= cut) - 1;
+            if (index < 0) index = 0;
+            groups[index].n++;
+            groups[index].observed += y[i];
+            groups[index].expected += probability;
+        });
+        
+        const usedGroups = groups.filter(group => group.n > 0);
+        const statistic = Descriptive.sum(usedGroups.map(group => {
+            const expectedNonEvents = group.n - group.expected;
+            return Math.pow(group.observed - group.expected, 2) / group.expected +
+                Math.pow((group.n - group.observed) - expectedNonEvents, 2) / expectedNonEvents;
+        }));
+        const df = Math.max(usedGroups.length - 2, 1);
+        
+        return {
+            statistic,
+            df,
+            pValue: 1 - Distributions.chisquare.cdf(statistic, df),
+            groups: usedGroups.map(group => ({
+                n: group.n,
+                observed: group.observed,
+                expected: group.expected.toFixed(4)
+            }))
+        };
+    }
+    
+    /**
+     * Complete cases of the measurement columns, one row per subject
+     */
+    extractRepeatedMeasures(data, measures) {
+        if (measures.length < 3) {
+            throw new Error('يحتاج الاختبار إلى ثلاثة أعمدة قياس متكررة على الأقل');
+        }
+        
+        const rows = data
+            .map(row => measures.map(measure => parseFloat(row[measure])))
+            .filter(row => row.every(value => !isNaN(value)));
+        
+        if (rows.length < 3) {
+            throw new Error('عدد الأفراد ذوي القياسات الكاملة أقل من 3');
+        }
+        
+        return rows;
+    }
+    
+    /**
+     * One-way repeated-measures ANOVA with Mauchly's test and sphericity corrections
+     */
+    runRepeatedMeasuresANOVA(data, measures) {
+        const rows = this.extractRepeatedMeasures(data, measures);
+        const n = rows.length;
+        const k = measures.length;
+        
+        const conditionMeans = measures.map((_, j) => Descriptive.mean(rows.map(row => row[j])));
+        const subjectMeans = rows.map(row => Descriptive.mean(row));
+        const grandMean = Descriptive.mean(conditionMeans);
+        
+        // Partition the total sum of squares
+        const ssTotal = Descriptive.sum(rows.flatMap(row => row.map(value => Math.pow(value - grandMean, 2))));
+        const ssConditions = n * Descriptive.sum(conditionMeans.map(mean => Math.pow(mean - grandMean, 2)));
+        const ssSubjects = k * Descriptive.sum(subjectMeans.map(mean => Math.pow(mean - grandMean, 2)));
+        const ssError = ssTotal - ssConditions - ssSubjects;
+        
+        const dfConditions = k - 1;
+        const dfError = (k - 1) * (n - 1);
+        const msConditions = ssConditions / dfConditions;
+        const msError = ssError / dfError;
+        const f = msConditions / msError;
+        const partialEtaSquared = ssConditions / (ssConditions + ssError);
+        
+        const sphericity = this.calculateSphericity(rows);
+        
+        // Same F, with degrees of freedom scaled by each epsilon
+        const corrections = [
+            { id: 'sphericity', name: 'بافتراض الكروية', epsilon: 1 },
+            { id: 'greenhouse-geisser', name: 'Greenhouse-Geisser', epsilon: sphericity.epsilonGG },
+            { id: 'huynh-feldt', name: 'Huynh-Feldt', epsilon: sphericity.epsilonHF }
+        ].map(correction => {
+            const df1 = dfConditions * correction.epsilon;
+            const df2 = dfError * correction.epsilon;
+            return {
+                ...correction,
+                df1,
+                df2,
+                pValue: 1 - Distributions.centralF.cdf(f, df1, df2)
+            };
+        });
+        
+        // Girden (1992): Greenhouse-Geisser when epsilon < 0.75, otherwise Huynh-Feldt
+        let selected = 'sphericity';
+        let reason = `اختبار Mauchly غير دال (W = ${sphericity.w.toFixed(3)}, p = ${sphericity.pValue.toFixed(3)})، لذا اعتُمد افتراض الكروية.`;
+        if (sphericity.pValue < 0.05) {
+            selected = sphericity.epsilonGG < 0.75 ? 'greenhouse-geisser' : 'huynh-feldt';
+            reason = `اختبار Mauchly دال (W = ${sphericity.w.toFixed(3)}, p = ${sphericity.pValue.toFixed(3)})، ` +
+                `وقيمة ε لـ Greenhouse-Geisser = ${sphericity.epsilonGG.toFixed(3)} ` +
+                `${sphericity.epsilonGG < 0.75 ? 'أقل من 0.75 فاعتُمد تصحيح Greenhouse-Geisser' : 'لا تقل عن 0.75 فاعتُمد تصحيح Huynh-Feldt'}.`;
+        }
+        const chosen = corrections.find(correction => correction.id === selected);
+        
+        const groupStats = {};
+        measures.forEach((measure, j) => {
+            const measureValues = rows.map(row => row[j]);
+            groupStats[measure] = {
+                n: n,
+                mean: conditionMeans[j].toFixed(4),
+                std: Descriptive.sampleStandardDeviation(measureValues).toFixed(4)
+            };
+        });
+        
+        // Partial η² interval from the noncentral F with the corrected degrees of freedom
+        const partialEtaSquaredInterval = this.calculateEtaSquaredInterval(f, chosen.df1, chosen.df2);
+        
+        return {
+            test: 'Repeated Measures ANOVA',
+            groups: measures,
+            groupStats: groupStats,
+            statistics: {
+                f: f.toFixed(4),
+                df1: this.formatCorrectedDf(chosen.df1),
+                df2: this.formatCorrectedDf(chosen.df2),
+                pValue: chosen.pValue.toFixed(4),
+                variant: chosen.name,
+                partialEtaSquared: partialEtaSquared.toFixed(4),
+                partialEtaSquaredCI: this.formatInterval(partialEtaSquaredInterval),
+                mauchlyW: sphericity.w.toFixed(4),
+                mauchlyPValue: sphericity.pValue.toFixed(4),
+                epsilonGG: sphericity.epsilonGG.toFixed(4),
+                epsilonHF: sphericity.epsilonHF.toFixed(4),
+                n: n
+            },
+            effectSize: {
+                partialEtaSquared: partialEtaSquared.toFixed(4),
+                ci: this.formatEffectSizeInterval(partialEtaSquaredInterval),
+                interpretation: this.interpretEtaSquared(partialEtaSquared)
+            },
+            sphericity: {
+                w: sphericity.w.toFixed(4),
+                chiSquare: sphericity.chiSquare.toFixed(4),
+                df: sphericity.df,
+                pValue: sphericity.pValue.toFixed(4),
+                epsilonGG: sphericity.epsilonGG.toFixed(4),
+                epsilonHF: sphericity.epsilonHF.toFixed(4),
+                epsilonLowerBound: (1 / (k - 1)).toFixed(4)
+            },
+            variants: {
+                title: 'تصحيحات الكروية:',
+                selected: selected,
+                reason: reason,
+                columns: ['f', 'df1', 'df2', 'pValue', 'epsilon'],
+                rows: corrections.map(correction => ({
+                    id: correction.id,
+                    name: correction.name,
+                    values: {
+                        f: f.toFixed(4),
+                        df1: this.formatCorrectedDf(correction.df1),
+                        df2: this.formatCorrectedDf(correction.df2),
+                        pValue: correction.pValue.toFixed(4),
+                        epsilon: correction.epsilon.toFixed(4)
+                    }
+                }))
+            },
+            anovaTable: {
+                sumOfSquaresType: 'III',
+                rows: [{
+                    source: 'القياسات',
+                    ss: ssConditions.toFixed(4),
+                    df: this.formatCorrectedDf(chosen.df1),
+                    ms: (ssConditions / chosen.df1).toFixed(4),
+                    f: f.toFixed(4),
+                    pValue: chosen.pValue.toFixed(4),
+                    significant: chosen.pValue < 0.05,
+                    partialEtaSquared: partialEtaSquared.toFixed(4),
+                    partialEtaSquaredCI: this.formatInterval(partialEtaSquaredInterval)
+                }],
+                error: {
+                    ss: ssError.toFixed(4),
+                    df: this.formatCorrectedDf(chosen.df2),
+                    ms: (ssError / chosen.df2).toFixed(4)
+                },
+                subjects: {
+                    ss: ssSubjects.toFixed(4),
+                    df: n - 1,
+                    ms: (ssSubjects / (n - 1)).toFixed(4)
+                },
+                total: {
+                    ss: ssTotal.toFixed(4),
+                    df: n * k - 1
+                }
+            },
+            interpretation: this.interpretRepeatedMeasuresResult(f, chosen, partialEtaSquared),
+            recommendations: this.generateRepeatedMeasuresRecommendations(chosen.pValue, n, sphericity)
+        };
+    }
+    
+    /**
+     * Mauchly's W on orthonormal contrasts, with the Greenhouse-Geisser and
+     * Huynh-Feldt epsilons (Huynh-Feldt capped at 1)
+     */
+    calculateSphericity(rows) {
+        const n = rows.length;
+        const k = rows[0].length;
+        const p = k - 1;
+        
+        // Normalised Helmert contrasts: row i compares level i + 1 with the levels before it
+        const contrasts = Array.from({ length: p }, (_, i) => {
+            const norm = Math.sqrt((i + 1) * (i + 2));
+            return Array.from({ length: k }, (_, j) => {
+                if (j <= i) return 1 / norm;
+                if (j === i + 1) return -(i + 1) / norm;
+                return 0;
+            });
+        });
+        
+        const means = rows[0].map((_, j) => Descriptive.mean(rows.map(row => row[j])));
+        const centered = rows.map(row => row.map((value, j) => value - means[j]));
+        const covariance = Matrix.crossProduct(centered).map(row => row.map(value => value / (n - 1)));
+        const transformed = Matrix.multiply(Matrix.multiply(contrasts, covariance), Matrix.transpose(contrasts));
+        
+        const trace = Matrix.trace(transformed);
+        const traceOfSquare = Matrix.trace(Matrix.multiply(transformed, transformed));
+        
+        const w = Matrix.determinant(transformed) / Math.pow(trace / p, p);
+        const correction = 1 - (2 * p * p + p + 2) / (6 * p * (n - 1));
+        const chiSquare = -(n - 1) * correction * Math.log(w);
+        const df = p * (p + 1) / 2 - 1;
+        
+        const epsilonGG = (trace * trace) / (p * traceOfSquare);
+        const epsilonHF = Math.min(1, (n * p * epsilonGG - 2) / (p * (n - 1 - p * epsilonGG)));
+        
+        return {
+            w,
+            chiSquare,
+            df,
+            pValue: df > 0 ? 1 - Distributions.chisquare.cdf(chiSquare, df) : 1,
+            epsilonGG,
+            epsilonHF
+        };
+    }
+    
+    formatCorrectedDf(df) {
+        return Number.isInteger(df) ? df : df.toFixed(2);
+    }
+    
+    /**
+     * Friedman test with Kendall's coefficient of concordance
+     */
+    runFriedmanTest(data, measures, options = {}) {
+        const rows = this.extractRepeatedMeasures(data, measures);
+        const n = rows.length;
+        const k = measures.length;
+        
+        // Rank within each subject
+        const rankedRows = rows.map(row => this.calculateRanks(row));
+        const rankSums = measures.map((_, j) => Descriptive.sum(rankedRows.map(row => row[j])));
+        
+        // Tie correction: Σ(t³ - t) over the ties inside each subject
+        let tieSum = 0;
+        rows.forEach(row => {
+            const counts = {};
+            row.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+            Object.values(counts).forEach(t => { tieSum += t * t * t - t; });
+        });
+        
+        const chiSquareRaw = 12 / (n * k * (k + 1)) * Descriptive.sum(rankSums.map(r => r * r)) - 3 * n * (k + 1);
+        const chiSquare = chiSquareRaw / (1 - tieSum / (n * k * (k * k - 1)));
+        const df = k - 1;
+        const pValue = 1 - Distributions.chisquare.cdf(chiSquare, df);
+        const kendallW = chiSquare / (n * (k - 1));
+        
+        // Bootstrap over subjects for Kendall's W
+        const kendallWInterval = this.calculateBootstrapInterval(
+            [rows],
+            ([sample]) => this.calculateKendallW(sample),
+            options
+        );
+        
+        const groupStats = {};
+        measures.forEach((measure, j) => {
+            const measureValues = rows.map(row => row[j]);
+            groupStats[measure] = {
+                n: n,
+                mean: Descriptive.mean(measureValues).toFixed(4),
+                median: Descriptive.median(measureValues).toFixed(4),
+                sumRanks: rankSums[j].toFixed(2),
+                meanRank: (rankSums[j] / n).toFixed(4)
+            };
+        });
+        
+        return {
+            test: 'Friedman Test',
+            groups: measures,
+            groupStats: groupStats,
+            statistics: {
+                chiSquare: chiSquare.toFixed(4),
+                df: df,
+                pValue: pValue.toFixed(4),
+                kendallW: kendallW.toFixed(4),
+                kendallWCI: this.formatInterval(kendallWInterval),
+                n: n
+            },
+            effectSize: {
+                kendallW: kendallW.toFixed(4),
+                ci: this.formatEffectSizeInterval(kendallWInterval),
+                interpretation: this.interpretEffectSizeR(kendallW)
+            },
+            interpretation: this.interpretFriedmanResult(pValue, kendallW),
+            recommendations: this.generateFriedmanRecommendations(pValue, n)
+        };
+    }
+    
+    /**
+     * Wilcoxon signed-rank test
+     */
+    runWilcoxonSignedRankTest(values, groups, options = {}) {
         const uniqueGroups = [...new Set(groups)];
         
         if (uniqueGroups.length !== 2) {
@@ -1561,24 +3538,18 @@ class StatisticalTests {
             differences.push(diff);
         }
         
-        // Calculate absolute differences and ranks
-        const absDifferences = differences.map(Math.abs);
-        const signedRanks = [];
-        
-        // Rank absolute differences
+        // Drop zero differences, then rank the absolute differences
+        const nonZeroDifferences = differences.filter(diff => diff !== 0);
+        const absDifferences = nonZeroDifferences.map(Math.abs);
         const ranked = this.calculateRanks(absDifferences);
         
         // Apply signs
-        for (let i = 0; i < n; i++) {
-            if (differences[i] !== 0) {
-                signedRanks.push({
-                    value: differences[i],
-                    absValue: absDifferences[i],
-                    rank: ranked[i],
-                    signedRank: Math.sign(differences[i]) * ranked[i]
-                });
-            }
-        }
+        const signedRanks = nonZeroDifferences.map((diff, i) => ({
+            value: diff,
+            absValue: absDifferences[i],
+            rank: ranked[i],
+            signedRank: Math.sign(diff) * ranked[i]
+        }));
         
         // Calculate W+ and W-
         let wPlus = 0;
@@ -1596,30 +3567,37 @@ class StatisticalTests {
         const w = Math.min(wPlus, wMinus);
         const nPairs = signedRanks.length;
         
-        // For large samples, use normal approximation
-        let z, pValue;
+        if (nPairs === 0) {
+            throw new Error('جميع الفروقات تساوي صفراً، لا يمكن إجراء الاختبار');
+        }
         
-        if (nPairs > 10) {
-            const meanW = (nPairs * (nPairs + 1)) / 4;
-            const stdW = Math.sqrt((nPairs * (nPairs + 1) * (2 * nPairs + 1)) / 24);
-            
-            // Adjust for ties
-            const tieCorrection = this.calculateTieCorrection(signedRanks.map(item => ({ value: item.absValue })));
-            if (tieCorrection > 0) {
-                const correctedStdW = stdW * Math.sqrt(1 - tieCorrection);
-                z = (w - meanW) / correctedStdW;
-            } else {
-                z = (w - meanW) / stdW;
-            }
-            
-            pValue = 2 * (1 - jStat.normal.cdf(Math.abs(z), 0, 1));
+        // Normal approximation with tie and continuity corrections
+        const meanW = (nPairs * (nPairs + 1)) / 4;
+        const tieSum = this.calculateTieSum(absDifferences);
+        const stdW = Math.sqrt((nPairs * (nPairs + 1) * (2 * nPairs + 1)) / 24 - tieSum / 48);
+        const z = stdW > 0
+            ? Math.sign(w - meanW) * Math.max(Math.abs(w - meanW) - 0.5, 0) / stdW
+            : 0;
+        
+        let pValue, method;
+        
+        if (nPairs <= this.exactLimits.wilcoxon) {
+            // Exact distribution of W+ over all 2ⁿ sign assignments (conditional on ties)
+            pValue = this.calculateExactWilcoxonPValue(ranked, wPlus);
+            method = 'exact';
         } else {
-            // For small samples, use exact distribution
-            pValue = this.estimateWilcoxonPValue(w, nPairs);
+            pValue = 2 * (1 - Distributions.normal.cdf(Math.abs(z), 0, 1));
+            method = 'normal';
         }
         
-        // Effect size
+        // Effect size (r), bootstrapped over pairs with its sign in the observed direction
         const r = Math.abs(z) / Math.sqrt(nPairs);
+        const direction = Math.sign(wPlus - meanW) || 1;
+        const rInterval = this.calculateBootstrapInterval(
+            [differences],
+            ([sample]) => direction * this.calculateWilcoxonEffect(sample),
+            options
+        );
         
         return {
             test: 'Wilcoxon Signed-Rank Test',
@@ -1627,13 +3605,18 @@ class StatisticalTests {
                 w: w.toFixed(4),
                 wPlus: wPlus.toFixed(4),
                 wMinus: wMinus.toFixed(4),
-                z: z ? z.toFixed(4) : null,
+                z: z.toFixed(4),
                 pValue: pValue.toFixed(4),
+                method: this.describePValueMethod(method),
                 nPairs: nPairs,
-                nZeroes: differences.length - nPairs
+                nZeroes: differences.length - nPairs,
+                effectSizeR: r.toFixed(4),
+                effectSizeRCI: this.formatInterval(rInterval)
             },
+            pValueMethod: method,
             effectSize: {
                 r: r.toFixed(4),
+                ci: this.formatEffectSizeInterval(rInterval),
                 interpretation: this.interpretEffectSizeR(r)
             },
             interpretation: this.interpretWilcoxonResult(pValue),
@@ -1641,6 +3624,367 @@ class StatisticalTests {
         };
     }
     
+    /**
+     * Welch's ANOVA for groups with unequal variances
+     */
+    runWelchANOVA(summaries) {
+        const k = summaries.length;
+        const weights = summaries.map(summary => summary.n / summary.variance);
+        const totalWeight = Descriptive.sum(weights);
+        const weightedMean = Descriptive.sum(summaries.map((summary, i) => weights[i] * summary.mean)) / totalWeight;
+        
+        const numerator = Descriptive.sum(
+            summaries.map((summary, i) => weights[i] * Math.pow(summary.mean - weightedMean, 2))
+        ) / (k - 1);
+        const lambda = Descriptive.sum(
+            summaries.map((summary, i) => Math.pow(1 - weights[i] / totalWeight, 2) / (summary.n - 1))
+        );
+        const denominator = 1 + 2 * (k - 2) / (k * k - 1) * lambda;
+        
+        const statistic = numerator / denominator;
+        const df1 = k - 1;
+        const df2 = (k * k - 1) / (3 * lambda);
+        
+        return {
+            statistic: statistic,
+            df1: df1,
+            df2: df2,
+            pValue: 1 - Distributions.centralF.cdf(statistic, df1, df2)
+        };
+    }
+    
+    /**
+     * Brown-Forsythe test for equality of means
+     */
+    runBrownForsytheANOVA(summaries) {
+        const k = summaries.length;
+        const totalN = Descriptive.sum(summaries.map(summary => summary.n));
+        const grandMean = Descriptive.sum(summaries.map(summary => summary.n * summary.mean)) / totalN;
+        
+        const numerator = Descriptive.sum(
+            summaries.map(summary => summary.n * Math.pow(summary.mean - grandMean, 2))
+        );
+        const weightedVariances = summaries.map(summary => (1 - summary.n / totalN) * summary.variance);
+        const denominator = Descriptive.sum(weightedVariances);
+        
+        const statistic = numerator / denominator;
+        const df1 = k - 1;
+        
+        // Satterthwaite approximation for the denominator degrees of freedom
+        const df2 = 1 / Descriptive.sum(
+            summaries.map((summary, i) => Math.pow(weightedVariances[i] / denominator, 2) / (summary.n - 1))
+        );
+        
+        return {
+            statistic: statistic,
+            df1: df1,
+            df2: df2,
+            pValue: 1 - Distributions.centralF.cdf(statistic, df1, df2)
+        };
+    }
+    
+    /**
+     * Welch-Satterthwaite degrees of freedom for a difference of means
+     */
+    calculateWelchDf(variances, sizes) {
+        const terms = variances.map((variance, i) => variance / sizes[i]);
+        const numerator = Math.pow(Descriptive.sum(terms), 2);
+        const denominator = Descriptive.sum(terms.map((term, i) => term * term / (sizes[i] - 1)));
+        
+        return denominator > 0 ? numerator / denominator : Descriptive.sum(sizes) - 2;
+    }
+    
+    /**
+     * t statistic, two-tailed p-value and 95% CI for a mean difference
+     */
+    calculateTTestVariant(meanDifference, standardError, df) {
+        const t = meanDifference / standardError;
+        const tCritical = Distributions.studentt.inv(0.975, df);
+        
+        return {
+            t: t,
+            df: df,
+            pValue: 2 * (1 - Distributions.studentt.cdf(Math.abs(t), df)),
+            standardError: standardError,
+            ciLower: meanDifference - tCritical * standardError,
+            ciUpper: meanDifference + tCritical * standardError
+        };
+    }
+    
+    formatTTestVariant(variant, meanDifference) {
+        return {
+            t: variant.t.toFixed(4),
+            df: Number.isInteger(variant.df) ? variant.df : variant.df.toFixed(2),
+            pValue: variant.pValue.toFixed(4),
+            meanDifference: meanDifference.toFixed(4),
+            standardError: variant.standardError.toFixed(4),
+            ciLower: variant.ciLower.toFixed(4),
+            ciUpper: variant.ciUpper.toFixed(4)
+        };
+    }
+    
+    formatFVariant(variant) {
+        if (!variant) {
+            return { f: null, df1: null, df2: null, pValue: null };
+        }
+        
+        return {
+            f: variant.statistic.toFixed(4),
+            df1: variant.df1,
+            df2: Number.isInteger(variant.df2) ? variant.df2 : variant.df2.toFixed(2),
+            pValue: variant.pValue.toFixed(4)
+        };
+    }
+    
+    /**
+     * Explain which variant was reported, based on Levene's test
+     */
+    describeVariantChoice(levene, variantName) {
+        if (levene.passed === false) {
+            return `اختبار Levene يرفض تجانس التباينات (F = ${levene.statistic}, p = ${levene.pValue})، لذا اعتُمدت صيغة ${variantName} المقاومة لعدم التجانس`;
+        }
+        
+        if (levene.passed === null) {
+            return `تعذر التحقق من تجانس التباينات، لذا اعتُمدت صيغة ${variantName}`;
+        }
+        
+        return `التباينات متجانسة (Levene: F = ${levene.statistic}, p = ${levene.pValue})، لذا اعتُمدت صيغة ${variantName}`;
+    }
+    
+    /**
+     * Post-hoc comparisons after a significant one-way ANOVA:
+     * Tukey HSD, Games-Howell and pooled-SD pairwise t-tests (Bonferroni, Holm)
+     */
+    runAnovaPostHoc(groupStats, msWithin, dfWithin, equalVariances, alpha = 0.05) {
+        const summaries = Object.entries(groupStats).map(([group, stats]) => ({
+            group: group,
+            n: stats.n,
+            mean: stats.mean,
+            variance: stats.n > 1 ? Descriptive.sampleVariance(stats.values) : 0
+        }));
+        const k = summaries.length;
+        const pairs = this.getGroupPairs(summaries);
+        
+        // Tukey HSD (Tukey-Kramer standard error for unequal group sizes)
+        const qCritical = Distributions.tukey.inv(1 - alpha, k, dfWithin);
+        const tukey = pairs.map(([a, b]) => {
+            const difference = a.mean - b.mean;
+            const standardError = Math.sqrt(msWithin / 2 * (1 / a.n + 1 / b.n));
+            const q = Math.abs(difference) / standardError;
+            
+            return {
+                group1: a.group,
+                group2: b.group,
+                difference: difference,
+                standardError: standardError,
+                statistic: q,
+                df: dfWithin,
+                pValue: 1 - Distributions.tukey.cdf(q, k, dfWithin),
+                ciLower: difference - qCritical * standardError,
+                ciUpper: difference + qCritical * standardError
+            };
+        });
+        
+        // Games-Howell (separate variances, Welch-Satterthwaite degrees of freedom)
+        const gamesHowell = pairs.map(([a, b]) => {
+            const difference = a.mean - b.mean;
+            const varianceA = a.variance / a.n;
+            const varianceB = b.variance / b.n;
+            const standardError = Math.sqrt(varianceA + varianceB);
+            const df = standardError > 0
+                ? Math.pow(varianceA + varianceB, 2) /
+                    (Math.pow(varianceA, 2) / (a.n - 1) + Math.pow(varianceB, 2) / (b.n - 1))
+                : a.n + b.n - 2;
+            const t = difference / standardError;
+            const critical = Distributions.tukey.inv(1 - alpha, k, df) / Math.SQRT2;
+            
+            return {
+                group1: a.group,
+                group2: b.group,
+                difference: difference,
+                standardError: standardError,
+                statistic: t,
+                df: df,
+                pValue: 1 - Distributions.tukey.cdf(Math.abs(t) * Math.SQRT2, k, df),
+                ciLower: difference - critical * standardError,
+                ciUpper: difference + critical * standardError
+            };
+        });
+        
+        // Pairwise t-tests on the pooled within-group variance
+        const pairwise = pairs.map(([a, b]) => {
+            const difference = a.mean - b.mean;
+            const standardError = Math.sqrt(msWithin * (1 / a.n + 1 / b.n));
+            const t = difference / standardError;
+            
+            return {
+                group1: a.group,
+                group2: b.group,
+                difference: difference,
+                standardError: standardError,
+                statistic: t,
+                df: dfWithin,
+                pUnadjusted: 2 * (1 - Distributions.studentt.cdf(Math.abs(t), dfWithin))
+            };
+        });
+        
+        const rawPValues = pairwise.map(comparison => comparison.pUnadjusted);
+        const bonferroniPValues = this.adjustPValues(rawPValues, 'bonferroni');
+        const holmPValues = this.adjustPValues(rawPValues, 'holm');
+        const tBonferroni = Distributions.studentt.inv(1 - alpha / (2 * pairs.length), dfWithin);
+        
+        const bonferroni = pairwise.map((comparison, i) => ({
+            ...comparison,
+            pValue: bonferroniPValues[i],
+            ciLower: comparison.difference - tBonferroni * comparison.standardError,
+            ciUpper: comparison.difference + tBonferroni * comparison.standardError
+        }));
+        const holm = pairwise.map((comparison, i) => ({
+            ...comparison,
+            pValue: holmPValues[i]
+        }));
+        
+        // Games-Howell is the safer default when group variances differ
+        return {
+            alpha: alpha,
+            primary: equalVariances ? 'tukey' : 'games-howell',
+            reason: equalVariances
+                ? 'التباينات متجانسة (Levene)، لذا يُعتمد اختبار Tukey HSD'
+                : 'التباينات غير متجانسة (Levene)، لذا يُعتمد اختبار Games-Howell',
+            groups: summaries.map(summary => summary.group),
+            methods: [
+                this.formatPostHocMethod('tukey', 'Tukey HSD', 'q', summaries, tukey, alpha),
+                this.formatPostHocMethod('games-howell', 'Games-Howell', 't', summaries, gamesHowell, alpha),
+                this.formatPostHocMethod('bonferroni', 'Bonferroni (t)', 't', summaries, bonferroni, alpha),
+                this.formatPostHocMethod('holm', 'Holm (t)', 't', summaries, holm, alpha)
+            ]
+        };
+    }
+    
+    /**
+     * Dunn's test after a significant Kruskal-Wallis test (Holm-adjusted)
+     */
+    runDunnTest(groupStats, totalN, tieSum, alpha = 0.05) {
+        const summaries = Object.entries(groupStats).map(([group, stats]) => ({
+            group: group,
+            n: stats.n,
+            meanRank: stats.meanRank
+        }));
+        
+        // Variance of a mean rank, corrected for ties
+        const rankVariance = totalN * (totalN + 1) / 12 - tieSum / (12 * (totalN - 1));
+        
+        const comparisons = this.getGroupPairs(summaries).map(([a, b]) => {
+            const difference = a.meanRank - b.meanRank;
+            const standardError = Math.sqrt(rankVariance * (1 / a.n + 1 / b.n));
+            const z = difference / standardError;
+            
+            return {
+                group1: a.group,
+                group2: b.group,
+                difference: difference,
+                standardError: standardError,
+                statistic: z,
+                pUnadjusted: 2 * (1 - Distributions.normal.cdf(Math.abs(z), 0, 1))
+            };
+        });
+        
+        const holmPValues = this.adjustPValues(comparisons.map(comparison => comparison.pUnadjusted), 'holm');
+        comparisons.forEach((comparison, i) => {
+            comparison.pValue = holmPValues[i];
+        });
+        
+        return {
+            alpha: alpha,
+            primary: 'dunn',
+            reason: 'مقارنات الرتب المتوسطة بتصحيح Holm للمقارنات المتعددة',
+            groups: summaries.map(summary => summary.group),
+            methods: [
+                this.formatPostHocMethod('dunn', 'Dunn (Holm)', 'z', summaries, comparisons, alpha)
+            ]
+        };
+    }
+    
+    /**
+     * All unordered pairs of groups, in group order
+     */
+    getGroupPairs(items) {
+        const pairs = [];
+        for (let i = 0; i < items.length - 1; i++) {
+            for (let j = i + 1; j < items.length; j++) {
+                pairs.push([items[i], items[j]]);
+            }
+        }
+        return pairs;
+    }
+    
+    /**
+     * Adjust p-values for multiple comparisons ('bonferroni' or 'holm')
+     */
+    adjustPValues(pValues, method) {
+        const m = pValues.length;
+        
+        if (method === 'bonferroni') {
+            return pValues.map(p => Math.min(1, p * m));
+        }
+        
+        if (method === 'holm') {
+            // Step-down: multiply the i-th smallest p by (m - i), keeping the sequence monotone
+            const order = pValues
+                .map((p, index) => ({ p, index }))
+                .sort((a, b) => a.p - b.p);
+            const adjusted = new Array(m);
+            let runningMax = 0;
+            
+            order.forEach((item, i) => {
+                runningMax = Math.max(runningMax, Math.min(1, item.p * (m - i)));
+                adjusted[item.index] = runningMax;
+            });
+            
+            return adjusted;
+        }
+        
+        throw new Error(`طريقة التصحيح غير معروفة: ${method}`);
+    }
+    
+    /**
+     * Format one post-hoc method: comparison rows plus a symmetric p-value matrix.
+     * The direction is carried by the signed mean difference (group1 − group2), and
+     * the test statistic (q, t or z) is reported as a magnitude in every method
+     */
+    formatPostHocMethod(id, name, statisticName, summaries, comparisons, alpha) {
+        const groups = summaries.map(summary => summary.group);
+        const matrix = groups.map(() => groups.map(() => null));
+        
+        comparisons.forEach(comparison => {
+            const i = groups.indexOf(comparison.group1);
+            const j = groups.indexOf(comparison.group2);
+            matrix[i][j] = matrix[j][i] = comparison.pValue.toFixed(4);
+        });
+        
+        return {
+            id: id,
+            name: name,
+            statisticName: statisticName,
+            comparisons: comparisons.map(comparison => ({
+                group1: comparison.group1,
+                group2: comparison.group2,
+                difference: comparison.difference.toFixed(4),
+                standardError: comparison.standardError.toFixed(4),
+                statistic: Math.abs(comparison.statistic).toFixed(4),
+                df: comparison.df !== undefined
+                    ? (Number.isInteger(comparison.df) ? comparison.df : comparison.df.toFixed(2))
+                    : null,
+                pUnadjusted: comparison.pUnadjusted !== undefined ? comparison.pUnadjusted.toFixed(4) : null,
+                pValue: comparison.pValue.toFixed(4),
+                ciLower: comparison.ciLower !== undefined ? comparison.ciLower.toFixed(4) : null,
+                ciUpper: comparison.ciUpper !== undefined ? comparison.ciUpper.toFixed(4) : null,
+                significant: comparison.pValue < alpha
+            })),
+            matrix: matrix
+        };
+    }
+    
     /**
      * Helper methods for calculations
      */
@@ -1702,14 +4046,25 @@ class StatisticalTests {
         return tieSum / (Math.pow(n, 3) - n);
     }
     
+    calculateTieSum(values) {
+        // Σ(t³ - t) over groups of tied values
+        const valueCounts = {};
+        values.forEach(value => {
+            valueCounts[value] = (valueCounts[value] || 0) + 1;
+        });
+        
+        return Object.values(valueCounts)
+            .reduce((sum, count) => sum + Math.pow(count, 3) - count, 0);
+    }
+    
     calculateConfidenceInterval(values, confidence = 0.95) {
         const n = values.length;
         if (n < 2) return [null, null];
         
-        const mean = ss.mean(values);
-        const std = ss.standardDeviation(values);
+        const mean = Descriptive.mean(values);
+        const std = Descriptive.sampleStandardDeviation(values);
         const se = std / Math.sqrt(n);
-        const t = jStat.studentt.inv(1 - (1 - confidence) / 2, n - 1);
+        const t = Distributions.studentt.inv(1 - (1 - confidence) / 2, n - 1);
         
         return [
             (mean - t * se).toFixed(4),
@@ -1720,8 +4075,8 @@ class StatisticalTests {
     calculatePower(t, df, alpha = 0.05, tails = 'two-tailed') {
         // Simplified power calculation
         const noncentrality = Math.abs(t);
-        const criticalT = jStat.studentt.inv(1 - alpha / (tails === 'two-tailed' ? 2 : 1), df);
-        const power = 1 - jStat.noncentralt.cdf(criticalT, df, noncentrality);
+        const criticalT = Distributions.studentt.inv(1 - alpha / (tails === 'two-tailed' ? 2 : 1), df);
+        const power = 1 - Distributions.noncentralt.cdf(criticalT, df, noncentrality);
         
         return Math.min(Math.max(power, 0), 1);
     }
@@ -1729,8 +4084,8 @@ class StatisticalTests {
     calculateAnovaPower(f, dfBetween, dfWithin, k) {
         // Simplified ANOVA power calculation
         const lambda = f * dfBetween;
-        const criticalF = jStat.centralF.inv(0.95, dfBetween, dfWithin);
-        const power = 1 - jStat.noncentralF.cdf(criticalF, dfBetween, dfWithin, lambda);
+        const criticalF = Distributions.centralF.inv(0.95, dfBetween, dfWithin);
+        const power = 1 - Distributions.noncentralF.cdf(criticalF, dfBetween, dfWithin, lambda);
         
         return Math.min(Math.max(power, 0), 1);
     }
@@ -1739,12 +4094,247 @@ class StatisticalTests {
         // Power for correlation test
         const zr = 0.5 * Math.log((1 + r) / (1 - r));
         const se = 1 / Math.sqrt(n - 3);
-        const zAlpha = jStat.normal.inv(1 - alpha / 2, 0, 1);
-        const power = 1 - jStat.normal.cdf(zAlpha - Math.abs(zr) / se, 0, 1);
+        const zAlpha = Distributions.normal.inv(1 - alpha / 2, 0, 1);
+        const power = 1 - Distributions.normal.cdf(zAlpha - Math.abs(zr) / se, 0, 1);
         
         return Math.min(Math.max(power, 0), 1);
     }
     
+    /**
+     * Effect size confidence intervals
+     * Each returns { lower, upper, level, method } on the scale of the effect size
+     */
+    
+    /**
+     * Noncentrality bounds of a t statistic: the δ values for which the observed t
+     * sits at the upper and lower α/2 quantiles (Steiger & Fouladi, 1997)
+     */
+    calculateNoncentralTInterval(t, df, level = 0.95) {
+        const tail = (1 - level) / 2;
+        
+        // P(T ≥ t | δ) increases with δ
+        const upperTail = ncp => 1 - Distributions.noncentralt.cdf(t, df, ncp);
+        
+        return {
+            lower: SpecialFunctions.solveMonotone(upperTail, tail, t - 2, t + 2),
+            upper: SpecialFunctions.solveMonotone(upperTail, 1 - tail, t - 2, t + 2)
+        };
+    }
+    
+    /**
+     * Cohen's d from t = d / scale, with scale = √(1/n₁ + 1/n₂) or 1/√n for paired data
+     */
+    calculateCohensDInterval(d, scale, df, level = 0.95) {
+        const bounds = this.calculateNoncentralTInterval(d / scale, df, level);
+        
+        return {
+            lower: bounds.lower * scale,
+            upper: bounds.upper * scale,
+            level: level,
+            method: 'توزيع t غير المركزي'
+        };
+    }
+    
+    /**
+     * Noncentrality bounds of an F statistic, truncated at zero
+     */
+    calculateNoncentralFInterval(f, df1, df2, level = 0.95) {
+        const tail = (1 - level) / 2;
+        
+        // P(F ≥ f | λ) increases with λ
+        const upperTail = lambda => 1 - Distributions.noncentralF.cdf(f, df1, df2, lambda);
+        const solve = target => upperTail(0) >= target
+            ? 0
+            : SpecialFunctions.solveMonotone(upperTail, target, 0, Math.max(10, 2 * f * df1), { lowerBound: 0 });
+        
+        return { lower: solve(tail), upper: solve(1 - tail) };
+    }
+    
+    /**
+     * η² and partial η² (also R²) from λ: η² = λ / (λ + df₁ + df₂ + 1)
+     */
+    calculateEtaSquaredInterval(f, df1, df2, level = 0.95) {
+        const bounds = this.calculateNoncentralFInterval(f, df1, df2, level);
+        const toEtaSquared = lambda => lambda / (lambda + df1 + df2 + 1);
+        
+        return {
+            lower: toEtaSquared(bounds.lower),
+            upper: toEtaSquared(bounds.upper),
+            level: level,
+            method: 'توزيع F غير المركزي'
+        };
+    }
+    
+    /**
+     * Cohen's w (divisor N) or Cramér's V (divisor N(min(r, c) - 1)) from the
+     * noncentral χ² bounds: effect = √(λ / divisor)
+     */
+    calculateChiSquareEffectInterval(chiSquare, df, divisor, level = 0.95) {
+        const tail = (1 - level) / 2;
+        const upperTail = lambda => 1 - Distributions.noncentralChisquare.cdf(chiSquare, df, lambda);
+        const solve = target => upperTail(0) >= target
+            ? 0
+            : SpecialFunctions.solveMonotone(upperTail, target, 0, Math.max(10, 2 * chiSquare), { lowerBound: 0 });
+        const toEffect = lambda => Math.sqrt(lambda / divisor);
+        
+        return {
+            lower: toEffect(solve(tail)),
+            upper: toEffect(solve(1 - tail)),
+            level: level,
+            method: 'توزيع مربع كاي غير المركزي'
+        };
+    }
+    
+    /**
+     * Fisher z interval; varianceFactor is 1 + r²/2 for Spearman (Bonett & Wright, 2000)
+     */
+    calculateCorrelationInterval(r, n, level = 0.95, varianceFactor = 1) {
+        const z = Math.atanh(Math.max(Math.min(r, 0.9999999), -0.9999999));
+        const se = Math.sqrt(varianceFactor / (n - 3));
+        const zCritical = Distributions.normal.inv(1 - (1 - level) / 2, 0, 1);
+        
+        return {
+            lower: Math.tanh(z - zCritical * se),
+            upper: Math.tanh(z + zCritical * se),
+            level: level,
+            method: 'تحويل فيشر (z)'
+        };
+    }
+    
+    /**
+     * Percentile bootstrap for effect sizes without a closed-form interval.
+     * samples: independent strata resampled separately (a single array of units for paired data)
+     * options.effectSizeBootstrap === false skips it (the resampling engine reruns tests many times)
+     */
+    calculateBootstrapInterval(samples, statistic, options = {}) {
+        if (options.effectSizeBootstrap === false) return null;
+        
+        const replicates = options.replicates || 1000;
+        const seed = options.seed !== undefined ? options.seed : 20240101;
+        const level = options.level || 0.95;
+        const random = this.createRandomGenerator(seed);
+        
+        const estimates = [];
+        for (let b = 0; b < replicates; b++) {
+            const resampled = samples.map(sample =>
+                sample.map(() => sample[Math.floor(random() * sample.length)])
+            );
+            const value = statistic(resampled);
+            if (isFinite(value)) estimates.push(value);
+        }
+        
+        if (estimates.length < replicates / 2) return null;
+        
+        estimates.sort((a, b) => a - b);
+        const tail = (1 - level) / 2;
+        
+        return {
+            lower: this.calculatePercentile(estimates, tail * 100),
+            upper: this.calculatePercentile(estimates, (1 - tail) * 100),
+            level: level,
+            method: `bootstrap مئيني (${replicates} عينة)`,
+            replicates: replicates,
+            seed: seed
+        };
+    }
+    
+    /**
+     * Rank-based effect sizes recomputed on each bootstrap resample, with the same
+     * tie and continuity corrections as the tests themselves. The two-sample and
+     * paired r are signed (positive when the first group or W+ is larger), so that
+     * a percentile interval around an effect near zero includes zero
+     */
+    calculateMannWhitneyEffect(group1, group2) {
+        const n1 = group1.length;
+        const n2 = group2.length;
+        const total = n1 + n2;
+        const combined = [...group1, ...group2];
+        const ranks = this.calculateRanks(combined);
+        const u = Descriptive.sum(ranks.slice(0, n1)) - n1 * (n1 + 1) / 2;
+        const tieCorrection = this.calculateTieSum(combined) / (total * total * total - total);
+        const stdU = Math.sqrt(n1 * n2 * (total + 1) / 12 * (1 - tieCorrection));
+        
+        if (!(stdU > 0)) return NaN;
+        const deviation = u - n1 * n2 / 2;
+        return Math.sign(deviation) * Math.max(Math.abs(deviation) - 0.5, 0) / stdU / Math.sqrt(total);
+    }
+    
+    calculateWilcoxonEffect(differences) {
+        const nonZero = differences.filter(diff => diff !== 0);
+        const n = nonZero.length;
+        if (n === 0) return NaN;
+        
+        const absolute = nonZero.map(Math.abs);
+        const ranks = this.calculateRanks(absolute);
+        const wPlus = Descriptive.sum(ranks.filter((_, i) => nonZero[i] > 0));
+        const meanW = n * (n + 1) / 4;
+        const stdW = Math.sqrt(n * (n + 1) * (2 * n + 1) / 24 - this.calculateTieSum(absolute) / 48);
+        
+        if (!(stdW > 0)) return NaN;
+        const deviation = wPlus - meanW;
+        return Math.sign(deviation) * Math.max(Math.abs(deviation) - 0.5, 0) / stdW / Math.sqrt(n);
+    }
+    
+    calculateKruskalWallisEffect(samples) {
+        const combined = samples.flat();
+        const total = combined.length;
+        const ranks = this.calculateRanks(combined);
+        
+        let offset = 0;
+        let h = 0;
+        samples.forEach(sample => {
+            const rankSum = Descriptive.sum(ranks.slice(offset, offset + sample.length));
+            h += rankSum * rankSum / sample.length;
+            offset += sample.length;
+        });
+        h = 12 / (total * (total + 1)) * h - 3 * (total + 1);
+        
+        const tieCorrection = this.calculateTieSum(combined) / (total * total * total - total);
+        if (tieCorrection >= 1) return NaN;
+        if (tieCorrection > 0) h /= (1 - tieCorrection);
+        
+        return (h - (samples.length - 1)) / (total - 1);
+    }
+    
+    calculateKendallW(rows) {
+        const n = rows.length;
+        const k = rows[0].length;
+        const rankSums = new Array(k).fill(0);
+        let tieSum = 0;
+        
+        rows.forEach(row => {
+            this.calculateRanks(row).forEach((rank, j) => { rankSums[j] += rank; });
+            tieSum += this.calculateTieSum(row);
+        });
+        
+        const chiSquareRaw = 12 / (n * k * (k + 1)) * Descriptive.sum(rankSums.map(r => r * r)) - 3 * n * (k + 1);
+        const denominator = 1 - tieSum / (n * k * (k * k - 1));
+        
+        if (!(denominator > 0)) return NaN;
+        return chiSquareRaw / denominator / (n * (k - 1));
+    }
+    
+    /**
+     * "[lower, upper]" for the results grid
+     */
+    formatInterval(interval) {
+        return interval ? `[${interval.lower.toFixed(4)}, ${interval.upper.toFixed(4)}]` : null;
+    }
+    
+    /**
+     * Interval stored next to the point estimate in results.effectSize
+     */
+    formatEffectSizeInterval(interval) {
+        if (!interval) return null;
+        
+        return {
+            lower: interval.lower.toFixed(4),
+            upper: interval.upper.toFixed(4),
+            level: interval.level,
+            method: interval.method
+        };
+    }
+    
     /**
      * Assumption checking methods
      */
@@ -1858,7 +4448,7 @@ class StatisticalTests {
             allPassed: allPassed,
             recommendation: allPassed 
                 ? 'افتراضات اختبار مربع كاي مستوفاة' 
-                : 'قد تحتاج إلى اختبار فيشر الدقيق أو دمج الفئات'
+                : 'استخدم اختبار فيشر الدقيق (يُحسب تلقائياً مع اختبار الاستقلالية) أو ادمج الفئات'
         };
     }
     
@@ -1874,10 +4464,18 @@ class StatisticalTests {
             details: shapiro.message
         });
         
+        const lilliefors = this.lillieforsTest(residuals);
+        assumptions.push({
+            name: 'التوزيع الطبيعي للأخطاء (Lilliefors)',
+            result: lilliefors.result,
+            passed: lilliefors.passed,
+            details: lilliefors.message
+        });
+        
         // Homoscedasticity
         // Calculate correlation between absolute residuals and predicted values
         const absResiduals = residuals.map(Math.abs);
-        const correlation = ss.sampleCorrelation(absResiduals, predicted);
+        const correlation = Descriptive.sampleCorrelation(absResiduals, predicted);
         const homoscedasticity = Math.abs(correlation) < 0.3;
         
         assumptions.push({
@@ -1890,11 +4488,7 @@ class StatisticalTests {
         });
         
         // Independence (Durbin-Watson test)
-        let dw = 0;
-        for (let i = 1; i < residuals.length; i++) {
-            dw += Math.pow(residuals[i] - residuals[i - 1], 2);
-        }
-        dw /= residuals.reduce((sum, r) => sum + r * r, 0);
+        const dw = this.calculateDurbinWatson(residuals);
         
         const independence = dw > 1.5 && dw < 2.5;
         assumptions.push({
@@ -1959,6 +4553,43 @@ class StatisticalTests {
         }
     }
     
+    interpretFactorialAnovaResult(effects) {
+        const significant = effects.filter(effect => effect.pValue < 0.05);
+        
+        if (significant.length === 0) {
+            return 'لا توجد آثار رئيسية أو تفاعلية ذات دلالة إحصائية (p ≥ 0.05).';
+        }
+        
+        const described = significant.map(effect =>
+            `${effect.order > 1 ? 'التفاعل' : 'الأثر الرئيسي لـ'} ${effect.source} ` +
+            `(F(${effect.df}, ${effect.dfError}) = ${effect.f.toFixed(2)}, p ${effect.pValue < 0.001 ? '< 0.001' : '= ' + effect.pValue.toFixed(3)}, ` +
+            `η²p = ${effect.partialEtaSquared.toFixed(3)})`
+        );
+        
+        return `توجد آثار ذات دلالة إحصائية: ${described.join('؛ ')}.`;
+    }
+    
+    interpretRepeatedMeasuresResult(f, correction, partialEtaSquared) {
+        const report = `F(${this.formatCorrectedDf(correction.df1)}, ${this.formatCorrectedDf(correction.df2)}) = ${f.toFixed(2)}, ` +
+            `p ${correction.pValue < 0.001 ? '< 0.001' : '= ' + correction.pValue.toFixed(3)}, η²p = ${partialEtaSquared.toFixed(3)}`;
+        
+        if (correction.pValue < 0.05) {
+            return `توجد فروق ذات دلالة إحصائية بين متوسطات القياسات المتكررة (${report}، ${correction.name}). ` +
+                `حجم الأثر ${this.interpretEtaSquared(partialEtaSquared)}.`;
+        }
+        
+        return `لا توجد فروق ذات دلالة إحصائية بين متوسطات القياسات المتكررة (${report}، ${correction.name}).`;
+    }
+    
+    interpretFriedmanResult(pValue, kendallW) {
+        if (pValue < 0.05) {
+            return `توجد فروق ذات دلالة إحصائية بين رتب القياسات المتكررة (p = ${pValue.toFixed(4)}). ` +
+                `معامل التوافق لكندال W = ${kendallW.toFixed(3)} (أثر ${this.interpretEffectSizeR(kendallW)}).`;
+        }
+        
+        return `لا توجد فروق ذات دلالة إحصائية بين رتب القياسات المتكررة (p = ${pValue.toFixed(4)}).`;
+    }
+    
     interpretMannWhitneyResult(pValue, group1, group2) {
         if (pValue < 0.05) {
             return `يوجد فرق ذو دلالة إحصائية بين توزيعات المجموعتين (p < 0.05). 
@@ -2027,6 +4658,24 @@ class StatisticalTests {
         }
     }
     
+    interpretGoodnessOfFitResult(pValue, hasProportions) {
+        const reference = hasProportions ? 'النسب المتوقعة المحددة' : 'التوزيع المتساوي بين الفئات';
+        
+        if (pValue < 0.05) {
+            return `التكرارات الملاحظة تختلف بدلالة إحصائية عن ${reference} (p = ${pValue.toFixed(4)}).`;
+        }
+        
+        return `لا يوجد فرق ذو دلالة إحصائية بين التكرارات الملاحظة و${reference} (p = ${pValue.toFixed(4)}).`;
+    }
+    
+    interpretMcNemarResult(pValue, before, after) {
+        if (pValue < 0.05) {
+            return `توزيع الفئات تغير بدلالة إحصائية بين "${before}" و"${after}" (p = ${pValue.toFixed(4)}).`;
+        }
+        
+        return `لا يوجد تغير ذو دلالة إحصائية في توزيع الفئات بين "${before}" و"${after}" (p = ${pValue.toFixed(4)}).`;
+    }
+    
     interpretRegressionResult(slope, pValue, rSquared) {
         if (pValue < 0.05) {
             const direction = slope > 0 ? 'موجب' : 'سالب';
@@ -2040,6 +4689,46 @@ class StatisticalTests {
         }
     }
     
+    interpretMultipleRegressionResult(fPValue, rSquared, adjustedRSquared, coefficientRows) {
+        const significantTerms = coefficientRows.slice(1)
+            .filter(row => parseFloat(row.pValue) < 0.05)
+            .map(row => row.term);
+        
+        if (fPValue >= 0.05) {
+            return `النموذج ككل غير دال إحصائياً (p = ${fPValue.toFixed(3)})، ولا يفسر المتغيرات المستقلة مجتمعة تبايناً يُعتد به في المتغير التابع (R² = ${rSquared.toFixed(3)}).`;
+        }
+        
+        return `النموذج دال إحصائياً (p ${fPValue < 0.001 ? '< 0.001' : '= ' + fPValue.toFixed(3)}) ويفسر ${(rSquared * 100).toFixed(1)}% من تباين المتغير التابع ` +
+            `(R² المعدل = ${adjustedRSquared.toFixed(3)}). ` +
+            (significantTerms.length > 0
+                ? `المتغيرات المستقلة ذات الإسهام الدال: ${significantTerms.join('، ')}.`
+                : 'لا يوجد متغير مستقل دال بمفرده عند ضبط بقية المتغيرات.');
+    }
+    
+    interpretRSquared(rSquared) {
+        // Cohen's f² benchmarks expressed as R²
+        if (rSquared < 0.02) return 'ضئيل';
+        if (rSquared < 0.13) return 'صغير';
+        if (rSquared < 0.26) return 'متوسط';
+        return 'كبير';
+    }
+    
+    interpretLogisticRegressionResult(modelPValue, nagelkerkeR2, coefficientRows, event) {
+        if (modelPValue >= 0.05) {
+            return `النموذج ككل غير دال إحصائياً (p = ${modelPValue.toFixed(3)})، ولا تحسّن المتغيرات المستقلة التنبؤ بالفئة "${event}" مقارنة بالنموذج الصفري.`;
+        }
+        
+        const significantTerms = coefficientRows.slice(1)
+            .filter(row => parseFloat(row.pValue) < 0.05)
+            .map(row => `${row.term} (OR = ${row.oddsRatio})`);
+        
+        return `النموذج دال إحصائياً (p ${modelPValue < 0.001 ? '< 0.001' : '= ' + modelPValue.toFixed(3)}) ` +
+            `ويفسر نحو ${(nagelkerkeR2 * 100).toFixed(1)}% (Nagelkerke) من التباين في احتمال الفئة "${event}". ` +
+            (significantTerms.length > 0
+                ? `المتغيرات ذات الأثر الدال: ${significantTerms.join('، ')}؛ نسبة الأرجحية أكبر من 1 تعني زيادة احتمال الحدث.`
+                : 'لا يوجد متغير مستقل دال بمفرده عند ضبط بقية المتغيرات.');
+    }
+    
     interpretWilcoxonResult(pValue) {
         if (pValue < 0.05) {
             return `يوجد فرق ذو دلالة إحصائية بين القياسات المترابطة (p < 0.05).`;
@@ -2138,8 +4827,8 @@ class StatisticalTests {
         const recommendations = [];
         
         if (pValue < 0.05) {
-            recommendations.push('يجب إجراء تحليلات لاحقة (Post-hoc tests) لتحديد أي المجموعات تختلف.');
-            recommendations.push('يمكن استخدام اختبارات مثل Tukey\'s HSD أو Bonferroni للمقارنات المتعددة.');
+            recommendations.push('أُجريت المقارنات البعدية (Post-hoc tests) تلقائياً؛ راجع مصفوفة المقارنات الزوجية لتحديد أي المجموعات تختلف.');
+            recommendations.push('اعتمد Tukey HSD عند تجانس التباينات، وGames-Howell عند عدم تجانسها.');
         } else {
             recommendations.push('لا يمكنك رفض فرضية العدم بأن جميع المجموعات متساوية.');
         }
@@ -2155,6 +4844,68 @@ class StatisticalTests {
         return recommendations;
     }
     
+    generateFactorialAnovaRecommendations(effects, cells, levene) {
+        const recommendations = [];
+        const significantInteractions = effects.filter(effect => effect.order > 1 && effect.pValue < 0.05);
+        
+        if (significantInteractions.length > 0) {
+            recommendations.push('التفاعل دال إحصائياً: فسّر الآثار الرئيسية بحذر واعتمد على الرسم التفاعلي وتحليل الآثار البسيطة (Simple effects).');
+        } else if (effects.some(effect => effect.pValue < 0.05)) {
+            recommendations.push('لا يوجد تفاعل دال، لذا يمكن تفسير الآثار الرئيسية الدالة مباشرة مع إجراء مقارنات بعدية للعوامل ذات الثلاثة مستويات فأكثر.');
+        } else {
+            recommendations.push('لا يمكنك رفض فرضيات العدم للآثار الرئيسية والتفاعلات.');
+        }
+        
+        const cellSizes = Object.values(cells).map(cell => cell.values.length);
+        if (Math.min(...cellSizes) !== Math.max(...cellSizes)) {
+            recommendations.push('التصميم غير متوازن؛ استُخدم مجموع المربعات من النوع الثالث كما في SPSS.');
+        }
+        
+        if (Math.min(...cellSizes) < 5) {
+            recommendations.push('بعض الخلايا تحتوي على أقل من 5 ملاحظات، القوة الإحصائية للتفاعلات محدودة.');
+        }
+        
+        if (levene.passed === false) {
+            recommendations.push('التباينات غير متجانسة بين الخلايا؛ يُنصح بتحويل المتغير التابع أو استخدام أخطاء معيارية مقاومة.');
+        }
+        
+        return recommendations;
+    }
+    
+    generateRepeatedMeasuresRecommendations(pValue, n, sphericity) {
+        const recommendations = [];
+        
+        if (sphericity.pValue < 0.05) {
+            recommendations.push('افتراض الكروية غير متحقق؛ أبلغ عن درجات الحرية المصححة وقيمة ε المستخدمة.');
+        }
+        
+        if (pValue < 0.05) {
+            recommendations.push('أجرِ مقارنات زوجية بين القياسات (اختبار T المترابط مع تصحيح Bonferroni) لتحديد مواضع الفروق.');
+        }
+        
+        if (n < 20) {
+            recommendations.push('حجم العينة صغير؛ تأكد من طبيعية التوزيع أو استخدم اختبار فريدمان كبديل.');
+        }
+        
+        return recommendations;
+    }
+    
+    generateFriedmanRecommendations(pValue, n) {
+        const recommendations = [];
+        
+        if (pValue < 0.05) {
+            recommendations.push('أجرِ مقارنات زوجية لاحقة (اختبار ويلكوكسون مع تصحيح Bonferroni) لتحديد القياسات المختلفة.');
+        }
+        
+        if (n < 10) {
+            recommendations.push('حجم العينة صغير؛ تقريب مربع كاي لقيمة P قد يكون غير دقيق.');
+        }
+        
+        recommendations.push('أبلغ عن الوسيط ومتوسط الرتب لكل قياس مع معامل كندال W.');
+        
+        return recommendations;
+    }
+    
     generateNonparametricRecommendations(n) {
         const recommendations = [];
         
@@ -2172,7 +4923,7 @@ class StatisticalTests {
         const recommendations = this.generateNonparametricRecommendations(n);
         
         if (pValue < 0.05) {
-            recommendations.push('يجب إجراء اختبارات لاحقة غير معلمية مثل Dunn\'s test.');
+            recommendations.push('أُجري اختبار Dunn للمقارنات البعدية تلقائياً مع تصحيح Holm؛ راجع مصفوفة المقارنات الزوجية.');
         }
         
         return recommendations;
@@ -2217,7 +4968,7 @@ class StatisticalTests {
         
         if (!assumptionCheck.allPassed) {
             recommendations.push('بعض افتراضات اختبار مربع كاي غير مستوفاة.');
-            recommendations.push('يمكن استخدام اختبار فيشر الدقيق للجداول 2x2.');
+            recommendations.push('تم حساب اختبار فيشر الدقيق بجانب مربع كاي، ويُعتمد بدلاً منه عند صغر التكرارات المتوقعة.');
             recommendations.push('يمكن دمج الفئات لزيادة التكرارات المتوقعة.');
         }
         
@@ -2228,6 +4979,51 @@ class StatisticalTests {
         return recommendations;
     }
     
+    generateFisherRecommendations(is2x2, exact) {
+        const recommendations = [];
+        
+        if (!is2x2) {
+            recommendations.push(`قيمة P تقديرية من ${exact.simulations} جدول عشوائي (البذرة ${exact.seed})؛ زد عدد المحاكاة لدقة أعلى.`);
+        }
+        
+        recommendations.push('اختبار فيشر مناسب عندما تكون التكرارات المتوقعة صغيرة؛ أبلغ عن الجدول التقاطعي كاملاً.');
+        
+        return recommendations;
+    }
+    
+    generateGoodnessOfFitRecommendations(assumptionCheck, observed, expected, categories) {
+        const recommendations = [];
+        
+        if (!assumptionCheck.allPassed) {
+            recommendations.push('بعض التكرارات المتوقعة أقل من 5؛ ادمج الفئات المتقاربة أو استخدم اختباراً دقيقاً.');
+        }
+        
+        // Categories that contribute most to the statistic
+        const largest = categories
+            .map((category, i) => ({ category, residual: (observed[i] - expected[i]) / Math.sqrt(expected[i]) }))
+            .filter(item => Math.abs(item.residual) > 2)
+            .map(item => `${item.category} (${item.residual > 0 ? 'أكثر' : 'أقل'} من المتوقع)`);
+        if (largest.length > 0) {
+            recommendations.push(`الفئات ذات البواقي المعيارية الأكبر من 2: ${largest.join('، ')}.`);
+        }
+        
+        return recommendations;
+    }
+    
+    generateMcNemarRecommendations(levelCount, n) {
+        const recommendations = [];
+        
+        if (levelCount > 2) {
+            recommendations.push('للفئات الأكثر من اثنتين استُخدم اختبار التماثل لبوكر؛ يمكن إجراء اختبارات ماكنمار لكل زوج من الفئات مع تصحيح Bonferroni.');
+        }
+        
+        if (n < 30) {
+            recommendations.push('حجم العينة صغير؛ يفضل الاعتماد على قيمة P الدقيقة.');
+        }
+        
+        return recommendations;
+    }
+    
     generateRegressionRecommendations(n, assumptionCheck) {
         const recommendations = [];
         
@@ -2246,6 +5042,48 @@ class StatisticalTests {
         return recommendations;
     }
     
+    generateMultipleRegressionRecommendations(n, k, assumptionCheck, maxVif, influentialCount) {
+        const recommendations = this.generateRegressionRecommendations(n, assumptionCheck);
+        
+        if (n < 50 + 8 * k) {
+            recommendations.push(`حجم العينة أقل من القاعدة التقريبية 50 + 8k (${50 + 8 * k}) لاختبار النموذج ككل.`);
+        }
+        
+        if (maxVif >= 10) {
+            recommendations.push('يوجد تعدد خطي مرتفع (VIF ≥ 10)، فكّر في حذف أو دمج المتغيرات المترابطة.');
+        } else if (maxVif >= 5) {
+            recommendations.push('يوجد تعدد خطي متوسط (VIF ≥ 5)، فسّر المعاملات بحذر.');
+        }
+        
+        if (influentialCount > 0) {
+            recommendations.push(`عدد الحالات المؤثرة (Cook's D > 4/n): ${influentialCount}، راجعها وأعد التحليل دونها للتحقق من ثبات النتائج.`);
+        }
+        
+        return recommendations;
+    }
+    
+    generateLogisticRegressionRecommendations(minorityCount, k, hosmerLemeshow, fit) {
+        const recommendations = [];
+        
+        if (fit.separation) {
+            recommendations.push('يوجد مؤشر على انفصال تام (تنبؤ مثالي أو عدم تقارب الخوارزمية)، لذا فالأخطاء المعيارية ونسب الأرجحية غير موثوقة.');
+        }
+        
+        if (minorityCount < 10 * k) {
+            recommendations.push(`عدد الحالات في الفئة الأقل (${minorityCount}) أقل من 10 لكل متغير مستقل، قد تكون التقديرات غير مستقرة.`);
+        }
+        
+        if (hosmerLemeshow.pValue < 0.05) {
+            recommendations.push('اختبار Hosmer-Lemeshow دال، مما يشير إلى ضعف مطابقة النموذج للبيانات.');
+        } else {
+            recommendations.push('اختبار Hosmer-Lemeshow غير دال، أي أن مطابقة النموذج للبيانات مقبولة.');
+        }
+        
+        recommendations.push('فسّر نسب الأرجحية (Exp(B)) مع فترات الثقة بدلاً من المعاملات الخام.');
+        
+        return recommendations;
+    }
+    
     generateWilcoxonRecommendations(n) {
         const recommendations = this.generateNonparametricRecommendations(n);
         
@@ -2255,48 +5093,105 @@ class StatisticalTests {
     }
     
     /**
-     * Estimation methods for small samples
+     * Exact permutation distributions for small samples
+     * Ranks are doubled so that mid-ranks from ties stay integral.
      */
-    estimateMannWhitneyPValue(u, n1, n2) {
-        // Simplified estimation for small samples
-        // In production, use exact tables or library
-        const maxU = n1 * n2;
-        const proportion = u / maxU;
+    calculateExactMannWhitneyPValue(ranks, n1, rankSum1) {
+        const doubled = ranks.map(rank => Math.round(rank * 2));
+        const maxSum = doubled.reduce((sum, rank) => sum + rank, 0);
+        
+        // counts[k][s]: number of k-subsets whose doubled rank sum is s
+        const counts = Array.from({ length: n1 + 1 }, () => new Float64Array(maxSum + 1));
+        counts[0][0] = 1;
+        
+        doubled.forEach((rank, index) => {
+            for (let k = Math.min(index + 1, n1); k >= 1; k--) {
+                const current = counts[k];
+                const previous = counts[k - 1];
+                for (let sum = maxSum; sum >= rank; sum--) {
+                    if (previous[sum - rank] !== 0) {
+                        current[sum] += previous[sum - rank];
+                    }
+                }
+            }
+        });
+        
+        return this.twoSidedExactPValue(counts[n1], Math.round(rankSum1 * 2));
+    }
+    
+    calculateExactWilcoxonPValue(ranks, wPlus) {
+        const doubled = ranks.map(rank => Math.round(rank * 2));
+        const maxSum = doubled.reduce((sum, rank) => sum + rank, 0);
+        
+        // counts[s]: number of sign assignments whose doubled W+ is s
+        const counts = new Float64Array(maxSum + 1);
+        counts[0] = 1;
+        
+        doubled.forEach(rank => {
+            for (let sum = maxSum; sum >= rank; sum--) {
+                counts[sum] += counts[sum - rank];
+            }
+        });
         
-        if (proportion < 0.1) return 0.001;
-        if (proportion < 0.2) return 0.01;
-        if (proportion < 0.3) return 0.05;
-        if (proportion < 0.4) return 0.1;
-        return 0.2;
+        return this.twoSidedExactPValue(counts, Math.round(wPlus * 2));
     }
     
-    estimateSpearmanPValue(rho, n) {
-        // Simplified estimation for small samples
-        const absRho = Math.abs(rho);
+    calculateExactSpearmanPValue(ranks1, ranks2) {
+        const n = ranks1.length;
+        const permutation = [...ranks2];
+        
+        // ρ is monotone in Σ r₁r₂ when the rank margins are fixed
+        const sum1 = ranks1.reduce((a, b) => a + b, 0);
+        const sum2 = ranks2.reduce((a, b) => a + b, 0);
+        const expected = (sum1 * sum2) / n;
+        const crossProduct = (perm) => perm.reduce((sum, rank, i) => sum + rank * ranks1[i], 0);
+        const observed = Math.abs(crossProduct(permutation) - expected) - 1e-9;
+        
+        let extreme = 0;
+        let total = 0;
+        const visit = () => {
+            total++;
+            if (Math.abs(crossProduct(permutation) - expected) >= observed) extreme++;
+        };
         
-        if (n <= 5) {
-            if (absRho > 0.9) return 0.05;
-            return 0.1;
-        } else if (n <= 10) {
-            if (absRho > 0.8) return 0.01;
-            if (absRho > 0.6) return 0.05;
-            if (absRho > 0.4) return 0.1;
-            return 0.2;
+        // Heap's algorithm (iterative)
+        const c = new Array(n).fill(0);
+        visit();
+        let i = 1;
+        while (i < n) {
+            if (c[i] < i) {
+                const j = i % 2 === 0 ? 0 : c[i];
+                [permutation[j], permutation[i]] = [permutation[i], permutation[j]];
+                visit();
+                c[i]++;
+                i = 1;
+            } else {
+                c[i] = 0;
+                i++;
+            }
         }
         
-        return 0.05; // Default
+        return extreme / total;
     }
     
-    estimateWilcoxonPValue(w, n) {
-        // Simplified estimation for small samples
-        const maxW = (n * (n + 1)) / 2;
-        const proportion = w / maxW;
+    twoSidedExactPValue(counts, observed) {
+        let total = 0;
+        let lower = 0;
+        let upper = 0;
+        
+        for (let s = 0; s < counts.length; s++) {
+            total += counts[s];
+            if (s <= observed) lower += counts[s];
+            if (s >= observed) upper += counts[s];
+        }
         
-        if (proportion < 0.1) return 0.001;
-        if (proportion < 0.2) return 0.01;
-        if (proportion < 0.3) return 0.05;
-        if (proportion < 0.4) return 0.1;
-        return 0.2;
+        return Math.min(1, 2 * Math.min(lower, upper) / total);
+    }
+    
+    describePValueMethod(method) {
+        return method === 'exact'
+            ? 'دقيق (توزيع التباديل)'
+            : 'تقريب طبيعي (مع تصحيح الروابط والاستمرارية)';
     }
     
     /**
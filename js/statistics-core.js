@@ -7,6 +7,18 @@
 // Import required modules
 import DataValidator from './data-validator.js';
 import StatisticalTests from './statistical-tests.js';
+import AssumptionDiagnostics from './assumption-diagnostics.js';
+import DescriptiveAnalysis from './descriptive-analysis.js';
+import ReliabilityAnalysis from './reliability-analysis.js';
+import FactorAnalysis from './factor-analysis.js';
+import PowerAnalysis from './power-analysis.js';
+import ResamplingEngine from './resampling.js';
+import MissingDataHandler from './missing-data.js';
+import DataTransformer from './transformations.js';
+import ApaReport from './apa-report.js';
+import DocumentWriter from './document-writer.js';
+import SessionManager from './session-manager.js';
+import SyntaxGenerator from './syntax-generator.js';
 import UIManager from './ui-manager.js';
 
 // Global state with validation
@@ -21,6 +33,19 @@ const State = (function() {
             this._results = null;
             this._validationErrors = [];
             this._workerBusy = false;
+            this._validator = new DataValidator();
+            this._transformer = new DataTransformer();
+            
+            // Missing-data strategy and the rows it was applied to
+            this._missingData = null;
+            this._originalData = null;
+            
+            // Variable and value labels imported with the data (SPSS files)
+            this._dictionary = null;
+            
+            // Compute/recode log and the rows it is applied to
+            this._transformations = [];
+            this._transformationBase = null;
             
             // Security flags
             this._maxFileSize = 10 * 1024 * 1024; // 10MB
@@ -66,7 +91,26 @@ const State = (function() {
                 }
             }
             
+            // New data discards the missing-data treatment, transformations and labels of the previous one
             this._data = newData;
+            this._missingData = null;
+            this._originalData = null;
+            this._dictionary = null;
+            this._transformations = [];
+            this._transformationBase = null;
+            this._updateMetadata();
+        }
+        
+        get dictionary() {
+            return this._dictionary ? { ...this._dictionary } : null;
+        }
+        
+        set dictionary(dictionary) {
+            if (dictionary && typeof dictionary !== 'object') {
+                throw new Error('قاموس المتغيرات يجب أن يكون كائناً');
+            }
+            
+            this._dictionary = dictionary || null;
             this._updateMetadata();
         }
         
@@ -74,6 +118,99 @@ const State = (function() {
             return this._metadata ? { ...this._metadata } : null;
         }
         
+        /**
+         * Rows as loaded, before the missing-data strategy and the transformations were applied
+         */
+        get originalData() {
+            const original = this._originalData || this._transformationBase;
+            return original ? [...original] : this.data;
+        }
+        
+        /**
+         * Replace the data with its treated version and record the strategy in the
+         * metadata; the original rows are kept so that another strategy can replace it,
+         * and the transformation log is replayed on the treated rows
+         */
+        applyMissingDataStrategy(treatedData, record) {
+            const original = this._originalData || this._transformationBase || this._data;
+            const dictionary = this._dictionary;
+            const transformations = this._transformations;
+            
+            this.data = treatedData;
+            this._originalData = original;
+            this._missingData = record;
+            this._dictionary = dictionary;
+            this._setTransformations(treatedData, transformations);
+        }
+        
+        get transformations() {
+            return this._transformations.map(entry => ({ ...entry }));
+        }
+        
+        /**
+         * Rows the transformation log starts from (after any missing-data treatment)
+         */
+        get transformationBase() {
+            return this._transformationBase ? [...this._transformationBase] : this.data;
+        }
+        
+        /**
+         * Apply a compute/recode/reverse/filter step to the data and log it
+         */
+        applyTransformation(step) {
+            if (!this._data) {
+                throw new Error('لا توجد بيانات');
+            }
+            
+            const { entry } = this._transformer.apply(this._data, step);
+            this._setTransformations(this._transformationBase || this._data, [...this._transformations, entry]);
+            return entry;
+        }
+        
+        /**
+         * Remove the last step by replaying the rest of the log on the base rows
+         */
+        undoTransformation() {
+            if (this._transformations.length === 0) return null;
+            
+            const removed = this._transformations[this._transformations.length - 1];
+            this._setTransformations(this._transformationBase, this._transformations.slice(0, -1));
+            return removed;
+        }
+        
+        /**
+         * Replace the log (e.g. from a saved session) and replay it on the base rows
+         */
+        replaceTransformations(log) {
+            if (!Array.isArray(log)) {
+                throw new Error('سجل التحويلات يجب أن يكون مصفوفة');
+            }
+            if (!this._data) return;
+            
+            this._setTransformations(this._transformationBase || this._data, log);
+        }
+        
+        /**
+         * The log applied to other rows with the same columns (imputed datasets)
+         */
+        replayTransformations(data) {
+            return this._transformer.replay(data, this._transformations);
+        }
+        
+        _setTransformations(base, log) {
+            const transformed = this._transformer.replay(base, log);
+            const { _missingData, _originalData, _dictionary } = this;
+            
+            // Through the setter so the transformed rows are validated like loaded ones
+            this.data = transformed;
+            this._missingData = _missingData;
+            this._originalData = _originalData;
+            this._dictionary = _dictionary;
+            this._transformations = log.length > 0 ? log.map(entry => ({ ...entry })) : [];
+            this._transformationBase = log.length > 0 ? base : null;
+            this._updateMetadata();
+        }
+        
         get selectedTest() {
             return this._selectedTest;
         }
@@ -112,7 +249,7 @@ const State = (function() {
                     // Remove any script-like content
                     const value = newResults[key];
                     if (typeof value === 'string') {
-                        sanitized[key] = DataValidator.sanitizeInput(value);
+                        sanitized[key] = this._validator.sanitizeInput(value);
                     } else {
                         sanitized[key] = value;
                     }
@@ -160,7 +297,7 @@ const State = (function() {
             // Analyze each column
             for (const column of columns) {
                 const values = this._data.map(row => row[column]);
-                const stats = DataValidator.analyzeColumn(values, column);
+                const stats = this._validator.analyzeColumn(values, column);
                 columnTypes[column] = stats.type;
                 columnStats[column] = stats;
             }
@@ -173,6 +310,9 @@ const State = (function() {
                 columnStats: columnStats,
                 hasNumericData: Object.values(columnTypes).includes('numeric'),
                 hasCategoricalData: Object.values(columnTypes).includes('categorical'),
+                missingData: this._missingData,
+                transformations: this.transformations,
+                dictionary: this._dictionary,
                 lastUpdated: new Date().toISOString()
             };
         }
@@ -180,12 +320,29 @@ const State = (function() {
         reset() {
             this._data = null;
             this._metadata = null;
+            this._missingData = null;
+            this._originalData = null;
+            this._dictionary = null;
+            this._transformations = [];
+            this._transformationBase = null;
             this._selectedTest = null;
             this._results = null;
             this._validationErrors = [];
             this._workerBusy = false;
         }
         
+        /**
+         * Data part of a saved session: the loaded rows and what was applied to them
+         */
+        snapshot() {
+            return {
+                data: this.originalData,
+                dictionary: this._dictionary,
+                missingData: this._missingData,
+                transformations: this.transformations
+            };
+        }
+        
         toJSON() {
             return {
                 hasData: !!this._data,
@@ -215,10 +372,36 @@ class StatisticsApp {
         this.state = State.getInstance();
         this.validator = new DataValidator();
         this.tests = new StatisticalTests();
+        this.diagnostics = new AssumptionDiagnostics(this.tests);
+        this.descriptives = new DescriptiveAnalysis(this.validator);
+        this.reliability = new ReliabilityAnalysis();
+        this.factorAnalysis = new FactorAnalysis();
+        this.powerAnalysis = new PowerAnalysis();
+        this.resampling = new ResamplingEngine(this.tests);
+        this.missingData = new MissingDataHandler();
+        this.transformer = new DataTransformer();
+        this.apaReport = new ApaReport();
+        this.documentWriter = new DocumentWriter();
+        this.syntaxGenerator = new SyntaxGenerator();
+        
+        // Last separate assumption check, included in the APA report
+        this.assumptionCheck = null;
+        
+        // Session files and autosave; the last wizard analysis is what a session reproduces
+        this.sessions = new SessionManager();
+        this.lastAnalysis = null;
+        this.autosaveTimer = null;
+        this.pendingAutosave = null;
+        
+        // Main-thread resampling checks this flag when no worker is available
+        this.resamplingCancelled = false;
         this.ui = new UIManager();
         
         // Initialize workers
         this.statsWorker = null;
+        
+        // Last uploaded file, re-read when another workbook sheet is selected
+        this.currentFile = null;
         this.initializeWorker();
         
         // Bind event handlers
@@ -236,9 +419,15 @@ class StatisticsApp {
             // Load test database
             this.tests.loadTestDatabase();
             
+            // Tests available in the sample size planner
+            this.populatePowerTests();
+            
             // Update UI with initial state
             this.updateUI();
             
+            // Offer the session autosaved before the page was closed
+            this.checkAutosave();
+            
             console.log('تم تهيئة التطبيق بنجاح');
         } catch (error) {
             this.handleError(error, 'تهيئة التطبيق');
@@ -248,7 +437,8 @@ class StatisticsApp {
     initializeWorker() {
         try {
             if (typeof Worker !== 'undefined') {
-                this.statsWorker = new Worker('js/stats-worker.js', { type: 'module' });
+                // Module worker: it imports the same statistical-tests.js as the main thread
+                this.statsWorker = new Worker('js/statS-worker.js', { type: 'module' });
                 
                 this.statsWorker.onmessage = (event) => {
                     this.handleWorkerResponse(event.data);
@@ -272,6 +462,34 @@ class StatisticsApp {
             this.handleFileUpload(e.target.files[0]);
         });
         
+        // Another sheet of the loaded workbook
+        document.getElementById('sheet-select').addEventListener('change', (e) => {
+            this.handleFileUpload(this.currentFile, { sheet: e.target.value });
+        });
+        
+        // Re-read the text file with the corrected encoding and dialect
+        document.getElementById('reimport-btn').addEventListener('click', () => {
+            this.handleFileUpload(this.currentFile, { dialect: this.getImportDialect() });
+        });
+        
+        // Session files
+        document.getElementById('save-session-btn').addEventListener('click', () => {
+            this.saveSession();
+        });
+        
+        document.getElementById('session-file').addEventListener('change', (e) => {
+            this.openSession(e.target.files[0]);
+            e.target.value = '';
+        });
+        
+        document.getElementById('restore-autosave-btn').addEventListener('click', () => {
+            this.restoreAutosave();
+        });
+        
+        document.getElementById('discard-autosave-btn').addEventListener('click', () => {
+            this.discardAutosave();
+        });
+        
         // Manual data processing
         document.getElementById('process-data-btn').addEventListener('click', () => {
             this.processManualData();
@@ -306,6 +524,68 @@ class StatisticsApp {
             this.runSelectedAnalysis();
         });
         
+        // Bootstrap / permutation for the selected test
+        document.getElementById('run-resampling-btn').addEventListener('click', () => {
+            this.runResampling();
+        });
+        
+        // Compute / recode step
+        document.getElementById('transform-type').addEventListener('change', (e) => {
+            document.querySelectorAll('.transform-group').forEach(group => {
+                group.classList.toggle('d-none', group.id !== `transform-${e.target.value}-group`);
+            });
+        });
+        
+        document.getElementById('apply-transform-btn').addEventListener('click', () => {
+            this.applyTransformation();
+        });
+        
+        document.getElementById('undo-transform-btn').addEventListener('click', () => {
+            this.undoTransformation();
+        });
+        
+        document.getElementById('clear-transforms-btn').addEventListener('click', () => {
+            this.clearTransformations();
+        });
+        
+        // Missing-data step
+        document.getElementById('missing-data-method').addEventListener('change', (e) => {
+            document.getElementById('missing-data-imputations-group')
+                .classList.toggle('d-none', e.target.value !== 'multiple');
+        });
+        
+        document.getElementById('apply-missing-data-btn').addEventListener('click', () => {
+            this.applyMissingDataStrategy();
+        });
+        
+        document.getElementById('run-mcar-test-btn').addEventListener('click', () => {
+            this.runLittleMCARTest();
+        });
+        
+        // Descriptive statistics, frequency tables and crosstabs
+        document.getElementById('run-descriptives-btn').addEventListener('click', () => {
+            this.runDescriptiveAnalysis();
+        });
+        
+        // Run reliability analysis
+        document.getElementById('run-reliability-btn').addEventListener('click', () => {
+            this.runReliabilityAnalysis();
+        });
+        
+        // Run exploratory factor analysis
+        document.getElementById('run-factor-analysis-btn').addEventListener('click', () => {
+            this.runFactorAnalysis();
+        });
+        
+        // A priori power analysis
+        document.getElementById('power-test').addEventListener('change', () => {
+            this.updatePowerParameters();
+        });
+        
+        document.getElementById('run-power-analysis-btn').addEventListener('click', () => {
+            this.runPowerAnalysis();
+        });
+        
         // Test search with debounce
         const searchInput = document.getElementById('test-search');
         let searchTimeout;
@@ -332,6 +612,22 @@ class StatisticsApp {
             this.validateColumnSelection();
         });
         
+        document.getElementById('factor-columns').addEventListener('change', () => {
+            this.validateColumnSelection();
+        });
+        
+        document.getElementById('second-categorical-column').addEventListener('change', () => {
+            this.validateColumnSelection();
+        });
+        
+        document.getElementById('predictor-columns').addEventListener('change', () => {
+            this.validateColumnSelection();
+        });
+        
+        document.getElementById('measure-columns').addEventListener('change', () => {
+            this.validateColumnSelection();
+        });
+        
         // Wizard option cards
         document.querySelectorAll('.option-card').forEach(card => {
             card.addEventListener('click', (e) => {
@@ -349,7 +645,7 @@ class StatisticsApp {
         });
     }
     
-    async handleFileUpload(file) {
+    async handleFileUpload(file, options = {}) {
         try {
             if (!file) return;
             
@@ -363,11 +659,19 @@ class StatisticsApp {
                 throw new Error(validation.errors.join(', '));
             }
             
-            // Parse file
-            const data = await this.validator.parseCSV(file);
+            // Parse file (CSV, Excel workbook or SPSS data file)
+            const parsed = await this.validator.parseFile(file, options);
             
-            // Set data in state
-            this.state.data = data;
+            // Set data in state, with the SPSS labels when there are any
+            this.state.data = parsed.data;
+            this.state.dictionary = parsed.dictionary;
+            
+            // Workbooks with several sheets offer a sheet selector
+            this.currentFile = file;
+            this.updateSheetSelection(parsed.sheets, parsed.sheet);
+            
+            // Text files show the detected encoding and dialect for correction
+            this.updateImportDialect(parsed.dialect);
             
             // Update UI
             this.updateDataUI();
@@ -378,6 +682,46 @@ class StatisticsApp {
         }
     }
     
+    updateSheetSelection(sheets, selected) {
+        const container = document.getElementById('sheet-selection');
+        const select = document.getElementById('sheet-select');
+        
+        select.innerHTML = '';
+        (sheets || []).forEach(sheet => {
+            const option = document.createElement('option');
+            option.value = sheet;
+            option.textContent = sheet;
+            option.selected = sheet === selected;
+            select.appendChild(option);
+        });
+        
+        container.classList.toggle('d-none', !sheets || sheets.length < 2);
+    }
+    
+    updateImportDialect(dialect) {
+        document.getElementById('import-dialect-section').classList.toggle('d-none', !dialect);
+        if (!dialect) return;
+        
+        document.getElementById('import-encoding').value = dialect.encoding;
+        document.getElementById('import-delimiter').value = dialect.delimiter === '\t' ? 'tab' : dialect.delimiter;
+        document.getElementById('import-quote').value = dialect.quote;
+        document.getElementById('import-decimal').value = dialect.decimal;
+        document.getElementById('import-thousands').value = dialect.thousands === ' ' ? 'space' : dialect.thousands;
+    }
+    
+    getImportDialect() {
+        const delimiter = document.getElementById('import-delimiter').value;
+        const thousands = document.getElementById('import-thousands').value;
+        
+        return {
+            encoding: document.getElementById('import-encoding').value,
+            delimiter: delimiter === 'tab' ? '\t' : delimiter,
+            quote: document.getElementById('import-quote').value,
+            decimal: document.getElementById('import-decimal').value,
+            thousands: thousands === 'space' ? ' ' : thousands
+        };
+    }
+    
     processManualData() {
         try {
             const textarea = document.getElementById('manual-data');
@@ -439,6 +783,12 @@ class StatisticsApp {
         try {
             if (confirm('هل أنت متأكد من مسح جميع البيانات الحالية؟')) {
                 this.state.reset();
+                this.lastAnalysis = null;
+                
+                // Cleared data is not offered again on the next visit
+                clearTimeout(this.autosaveTimer);
+                this.sessions.clearAutosave().catch(error => console.warn('تعذر حذف الجلسة المحفوظة تلقائياً:', error));
+                
                 this.updateUI();
                 this.ui.showMessage('تم مسح البيانات', 'info');
             }
@@ -447,10 +797,250 @@ class StatisticsApp {
         }
     }
     
+    /**
+     * Everything needed to reproduce the analysis: the loaded rows, their
+     * treatment, the selections and the last wizard analysis with its results
+     */
+    getSessionContent() {
+        const snapshot = this.state.snapshot();
+        const test = this.state.selectedTest;
+        const analysis = this.lastAnalysis && test && test.id === this.lastAnalysis.testId
+            ? { ...this.lastAnalysis, results: this.state.results }
+            : null;
+        
+        return {
+            source: this.currentFile ? this.currentFile.name : null,
+            data: this.sessions.encodeData(snapshot.data),
+            dictionary: snapshot.dictionary,
+            missingData: snapshot.missingData,
+            transformations: snapshot.transformations,
+            selections: this.getSessionSelections(),
+            analysis: analysis
+        };
+    }
+    
+    getSessionSelections() {
+        const selected = (id) => [...document.getElementById(id).selectedOptions].map(option => option.value);
+        
+        return {
+            categorical: document.getElementById('categorical-column').value,
+            numerical: document.getElementById('numerical-column').value,
+            secondCategorical: this.getSecondCategoricalColumn(),
+            factors: selected('factor-columns'),
+            predictors: selected('predictor-columns'),
+            measures: selected('measure-columns'),
+            expectedProportions: document.getElementById('expected-proportions').value,
+            wizard: { ...this.ui.wizardSelections }
+        };
+    }
+    
+    applySessionSelections(selections) {
+        if (!selections) return;
+        
+        document.getElementById('categorical-column').value = selections.categorical || '';
+        document.getElementById('numerical-column').value = selections.numerical || '';
+        document.getElementById('second-categorical-column').value = selections.secondCategorical || '';
+        document.getElementById('expected-proportions').value = selections.expectedProportions || '';
+        
+        [
+            ['factor-columns', selections.factors],
+            ['predictor-columns', selections.predictors],
+            ['measure-columns', selections.measures]
+        ].forEach(([id, values]) => {
+            [...document.getElementById(id).options].forEach(option => {
+                option.selected = (values || []).includes(option.value);
+            });
+        });
+        
+        Object.entries(selections.wizard || {}).forEach(([step, value]) => {
+            const card = [...document.querySelectorAll(`#step-${step.replace('step', '')} .option-card`)]
+                .find(item => item.dataset.value === value);
+            if (card) {
+                this.selectWizardOption(card);
+            }
+        });
+        
+        this.validateColumnSelection();
+    }
+    
+    /**
+     * Load the session's rows and replay its missing-data strategy and transformations,
+     * then rerun its analysis; resolves to whether the results match the saved ones
+     */
+    async restoreSession(session) {
+        const content = session.content;
+        const table = this.sessions.decodeData(content.data);
+        
+        // A session file can be edited (and its hash recomputed), so its rows get the
+        // checks and escaping of an imported file; the saved cells are already escaped
+        const { data, headers } = this.validator.createRecords(
+            table.columns.map(String),
+            table.rows.map(values => values.map(value => typeof value === 'string' ? this.validator.unescapeHTML(value) : value))
+        );
+        
+        const dictionary = content.dictionary || null;
+        
+        this.state.data = data;
+        this.state.dictionary = dictionary
+            ? Object.fromEntries(headers
+                .filter(header => Object.prototype.hasOwnProperty.call(dictionary, header))
+                .map(header => [header, dictionary[header]]))
+            : null;
+        
+        if (content.missingData) {
+            const record = content.missingData;
+            const { data: treated } = this.missingData.apply(data, record.columns, record.method, record);
+            this.state.applyMissingDataStrategy(treated, record);
+        }
+        this.state.replaceTransformations(content.transformations || []);
+        
+        // The session replaces the file it was made from
+        this.currentFile = null;
+        this.updateSheetSelection(null, null);
+        this.updateImportDialect(null);
+        
+        this.updateDataUI();
+        this.applySessionSelections(content.selections);
+        
+        if (!content.analysis) return null;
+        
+        const { testId, catColumn, numColumn, options } = content.analysis;
+        const test = this.tests.getTestById(testId);
+        if (!test) {
+            throw new Error(`الاختبار المحفوظ في الجلسة غير موجود: ${testId}`);
+        }
+        
+        // Recommendations for the restored wizard answers, with the session's test selected
+        const wizard = this.ui.getWizardSelections();
+        if (Object.values(wizard).every(Boolean)) {
+            this.generateTestRecommendations();
+            document.querySelectorAll('.recommendation-card').forEach(card => {
+                card.classList.toggle('selected', card.dataset.testId === testId);
+            });
+        }
+        
+        this.ui.showLoading(`جاري إعادة تحليل ${test.name}...`);
+        const results = await this.computeAnalysis(testId, this.state.data, catColumn, numColumn, options);
+        this.ui.hideLoading();
+        
+        this.showAnalysisResults(results, test);
+        this.lastAnalysis = { testId, catColumn, numColumn, options };
+        this.scheduleAutosave();
+        
+        return this.sessions.equals(this.state.results, content.analysis.results);
+    }
+    
+    async saveSession() {
+        try {
+            if (!this.state.data) {
+                throw new Error('لا توجد بيانات لحفظها في الجلسة');
+            }
+            
+            const session = await this.sessions.create(this.getSessionContent());
+            const blob = new Blob([JSON.stringify(session)], { type: 'application/json;charset=utf-8' });
+            this.downloadBlob(blob, `جلسة_تحليل_${new Date().toISOString().slice(0,10)}.json`);
+            
+            this.ui.showMessage('تم حفظ الجلسة', 'success');
+            
+        } catch (error) {
+            this.handleError(error, 'حفظ الجلسة');
+        }
+    }
+    
+    async openSession(file) {
+        try {
+            if (!file) return;
+            
+            const session = await this.sessions.parse(await file.text());
+            await this.openRestoredSession(session);
+            
+        } catch (error) {
+            this.ui.hideLoading();
+            this.handleError(error, 'فتح الجلسة');
+        }
+    }
+    
+    async openRestoredSession(session) {
+        const reproduced = await this.restoreSession(session);
+        
+        if (reproduced === false) {
+            this.ui.showMessage('تمت استعادة الجلسة، لكن نتائج إعادة التحليل تختلف عن النتائج المحفوظة فيها', 'warning');
+        } else if (reproduced) {
+            this.ui.showMessage('تمت استعادة الجلسة وأعيد التحليل بنتائج مطابقة للنتائج المحفوظة', 'success');
+        } else {
+            this.ui.showMessage('تمت استعادة الجلسة', 'success');
+        }
+    }
+    
+    /**
+     * Autosave a moment after the last change, so a burst of changes is saved once
+     */
+    scheduleAutosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.autosave(), 2000);
+    }
+    
+    async autosave() {
+        try {
+            if (!this.state.data) return;
+            
+            await this.sessions.autosave(await this.sessions.create(this.getSessionContent()));
+        } catch (error) {
+            // Autosave is best effort: private browsing or a full quota must not interrupt the work
+            console.warn('تعذر الحفظ التلقائي للجلسة:', error);
+        }
+    }
+    
+    async checkAutosave() {
+        try {
+            const session = await this.sessions.loadAutosave();
+            if (!session || this.state.data) return;
+            
+            this.pendingAutosave = session;
+            document.getElementById('autosave-details').textContent =
+                `${session.content.source || 'بيانات بدون ملف'}، ${session.content.data.rows.length} صفاً، ` +
+                `حُفظت في ${new Date(session.savedAt).toLocaleString('ar')}`;
+            document.getElementById('autosave-restore').classList.remove('d-none');
+            
+        } catch (error) {
+            console.warn('تعذر قراءة الجلسة المحفوظة تلقائياً:', error);
+        }
+    }
+    
+    async restoreAutosave() {
+        try {
+            if (!this.pendingAutosave) return;
+            
+            document.getElementById('autosave-restore').classList.add('d-none');
+            await this.openRestoredSession(this.pendingAutosave);
+            this.pendingAutosave = null;
+            
+        } catch (error) {
+            this.ui.hideLoading();
+            this.handleError(error, 'استعادة الجلسة');
+        }
+    }
+    
+    async discardAutosave() {
+        document.getElementById('autosave-restore').classList.add('d-none');
+        this.pendingAutosave = null;
+        
+        try {
+            await this.sessions.clearAutosave();
+        } catch (error) {
+            console.warn('تعذر حذف الجلسة المحفوظة تلقائياً:', error);
+        }
+    }
+    
     updateDataUI() {
         const metadata = this.state.metadata;
         if (!metadata) return;
         
+        // An assumption check or analysis of the previous data does not describe this one
+        this.assumptionCheck = null;
+        this.lastAnalysis = null;
+        this.scheduleAutosave();
+        
         // Update statistics
         document.getElementById('row-count').textContent = metadata.rowCount;
         document.getElementById('col-count').textContent = metadata.columnCount;
@@ -465,6 +1055,8 @@ class StatisticsApp {
         
         // Update column selection
         this.updateColumnSelection();
+        document.getElementById('missing-data-status').textContent = this.missingData.describe(metadata.missingData);
+        this.updateTransformationLog();
         
         // Update data preview
         this.ui.updateDataPreview(this.state.data, metadata.columns);
@@ -480,39 +1072,163 @@ class StatisticsApp {
         
         const catSelect = document.getElementById('categorical-column');
         const numSelect = document.getElementById('numerical-column');
+        const factorSelect = document.getElementById('factor-columns');
+        const secondCatSelect = document.getElementById('second-categorical-column');
+        const predictorSelect = document.getElementById('predictor-columns');
+        const measureSelect = document.getElementById('measure-columns');
+        const descriptiveSelect = document.getElementById('descriptive-columns');
+        const frequencySelect = document.getElementById('frequency-columns');
+        const descriptiveGroupSelect = document.getElementById('descriptive-group-column');
+        const crosstabRowSelect = document.getElementById('crosstab-row-column');
+        const crosstabColumnSelect = document.getElementById('crosstab-column-column');
+        const itemSelect = document.getElementById('reliability-item-columns');
+        const reverseSelect = document.getElementById('reliability-reverse-columns');
+        const factorVariableSelect = document.getElementById('factor-analysis-columns');
+        const missingDataSelect = document.getElementById('missing-data-columns');
+        const recodeSelect = document.getElementById('recode-source');
+        const reverseScoringSelect = document.getElementById('reverse-columns');
         
         // Clear existing options
         catSelect.innerHTML = '<option value="">اختر عمود المجموعات</option>';
         numSelect.innerHTML = '<option value="">اختر عمود القيم</option>';
+        factorSelect.innerHTML = '';
+        secondCatSelect.innerHTML = '<option value="">بدون</option>';
+        predictorSelect.innerHTML = '';
+        measureSelect.innerHTML = '';
+        descriptiveSelect.innerHTML = '';
+        frequencySelect.innerHTML = '';
+        [descriptiveGroupSelect, crosstabRowSelect, crosstabColumnSelect].forEach(select => {
+            select.innerHTML = '<option value="">بدون</option>';
+        });
+        itemSelect.innerHTML = '';
+        reverseSelect.innerHTML = '';
+        factorVariableSelect.innerHTML = '';
+        missingDataSelect.innerHTML = '';
+        recodeSelect.innerHTML = '';
+        reverseScoringSelect.innerHTML = '';
         
         // Add new options
         metadata.columns.forEach(column => {
             const type = metadata.columnTypes[column];
+            const variable = metadata.dictionary ? metadata.dictionary[column] : null;
             const option = document.createElement('option');
             option.value = column;
-            option.textContent = column;
+            option.textContent = variable && variable.label ? `${column} (${variable.label})` : column;
+            
+            // Any column can be a regression predictor, be tabulated, have missing values treated or be recoded
+            predictorSelect.appendChild(option.cloneNode(true));
+            frequencySelect.appendChild(option.cloneNode(true));
+            crosstabRowSelect.appendChild(option.cloneNode(true));
+            crosstabColumnSelect.appendChild(option.cloneNode(true));
+            missingDataSelect.appendChild(option.cloneNode(true));
+            recodeSelect.appendChild(option.cloneNode(true));
             
             if (type === 'categorical') {
                 catSelect.appendChild(option.cloneNode(true));
+                factorSelect.appendChild(option.cloneNode(true));
+                secondCatSelect.appendChild(option.cloneNode(true));
+                descriptiveGroupSelect.appendChild(option.cloneNode(true));
             }
             
             if (type === 'numeric') {
                 numSelect.appendChild(option.cloneNode(true));
+                descriptiveSelect.appendChild(option.cloneNode(true));
+                measureSelect.appendChild(option.cloneNode(true));
+                itemSelect.appendChild(option.cloneNode(true));
+                reverseSelect.appendChild(option.cloneNode(true));
+                factorVariableSelect.appendChild(option.cloneNode(true));
+                reverseScoringSelect.appendChild(option.cloneNode(true));
             }
             
             // Also add to both if mixed type
             if (type === 'mixed') {
                 catSelect.appendChild(option.cloneNode(true));
                 numSelect.appendChild(option.cloneNode(true));
+                factorSelect.appendChild(option.cloneNode(true));
+                secondCatSelect.appendChild(option.cloneNode(true));
+                descriptiveSelect.appendChild(option.cloneNode(true));
+                descriptiveGroupSelect.appendChild(option.cloneNode(true));
+            }
+        });
+    }
+    
+    /**
+     * Factors for factorial designs: the grouping column plus any additional factors
+     */
+    getSelectedFactors() {
+        const catColumn = document.getElementById('categorical-column').value;
+        const extraFactors = [...document.getElementById('factor-columns').selectedOptions]
+            .map(option => option.value);
+        
+        return [...new Set([catColumn, ...extraFactors])].filter(Boolean);
+    }
+    
+    /**
+     * Predictors for regression models (the outcome is the numerical column)
+     */
+    getSelectedPredictors() {
+        const numColumn = document.getElementById('numerical-column').value;
+        
+        return [...document.getElementById('predictor-columns').selectedOptions]
+            .map(option => option.value)
+            .filter(column => column !== numColumn);
+    }
+    
+    /**
+     * Measurement columns for wide-format repeated-measures designs
+     */
+    getSelectedMeasures() {
+        return [...document.getElementById('measure-columns').selectedOptions]
+            .map(option => option.value);
+    }
+    
+    /**
+     * Second categorical column for cross-tabulations (chi-square, Fisher, McNemar)
+     */
+    getSecondCategoricalColumn() {
+        return document.getElementById('second-categorical-column').value;
+    }
+    
+    /**
+     * Expected proportions for the goodness-of-fit test, typed as
+     * "category=value" pairs separated by commas (ratios are accepted)
+     */
+    getExpectedProportions() {
+        const text = document.getElementById('expected-proportions').value.trim();
+        if (!text) return null;
+        
+        const proportions = {};
+        text.split(/[,،;\n]+/).map(part => part.trim()).filter(Boolean).forEach(part => {
+            const separator = part.search(/[=:]/);
+            if (separator <= 0) {
+                throw new Error(`صيغة النسبة المتوقعة غير صحيحة: "${part}" (استخدم الفئة=القيمة)`);
             }
+            proportions[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
         });
+        
+        return proportions;
+    }
+    
+    /**
+     * A grouping column with a numeric outcome or a second categorical column,
+     * predictors with either a numeric outcome (linear models) or a categorical
+     * one (logistic models), three or more repeated measurement columns, or a
+     * lone categorical column (goodness of fit)
+     */
+    hasRequiredColumns(catColumn, numColumn) {
+        if (catColumn) return true;
+        if (this.getSelectedMeasures().length >= 3) return true;
+        return Boolean(catColumn || numColumn) && this.getSelectedPredictors().length > 0;
     }
     
     validateColumnSelection() {
         const catColumn = document.getElementById('categorical-column').value;
         const numColumn = document.getElementById('numerical-column').value;
         
-        if (catColumn && numColumn) {
+        this.scheduleAutosave();
+        
+        // Regression designs need predictors instead of a grouping column
+        if (this.hasRequiredColumns(catColumn, numColumn)) {
             // Enable wizard
             this.ui.enableWizard();
             
@@ -543,6 +1259,7 @@ class StatisticsApp {
         
         // Update wizard state
         this.ui.updateWizardState(stepId, value);
+        this.scheduleAutosave();
     }
     
     nextWizardStep() {
@@ -613,6 +1330,11 @@ class StatisticsApp {
     }
     
     validateGroupCount(optionValue) {
+        // Wide-format repeated measures: each measurement column is a condition
+        if (optionValue === '3+' && this.getSelectedMeasures().length >= 3) {
+            return true;
+        }
+        
         if (optionValue === '2' || optionValue === '3+') {
             const catColumn = document.getElementById('categorical-column').value;
             if (!catColumn) return false;
@@ -643,7 +1365,7 @@ class StatisticsApp {
             const catColumn = document.getElementById('categorical-column').value;
             const numColumn = document.getElementById('numerical-column').value;
             
-            if (!catColumn || !numColumn) {
+            if (!this.hasRequiredColumns(catColumn, numColumn)) {
                 throw new Error('الرجاء اختيار الأعمدة المناسبة');
             }
             
@@ -657,7 +1379,11 @@ class StatisticsApp {
                 groups: groups,
                 values: values,
                 groupColumn: catColumn,
-                valueColumn: numColumn
+                valueColumn: numColumn,
+                secondGroupColumn: this.getSecondCategoricalColumn(),
+                factors: this.getSelectedFactors(),
+                predictors: this.getSelectedPredictors(),
+                measures: this.getSelectedMeasures()
             });
             
             // Display recommendations
@@ -697,12 +1423,16 @@ class StatisticsApp {
             
             // Run checks
             const results = await this.tests.checkAssumptions(values, groups, checks);
+            const diagnostics = checks.normality || checks.outliers
+                ? this.diagnostics.build(values, groups, checks)
+                : null;
             
             // Hide loading
             this.ui.hideLoading();
             
             // Display results
-            this.ui.displayAssumptionResults(results);
+            this.ui.displayAssumptionResults(results, diagnostics);
+            this.assumptionCheck = { catColumn, numColumn, results };
             
         } catch (error) {
             this.ui.hideLoading();
@@ -710,56 +1440,60 @@ class StatisticsApp {
         }
     }
     
+    /**
+     * Selected test with the columns and options chosen for it
+     */
+    getAnalysisRequest() {
+        const selectedCard = document.querySelector('.recommendation-card.selected');
+        if (!selectedCard) {
+            throw new Error('الرجاء اختيار اختبار أولاً');
+        }
+        
+        const testId = selectedCard.dataset.testId;
+        const test = this.tests.getTestById(testId);
+        
+        if (!test) {
+            throw new Error('الاختبار المحدد غير موجود');
+        }
+        
+        const catColumn = document.getElementById('categorical-column').value;
+        const secondColumn = this.getSecondCategoricalColumn();
+        
+        // Cross-tabulations read their second variable from the second categorical column
+        const numColumn = test.measurement === 'nominal' && secondColumn
+            ? secondColumn
+            : document.getElementById('numerical-column').value;
+        
+        return {
+            testId: testId,
+            test: test,
+            data: this.state.data,
+            catColumn: catColumn,
+            numColumn: numColumn,
+            options: {
+                factors: this.getSelectedFactors(),
+                predictors: this.getSelectedPredictors(),
+                measures: this.getSelectedMeasures(),
+                expectedProportions: this.getExpectedProportions()
+            }
+        };
+    }
+    
     async runSelectedAnalysis() {
         try {
-            const selectedCard = document.querySelector('.recommendation-card.selected');
-            if (!selectedCard) {
-                throw new Error('الرجاء اختيار اختبار أولاً');
-            }
-            
-            const testId = selectedCard.dataset.testId;
-            const test = this.tests.getTestById(testId);
-            
-            if (!test) {
-                throw new Error('الاختبار المحدد غير موجود');
-            }
-            
-            // Get data
-            const catColumn = document.getElementById('categorical-column').value;
-            const numColumn = document.getElementById('numerical-column').value;
-            const data = this.state.data;
+            const { testId, test, data, catColumn, numColumn, options } = this.getAnalysisRequest();
             
             // Show loading
             this.ui.showLoading(`جاري تحليل ${test.name}...`);
             
-            // Run analysis
-            let results;
-            if (this.statsWorker && !this.state.workerBusy) {
-                // Use web worker for heavy calculations
-                results = await this.runAnalysisWithWorker(testId, data, catColumn, numColumn);
-            } else {
-                // Use main thread
-                results = await this.tests.runTest(testId, data, catColumn, numColumn);
-            }
+            const results = await this.computeAnalysis(testId, data, catColumn, numColumn, options);
             
             // Hide loading
             this.ui.hideLoading();
             
-            // Store results
-            this.state.results = results;
-            this.state.selectedTest = test;
-            
-            // Display results
-            this.ui.displayAnalysisResults(results, test);
-            
-            // Show results section
-            document.querySelector('.results-section').classList.remove('d-none');
-            
-            // Scroll to results
-            document.querySelector('.results-section').scrollIntoView({ 
-                behavior: 'smooth',
-                block: 'start'
-            });
+            this.showAnalysisResults(results, test);
+            this.lastAnalysis = { testId, catColumn, numColumn, options };
+            this.scheduleAutosave();
             
         } catch (error) {
             this.ui.hideLoading();
@@ -767,36 +1501,658 @@ class StatisticsApp {
         }
     }
     
-    runAnalysisWithWorker(testId, data, catColumn, numColumn) {
-        return new Promise((resolve, reject) => {
-            this.state.workerBusy = true;
-            
-            // Set timeout for worker
-            const timeout = setTimeout(() => {
-                this.statsWorker.terminate();
-                this.initializeWorker();
-                reject(new Error('انتهت مهلة الحسابات'));
-            }, 30000);
-            
-            this.statsWorker.onmessage = (event) => {
-                clearTimeout(timeout);
-                this.state.workerBusy = false;
-                
-                if (event.data.error) {
-                    reject(new Error(event.data.error));
-                } else {
-                    resolve(event.data.results);
+    /**
+     * Run the test, once per imputed dataset under multiple imputation
+     */
+    async computeAnalysis(testId, data, catColumn, numColumn, options) {
+        const missingData = this.state.metadata.missingData;
+        if (!missingData || missingData.method !== 'multiple') {
+            return this.executeTest(testId, data, catColumn, numColumn, options);
+        }
+        
+        // Impute the rows before the transformations, then recompute them on each dataset
+        const transformed = this.state.transformations.length > 0;
+        const imputations = this.missingData.createImputations(
+            transformed ? this.state.transformationBase : data,
+            missingData.columns,
+            missingData.imputations,
+            this.tests.createRandomGenerator(missingData.seed)
+        );
+        
+        const resultsList = [];
+        for (const imputed of imputations) {
+            const dataset = transformed ? this.state.replayTransformations(imputed) : imputed;
+            resultsList.push(await this.executeTest(testId, dataset, catColumn, numColumn, options));
+        }
+        return this.missingData.poolResults(resultsList);
+    }
+    
+    showAnalysisResults(results, test) {
+        // Store results
+        this.state.results = results;
+        this.state.selectedTest = test;
+        
+        // Display results, with the residual plots of a regression
+        const diagnostics = results.residualPlot ? this.diagnostics.buildResiduals(results.residualPlot) : null;
+        this.ui.displayAnalysisResults(results, test, diagnostics);
+        this.populateResamplingStatistics(results);
+        
+        // Show results section
+        document.querySelector('.results-section').classList.remove('d-none');
+        
+        // Scroll to results
+        document.querySelector('.results-section').scrollIntoView({ 
+            behavior: 'smooth',
+            block: 'start'
+        });
+    }
+    
+    /**
+     * Descriptive statistics, frequency tables and crosstab of the selected columns
+     */
+    runDescriptiveAnalysis() {
+        try {
+            const selected = (id) => [...document.getElementById(id).selectedOptions].map(option => option.value);
+            
+            const data = this.state.data;
+            if (!data || data.length === 0) {
+                throw new Error('لا توجد بيانات');
+            }
+            
+            const results = this.descriptives.analyze(data, {
+                variables: selected('descriptive-columns'),
+                groupBy: document.getElementById('descriptive-group-column').value,
+                frequencies: selected('frequency-columns'),
+                crosstab: {
+                    row: document.getElementById('crosstab-row-column').value,
+                    column: document.getElementById('crosstab-column-column').value
                 }
+            });
+            const definition = this.descriptives.getDefinition();
+            
+            this.state.results = results;
+            this.state.selectedTest = definition;
+            
+            this.ui.displayAnalysisResults(results, definition);
+            
+            document.querySelector('.results-section').classList.remove('d-none');
+            document.querySelector('.results-section').scrollIntoView({
+                behavior: 'smooth',
+                block: 'start'
+            });
+            
+        } catch (error) {
+            this.handleError(error, 'الإحصاءات الوصفية');
+        }
+    }
+    
+    /**
+     * Scale reliability for the selected questionnaire items
+     */
+    runReliabilityAnalysis() {
+        try {
+            const items = [...document.getElementById('reliability-item-columns').selectedOptions]
+                .map(option => option.value);
+            const reverseItems = [...document.getElementById('reliability-reverse-columns').selectedOptions]
+                .map(option => option.value);
+            
+            if (items.length < 2) {
+                throw new Error('الرجاء اختيار بندين على الأقل لتحليل الثبات');
+            }
+            
+            const data = this.state.data;
+            if (!data || data.length === 0) {
+                throw new Error('لا توجد بيانات');
+            }
+            
+            const results = this.reliability.analyze(data, items, {
+                reverseItems: reverseItems,
+                scaleMin: document.getElementById('reliability-scale-min').value,
+                scaleMax: document.getElementById('reliability-scale-max').value
+            });
+            const definition = this.reliability.getDefinition();
+            
+            this.state.results = results;
+            this.state.selectedTest = definition;
+            
+            this.ui.displayAnalysisResults(results, definition);
+            
+            document.querySelector('.results-section').classList.remove('d-none');
+            document.querySelector('.results-section').scrollIntoView({
+                behavior: 'smooth',
+                block: 'start'
+            });
+            
+        } catch (error) {
+            this.handleError(error, 'تحليل الثبات');
+        }
+    }
+    
+    /**
+     * Exploratory factor analysis, computed in the worker when available
+     */
+    async runFactorAnalysis() {
+        try {
+            const variables = [...document.getElementById('factor-analysis-columns').selectedOptions]
+                .map(option => option.value);
+            
+            if (variables.length < 3) {
+                throw new Error('الرجاء اختيار ثلاثة متغيرات على الأقل للتحليل العاملي');
+            }
+            
+            const data = this.state.data;
+            if (!data || data.length === 0) {
+                throw new Error('لا توجد بيانات');
+            }
+            
+            const options = {
+                extraction: document.getElementById('factor-extraction').value,
+                rotation: document.getElementById('factor-rotation').value,
+                factors: document.getElementById('factor-count').value
             };
+            const definition = this.factorAnalysis.getDefinition();
             
-            // Send data to worker
-            this.statsWorker.postMessage({
-                action: 'runTest',
+            this.ui.showLoading(`جاري تحليل ${definition.name}...`);
+            
+            let results;
+            if (this.statsWorker && !this.state.workerBusy) {
+                try {
+                    results = await this.requestWorker({
+                        action: 'runFactorAnalysis',
+                        data: { data, variables, options }
+                    });
+                } catch (error) {
+                    if (!error.workerUnavailable) throw error;
+                    console.warn('تعذر استخدام العامل، يتم التحليل في الخيط الرئيسي:', error);
+                    results = this.factorAnalysis.analyze(data, variables, options);
+                }
+            } else {
+                results = this.factorAnalysis.analyze(data, variables, options);
+            }
+            
+            this.ui.hideLoading();
+            
+            this.state.results = results;
+            this.state.selectedTest = definition;
+            
+            this.ui.displayAnalysisResults(results, definition);
+            
+            document.querySelector('.results-section').classList.remove('d-none');
+            document.querySelector('.results-section').scrollIntoView({
+                behavior: 'smooth',
+                block: 'start'
+            });
+            
+        } catch (error) {
+            this.ui.hideLoading();
+            this.handleError(error, 'التحليل العاملي');
+        }
+    }
+    
+    populatePowerTests() {
+        const select = document.getElementById('power-test');
+        if (!select) return;
+        
+        select.innerHTML = '';
+        this.tests.getAllTests()
+            .filter(test => this.powerAnalysis.supports(test.id))
+            .forEach(test => {
+                const option = document.createElement('option');
+                option.value = test.id;
+                option.textContent = test.name;
+                select.appendChild(option);
+            });
+        
+        this.updatePowerParameters();
+    }
+    
+    /**
+     * Show the inputs the selected test needs, with its effect size benchmarks
+     */
+    updatePowerParameters() {
+        const testId = document.getElementById('power-test').value;
+        if (!testId) return;
+        
+        const { effectSize, parameters } = this.powerAnalysis.getPlanInputs(testId);
+        const [small, medium, large] = effectSize.conventions;
+        
+        document.getElementById('power-effect-size-label').textContent = effectSize.label;
+        document.getElementById('power-effect-size').value = medium;
+        document.getElementById('power-effect-size-help').textContent =
+            `صغير ${small}، متوسط ${medium}، كبير ${large}`;
+        
+        document.querySelectorAll('[data-power-parameter]').forEach(element => {
+            element.classList.toggle('d-none', !parameters.includes(element.dataset.powerParameter));
+        });
+        
+        // Factorial designs are planned per cell (e.g. 2 × 2 = 4 cells)
+        document.getElementById('power-groups').value = testId === 'factorial-anova' ? 4 : 3;
+    }
+    
+    /**
+     * Sample size needed for the selected test, shown in the results section
+     */
+    runPowerAnalysis() {
+        try {
+            const test = this.tests.getTestById(document.getElementById('power-test').value);
+            if (!test) {
+                throw new Error('الرجاء اختيار الاختبار المخطط له');
+            }
+            
+            const value = id => document.getElementById(id).value;
+            const results = this.powerAnalysis.analyze(test, {
+                effectSize: value('power-effect-size'),
+                alpha: value('power-alpha'),
+                power: value('power-target'),
+                tails: value('power-tails'),
+                allocationRatio: value('power-allocation-ratio'),
+                groups: value('power-groups'),
+                numeratorDf: value('power-numerator-df'),
+                measures: value('power-measures'),
+                correlation: value('power-correlation'),
+                epsilon: value('power-epsilon'),
+                df: value('power-df'),
+                discordantProportion: value('power-discordant'),
+                predictors: value('power-predictors'),
+                eventRate: value('power-event-rate'),
+                covariateR2: value('power-covariate-r2')
+            });
+            const definition = this.powerAnalysis.getDefinition(test);
+            
+            this.state.results = results;
+            this.state.selectedTest = definition;
+            
+            this.ui.displayAnalysisResults(results, definition);
+            
+            document.querySelector('.results-section').classList.remove('d-none');
+            document.querySelector('.results-section').scrollIntoView({
+                behavior: 'smooth',
+                block: 'start'
+            });
+            
+        } catch (error) {
+            this.handleError(error, 'تخطيط حجم العينة');
+        }
+    }
+    
+    /**
+     * Run one test, in the worker when available
+     */
+    async executeTest(testId, data, catColumn, numColumn, options) {
+        if (this.statsWorker && !this.state.workerBusy) {
+            // Use web worker for heavy calculations
+            try {
+                return await this.runAnalysisWithWorker(testId, data, catColumn, numColumn, options);
+            } catch (error) {
+                if (!error.workerUnavailable) throw error;
+                
+                // The worker itself failed (e.g. could not load); compute on the main thread
+                console.warn('تعذر استخدام العامل، يتم التحليل في الخيط الرئيسي:', error);
+            }
+        }
+        
+        return this.tests.runTest(testId, data, catColumn, numColumn, options);
+    }
+    
+    /**
+     * Selected columns for the missing-data step (all columns when none are selected);
+     * computed variables are left out since they are recomputed after the treatment
+     */
+    getMissingDataColumns() {
+        const original = this.state.originalData;
+        const columns = original && original.length > 0 ? Object.keys(original[0]) : [];
+        
+        return [...document.getElementById('missing-data-columns').selectedOptions]
+            .map(option => option.value)
+            .filter(column => columns.includes(column));
+    }
+    
+    /**
+     * Transformation step described by the compute/recode form
+     */
+    getTransformationStep() {
+        const type = document.getElementById('transform-type').value;
+        
+        switch (type) {
+            case 'compute':
+                return {
+                    type: type,
+                    target: this.getTransformTarget('compute-target', true),
+                    expression: document.getElementById('compute-expression').value
+                };
+            case 'recode':
+                return {
+                    type: type,
+                    source: document.getElementById('recode-source').value,
+                    target: this.getTransformTarget('recode-target', false),
+                    rules: document.getElementById('recode-rules').value
+                };
+            case 'reverse':
+                return {
+                    type: type,
+                    columns: [...document.getElementById('reverse-columns').selectedOptions].map(option => option.value),
+                    min: document.getElementById('reverse-min').value,
+                    max: document.getElementById('reverse-max').value
+                };
+            default:
+                return {
+                    type: type,
+                    expression: document.getElementById('filter-expression').value
+                };
+        }
+    }
+    
+    /**
+     * New variable names go through the same sanitizing as imported headers
+     */
+    getTransformTarget(id, required) {
+        const name = document.getElementById(id).value.trim();
+        if (!name) {
+            if (required) {
+                throw new Error('الرجاء إدخال اسم المتغير الجديد');
+            }
+            return '';
+        }
+        
+        return this.validator.sanitizeColumnName(name);
+    }
+    
+    applyTransformation() {
+        try {
+            const entry = this.state.applyTransformation(this.getTransformationStep());
+            
+            this.updateDataUI();
+            this.ui.showMessage(`تم تطبيق: ${this.ui.escapeHtml(this.transformer.describe(entry))}`, 'success');
+            
+        } catch (error) {
+            this.handleError(error, 'تحويل البيانات');
+        }
+    }
+    
+    undoTransformation() {
+        try {
+            const removed = this.state.undoTransformation();
+            if (!removed) {
+                this.ui.showMessage('لا توجد تحويلات للتراجع عنها', 'info');
+                return;
+            }
+            
+            this.updateDataUI();
+            this.ui.showMessage(`تم التراجع عن: ${this.ui.escapeHtml(this.transformer.describe(removed))}`, 'info');
+            
+        } catch (error) {
+            this.handleError(error, 'التراجع عن التحويل');
+        }
+    }
+    
+    clearTransformations() {
+        try {
+            if (this.state.transformations.length === 0) return;
+            
+            if (confirm('هل تريد إلغاء جميع التحويلات والعودة إلى البيانات قبل التحويل؟')) {
+                this.state.replaceTransformations([]);
+                this.updateDataUI();
+                this.ui.showMessage('تم إلغاء جميع التحويلات', 'info');
+            }
+        } catch (error) {
+            this.handleError(error, 'إلغاء التحويلات');
+        }
+    }
+    
+    /**
+     * Numbered list of the applied transformations
+     */
+    updateTransformationLog() {
+        const list = document.getElementById('transform-log');
+        const transformations = this.state.transformations;
+        
+        list.innerHTML = '';
+        transformations.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = this.transformer.describe(entry);
+            list.appendChild(item);
+        });
+        
+        document.getElementById('transform-log-empty').classList.toggle('d-none', transformations.length > 0);
+        document.getElementById('undo-transform-btn').disabled = transformations.length === 0;
+        document.getElementById('clear-transforms-btn').disabled = transformations.length === 0;
+    }
+    
+    /**
+     * Apply the chosen missing-data strategy to the loaded rows and record it in the metadata
+     */
+    applyMissingDataStrategy() {
+        try {
+            const data = this.state.originalData;
+            if (!data || data.length === 0) {
+                throw new Error('لا توجد بيانات');
+            }
+            
+            const { data: treated, record } = this.missingData.apply(
+                data,
+                this.getMissingDataColumns(),
+                document.getElementById('missing-data-method').value,
+                {
+                    imputations: document.getElementById('missing-data-imputations').value,
+                    seed: document.getElementById('missing-data-seed').value
+                }
+            );
+            
+            this.state.applyMissingDataStrategy(treated, record);
+            
+            this.updateDataUI();
+            this.ui.showMessage(`تم تطبيق: ${record.label}`, 'success');
+            
+        } catch (error) {
+            this.handleError(error, 'معالجة القيم المفقودة');
+        }
+    }
+    
+    /**
+     * Little's MCAR test on the selected (numeric) columns of the loaded rows
+     */
+    runLittleMCARTest() {
+        try {
+            const data = this.state.originalData;
+            if (!data || data.length === 0) {
+                throw new Error('لا توجد بيانات');
+            }
+            
+            const results = this.missingData.littleMCARTest(data, this.getMissingDataColumns());
+            const definition = this.missingData.getDefinition();
+            
+            this.state.results = results;
+            this.state.selectedTest = definition;
+            
+            this.ui.displayAnalysisResults(results, definition);
+            
+            document.querySelector('.results-section').classList.remove('d-none');
+            document.querySelector('.results-section').scrollIntoView({
+                behavior: 'smooth',
+                block: 'start'
+            });
+            
+        } catch (error) {
+            this.handleError(error, 'اختبار Little');
+        }
+    }
+    
+    /**
+     * Offer the numeric statistics of the last results for resampling
+     */
+    populateResamplingStatistics(results) {
+        const select = document.getElementById('resampling-statistic');
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const automatic = document.createElement('option');
+        automatic.value = '';
+        automatic.textContent = 'تلقائي';
+        select.appendChild(automatic);
+        
+        Object.entries(results.statistics || {})
+            .filter(([key, value]) => key !== 'pValue' && value !== null && value !== '' && isFinite(Number(value)))
+            .forEach(([key]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = this.ui.translateStatistic(key);
+                select.appendChild(option);
+            });
+    }
+    
+    /**
+     * Bootstrap intervals or a permutation test for the selected test, in the worker when available
+     */
+    async runResampling() {
+        try {
+            const { testId, test, data, catColumn, numColumn, options } = this.getAnalysisRequest();
+            const resamplingOptions = {
+                method: document.getElementById('resampling-method').value,
+                statistic: document.getElementById('resampling-statistic').value,
+                replicates: document.getElementById('resampling-replicates').value,
+                seed: document.getElementById('resampling-seed').value,
+                alternative: document.getElementById('resampling-alternative').value,
+                testOptions: options
+            };
+            const definition = this.resampling.getDefinition(test, resamplingOptions.method);
+            
+            this.ui.showProgress(`جاري تحليل ${definition.name}...`, () => this.cancelResampling());
+            const onProgress = (completed, total, phase) => this.ui.updateProgress(completed, total, phase);
+            
+            let results;
+            const runOnMainThread = () => {
+                this.resamplingCancelled = false;
+                return this.resampling.analyze(testId, data, catColumn, numColumn, resamplingOptions, {
+                    onProgress: onProgress,
+                    isCancelled: () => this.resamplingCancelled
+                });
+            };
+            
+            if (this.statsWorker && !this.state.workerBusy) {
+                try {
+                    results = await this.requestWorker({
+                        action: 'runResampling',
+                        data: { testId, data, catColumn, numColumn, options: resamplingOptions }
+                    }, onProgress);
+                } catch (error) {
+                    if (!error.workerUnavailable) throw error;
+                    console.warn('تعذر استخدام العامل، يتم التحليل في الخيط الرئيسي:', error);
+                    results = await runOnMainThread();
+                }
+            } else {
+                results = await runOnMainThread();
+            }
+            
+            this.ui.hideLoading();
+            
+            this.state.results = results;
+            this.state.selectedTest = definition;
+            
+            this.ui.displayAnalysisResults(results, definition);
+            
+            document.querySelector('.results-section').classList.remove('d-none');
+            document.querySelector('.results-section').scrollIntoView({
+                behavior: 'smooth',
+                block: 'start'
+            });
+            
+        } catch (error) {
+            this.ui.hideLoading();
+            
+            if (error.cancelled) {
+                this.ui.showMessage(error.message, 'info');
+            } else {
+                this.handleError(error, 'إعادة المعاينة');
+            }
+        }
+    }
+    
+    cancelResampling() {
+        this.resamplingCancelled = true;
+        
+        if (this.statsWorker && this.state.workerBusy) {
+            this.statsWorker.postMessage({ action: 'cancel' });
+        }
+    }
+    
+    runAnalysisWithWorker(testId, data, catColumn, numColumn, options = {}) {
+        return this.requestWorker({
+            action: 'runTest',
+            data: {
                 testId: testId,
                 data: data,
                 catColumn: catColumn,
-                numColumn: numColumn
-            });
+                numColumn: numColumn,
+                options: options
+            }
+        });
+    }
+    
+    /**
+     * Send one request to the worker and resolve with its results.
+     * 'progress' messages go to onProgress and restart the timeout, so long jobs
+     * only time out when the worker stops reporting
+     */
+    requestWorker(message, onProgress = null) {
+        return new Promise((resolve, reject) => {
+            this.state.workerBusy = true;
+            
+            const worker = this.statsWorker;
+            const defaultOnMessage = worker.onmessage;
+            const defaultOnError = worker.onerror;
+            let timeout;
+            const finish = () => {
+                clearTimeout(timeout);
+                this.state.workerBusy = false;
+                
+                // Restore the default handlers
+                worker.onmessage = defaultOnMessage;
+                worker.onerror = defaultOnError;
+            };
+            
+            // Set timeout for worker
+            const armTimeout = () => {
+                clearTimeout(timeout);
+                timeout = setTimeout(() => {
+                    this.state.workerBusy = false;
+                    this.statsWorker.terminate();
+                    this.initializeWorker();
+                    reject(new Error('انتهت مهلة الحسابات'));
+                }, 30000);
+            };
+            armTimeout();
+            
+            worker.onmessage = (event) => {
+                if (event.data.action === 'progress') {
+                    armTimeout();
+                    if (onProgress) {
+                        onProgress(event.data.completed, event.data.total, event.data.phase);
+                    }
+                    return;
+                }
+                
+                finish();
+                
+                if (event.data.action === 'error') {
+                    const error = new Error(event.data.error);
+                    error.cancelled = event.data.cancelled === true;
+                    reject(error);
+                } else {
+                    resolve(event.data.results);
+                }
+            };
+            
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish();
+                
+                const error = new Error(event.message || 'تعذر تشغيل العامل');
+                error.workerUnavailable = true;
+                reject(error);
+            };
+            
+            // Send data to worker
+            worker.postMessage(message);
         });
     }
     
@@ -867,7 +2223,8 @@ class StatisticsApp {
             message = message.substring(0, 197) + '...';
         }
         
-        return message;
+        // Messages can quote user input (expressions, column names) and are shown as HTML
+        return this.ui.escapeHtml(message);
     }
     
     logError(error, context) {
@@ -908,7 +2265,7 @@ class StatisticsApp {
                 throw new Error('لا توجد نتائج للتصدير');
             }
             
-            let content, filename, mimeType;
+            let content, filename, mimeType, blob;
             
             switch(format) {
                 case 'text':
@@ -934,54 +2291,261 @@ class StatisticsApp {
                     mimeType = 'application/json;charset=utf-8';
                     break;
                     
+                case 'docx':
+                case 'odt': {
+                    const report = this.buildReport(results, test);
+                    blob = format === 'docx'
+                        ? this.documentWriter.toDocx(report)
+                        : this.documentWriter.toOdt(report);
+                    filename = `تقرير_${test.name}_${new Date().toISOString().slice(0,10)}.${format}`;
+                    break;
+                }
+                    
+                case 'pdf':
+                    this.printReport(this.buildReport(results, test));
+                    return;
+                    
                 default:
                     throw new Error('صيغة التصدير غير مدعومة');
             }
             
-            // Create and trigger download
-            const blob = new Blob(['\ufeff' + content], { type: mimeType });
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
+            if (!blob) {
+                blob = new Blob(['\ufeff' + content], { type: mimeType });
+            }
+            this.downloadBlob(blob, filename);
+            
+            this.ui.showMessage('تم تصدير النتائج بنجاح', 'success');
+            
+        } catch (error) {
+            this.handleError(error, 'تصدير النتائج');
+        }
+    }
+    
+    /**
+     * SPSS syntax, R script or Excel formulas repeating the displayed analysis,
+     * or the analysed rows they read
+     */
+    exportSyntax(format) {
+        try {
+            const results = this.state.results;
+            const test = this.state.selectedTest;
+            
+            if (!results || !test) {
+                throw new Error('لا توجد نتائج للتصدير');
+            }
             
-            link.href = url;
-            link.download = filename;
-            link.style.display = 'none';
+            // Little's test runs on the rows before any missing-data treatment. Cells are stored
+            // HTML-escaped; the CSV and the scripts need the values as they are in the data
+            const data = this.validator.unescapeValues(test.id === 'little-mcar' ? this.state.originalData : this.state.data);
             
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            if (format === 'data') {
+                const csv = this.syntaxGenerator.toCsv(data);
+                this.downloadBlob(new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' }), this.syntaxGenerator.getDataFileName());
+                return;
+            }
             
-            URL.revokeObjectURL(url);
+            // Wizard tests are repeated with the columns and options they were run with
+            const analysis = this.lastAnalysis && this.lastAnalysis.testId === test.id ? this.lastAnalysis : null;
+            if (this.tests.getTestById(test.id) && !analysis) {
+                throw new Error('تغيرت البيانات بعد التحليل. الرجاء إعادة تشغيل التحليل قبل تصدير السكربت');
+            }
             
-            this.ui.showMessage('تم تصدير النتائج بنجاح', 'success');
+            const metadata = this.state.metadata;
+            const plain = {
+                results: this.validator.unescapeValues(results),
+                analysis: this.validator.unescapeValues(analysis)
+            };
+            const scripts = this.syntaxGenerator.generate(test, plain.results, plain.analysis, data, {
+                dictionary: metadata.dictionary,
+                missingData: metadata.missingData ? this.missingData.describe(metadata.missingData) : '',
+                transformations: metadata.transformations.length > 0 ? this.transformer.describeLog(metadata.transformations) : '',
+                multipleImputation: Boolean(analysis && metadata.missingData && metadata.missingData.method === 'multiple')
+            });
+            
+            const date = new Date().toISOString().slice(0,10);
+            const files = {
+                spss: { content: '\ufeff' + scripts.spss, extension: 'sps' },
+                r: { content: scripts.r, extension: 'R' },
+                excel: { content: '\ufeff' + scripts.excel, extension: 'txt' }
+            };
+            const file = files[format];
+            if (!file) {
+                throw new Error('صيغة التصدير غير مدعومة');
+            }
+            
+            this.downloadBlob(
+                new Blob([file.content], { type: 'text/plain;charset=utf-8' }),
+                `${format === 'excel' ? 'صيغ_Excel' : 'سكربت'}_${test.name}_${date}.${file.extension}`
+            );
+            this.ui.showMessage('تم تصدير السكربت. صدّر "البيانات المحللة" أيضاً واحفظها بجانبه', 'success');
             
         } catch (error) {
-            this.handleError(error, 'تصدير النتائج');
+            this.handleError(error, 'تصدير السكربت');
         }
     }
     
+    downloadBlob(blob, filename) {
+        // Create and trigger download
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * APA report model of the results, with the chart as it is displayed
+     */
+    buildReport(results, test) {
+        const metadata = this.state.metadata;
+        const check = this.assumptionCheck;
+        const analysis = this.lastAnalysis;
+        
+        // The assumption check belongs to the report only when the reported analysis used its columns
+        const assumptionCheck = check && analysis && analysis.testId === test.id &&
+            analysis.catColumn === check.catColumn && analysis.numColumn === check.numColumn
+            ? check.results
+            : null;
+        
+        const canvas = document.getElementById('results-chart');
+        const chart = canvas && !canvas.classList.contains('d-none') && canvas.width > 0
+            ? { dataUrl: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height }
+            : null;
+        
+        // Cells are stored HTML-escaped; the document writer escapes the report text itself
+        return this.apaReport.build(this.validator.unescapeValues(results), test, {
+            columns: {
+                categorical: document.getElementById('categorical-column').value,
+                numerical: document.getElementById('numerical-column').value
+            },
+            assumptionCheck: this.validator.unescapeValues(assumptionCheck),
+            missingData: metadata && metadata.missingData ? this.missingData.describe(metadata.missingData) : '',
+            transformations: metadata && metadata.transformations.length > 0
+                ? this.transformer.describeLog(metadata.transformations)
+                : '',
+            chart: chart,
+            translate: (key) => this.ui.translateStatistic(key)
+        });
+    }
+    
+    /**
+     * Printable page of the report in a hidden frame; the print dialog saves it as PDF
+     */
+    printReport(report) {
+        const frame = document.createElement('iframe');
+        frame.style.position = 'fixed';
+        frame.style.width = '0';
+        frame.style.height = '0';
+        frame.style.border = '0';
+        frame.setAttribute('aria-hidden', 'true');
+        
+        frame.onload = () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            
+            // Removed once the print dialog has had time to take the page
+            setTimeout(() => frame.remove(), 60000);
+        };
+        
+        frame.srcdoc = this.documentWriter.toHtml(report);
+        document.body.appendChild(frame);
+        
+        this.ui.showMessage('اختر "حفظ بتنسيق PDF" في نافذة الطباعة لحفظ التقرير', 'info');
+    }
+    
+    /**
+     * Nested results as [path, value] pairs, e.g. ['effectSize.ci.lower', '0.1234'],
+     * so tables and intervals export as values instead of [object Object]
+     */
+    flattenResults(value, prefix = '') {
+        if (value === null || value === undefined) return [];
+        
+        if (Array.isArray(value)) {
+            if (value.every(item => item === null || typeof item !== 'object')) {
+                return [[prefix, value.join('، ')]];
+            }
+            return value.flatMap((item, i) => this.flattenResults(item, `${prefix}[${i}]`));
+        }
+        
+        if (typeof value === 'object') {
+            // The residuals of every case are plot data, not values to report
+            return Object.entries(value)
+                .filter(([key]) => !key.startsWith('_') && key !== 'residualPlot')
+                .flatMap(([key, item]) => this.flattenResults(item, prefix ? `${prefix}.${key}` : key));
+        }
+        
+        return [[prefix, value]];
+    }
+    
+    /**
+     * One line per effect size: the main estimate with its interval, e.g.
+     * "حجم الأثر d لكوهين = 0.5000، فترة ثقة 95% [0.1000, 0.9000] (توزيع t غير المركزي)"
+     */
+    formatEffectSizes(effectSize, label = '') {
+        if (!effectSize) return [];
+        
+        const keys = Object.keys(effectSize).filter(key => key !== 'ci' && key !== 'interpretation');
+        const prefix = label ? `${label}: ` : '';
+        
+        return keys.flatMap((key, i) => {
+            const value = effectSize[key];
+            if (value === null || value === undefined) return [];
+            
+            // Factorial designs report one effect size object per term
+            if (typeof value === 'object') {
+                return this.formatEffectSizes(value, key);
+            }
+            
+            let line = `${prefix}${this.ui.translateStatistic(key)} = ${value}`;
+            if (i === 0 && effectSize.ci) {
+                const ci = effectSize.ci;
+                line += `، فترة ثقة ${Math.round(ci.level * 100)}% [${ci.lower}, ${ci.upper}] (${ci.method})`;
+            }
+            return [line];
+        });
+    }
+    
     formatResultsAsText(results, test) {
+        const effectSizes = this.formatEffectSizes(results.effectSize);
+        const metadata = this.state.metadata;
+        const recommendations = Array.isArray(results.recommendations)
+            ? results.recommendations.map(item => `- ${item}`).join('\n')
+            : results.recommendations;
+        
         return `
 نتائج التحليل الإحصائي
 =======================
 
 الاختبار: ${test.name}
 التاريخ: ${new Date().toLocaleString('ar-SA')}
+معالجة القيم المفقودة: ${this.missingData.describe(metadata ? metadata.missingData : null)}
+تحويلات البيانات: ${this.transformer.describeLog(metadata ? metadata.transformations : null)}
 
 النتائج الإحصائية:
 -----------------
-${Object.entries(results)
-    .filter(([key]) => !key.startsWith('_'))
+${this.flattenResults(results)
+    .filter(([key]) => !/^(interpretation|recommendations|notes)\b/.test(key))
     .map(([key, value]) => `${key}: ${value}`)
     .join('\n')}
 
+أحجام الأثر وفترات الثقة:
+------------------------
+${effectSizes.length > 0 ? effectSizes.join('\n') : 'لا توجد أحجام أثر لهذا التحليل'}
+
 تفسير النتائج:
 -------------
 ${results.interpretation || 'لا يوجد تفسير متاح'}
 
 التوصيات:
 --------
-${results.recommendations || 'لا توجد توصيات متاحة'}
+${recommendations || 'لا توجد توصيات متاحة'}
 
 ملاحظات:
 -------
@@ -993,24 +2557,32 @@ ${results.notes || 'لا توجد ملاحظات إضافية'}
     }
     
     formatResultsAsCSV(results, test) {
+        const metadata = this.state.metadata;
         const rows = [
             ['المفتاح', 'القيمة'],
             ['الاختبار', test.name],
             ['التاريخ', new Date().toLocaleString('ar-SA')],
+            ['معالجة القيم المفقودة', this.missingData.describe(metadata ? metadata.missingData : null)],
+            ['تحويلات البيانات', this.transformer.describeLog(metadata ? metadata.transformations : null)],
             ['', '']
         ];
         
         // Add statistical results
-        Object.entries(results)
-            .filter(([key]) => !key.startsWith('_'))
-            .forEach(([key, value]) => {
-                rows.push([key, value]);
-            });
+        this.flattenResults(results).forEach(([key, value]) => {
+            rows.push([key, value]);
+        });
+        
+        // Effect sizes with their confidence intervals
+        const effectSizes = this.formatEffectSizes(results.effectSize);
+        if (effectSizes.length > 0) {
+            rows.push(['', '']);
+            effectSizes.forEach(line => rows.push(['حجم الأثر', line]));
+        }
         
         // Convert to CSV
         return rows.map(row => 
             row.map(cell => 
-                typeof cell === 'string' && cell.includes(',') ? `"${cell}"` : cell
+                typeof cell === 'string' && /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
             ).join(',')
         ).join('\n');
     }
@@ -0,0 +1,1383 @@
+/**
+ * Verification Syntax Module
+ * SPSS syntax, R scripts and Excel formulas that repeat an analysis on the
+ * exported data, written with the user's own column names
+ */
+
+// The scripts read the analysed rows from this file (exported next to them)
+const DATA_FILE = 'analysis_data.csv';
+
+// Excel formulas use structured references to the data formatted as a table of this name
+const EXCEL_TABLE = 'Data';
+
+const SPSS_RESERVED = ['ALL', 'AND', 'BY', 'EQ', 'GE', 'GT', 'LE', 'LT', 'NE', 'NOT', 'OR', 'TO', 'WITH'];
+
+class SyntaxGenerator {
+    /**
+     * SPSS syntax, R script and Excel formulas for one analysis.
+     * analysis: { testId, catColumn, numColumn, options } of a wizard test;
+     * reliability, factor analysis and Little's test read their variables from the results
+     */
+    generate(test, results, analysis, data, context = {}) {
+        if (!data || data.length === 0) {
+            throw new Error('لا توجد بيانات');
+        }
+        
+        const spec = this.describe(test, results, analysis || {}, data);
+        spec.context = context;
+        
+        return {
+            spss: this.toSpss(spec),
+            r: this.toR(spec),
+            excel: this.toExcel(spec)
+        };
+    }
+    
+    /**
+     * What the analysis used: its variables, the group levels in the app's order
+     * and the options that change the numbers
+     */
+    describe(test, results, analysis, data) {
+        const { catColumn, numColumn } = analysis;
+        const options = analysis.options || {};
+        const spec = {
+            id: test.id,
+            name: test.name,
+            data: data,
+            columns: this.describeColumns(data),
+            pValueMethod: results.pValueMethod || null
+        };
+        
+        switch (test.id) {
+            case 'independent-t-test':
+            case 'paired-t-test':
+            case 'mann-whitney':
+            case 'wilcoxon-signed-rank':
+            case 'one-way-anova':
+            case 'kruskal-wallis': {
+                // Two-group tests keep the order of appearance (the first group is subtracted from)
+                const rows = data.filter(row => this.isNumber(row[numColumn]) && !this.isMissing(row[catColumn]));
+                const order = ['one-way-anova', 'kruskal-wallis'].includes(test.id) ? 'sorted' : 'appearance';
+                return { ...spec, group: catColumn, outcome: numColumn, levels: this.levels(rows, catColumn, order) };
+            }
+            
+            case 'pearson-correlation':
+            case 'spearman-correlation':
+            case 'simple-linear-regression':
+                return { ...spec, x: catColumn, y: numColumn };
+                
+            case 'chi-square-independence':
+            case 'fisher-exact':
+            case 'mcnemar':
+                return { ...spec, row: catColumn, column: numColumn };
+                
+            case 'chi-square-goodness-of-fit': {
+                const proportions = options.expectedProportions;
+                const categories = proportions && Object.keys(proportions).length > 0
+                    ? Object.keys(proportions)
+                    : this.levels(data, catColumn, 'sorted');
+                const weights = categories.map(category => proportions ? parseFloat(proportions[category]) : 1);
+                return { ...spec, variable: catColumn, categories: categories, weights: weights };
+            }
+            
+            case 'factorial-anova':
+                return { ...spec, outcome: numColumn, factors: [...new Set([catColumn, ...(options.factors || [])])].filter(Boolean) };
+                
+            case 'multiple-linear-regression': {
+                const predictors = options.predictors && options.predictors.length > 0 ? options.predictors : [catColumn];
+                return { ...spec, outcome: numColumn, predictors: this.describePredictors(data, predictors, numColumn) };
+            }
+            
+            case 'logistic-regression': {
+                const selected = (options.predictors || []).filter(column => column !== catColumn);
+                const predictors = selected.length > 0 ? selected : [numColumn];
+                const rows = data.filter(row => !this.isMissing(row[catColumn]) &&
+                    predictors.every(predictor => !this.isMissing(row[predictor])));
+                const levels = this.levels(rows, catColumn, 'sorted');
+                const event = options.eventLevel !== undefined && levels.includes(String(options.eventLevel))
+                    ? String(options.eventLevel)
+                    : levels[1];
+                    
+                return {
+                    ...spec,
+                    outcome: catColumn,
+                    event: event,
+                    reference: levels.find(level => level !== event),
+                    predictors: this.describePredictors(data, predictors, catColumn)
+                };
+            }
+            
+            case 'repeated-measures-anova':
+            case 'friedman':
+                return { ...spec, measures: options.measures || [] };
+                
+            case 'reliability-analysis':
+                return {
+                    ...spec,
+                    items: results.items,
+                    reverseItems: results.reverseItems || [],
+                    scaleRange: results.scaleRange
+                };
+                
+            case 'exploratory-factor-analysis':
+                return {
+                    ...spec,
+                    variables: results.variables,
+                    factors: results.statistics.factors,
+                    extraction: results.statistics.extraction === 'المكونات الرئيسية' ? 'pca' : 'paf',
+                    rotation: ['varimax', 'promax'].includes(results.statistics.rotation) ? results.statistics.rotation : 'none'
+                };
+                
+            case 'little-mcar':
+                return { ...spec, variables: results.missingSummary.map(row => row.variable) };
+                
+            case 'descriptive-statistics': {
+                const rows = results.descriptives || [];
+                return {
+                    ...spec,
+                    variables: [...new Set(rows.map(row => row.variable))],
+                    groupBy: rows.length > 0 ? results.groupBy : null,
+                    levels: results.groupBy ? [...new Set(rows.map(row => row.group))] : [],
+                    frequencies: results.frequencies.map(table => table.variable),
+                    crosstab: results.crosstab
+                        ? { row: results.crosstab.rowVariable, column: results.crosstab.columnVariable }
+                        : null
+                };
+            }
+                
+            default:
+                throw new Error(`لا يتوفر توليد سكربت لهذا التحليل: ${test.name}`);
+        }
+    }
+    
+    /**
+     * Numeric columns hold numbers only (as R and SPSS read them); the rest are strings
+     */
+    describeColumns(data) {
+        const columns = {};
+        
+        Object.keys(data[0]).forEach(column => {
+            const values = data.map(row => row[column]).filter(value => !this.isMissing(value));
+            const numeric = values.length > 0 && values.every(value => this.isStrictNumber(value));
+            const encoder = new TextEncoder();
+            
+            // Reduced rather than spread: a column can have more values than a call has arguments
+            columns[column] = {
+                numeric: numeric,
+                width: values.reduce((width, value) => Math.max(width, encoder.encode(String(value)).length), 1),
+                decimals: numeric
+                    ? Math.min(6, values.reduce((decimals, value) =>
+                        Math.max(decimals, (String(value).split('.')[1] || '').length), 0))
+                    : 0
+            };
+        });
+        
+        return columns;
+    }
+    
+    /**
+     * Regression predictors: numeric ones enter as they are, the others as
+     * indicators of each level against the first (the app's dummy coding)
+     */
+    describePredictors(data, predictors, outcome) {
+        const rows = data.filter(row => !this.isMissing(row[outcome]) &&
+            predictors.every(predictor => !this.isMissing(row[predictor])));
+            
+        return predictors.map(predictor => {
+            if (rows.every(row => this.isNumber(row[predictor]))) {
+                return { column: predictor, levels: null };
+            }
+            
+            return { column: predictor, levels: this.levels(rows, predictor, 'sorted') };
+        });
+    }
+    
+    levels(rows, column, order) {
+        const levels = [...new Set(rows.map(row => row[column])
+            .filter(value => !this.isMissing(value))
+            .map(String))];
+            
+        return order === 'sorted'
+            ? levels.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            : levels;
+    }
+    
+    /**
+     * Categories shared by the two measurements of McNemar's test (a square table)
+     */
+    mcnemarLevels(spec) {
+        const rows = spec.data.filter(row => !this.isMissing(row[spec.row]) && !this.isMissing(row[spec.column]));
+        return [...new Set(rows.flatMap(row => [String(row[spec.row]), String(row[spec.column])]))]
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+    
+    isMissing(value) {
+        return value === null || value === undefined || String(value).trim() === '';
+    }
+    
+    /**
+     * A value the tests read as a number (parseFloat, as in the analysis)
+     */
+    isNumber(value) {
+        return !this.isMissing(value) && !isNaN(parseFloat(value));
+    }
+    
+    isStrictNumber(value) {
+        return typeof value === 'number' ? isFinite(value) : isFinite(Number(String(value).trim()));
+    }
+    
+    /**
+     * The analysed rows as UTF-8 CSV, the file the scripts read
+     */
+    toCsv(data) {
+        const columns = Object.keys(data[0]);
+        const field = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        return [columns.map(field).join(','), ...data.map(row => columns.map(column => field(row[column])).join(','))]
+            .join('\r\n');
+    }
+    
+    getDataFileName() {
+        return DATA_FILE;
+    }
+    
+    header(spec, comment) {
+        const lines = [
+            `${spec.name}`,
+            `أُنشئ في ${new Date().toISOString().slice(0, 10)} لإعادة التحليل والتحقق من نتائجه.`,
+            `البيانات: الملف ${DATA_FILE} (زر "البيانات المحللة")، بعد معالجة القيم المفقودة والتحويلات.`
+        ];
+        if (spec.context.missingData) {
+            lines.push(`القيم المفقودة: ${spec.context.missingData}`);
+        }
+        if (spec.context.transformations) {
+            lines.push(`التحويلات: ${spec.context.transformations}`);
+        }
+        if (spec.context.multipleImputation) {
+            lines.push('تنبيه: دُمجت نتائج التطبيق عبر عدة مجموعات معوَّضة؛ هذا السكربت يحلل البيانات غير المعوَّضة.');
+        }
+        
+        return lines.map(comment).join('\n');
+    }
+    
+    // ----- SPSS -----
+    
+    toSpss(spec) {
+        this.spssNames = this.createSpssNames(Object.keys(spec.columns));
+        const n = (column) => this.spssNames.get(column);
+        
+        const sections = [
+            this.header(spec, line => `* ${line.replace(/\.?$/, '.')}`),
+            '',
+            this.spssDataBlock(spec),
+            '',
+            this.spssAnalysis(spec, n)
+        ];
+        
+        return sections.join('\n') + '\n';
+    }
+    
+    /**
+     * Valid, unique SPSS variable names (letters, digits, _ and .), at most 64 bytes
+     */
+    createSpssNames(columns) {
+        const names = new Map();
+        const used = new Set();
+        
+        columns.forEach(column => {
+            let name = column.normalize('NFC').replace(/[^\p{L}\p{N}_.]/gu, '_').replace(/\.+$/, '');
+            if (!/^\p{L}/u.test(name)) {
+                name = `v_${name}`;
+            }
+            if (SPSS_RESERVED.includes(name.toUpperCase())) {
+                name = `${name}_`;
+            }
+            
+            while (new TextEncoder().encode(name).length > 60) {
+                name = name.slice(0, -1);
+            }
+            
+            let unique = name;
+            for (let i = 2; used.has(unique.toUpperCase()); i++) {
+                unique = `${name}_${i}`;
+            }
+            
+            used.add(unique.toUpperCase());
+            names.set(column, unique);
+        });
+        
+        return names;
+    }
+    
+    spssDataBlock(spec) {
+        const columns = Object.keys(spec.columns);
+        const variables = columns.map(column => {
+            const info = spec.columns[column];
+            return `    ${this.spssNames.get(column)} ${info.numeric ? `F${Math.max(8, info.width + 1)}.0` : `A${info.width}`}`;
+        });
+        
+        const lines = [
+            '* قراءة البيانات (عدّل المسار إذا لم يكن الملف في مجلد العمل).',
+            'SET UNICODE=ON.',
+            'GET DATA /TYPE=TXT',
+            `  /FILE='${DATA_FILE}'`,
+            "  /ENCODING='UTF8'",
+            '  /DELIMITERS=","',
+            `  /QUALIFIER='"'`,
+            '  /ARRANGEMENT=DELIMITED',
+            '  /FIRSTCASE=2',
+            '  /VARIABLES=',
+            variables.join('\n') + '.',
+            'DATASET NAME analysis.'
+        ];
+        
+        const formats = columns.filter(column => spec.columns[column].numeric && spec.columns[column].decimals > 0);
+        if (formats.length > 0) {
+            lines.push(`FORMATS ${formats.map(column =>
+                `${this.spssNames.get(column)} (F${Math.max(8, spec.columns[column].width + 1)}.${spec.columns[column].decimals})`).join(' ')}.`);
+        }
+        
+        // Original names (and imported labels) for the variables that had to be renamed
+        const dictionary = spec.context.dictionary || {};
+        const labels = columns
+            .map(column => {
+                const label = dictionary[column] && dictionary[column].label
+                    ? dictionary[column].label
+                    : this.spssNames.get(column) !== column ? column : null;
+                return label ? `  ${this.spssNames.get(column)} ${this.spssString(label)}` : null;
+            })
+            .filter(Boolean);
+        if (labels.length > 0) {
+            lines.push('VARIABLE LABELS', labels.join('\n') + '.');
+        }
+        
+        // Empty strings are missing in the app
+        const strings = columns.filter(column => !spec.columns[column].numeric);
+        if (strings.length > 0) {
+            lines.push(`MISSING VALUES ${strings.map(column => this.spssNames.get(column)).join(' ')} ('').`);
+        }
+        
+        return lines.join('\n');
+    }
+    
+    spssString(text) {
+        return `'${String(text).replace(/'/g, "''")}'`;
+    }
+    
+    spssValue(spec, column, value) {
+        return spec.columns[column].numeric ? String(Number(value)) : this.spssString(value);
+    }
+    
+    /**
+     * Numeric codes 1..k for the levels, in the given order, with the levels as value labels
+     */
+    spssCodes(spec, column, levels) {
+        const name = this.spssNames.get(column);
+        return [
+            `RECODE ${name} ${levels.map((level, i) => `(${this.spssValue(spec, column, level)}=${i + 1})`).join(' ')} INTO ${name}_code.`,
+            `VALUE LABELS ${name}_code ${levels.map((level, i) => `${i + 1} ${this.spssString(level)}`).join(' ')}.`,
+            'EXECUTE.'
+        ].join('\n');
+    }
+    
+    /**
+     * Long rows with two conditions to one row per pair: the app pairs the
+     * measurements by their order within each condition
+     */
+    spssPairs(spec, n) {
+        const group = n(spec.group);
+        const outcome = n(spec.outcome);
+        
+        return [
+            '* أزواج القياسات حسب ترتيبها داخل كل شرط (كما يفعل التطبيق).',
+            'DATASET COPY pairs.',
+            'DATASET ACTIVATE pairs.',
+            `SELECT IF (NOT MISSING(${outcome}) AND ANY(${group}, ${spec.levels.map(level => this.spssValue(spec, spec.group, level)).join(', ')})).`,
+            'EXECUTE.',
+            'COMPUTE condition = 1.',
+            `IF (${group} = ${this.spssValue(spec, spec.group, spec.levels[1])}) condition = 2.`,
+            'COMPUTE case_order = $CASENUM.',
+            'SORT CASES BY condition case_order.',
+            'COMPUTE pair_id = 1.',
+            'IF (condition = LAG(condition)) pair_id = LAG(pair_id) + 1.',
+            `MATCH FILES /FILE=* /KEEP=pair_id condition ${outcome}.`,
+            'SORT CASES BY pair_id condition.',
+            'CASESTOVARS /ID=pair_id /INDEX=condition.',
+            `* ${outcome}.1 = ${spec.levels[0]}، ${outcome}.2 = ${spec.levels[1]}.`
+        ].join('\n');
+    }
+    
+    /**
+     * Indicator variables for the non-reference levels of categorical predictors
+     */
+    spssPredictors(spec, predictors) {
+        const lines = [];
+        const names = [];
+        
+        predictors.forEach(predictor => {
+            const name = this.spssNames.get(predictor.column);
+            if (!predictor.levels) {
+                names.push(name);
+                return;
+            }
+            
+            lines.push(`* ${name}: الفئة المرجعية ${predictor.levels[0]}.`);
+            predictor.levels.slice(1).forEach((level, i) => {
+                const dummy = `${name}_${i + 2}`;
+                names.push(dummy);
+                lines.push(
+                    `DO IF (NOT MISSING(${name})).`,
+                    `COMPUTE ${dummy} = (${name} = ${this.spssValue(spec, predictor.column, level)}).`,
+                    'END IF.',
+                    `VARIABLE LABELS ${dummy} ${this.spssString(`${predictor.column} [${level}]`)}.`
+                );
+            });
+        });
+        
+        if (lines.length > 0) {
+            lines.push('EXECUTE.');
+        }
+        
+        return { syntax: lines.join('\n'), names: names };
+    }
+    
+    spssAnalysis(spec, n) {
+        switch (spec.id) {
+            case 'independent-t-test':
+                return [
+                    `T-TEST GROUPS=${n(spec.group)}(${spec.levels.map(level => this.spssValue(spec, spec.group, level)).join(' ')})`,
+                    `  /VARIABLES=${n(spec.outcome)}`,
+                    '  /ES DISPLAY(TRUE)',
+                    '  /CRITERIA=CI(.95).'
+                ].join('\n');
+                
+            case 'paired-t-test':
+                return [
+                    this.spssPairs(spec, n),
+                    `T-TEST PAIRS=${n(spec.outcome)}.1 WITH ${n(spec.outcome)}.2 (PAIRED)`,
+                    '  /ES DISPLAY(TRUE)',
+                    '  /CRITERIA=CI(.95).'
+                ].join('\n');
+                
+            case 'wilcoxon-signed-rank':
+                return [
+                    this.spssPairs(spec, n),
+                    `NPAR TESTS /WILCOXON=${n(spec.outcome)}.1 WITH ${n(spec.outcome)}.2 (PAIRED)`,
+                    '  /STATISTICS DESCRIPTIVES.'
+                ].join('\n');
+                
+            case 'one-way-anova':
+                return [
+                    this.spssCodes(spec, spec.group, spec.levels),
+                    `ONEWAY ${n(spec.outcome)} BY ${n(spec.group)}_code`,
+                    '  /ES=OVERALL',
+                    '  /STATISTICS DESCRIPTIVES HOMOGENEITY WELCH BROWNFORSYTHE',
+                    '  /MISSING ANALYSIS',
+                    '  /POSTHOC=TUKEY GH ALPHA(0.05).'
+                ].join('\n');
+                
+            case 'mann-whitney':
+            case 'kruskal-wallis':
+                return [
+                    this.spssCodes(spec, spec.group, spec.levels),
+                    `NPAR TESTS /${spec.id === 'mann-whitney' ? 'M-W' : 'K-W'}=${n(spec.outcome)} BY ${n(spec.group)}_code(1 ${spec.levels.length})`,
+                    '  /STATISTICS DESCRIPTIVES',
+                    '  /MISSING ANALYSIS.'
+                ].join('\n');
+                
+            case 'factorial-anova':
+                return [
+                    `UNIANOVA ${n(spec.outcome)} BY ${spec.factors.map(n).join(' ')}`,
+                    '  /METHOD=SSTYPE(3)',
+                    '  /PRINT=DESCRIPTIVE ETASQ HOMOGENEITY',
+                    '  /CRITERIA=ALPHA(.05).'
+                ].join('\n');
+                
+            case 'pearson-correlation':
+                return [
+                    `CORRELATIONS /VARIABLES=${n(spec.x)} ${n(spec.y)}`,
+                    '  /PRINT=TWOTAIL NOSIG',
+                    '  /MISSING=PAIRWISE.'
+                ].join('\n');
+                
+            case 'spearman-correlation':
+                return [
+                    `NONPAR CORR /VARIABLES=${n(spec.x)} ${n(spec.y)}`,
+                    '  /PRINT=SPEARMAN TWOTAIL NOSIG',
+                    '  /MISSING=PAIRWISE.'
+                ].join('\n');
+                
+            case 'chi-square-independence':
+            case 'fisher-exact':
+                return [
+                    `CROSSTABS /TABLES=${n(spec.row)} BY ${n(spec.column)}`,
+                    '  /STATISTICS=CHISQ PHI',
+                    '  /CELLS=COUNT EXPECTED ROW COLUMN' + (spec.id === 'fisher-exact' ? '\n  /METHOD=EXACT TIMER(5).' : '.')
+                ].join('\n');
+                
+            case 'mcnemar':
+                return [
+                    '* ماكنمار لجدول 2×2، وماكنمار-بوكر لأكثر من فئتين.',
+                    `CROSSTABS /TABLES=${n(spec.row)} BY ${n(spec.column)}`,
+                    '  /STATISTICS=MCNEMAR',
+                    '  /CELLS=COUNT.'
+                ].join('\n');
+                
+            case 'chi-square-goodness-of-fit': {
+                const equal = spec.weights.every(weight => weight === spec.weights[0]);
+                return [
+                    this.spssCodes(spec, spec.variable, spec.categories),
+                    `NPAR TESTS /CHISQUARE=${n(spec.variable)}_code`,
+                    `  /EXPECTED=${equal ? 'EQUAL' : spec.weights.join(' ')}.`
+                ].join('\n');
+            }
+            
+            case 'simple-linear-regression':
+                return this.spssRegression(n(spec.y), [n(spec.x)]);
+                
+            case 'multiple-linear-regression': {
+                const predictors = this.spssPredictors(spec, spec.predictors);
+                return [predictors.syntax, this.spssRegression(n(spec.outcome), predictors.names)].filter(Boolean).join('\n');
+            }
+            
+            case 'logistic-regression': {
+                const outcome = n(spec.outcome);
+                const predictors = this.spssPredictors(spec, spec.predictors);
+                return [
+                    `* الحدث ${spec.event} = 1، والفئة المرجعية ${spec.reference} = 0.`,
+                    `COMPUTE ${outcome}_event = $SYSMIS.`,
+                    `IF (${outcome} = ${this.spssValue(spec, spec.outcome, spec.event)}) ${outcome}_event = 1.`,
+                    `IF (${outcome} = ${this.spssValue(spec, spec.outcome, spec.reference)}) ${outcome}_event = 0.`,
+                    'EXECUTE.',
+                    predictors.syntax,
+                    `LOGISTIC REGRESSION VARIABLES ${outcome}_event`,
+                    `  /METHOD=ENTER ${predictors.names.join(' ')}`,
+                    '  /PRINT=CI(95) GOODFIT',
+                    '  /CRITERIA=PIN(.05) POUT(.10) ITERATE(20) CUT(.5).'
+                ].filter(Boolean).join('\n');
+            }
+            
+            case 'repeated-measures-anova':
+                return [
+                    `GLM ${spec.measures.map(n).join(' ')}`,
+                    `  /WSFACTOR=condition ${spec.measures.length} Polynomial`,
+                    '  /METHOD=SSTYPE(3)',
+                    '  /PRINT=DESCRIPTIVE ETASQ',
+                    '  /CRITERIA=ALPHA(.05)',
+                    '  /WSDESIGN=condition.'
+                ].join('\n');
+                
+            case 'friedman':
+                return [
+                    `NPAR TESTS /FRIEDMAN=${spec.measures.map(n).join(' ')}`,
+                    '  /STATISTICS DESCRIPTIVES.',
+                    `NPAR TESTS /KENDALL=${spec.measures.map(n).join(' ')}.`
+                ].join('\n');
+                
+            case 'reliability-analysis': {
+                const reversed = spec.reverseItems.map(item => `COMPUTE ${n(item)}_r = ${spec.scaleRange.min + spec.scaleRange.max} - ${n(item)}.`);
+                const items = spec.items.map(item => spec.reverseItems.includes(item) ? `${n(item)}_r` : n(item));
+                return [
+                    ...(reversed.length > 0 ? [`* عكس البنود السالبة: (${spec.scaleRange.min} + ${spec.scaleRange.max}) - القيمة.`, ...reversed, 'EXECUTE.'] : []),
+                    `RELIABILITY /VARIABLES=${items.join(' ')}`,
+                    "  /SCALE('ALL VARIABLES') ALL",
+                    '  /MODEL=ALPHA',
+                    '  /STATISTICS=DESCRIPTIVE SCALE CORR',
+                    '  /SUMMARY=TOTAL MEANS.',
+                    '* SPSS 29 فما بعد: استبدل ALPHA بـ OMEGA لحساب أوميغا ماكدونالد.'
+                ].join('\n');
+            }
+            
+            case 'exploratory-factor-analysis':
+                return [
+                    `FACTOR /VARIABLES ${spec.variables.map(n).join(' ')}`,
+                    '  /MISSING LISTWISE',
+                    '  /PRINT INITIAL KMO EXTRACTION ROTATION',
+                    '  /FORMAT SORT',
+                    `  /CRITERIA FACTORS(${spec.factors}) ITERATE(100)`,
+                    `  /EXTRACTION ${spec.extraction === 'pca' ? 'PC' : 'PAF'}`,
+                    `  /ROTATION ${spec.rotation === 'varimax' ? 'VARIMAX' : spec.rotation === 'promax' ? 'PROMAX(4)' : 'NOROTATE'}`,
+                    '  /METHOD=CORRELATION.'
+                ].join('\n');
+                
+            case 'little-mcar':
+                return [
+                    '* يتطلب وحدة Missing Values في SPSS.',
+                    `MVA VARIABLES=${spec.variables.map(n).join(' ')}`,
+                    '  /EM.'
+                ].join('\n');
+                
+            case 'descriptive-statistics': {
+                const lines = [];
+                if (spec.variables.length > 0) {
+                    lines.push(
+                        '* يحسب التطبيق الربيعيات بالاستيفاء الخطي (Hyndman-Fan النوع 7، كما في R وQUARTILE.INC في Excel).',
+                        '* يستخدم EXAMINE تعريف HAVERAGE (الموضع (n + 1)p)، لذا تختلف Q1 وQ3 والمدى الربيعي عن التطبيق.',
+                        `EXAMINE VARIABLES=${spec.variables.map(n).join(' ')}${spec.groupBy ? ` BY ${n(spec.groupBy)}` : ''}`,
+                        '  /PLOT NONE',
+                        '  /STATISTICS DESCRIPTIVES',
+                        `  /MISSING PAIRWISE${spec.groupBy ? '\n  /NOTOTAL' : ''}.`
+                    );
+                }
+                if (spec.frequencies.length > 0) {
+                    lines.push(`FREQUENCIES VARIABLES=${spec.frequencies.map(n).join(' ')}`, '  /ORDER=ANALYSIS.');
+                }
+                if (spec.crosstab) {
+                    lines.push(
+                        `CROSSTABS /TABLES=${n(spec.crosstab.row)} BY ${n(spec.crosstab.column)}`,
+                        '  /CELLS=COUNT ROW COLUMN.'
+                    );
+                }
+                return lines.join('\n');
+            }
+        }
+        
+        return '';
+    }
+    
+    spssRegression(outcome, predictors) {
+        return [
+            'REGRESSION',
+            '  /MISSING LISTWISE',
+            '  /STATISTICS COEFF OUTS CI(95) R ANOVA',
+            `  /DEPENDENT ${outcome}`,
+            `  /METHOD=ENTER ${predictors.join(' ')}.`
+        ].join('\n');
+    }
+    
+    // ----- R -----
+    
+    toR(spec) {
+        return [
+            this.header(spec, line => `# ${line}`),
+            '',
+            `data <- read.csv("${DATA_FILE}", fileEncoding = "UTF-8-BOM", check.names = FALSE,`,
+            '                 na.strings = c("", "NA"), stringsAsFactors = FALSE)',
+            '',
+            this.rAnalysis(spec)
+        ].join('\n') + '\n';
+    }
+    
+    rString(text) {
+        return JSON.stringify(String(text));
+    }
+    
+    rValue(spec, column, value) {
+        return spec.columns[column].numeric ? String(Number(value)) : this.rString(value);
+    }
+    
+    rVector(values) {
+        return `c(${values.join(', ')})`;
+    }
+    
+    rColumn(column) {
+        return `data[[${this.rString(column)}]]`;
+    }
+    
+    /**
+     * The two conditions' values, paired by their order within each condition
+     */
+    rPairs(spec) {
+        const [first, second] = spec.levels.map(level => this.rValue(spec, spec.group, level));
+        const outcome = this.rColumn(spec.outcome);
+        const group = this.rColumn(spec.group);
+        
+        return [
+            '# القياسات مقرونة حسب ترتيبها داخل كل شرط (كما يفعل التطبيق)',
+            `first <- ${outcome}[!is.na(${outcome}) & !is.na(${group}) & ${group} == ${first}]`,
+            `second <- ${outcome}[!is.na(${outcome}) & !is.na(${group}) & ${group} == ${second}]`,
+            'n <- min(length(first), length(second))',
+            'first <- first[seq_len(n)]',
+            'second <- second[seq_len(n)]'
+        ].join('\n');
+    }
+    
+    /**
+     * The app's exact p of the rank-sum test: the distribution of the first group's
+     * (doubled) rank sum over all splits of the ranks, conditional on ties, with the
+     * two-sided p as twice the smaller tail. wilcox.test has no exact p with ties
+     */
+    rExactRankSum() {
+        return [
+            '# p دقيق كما في التطبيق: توزيع مجموع رتب المجموعة الأولى على كل التقسيمات الممكنة للرتب',
+            '# (مشروط بالتعادلات)، والقيمة الثنائية ضعف الذيل الأصغر',
+            'in_first <- group == levels(group)[1]',
+            'n1 <- sum(in_first)',
+            'scores <- round(2 * rank(value))',
+            'size <- sum(scores) + 1',
+            'counts <- matrix(0, n1 + 1, size)',
+            'counts[1, 1] <- 1',
+            'for (score in scores) {',
+            '    for (k in n1:1) {',
+            '        counts[k + 1, ] <- counts[k + 1, ] + c(rep(0, score), counts[k, seq_len(size - score)])',
+            '    }',
+            '}',
+            'distribution <- counts[n1 + 1, ]',
+            'sums <- seq_len(size) - 1',
+            'observed <- sum(scores[in_first])',
+            'c(U = observed / 2 - n1 * (n1 + 1) / 2,',
+            '  p = min(1, 2 * min(sum(distribution[sums <= observed]), sum(distribution[sums >= observed])) / sum(distribution)))'
+        ].join('\n');
+    }
+    
+    /**
+     * The app's exact p of the signed-rank test: W+ over all sign assignments of the
+     * non-zero differences, conditional on ties
+     */
+    rExactSignedRank() {
+        return [
+            '# p دقيق كما في التطبيق: توزيع W+ على كل توزيعات الإشارات الممكنة للفروق غير الصفرية',
+            '# (مشروط بالتعادلات)، والقيمة الثنائية ضعف الذيل الأصغر',
+            'd <- first - second',
+            'd <- d[d != 0]',
+            'scores <- round(2 * rank(abs(d)))',
+            'size <- sum(scores) + 1',
+            'distribution <- c(1, rep(0, size - 1))',
+            'for (score in scores) {',
+            '    distribution <- distribution + c(rep(0, score), distribution[seq_len(size - score)])',
+            '}',
+            'sums <- seq_len(size) - 1',
+            'observed <- sum(scores[d > 0])',
+            'c(V = observed / 2,',
+            '  p = min(1, 2 * min(sum(distribution[sums <= observed]), sum(distribution[sums >= observed])) / sum(distribution)))'
+        ].join('\n');
+    }
+    
+    /**
+     * The app's exact p of Spearman's rho (n ≤ 10): every pairing of the ranks,
+     * conditional on ties
+     */
+    rExactSpearman() {
+        return [
+            '# p دقيق كما في التطبيق: كل تباديل رتب y مقابل رتب x (مشروط بالتعادلات)؛ قد يستغرق دقيقة عند n = 10',
+            'permutations <- function(v) {',
+            '    if (length(v) <= 1) return(matrix(v, 1))',
+            '    do.call(rbind, lapply(seq_along(v), function(i) cbind(v[i], permutations(v[-i]))))',
+            '}',
+            'expected <- sum(rx) * sum(ry) / n',
+            'cross <- permutations(ry) %*% rx',
+            'c(rho = rho, p = mean(abs(cross - expected) >= abs(sum(rx * ry) - expected) - 1e-9))'
+        ].join('\n');
+    }
+    
+    /**
+     * The app's normal approximation of Spearman's rho, with the continuity
+     * correction of one step of Σd²; cor.test uses a t approximation instead
+     */
+    rNormalSpearman() {
+        return [
+            '# تقريب طبيعي كما في التطبيق، مع تصحيح الاستمرارية',
+            'z <- sign(rho) * max(abs(rho) - 6 / (n^3 - n), 0) * sqrt(n - 1)',
+            'c(rho = rho, z = z, p = 2 * pnorm(-abs(z)))'
+        ].join('\n');
+    }
+    
+    /**
+     * Data frame of the model's complete rows, with categorical predictors as
+     * factors whose first level is the reference
+     */
+    rModelFrame(spec, outcome, predictors) {
+        const columns = [outcome, ...predictors.map(predictor => predictor.column)];
+        const lines = [
+            `model_data <- data[complete.cases(data[, ${this.rVector(columns.map(column => this.rString(column)))}]), ]`
+        ];
+        
+        predictors.filter(predictor => predictor.levels).forEach(predictor => {
+            lines.push(`model_data[[${this.rString(predictor.column)}]] <- factor(model_data[[${this.rString(predictor.column)}]], ` +
+                `levels = ${this.rVector(predictor.levels.map(level => this.rValue(spec, predictor.column, level)))})`);
+        });
+        
+        return lines.join('\n');
+    }
+    
+    rFormula(outcome, predictors, operator = ' + ') {
+        const term = (column) => `\`${column.replace(/[`\\]/g, '\\$&')}\``;
+        return `${term(outcome)} ~ ${predictors.map(term).join(operator)}`;
+    }
+    
+    rAnalysis(spec) {
+        const col = (column) => this.rColumn(column);
+        
+        switch (spec.id) {
+            case 'independent-t-test': {
+                const levels = this.rVector(spec.levels.map(level => this.rValue(spec, spec.group, level)));
+                return [
+                    `groups <- ${levels}`,
+                    `rows <- !is.na(${col(spec.outcome)}) & ${col(spec.group)} %in% groups`,
+                    `value <- ${col(spec.outcome)}[rows]`,
+                    `group <- factor(${col(spec.group)}[rows], levels = groups)`,
+                    'aggregate(value, list(group = group), function(x) c(n = length(x), mean = mean(x), sd = sd(x)))',
+                    't.test(value ~ group, var.equal = TRUE)   # Student',
+                    't.test(value ~ group, var.equal = FALSE)  # Welch',
+                    '',
+                    '# Cohen\'s d بالانحراف المعياري المجمّع',
+                    'x1 <- value[group == groups[1]]',
+                    'x2 <- value[group == groups[2]]',
+                    'sp <- sqrt(((length(x1) - 1) * var(x1) + (length(x2) - 1) * var(x2)) / (length(x1) + length(x2) - 2))',
+                    '(mean(x1) - mean(x2)) / sp'
+                ].join('\n');
+            }
+            
+            case 'paired-t-test':
+                return [
+                    this.rPairs(spec),
+                    't.test(first, second, paired = TRUE)',
+                    '',
+                    '# Cohen\'s d للفروق',
+                    'mean(first - second) / sd(first - second)'
+                ].join('\n');
+                
+            case 'wilcoxon-signed-rank':
+                return [
+                    this.rPairs(spec),
+                    spec.pValueMethod === 'exact'
+                        ? this.rExactSignedRank()
+                        : 'wilcox.test(first, second, paired = TRUE, exact = FALSE, correct = TRUE)'
+                ].join('\n');
+                
+            case 'one-way-anova':
+            case 'kruskal-wallis':
+            case 'mann-whitney': {
+                const levels = this.rVector(spec.levels.map(level => this.rValue(spec, spec.group, level)));
+                const lines = [
+                    `rows <- !is.na(${col(spec.outcome)}) & !is.na(${col(spec.group)})`,
+                    `value <- ${col(spec.outcome)}[rows]`,
+                    `group <- factor(${col(spec.group)}[rows], levels = ${levels})`,
+                    'aggregate(value, list(group = group), function(x) c(n = length(x), mean = mean(x), sd = sd(x), median = median(x)))'
+                ];
+                
+                if (spec.id === 'one-way-anova') {
+                    lines.push(
+                        'model <- aov(value ~ group)',
+                        'summary(model)',
+                        'oneway.test(value ~ group, var.equal = FALSE)  # Welch',
+                        'TukeyHSD(model)',
+                        '',
+                        '# مربع إيتا',
+                        'ss <- summary(model)[[1]][["Sum Sq"]]',
+                        'ss[1] / sum(ss)'
+                    );
+                } else if (spec.id === 'kruskal-wallis') {
+                    lines.push('kruskal.test(value ~ group)');
+                } else if (spec.pValueMethod === 'exact') {
+                    lines.push(this.rExactRankSum());
+                } else {
+                    lines.push('wilcox.test(value ~ group, exact = FALSE, correct = TRUE)');
+                }
+                
+                return lines.join('\n');
+            }
+            
+            case 'factorial-anova': {
+                const columns = [spec.outcome, ...spec.factors];
+                return [
+                    '# مجموع المربعات من النوع الثالث يحتاج حزمة car: install.packages("car")',
+                    'library(car)',
+                    `model_data <- data[complete.cases(data[, ${this.rVector(columns.map(column => this.rString(column)))}]), ]`,
+                    ...spec.factors.map(factor => `model_data[[${this.rString(factor)}]] <- factor(model_data[[${this.rString(factor)}]])`),
+                    'options(contrasts = c("contr.sum", "contr.poly"))',
+                    `model <- lm(${this.rFormula(spec.outcome, spec.factors, ' * ')}, data = model_data)`,
+                    'Anova(model, type = 3)'
+                ].join('\n');
+            }
+            
+            case 'pearson-correlation':
+                return `cor.test(${col(spec.x)}, ${col(spec.y)}, method = "pearson")`;
+                
+            case 'spearman-correlation':
+                return [
+                    `rows <- complete.cases(${col(spec.x)}, ${col(spec.y)})`,
+                    `rx <- rank(${col(spec.x)}[rows])`,
+                    `ry <- rank(${col(spec.y)}[rows])`,
+                    'n <- length(rx)',
+                    'rho <- cor(rx, ry)',
+                    spec.pValueMethod === 'exact' ? this.rExactSpearman() : this.rNormalSpearman()
+                ].join('\n');
+            
+            case 'chi-square-independence':
+            case 'fisher-exact':
+            case 'mcnemar': {
+                const lines = [
+                    `observed <- table(${col(spec.row)}, ${col(spec.column)})`,
+                    'observed'
+                ];
+                if (spec.id === 'chi-square-independence') {
+                    lines.push(
+                        'test <- chisq.test(observed, correct = FALSE)',
+                        'test',
+                        'test$expected',
+                        '',
+                        '# V كرامر',
+                        'sqrt(test$statistic / (sum(observed) * (min(dim(observed)) - 1)))'
+                    );
+                } else if (spec.id === 'fisher-exact') {
+                    lines.push('fisher.test(observed)');
+                } else {
+                    const levels = this.mcnemarLevels(spec);
+                    const vector = this.rVector(levels.map(level => this.rString(level)));
+                    lines.splice(0, 2,
+                        '# الجدول مربع على الفئات المشتركة بين القياسين',
+                        `observed <- table(factor(${col(spec.row)}, levels = ${vector}), factor(${col(spec.column)}, levels = ${vector}))`,
+                        'observed',
+                        'mcnemar.test(observed)'
+                    );
+                }
+                return lines.join('\n');
+            }
+            
+            case 'chi-square-goodness-of-fit': {
+                const categories = this.rVector(spec.categories.map(category => this.rValue(spec, spec.variable, category)));
+                return [
+                    `observed <- table(factor(${col(spec.variable)}, levels = ${categories}))`,
+                    'observed',
+                    `chisq.test(observed, p = ${this.rVector(spec.weights)}, rescale.p = TRUE)`
+                ].join('\n');
+            }
+            
+            case 'simple-linear-regression':
+                return [
+                    `model <- lm(${this.rFormula(spec.y, [spec.x])}, data = data)`,
+                    'summary(model)',
+                    'confint(model)',
+                    'anova(model)'
+                ].join('\n');
+                
+            case 'multiple-linear-regression':
+                return [
+                    this.rModelFrame(spec, spec.outcome, spec.predictors),
+                    `model <- lm(${this.rFormula(spec.outcome, spec.predictors.map(predictor => predictor.column))}, data = model_data)`,
+                    'summary(model)',
+                    'confint(model)',
+                    'anova(model)'
+                ].join('\n');
+                
+            case 'logistic-regression':
+                return [
+                    this.rModelFrame(spec, spec.outcome, spec.predictors),
+                    `# الحدث ${spec.event} = 1، والفئة المرجعية ${spec.reference} = 0`,
+                    `model_data$event <- as.integer(model_data[[${this.rString(spec.outcome)}]] == ${this.rValue(spec, spec.outcome, spec.event)})`,
+                    `model <- glm(${this.rFormula('event', spec.predictors.map(predictor => predictor.column))}, family = binomial, data = model_data)`,
+                    'summary(model)',
+                    'exp(cbind(OR = coef(model), confint.default(model)))'
+                ].join('\n');
+                
+            case 'repeated-measures-anova':
+            case 'friedman': {
+                const measures = this.rVector(spec.measures.map(measure => this.rString(measure)));
+                const lines = [
+                    `measures <- data[complete.cases(data[, ${measures}]), ${measures}]`,
+                    'colMeans(measures)'
+                ];
+                
+                if (spec.id === 'friedman') {
+                    lines.push('friedman.test(as.matrix(measures))');
+                } else {
+                    lines.push(
+                        'long <- data.frame(',
+                        '    subject = factor(rep(seq_len(nrow(measures)), times = ncol(measures))),',
+                        '    condition = factor(rep(names(measures), each = nrow(measures)), levels = names(measures)),',
+                        '    value = unlist(measures, use.names = FALSE)',
+                        ')',
+                        'summary(aov(value ~ condition + Error(subject / condition), data = long))',
+                        '',
+                        '# اختبار الكروية وتصحيحا Greenhouse-Geisser وHuynh-Feldt',
+                        'mlm <- lm(as.matrix(measures) ~ 1)',
+                        'mauchly.test(mlm, X = ~1)',
+                        'anova(mlm, X = ~1, test = "Spherical")'
+                    );
+                }
+                
+                return lines.join('\n');
+            }
+            
+            case 'reliability-analysis': {
+                const items = this.rVector(spec.items.map(item => this.rString(item)));
+                const lines = [
+                    `items <- data[complete.cases(data[, ${items}]), ${items}]`
+                ];
+                
+                if (spec.reverseItems.length > 0) {
+                    const reversed = this.rVector(spec.reverseItems.map(item => this.rString(item)));
+                    lines.push(
+                        `# عكس البنود السالبة: (${spec.scaleRange.min} + ${spec.scaleRange.max}) - القيمة`,
+                        `items[, ${reversed}] <- ${spec.scaleRange.min + spec.scaleRange.max} - items[, ${reversed}]`
+                    );
+                }
+                
+                lines.push(
+                    '',
+                    '# ألفا كرونباخ',
+                    'k <- ncol(items)',
+                    'k / (k - 1) * (1 - sum(apply(items, 2, var)) / var(rowSums(items)))',
+                    '',
+                    '# التفاصيل وأوميغا ماكدونالد بحزمة psych: install.packages("psych")',
+                    '# psych::alpha(items)',
+                    '# psych::omega(items, nfactors = 1)'
+                );
+                
+                return lines.join('\n');
+            }
+            
+            case 'exploratory-factor-analysis': {
+                const variables = this.rVector(spec.variables.map(variable => this.rString(variable)));
+                return [
+                    '# يحتاج حزمة psych: install.packages("psych")',
+                    'library(psych)',
+                    `variables <- data[complete.cases(data[, ${variables}]), ${variables}]`,
+                    'KMO(variables)',
+                    'cortest.bartlett(cor(variables), n = nrow(variables))',
+                    spec.extraction === 'pca'
+                        ? `principal(variables, nfactors = ${spec.factors}, rotate = "${spec.rotation}")`
+                        : `fa(variables, nfactors = ${spec.factors}, fm = "pa", rotate = "${spec.rotation}")`
+                ].join('\n');
+            }
+            
+            case 'descriptive-statistics': {
+                const lines = [];
+                if (spec.variables.length > 0) {
+                    lines.push(
+                        '# الالتواء والتفلطح الزائد بصيغتي G1 وG2 (كما في SPSS وExcel) وخطآهما المعياريان',
+                        'describe <- function(x) {',
+                        '  x <- suppressWarnings(as.numeric(x))',
+                        '  x <- x[!is.na(x)]',
+                        '  n <- length(x)',
+                        '  d <- x - mean(x)',
+                        '  g1 <- mean(d^3) / mean(d^2)^1.5',
+                        '  g2 <- mean(d^4) / mean(d^2)^2 - 3',
+                        '  ses <- sqrt(6 * n * (n - 1) / ((n - 2) * (n + 1) * (n + 3)))',
+                        '  # IQR() بالاستيفاء الخطي (النوع 7)، وهو تعريف التطبيق',
+                        '  c(n = n, mean = mean(x), sd = sd(x), se = sd(x) / sqrt(n), median = median(x), iqr = IQR(x),',
+                        '    skewness = g1 * sqrt(n * (n - 1)) / (n - 2), skewness_se = ses,',
+                        '    kurtosis = ((n + 1) * g2 + 6) * (n - 1) / ((n - 2) * (n - 3)),',
+                        '    kurtosis_se = 2 * ses * sqrt((n^2 - 1) / ((n - 3) * (n + 5))),',
+                        '    min = min(x), max = max(x))',
+                        '}',
+                        ''
+                    );
+                    
+                    if (spec.groupBy) {
+                        spec.variables.forEach(variable => {
+                            lines.push(
+                                `# ${variable} حسب ${spec.groupBy}`,
+                                `do.call(rbind, tapply(${col(variable)}, ${col(spec.groupBy)}, describe))`
+                            );
+                        });
+                    } else {
+                        lines.push(`t(sapply(data[${this.rVector(spec.variables.map(variable => this.rString(variable)))}], describe))`);
+                    }
+                }
+                
+                spec.frequencies.forEach(variable => {
+                    lines.push(
+                        '',
+                        `# جدول تكرار ${variable}`,
+                        `counts <- table(${col(variable)})`,
+                        'cbind(n = counts, percent = 100 * counts / nrow(data), valid_percent = 100 * prop.table(counts),',
+                        '      cumulative_percent = 100 * cumsum(prop.table(counts)))'
+                    );
+                });
+                
+                if (spec.crosstab) {
+                    lines.push(
+                        '',
+                        `observed <- table(${col(spec.crosstab.row)}, ${col(spec.crosstab.column)})`,
+                        'addmargins(observed)',
+                        'round(100 * prop.table(observed, 1), 1)  # نسب الصفوف',
+                        'round(100 * prop.table(observed, 2), 1)  # نسب الأعمدة'
+                    );
+                }
+                
+                return lines.join('\n').replace(/^\n/, '');
+            }
+            
+            case 'little-mcar':
+                return [
+                    '# يحتاج حزمة naniar: install.packages("naniar")',
+                    `naniar::mcar_test(data[, ${this.rVector(spec.variables.map(variable => this.rString(variable)))}])`
+                ].join('\n');
+        }
+        
+        return '';
+    }
+    
+    // ----- Excel -----
+    
+    /**
+     * Labelled formulas (Excel 365) on the data formatted as a table named Data
+     */
+    toExcel(spec) {
+        const formulas = this.excelFormulas(spec);
+        const lines = [
+            this.header(spec, line => line),
+            '',
+            'طريقة الاستخدام:',
+            `1. افتح ${DATA_FILE} في Excel، وحدد البيانات واضغط Ctrl+T لتحويلها إلى جدول.`,
+            `2. سمِّ الجدول ${EXCEL_TABLE} (تصميم الجدول ← اسم الجدول).`,
+            '3. انسخ كل صيغة إلى خلية فارغة. تحتاج الصيغ إلى Excel 365 (LET وFILTER وLAMBDA)؛ استبدل الفاصلة بفاصلة منقوطة إذا كانت إعدادات النظام تتطلب ذلك.',
+            ''
+        ];
+        
+        if (formulas.length === 0) {
+            lines.push('لا توجد دالة مقابلة لهذا التحليل في Excel؛ استخدم سكربت SPSS أو R للتحقق من نتائجه.');
+        } else {
+            formulas.forEach(([label, formula]) => {
+                lines.push(`${label}\t${formula}`);
+            });
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    excelColumn(column) {
+        const escaped = column.replace(/['#\[\]]/g, "'$&");
+        return /^[\p{L}\p{N}_ ]+$/u.test(column) ? `${EXCEL_TABLE}[${escaped}]` : `${EXCEL_TABLE}[[${escaped}]]`;
+    }
+    
+    excelValue(spec, column, value) {
+        return spec.columns[column].numeric ? String(Number(value)) : `"${String(value).replace(/"/g, '""')}"`;
+    }
+    
+    /**
+     * The outcome values of one group (numeric values only, as in the analysis)
+     */
+    excelGroup(spec, level) {
+        const outcome = this.excelColumn(spec.outcome);
+        return `FILTER(${outcome},(${this.excelColumn(spec.group)}=${this.excelValue(spec, spec.group, level)})*ISNUMBER(${outcome}))`;
+    }
+    
+    /**
+     * Average ranks of an array (ties share their mean rank)
+     */
+    excelRanks(array) {
+        return `MAP(${array},LAMBDA(v,SUM(--(${array}<v))+(SUM(--(${array}=v))+1)/2))`;
+    }
+    
+    excelFormulas(spec) {
+        const col = (column) => this.excelColumn(column);
+        const value = (column, level) => this.excelValue(spec, column, level);
+        const formulas = [];
+        
+        switch (spec.id) {
+            case 'independent-t-test':
+            case 'paired-t-test':
+            case 'mann-whitney':
+            case 'wilcoxon-signed-rank':
+            case 'one-way-anova':
+            case 'kruskal-wallis':
+                spec.levels.forEach(level => {
+                    const group = this.excelGroup(spec, level);
+                    formulas.push(
+                        [`n (${level})`, `=ROWS(${group})`],
+                        [`المتوسط (${level})`, `=AVERAGE(${group})`],
+                        [`الانحراف المعياري (${level})`, `=STDEV.S(${group})`]
+                    );
+                });
+                break;
+        }
+        
+        switch (spec.id) {
+            case 'independent-t-test': {
+                const [a, b] = spec.levels.map(level => this.excelGroup(spec, level));
+                formulas.push(
+                    ['p (Student)', `=T.TEST(${a},${b},2,2)`],
+                    ['p (Welch)', `=T.TEST(${a},${b},2,3)`],
+                    ['t (Student)', `=LET(a,${a},b,${b},na,ROWS(a),nb,ROWS(b),sp,SQRT(((na-1)*VAR.S(a)+(nb-1)*VAR.S(b))/(na+nb-2)),(AVERAGE(a)-AVERAGE(b))/(sp*SQRT(1/na+1/nb)))`],
+                    ["Cohen's d", `=LET(a,${a},b,${b},na,ROWS(a),nb,ROWS(b),(AVERAGE(a)-AVERAGE(b))/SQRT(((na-1)*VAR.S(a)+(nb-1)*VAR.S(b))/(na+nb-2)))`]
+                );
+                break;
+            }
+            
+            case 'paired-t-test': {
+                const [a, b] = spec.levels.map(level => this.excelGroup(spec, level));
+                const pairs = `a,${a},b,${b},n,MIN(ROWS(a),ROWS(b)),d,TAKE(a,n)-TAKE(b,n)`;
+                formulas.push(
+                    ['p', `=LET(a,${a},b,${b},n,MIN(ROWS(a),ROWS(b)),T.TEST(TAKE(a,n),TAKE(b,n),2,1))`],
+                    ['t', `=LET(${pairs},AVERAGE(d)/(STDEV.S(d)/SQRT(n)))`],
+                    ["Cohen's d", `=LET(${pairs},AVERAGE(d)/STDEV.S(d))`]
+                );
+                break;
+            }
+            
+            case 'mann-whitney': {
+                const [a, b] = spec.levels.map(level => this.excelGroup(spec, level));
+                formulas.push(
+                    ['U', `=LET(a,${a},b,${b},all,VSTACK(a,b),r,${this.excelRanks('all')},na,ROWS(a),r1,SUM(TAKE(r,na)),r1-na*(na+1)/2)`],
+                    ['z (تقريب طبيعي دون تصحيح للتكرارات)', `=LET(a,${a},b,${b},all,VSTACK(a,b),r,${this.excelRanks('all')},na,ROWS(a),nb,ROWS(b),u,SUM(TAKE(r,na))-na*(na+1)/2,(u-na*nb/2)/SQRT(na*nb*(na+nb+1)/12))`]
+                );
+                break;
+            }
+            
+            case 'one-way-anova':
+            case 'kruskal-wallis': {
+                const outcome = col(spec.outcome);
+                const group = col(spec.group);
+                const base = `ok,ISNUMBER(${outcome})*(${group}<>""),y,FILTER(${outcome},ok),g,FILTER(${group},ok),lv,UNIQUE(g),k,ROWS(lv),n,ROWS(y)`;
+                
+                if (spec.id === 'one-way-anova') {
+                    const f = `${base},m,AVERAGE(y),ssb,SUM(MAP(lv,LAMBDA(l,SUM(--(g=l))*(AVERAGE(FILTER(y,g=l))-m)^2))),ssw,DEVSQ(y)-ssb`;
+                    formulas.push(
+                        ['F', `=LET(${f},(ssb/(k-1))/(ssw/(n-k)))`],
+                        ['p', `=LET(${f},F.DIST.RT((ssb/(k-1))/(ssw/(n-k)),k-1,n-k))`],
+                        ['مربع إيتا', `=LET(${f},ssb/DEVSQ(y))`]
+                    );
+                } else {
+                    const h = `${base},r,${this.excelRanks('y')},h,12/(n*(n+1))*SUM(MAP(lv,LAMBDA(l,SUM(FILTER(r,g=l))^2/SUM(--(g=l)))))-3*(n+1)`;
+                    formulas.push(
+                        ['H (دون تصحيح للتكرارات)', `=LET(${h},h)`],
+                        ['p', `=LET(${h},CHISQ.DIST.RT(h,k-1))`]
+                    );
+                }
+                break;
+            }
+            
+            case 'pearson-correlation':
+            case 'simple-linear-regression': {
+                const pair = `ok,ISNUMBER(${col(spec.x)})*ISNUMBER(${col(spec.y)}),x,FILTER(${col(spec.x)},ok),y,FILTER(${col(spec.y)},ok),n,ROWS(x),r,CORREL(x,y)`;
+                formulas.push(
+                    ['r', `=LET(${pair},r)`],
+                    ['p', `=LET(${pair},T.DIST.2T(ABS(r*SQRT((n-2)/(1-r^2))),n-2))`]
+                );
+                if (spec.id === 'simple-linear-regression') {
+                    formulas.push(
+                        ['الميل (b1)', `=LET(${pair},SLOPE(y,x))`],
+                        ['الثابت (b0)', `=LET(${pair},INTERCEPT(y,x))`],
+                        ['R²', `=LET(${pair},RSQ(y,x))`],
+                        ['LINEST (المعاملات وأخطاؤها المعيارية وR² وF)', `=LET(${pair},LINEST(y,x,TRUE,TRUE))`]
+                    );
+                }
+                break;
+            }
+            
+            case 'spearman-correlation': {
+                const pair = `ok,ISNUMBER(${col(spec.x)})*ISNUMBER(${col(spec.y)}),x,FILTER(${col(spec.x)},ok),y,FILTER(${col(spec.y)},ok),n,ROWS(x),rs,CORREL(${this.excelRanks('x')},${this.excelRanks('y')})`;
+                formulas.push(
+                    ['rs', `=LET(${pair},rs)`],
+                    ['p (تقريب t)', `=LET(${pair},T.DIST.2T(ABS(rs*SQRT((n-2)/(1-rs^2))),n-2))`]
+                );
+                break;
+            }
+            
+            case 'chi-square-independence':
+            case 'fisher-exact': {
+                const rows = this.levels(spec.data, spec.row, 'sorted').map(level => value(spec.row, level));
+                const columns = this.levels(spec.data, spec.column, 'sorted').map(level => value(spec.column, level));
+                const observed = `COUNTIFS(${col(spec.row)},{${rows.join(';')}},${col(spec.column)},{${columns.join(',')}})`;
+                const table = `o,${observed},e,MMULT(BYROW(o,LAMBDA(r,SUM(r))),BYCOL(o,LAMBDA(c,SUM(c))))/SUM(o)`;
+                formulas.push(['جدول التكرارات المشاهدة', `=${observed}`]);
+                
+                // Fisher's exact p has no Excel function; the table is still there to compare
+                if (spec.id === 'chi-square-independence') {
+                    formulas.push(
+                        ['χ²', `=LET(${table},SUM((o-e)^2/e))`],
+                        ['p', `=LET(${table},CHISQ.TEST(o,e))`],
+                        ['V كرامر', `=LET(${table},SQRT(SUM((o-e)^2/e)/(SUM(o)*(MIN(ROWS(o),COLUMNS(o))-1))))`]
+                    );
+                }
+                break;
+            }
+            
+            case 'mcnemar': {
+                const levels = this.mcnemarLevels(spec);
+                if (levels.length === 2) {
+                    const [first, second] = levels;
+                    const cell = (a, b) => `COUNTIFS(${col(spec.row)},${value(spec.row, a)},${col(spec.column)},${value(spec.column, b)})`;
+                    const counts = `b,${cell(first, second)},c,${cell(second, first)}`;
+                    formulas.push(
+                        ['χ² (مع تصحيح الاستمرارية)', `=LET(${counts},(ABS(b-c)-1)^2/(b+c))`],
+                        ['p', `=LET(${counts},CHISQ.DIST.RT((ABS(b-c)-1)^2/(b+c),1))`],
+                        ['p الدقيق (ذو الحدين)', `=LET(${counts},MIN(1,2*BINOM.DIST(MIN(b,c),b+c,0.5,TRUE)))`]
+                    );
+                }
+                break;
+            }
+            
+            case 'chi-square-goodness-of-fit': {
+                const categories = spec.categories.map(category => value(spec.variable, category));
+                const fit = `o,COUNTIFS(${col(spec.variable)},{${categories.join(';')}}),w,{${spec.weights.join(';')}},e,SUM(o)*w/SUM(w)`;
+                formulas.push(
+                    ['التكرارات المشاهدة', `=COUNTIFS(${col(spec.variable)},{${categories.join(';')}})`],
+                    ['χ²', `=LET(${fit},SUM((o-e)^2/e))`],
+                    ['p', `=LET(${fit},CHISQ.TEST(o,e))`]
+                );
+                break;
+            }
+            
+            case 'multiple-linear-regression':
+                if (spec.predictors.every(predictor => !predictor.levels)) {
+                    const columns = [spec.outcome, ...spec.predictors.map(predictor => predictor.column)];
+                    const ok = columns.map(column => `ISNUMBER(${col(column)})`).join('*');
+                    formulas.push([
+                        'LINEST (المعاملات بترتيب عكسي للمتغيرات، وأخطاؤها المعيارية وR² وF)',
+                        `=LET(ok,${ok},LINEST(FILTER(${col(spec.outcome)},ok),FILTER(HSTACK(${spec.predictors.map(predictor => col(predictor.column)).join(',')}),ok),TRUE,TRUE))`
+                    ]);
+                }
+                break;
+                
+            case 'descriptive-statistics': {
+                const groups = spec.groupBy ? spec.levels : [null];
+                spec.variables.forEach(variable => {
+                    groups.forEach(level => {
+                        const x = level === null
+                            ? col(variable)
+                            : `FILTER(${col(variable)},(${col(spec.groupBy)}=${value(spec.groupBy, level)})*ISNUMBER(${col(variable)}))`;
+                        const label = level === null ? variable : `${variable}، ${level}`;
+                        formulas.push(
+                            [`n (${label})`, `=COUNT(${x})`],
+                            [`المتوسط (${label})`, `=AVERAGE(${x})`],
+                            [`الانحراف المعياري (${label})`, `=STDEV.S(${x})`],
+                            [`الخطأ المعياري (${label})`, `=LET(x,${x},STDEV.S(x)/SQRT(COUNT(x)))`],
+                            [`الوسيط (${label})`, `=MEDIAN(${x})`],
+                            [`المدى الربيعي (${label})`, `=LET(x,${x},QUARTILE.INC(x,3)-QUARTILE.INC(x,1))`],
+                            [`الالتواء (${label})`, `=SKEW(${x})`],
+                            [`التفلطح (${label})`, `=KURT(${x})`],
+                            [`أدنى قيمة (${label})`, `=MIN(${x})`],
+                            [`أعلى قيمة (${label})`, `=MAX(${x})`]
+                        );
+                    });
+                });
+                
+                spec.frequencies.forEach(variable => {
+                    formulas.push([
+                        `جدول تكرار ${variable} (القيمة، التكرار، النسبة، النسبة الصالحة، التراكمية)`,
+                        `=LET(x,FILTER(${col(variable)},${col(variable)}<>""),v,SORT(UNIQUE(x)),c,MAP(v,LAMBDA(a,SUM(--(x=a)))),` +
+                            `HSTACK(v,c,100*c/ROWS(${col(variable)}),100*c/ROWS(x),100*SCAN(0,c,LAMBDA(s,a,s+a))/ROWS(x)))`
+                    ]);
+                });
+                
+                if (spec.crosstab) {
+                    const { row, column } = spec.crosstab;
+                    const complete = spec.data.filter(item => !this.isMissing(item[row]) && !this.isMissing(item[column]));
+                    const rows = this.levels(complete, row, 'sorted').map(level => value(row, level));
+                    const columns = this.levels(complete, column, 'sorted').map(level => value(column, level));
+                    const observed = `COUNTIFS(${col(row)},{${rows.join(';')}},${col(column)},{${columns.join(',')}})`;
+                    formulas.push(
+                        ['الجدول التقاطعي', `=${observed}`],
+                        ['نسب الصفوف', `=LET(o,${observed},100*o/BYROW(o,LAMBDA(r,SUM(r))))`],
+                        ['نسب الأعمدة', `=LET(o,${observed},100*o/BYCOL(o,LAMBDA(c,SUM(c))))`]
+                    );
+                }
+                break;
+            }
+            
+            case 'reliability-analysis': {
+                const min = spec.scaleRange.min;
+                const max = spec.scaleRange.max;
+                const items = spec.items.map(item => spec.reverseItems.includes(item)
+                    ? `IF(ISNUMBER(${col(item)}),${min + max}-${col(item)},"")`
+                    : col(item));
+                formulas.push([
+                    'ألفا كرونباخ',
+                    `=LET(x,HSTACK(${items.join(',')}),ok,BYROW(x,LAMBDA(r,AND(ISNUMBER(r)))),m,FILTER(x,ok),k,COLUMNS(m),k/(k-1)*(1-SUM(BYCOL(m,LAMBDA(c,VAR.S(c))))/VAR.S(BYROW(m,LAMBDA(r,SUM(r))))))`
+                ]);
+                break;
+            }
+        }
+        
+        return formulas;
+    }
+}
+
+export default SyntaxGenerator;
@@ -0,0 +1,691 @@
+/**
+ * Data Transformations Module
+ * SPSS-style Compute / Recode layer over the loaded rows: computed variables from
+ * safe expressions, recoding into groups, reverse scoring and case filtering.
+ * Every step is a plain object so that the log can be replayed and undone
+ */
+
+import DataValidator from './data-validator.js';
+
+const TRANSFORMATIONS = {
+    compute: 'حساب متغير',
+    recode: 'إعادة ترميز',
+    reverse: 'عكس الترميز',
+    filter: 'تصفية الحالات'
+};
+
+// Functions allowed in expressions; anything else is rejected when parsing
+const ROW_FUNCTIONS = ['sum', 'mean', 'min', 'max', 'sd', 'nvalid', 'nmiss'];
+const MATH_FUNCTIONS = ['abs', 'sqrt', 'exp', 'ln', 'log', 'log10', 'round'];
+const OTHER_FUNCTIONS = ['zscore', 'missing', 'if'];
+
+const MAX_EXPRESSION_LENGTH = 1000;
+
+class DataTransformer {
+    constructor(validator = new DataValidator()) {
+        this.validator = validator;
+    }
+    
+    getTransformations() {
+        return { ...TRANSFORMATIONS };
+    }
+    
+    /**
+     * Apply one step to the rows; returns the new rows and the log entry
+     * (the step completed with what it resolved, e.g. the reverse-scoring bounds)
+     */
+    apply(data, step) {
+        if (!step || !TRANSFORMATIONS[step.type]) {
+            throw new Error(`نوع التحويل غير معروف: ${step ? step.type : ''}`);
+        }
+        if (!data || data.length === 0) {
+            throw new Error('لا توجد بيانات');
+        }
+        
+        const rows = data.map(row => ({ ...row }));
+        let result;
+        
+        switch (step.type) {
+            case 'compute':
+                result = this.compute(rows, step);
+                break;
+            case 'recode':
+                result = this.recode(rows, step);
+                break;
+            case 'reverse':
+                result = this.reverse(rows, step);
+                break;
+            default:
+                result = this.filter(rows, step);
+        }
+        
+        return {
+            data: result.data,
+            entry: {
+                ...result.step,
+                type: step.type,
+                label: TRANSFORMATIONS[step.type],
+                rowsBefore: data.length,
+                rowsAfter: result.data.length,
+                appliedAt: step.appliedAt || new Date().toISOString()
+            }
+        };
+    }
+    
+    /**
+     * Apply a whole log, in order, to other rows (a new missing-data treatment,
+     * an imputed dataset or a restored session)
+     */
+    replay(data, log) {
+        return (log || []).reduce((rows, step) => this.apply(rows, step).data, data);
+    }
+    
+    /**
+     * One-line description of a log entry
+     */
+    describe(entry) {
+        switch (entry.type) {
+            case 'compute':
+                return `${entry.label}: ${entry.target} = ${entry.expression}`;
+            case 'recode':
+                return `${entry.label}: ${entry.source} ← ${entry.target} (${entry.rules.replace(/\s*\n\s*/g, '؛ ')})`;
+            case 'reverse':
+                return `${entry.label}: ${entry.columns.join('، ')} (${entry.min}–${entry.max}) ← ${entry.targets.join('، ')}`;
+            default:
+                return `${entry.label}: ${entry.expression} (${entry.rowsBefore} ← ${entry.rowsAfter} حالة)`;
+        }
+    }
+    
+    describeLog(log) {
+        if (!log || log.length === 0) return 'لا توجد';
+        
+        return log.map((entry, i) => `${i + 1}. ${this.describe(entry)}`).join(' | ');
+    }
+    
+    /**
+     * New (or overwritten) variable from an expression evaluated on every row
+     */
+    compute(rows, step) {
+        const target = this.requireName(step.target, 'اسم المتغير الجديد');
+        const expression = this.compile(step.expression, Object.keys(rows[0]));
+        const evaluate = this.prepare(expression, rows);
+        
+        rows.forEach(row => {
+            row[target] = this.validator.sanitizeCellValue(this.formatValue(evaluate(row)));
+        });
+        
+        return { data: rows, step: { target, expression: step.expression.trim() } };
+    }
+    
+    /**
+     * Recode the values of a column with rules such as "1-2 = منخفض", "3 = متوسط",
+     * "else = مرتفع"; into a different variable, unmatched values become missing
+     */
+    recode(rows, step) {
+        const source = this.requireColumn(step.source, rows);
+        const target = step.target && step.target.trim() ? this.requireName(step.target, 'اسم المتغير الجديد') : source;
+        const rules = this.parseRecodeRules(step.rules);
+        
+        rows.forEach(row => {
+            const value = row[source];
+            const rule = rules.find(item => this.matchesRule(item, value));
+            
+            if (!rule) {
+                row[target] = target === source ? value : '';
+            } else {
+                row[target] = rule.copy ? value : this.validator.sanitizeCellValue(rule.to);
+            }
+        });
+        
+        return { data: rows, step: { source, target, rules: step.rules.trim() } };
+    }
+    
+    /**
+     * Reverse-scored copies (min + max - x) of the selected columns, named with "_r";
+     * the bounds default to the observed range of all the selected columns
+     */
+    reverse(rows, step) {
+        const columns = (step.columns || []).map(column => this.requireColumn(column, rows));
+        if (columns.length === 0) {
+            throw new Error('الرجاء اختيار عمود واحد على الأقل لعكس ترميزه');
+        }
+        
+        const values = [];
+        columns.forEach(column => {
+            rows.forEach(row => {
+                const value = this.toValue(row[column]);
+                if (typeof value === 'number') values.push(value);
+            });
+        });
+        if (values.length === 0) {
+            throw new Error('الأعمدة المختارة لا تحتوي على قيم عددية');
+        }
+        
+        const min = this.isNumber(step.min) ? parseFloat(step.min) : Math.min(...values);
+        const max = this.isNumber(step.max) ? parseFloat(step.max) : Math.max(...values);
+        if (min >= max) {
+            throw new Error('أدنى درجة في المقياس يجب أن تكون أقل من أعلى درجة');
+        }
+        
+        const targets = columns.map(column => `${column}_r`);
+        rows.forEach(row => {
+            columns.forEach((column, i) => {
+                const value = this.toValue(row[column]);
+                row[targets[i]] = typeof value === 'number' ? this.validator.sanitizeCellValue(this.formatValue(min + max - value)) : '';
+            });
+        });
+        
+        return { data: rows, step: { columns, targets, min, max } };
+    }
+    
+    /**
+     * Keep the cases for which the condition is true (missing counts as false)
+     */
+    filter(rows, step) {
+        const expression = this.compile(step.expression, Object.keys(rows[0]));
+        const evaluate = this.prepare(expression, rows);
+        const kept = rows.filter(row => this.isTrue(evaluate(row)));
+        
+        if (kept.length === 0) {
+            throw new Error('لا توجد حالات تحقق شرط التصفية');
+        }
+        
+        return { data: kept, step: { expression: step.expression.trim() } };
+    }
+    
+    /**
+     * New column names follow the rules of imported headers, and may not shadow
+     * an Object property such as __proto__ or constructor
+     */
+    requireName(name, description) {
+        if (!name || !String(name).trim()) {
+            throw new Error(`الرجاء إدخال ${description}`);
+        }
+        
+        const trimmed = String(name).trim();
+        const sanitized = this.validator.sanitizeColumnName(trimmed);
+        
+        if (sanitized !== trimmed) {
+            throw new Error(`اسم المتغير غير صالح: ${trimmed} (اقتراح: ${sanitized})`);
+        }
+        if (trimmed in Object.prototype) {
+            throw new Error(`اسم المتغير محجوز: ${trimmed}`);
+        }
+        return trimmed;
+    }
+    
+    requireColumn(column, rows) {
+        if (!column || !Object.prototype.hasOwnProperty.call(rows[0], column)) {
+            throw new Error(`العمود غير موجود: ${column || ''}`);
+        }
+        return column;
+    }
+    
+    isNumber(value) {
+        return value !== '' && value !== null && value !== undefined && isFinite(Number(value));
+    }
+    
+    /**
+     * Cell value for expressions: missing → null, numeric text → number, else text.
+     * Stored cells are HTML-escaped, so text is compared in its unescaped form and
+     * every value a step writes goes back through sanitizeCellValue
+     */
+    toValue(value) {
+        if (value === '' || value === null || value === undefined) return null;
+        if (typeof value === 'number') return isFinite(value) ? value : null;
+        
+        const text = this.validator.unescapeHTML(String(value)).trim();
+        if (text === '') return null;
+        return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text) ? parseFloat(text) : text;
+    }
+    
+    formatValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'boolean') return value ? '1' : '0';
+        if (typeof value === 'number') {
+            return isFinite(value) ? String(parseFloat(value.toPrecision(12))) : '';
+        }
+        return String(value);
+    }
+    
+    isTrue(value) {
+        return value === true || (typeof value === 'number' && value !== 0);
+    }
+    
+    /**
+     * Recode rules, one per line (or separated by ";" / "؛"): "from = to", where from is
+     * a value, a list "1,2,3", a range "1-3" / "1 thru 3" / "lowest thru 2",
+     * "missing" or "else", and to is a value, "missing" or "copy"
+     */
+    parseRecodeRules(text) {
+        const lines = String(text || '').split(/[\n;؛]/).map(line => line.trim()).filter(Boolean);
+        if (lines.length === 0) {
+            throw new Error('الرجاء إدخال قواعد إعادة الترميز');
+        }
+        
+        return lines.map(line => {
+            const separator = line.indexOf('=');
+            if (separator < 0) {
+                throw new Error(`قاعدة غير صالحة (يجب أن تكون بالصيغة: القيمة = الرمز الجديد): ${line}`);
+            }
+            
+            const from = line.slice(0, separator).trim();
+            const to = this.unquote(line.slice(separator + 1).trim());
+            const rule = this.parseRuleSource(from);
+            
+            if (/^(copy|نسخ)$/i.test(to)) {
+                rule.copy = true;
+            } else {
+                rule.to = /^(missing|sysmis|مفقود)$/i.test(to) ? '' : to;
+            }
+            
+            return rule;
+        });
+    }
+    
+    parseRuleSource(from) {
+        if (/^(else|غير ذلك)$/i.test(from)) return { else: true };
+        if (/^(missing|sysmis|مفقود)$/i.test(from)) return { missing: true };
+        
+        const bound = (text) => {
+            if (/^(lowest|lo|الأدنى)$/i.test(text)) return -Infinity;
+            if (/^(highest|hi|الأعلى)$/i.test(text)) return Infinity;
+            if (!this.isNumber(text)) {
+                throw new Error(`حد غير عددي في قاعدة إعادة الترميز: ${text}`);
+            }
+            return parseFloat(text);
+        };
+        
+        const range = from.match(/^(\S+)\s+(?:thru|through|إلى)\s+(\S+)$/i) ||
+            from.match(/^(-?\d*\.?\d+)\s*(?:-|:)\s*(-?\d*\.?\d+)$/);
+        if (range) {
+            const min = bound(range[1]);
+            const max = bound(range[2]);
+            if (min > max) {
+                throw new Error(`مدى غير صالح في قاعدة إعادة الترميز: ${from}`);
+            }
+            return { min, max };
+        }
+        
+        return { values: from.split(',').map(value => this.unquote(value.trim())) };
+    }
+    
+    unquote(text) {
+        const match = text.match(/^(["'])(.*)\1$/);
+        return match ? match[2] : text;
+    }
+    
+    matchesRule(rule, value) {
+        const parsed = this.toValue(value);
+        
+        if (rule.else) return true;
+        if (rule.missing) return parsed === null;
+        if (parsed === null) return false;
+        
+        if (rule.values) {
+            return rule.values.some(item => {
+                const expected = this.toValue(item);
+                return typeof expected === 'number' && typeof parsed === 'number'
+                    ? expected === parsed
+                    : String(item) === this.validator.unescapeHTML(String(value)).trim();
+            });
+        }
+        
+        return typeof parsed === 'number' && parsed >= rule.min && parsed <= rule.max;
+    }
+    
+    /**
+     * Parse an expression into a syntax tree. Only numbers, text in quotes, column
+     * names (bare or in [brackets]), arithmetic, comparisons, and/or/not and the
+     * whitelisted functions are accepted, so nothing is ever handed to eval
+     */
+    compile(expression, columns) {
+        const text = String(expression || '').trim();
+        if (!text) {
+            throw new Error('الرجاء إدخال التعبير');
+        }
+        if (text.length > MAX_EXPRESSION_LENGTH) {
+            throw new Error(`التعبير طويل جداً (الحد الأقصى: ${MAX_EXPRESSION_LENGTH} حرف)`);
+        }
+        
+        const tokens = this.tokenize(text);
+        let position = 0;
+        
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+        const accept = (...values) => {
+            const token = peek();
+            if (token && token.type === 'operator' && values.includes(token.value)) {
+                position++;
+                return token.value;
+            }
+            return null;
+        };
+        const expect = (value) => {
+            if (!accept(value)) {
+                throw new Error(`خطأ في التعبير: متوقع "${value}"`);
+            }
+        };
+        
+        const parseOr = () => {
+            let node = parseAnd();
+            while (accept('or', '||')) {
+                node = { type: 'binary', operator: 'or', left: node, right: parseAnd() };
+            }
+            return node;
+        };
+        
+        const parseAnd = () => {
+            let node = parseNot();
+            while (accept('and', '&&')) {
+                node = { type: 'binary', operator: 'and', left: node, right: parseNot() };
+            }
+            return node;
+        };
+        
+        const parseNot = () => {
+            if (accept('not', '!')) {
+                return { type: 'unary', operator: 'not', argument: parseNot() };
+            }
+            return parseComparison();
+        };
+        
+        const parseComparison = () => {
+            const left = parseAdditive();
+            const operator = accept('=', '==', '!=', '<>', '<', '<=', '>', '>=');
+            if (!operator) return left;
+            
+            const normalized = { '==': '=', '<>': '!=' }[operator] || operator;
+            return { type: 'binary', operator: normalized, left, right: parseAdditive() };
+        };
+        
+        const parseAdditive = () => {
+            let node = parseMultiplicative();
+            let operator;
+            while ((operator = accept('+', '-'))) {
+                node = { type: 'binary', operator, left: node, right: parseMultiplicative() };
+            }
+            return node;
+        };
+        
+        const parseMultiplicative = () => {
+            let node = parseUnary();
+            let operator;
+            while ((operator = accept('*', '/', '%'))) {
+                node = { type: 'binary', operator, left: node, right: parseUnary() };
+            }
+            return node;
+        };
+        
+        const parseUnary = () => {
+            const operator = accept('-', '+');
+            if (operator) {
+                return { type: 'unary', operator, argument: parseUnary() };
+            }
+            return parsePower();
+        };
+        
+        const parsePower = () => {
+            const base = parsePrimary();
+            if (accept('^')) {
+                return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+            }
+            return base;
+        };
+        
+        const parsePrimary = () => {
+            const token = next();
+            if (!token) {
+                throw new Error('خطأ في التعبير: نهاية غير متوقعة');
+            }
+            
+            if (token.type === 'number') return { type: 'literal', value: token.value };
+            if (token.type === 'string') return { type: 'literal', value: token.value };
+            
+            if (token.type === 'operator' && token.value === '(') {
+                const node = parseOr();
+                expect(')');
+                return node;
+            }
+            
+            if (token.type === 'name') {
+                if (!token.bracketed && accept('(')) {
+                    const name = token.value.toLowerCase();
+                    if (![...ROW_FUNCTIONS, ...MATH_FUNCTIONS, ...OTHER_FUNCTIONS].includes(name)) {
+                        throw new Error(`دالة غير مدعومة: ${token.value}`);
+                    }
+                    
+                    const args = [];
+                    if (!accept(')')) {
+                        do {
+                            args.push(parseOr());
+                        } while (accept(','));
+                        expect(')');
+                    }
+                    
+                    this.checkArguments(name, args);
+                    return { type: 'call', name, args };
+                }
+                
+                if (!columns.includes(token.value)) {
+                    throw new Error(`العمود غير موجود: ${token.value}`);
+                }
+                return { type: 'column', name: token.value };
+            }
+            
+            throw new Error(`خطأ في التعبير عند "${token.value}"`);
+        };
+        
+        const tree = parseOr();
+        if (position < tokens.length) {
+            throw new Error(`خطأ في التعبير عند "${tokens[position].value}"`);
+        }
+        
+        return tree;
+    }
+    
+    checkArguments(name, args) {
+        const counts = { zscore: [1, 1], missing: [1, 1], if: [3, 3], round: [1, 2] };
+        const [min, max] = counts[name] || (ROW_FUNCTIONS.includes(name) ? [1, Infinity] : [1, 1]);
+        
+        if (args.length < min || args.length > max) {
+            throw new Error(`عدد وسائط غير صحيح للدالة ${name}`);
+        }
+    }
+    
+    tokenize(text) {
+        const tokens = [];
+        const operators = ['<=', '>=', '!=', '<>', '==', '&&', '||', '+', '-', '*', '/', '%', '^',
+            '(', ')', ',', '<', '>', '=', '!'];
+        let i = 0;
+        
+        while (i < text.length) {
+            const rest = text.slice(i);
+            let match;
+            
+            if ((match = rest.match(/^\s+/))) {
+                i += match[0].length;
+            } else if ((match = rest.match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i))) {
+                tokens.push({ type: 'number', value: parseFloat(match[0]) });
+                i += match[0].length;
+            } else if ((match = rest.match(/^(["'])((?:(?!\1).)*)\1/))) {
+                tokens.push({ type: 'string', value: match[2] });
+                i += match[0].length;
+            } else if ((match = rest.match(/^\[([^\]]+)\]/))) {
+                tokens.push({ type: 'name', value: match[1].trim(), bracketed: true });
+                i += match[0].length;
+            } else if ((match = rest.match(/^[\p{L}_][\p{L}\p{N}_.]*/u))) {
+                const word = match[0];
+                if (/^(and|or|not)$/i.test(word)) {
+                    tokens.push({ type: 'operator', value: word.toLowerCase() });
+                } else {
+                    tokens.push({ type: 'name', value: word });
+                }
+                i += word.length;
+            } else {
+                const operator = operators.find(item => rest.startsWith(item));
+                if (!operator) {
+                    throw new Error(`رمز غير مسموح في التعبير: ${rest[0]}`);
+                }
+                tokens.push({ type: 'operator', value: operator });
+                i += operator.length;
+            }
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * Row evaluator for a syntax tree; z-scores are column-level, so their mean and
+     * standard deviation are computed over all the rows first
+     */
+    prepare(tree, rows) {
+        const moments = new Map();
+        
+        const evaluate = (node, row) => {
+            switch (node.type) {
+                case 'literal':
+                    return node.value;
+                case 'column':
+                    return this.toValue(row[node.name]);
+                case 'unary':
+                    return this.evaluateUnary(node.operator, evaluate(node.argument, row));
+                case 'binary':
+                    return this.evaluateBinary(node.operator, evaluate(node.left, row), evaluate(node.right, row));
+                default:
+                    if (node.name === 'zscore') {
+                        const value = evaluate(node.args[0], row);
+                        const { mean, sd } = moments.get(node);
+                        return typeof value === 'number' && sd > 0 ? (value - mean) / sd : null;
+                    }
+                    return this.evaluateCall(node.name, node.args.map(arg => evaluate(arg, row)));
+            }
+        };
+        
+        const collectMoments = (node) => {
+            (node.args || []).forEach(collectMoments);
+            ['argument', 'left', 'right'].forEach(key => node[key] && collectMoments(node[key]));
+            
+            if (node.type === 'call' && node.name === 'zscore') {
+                const values = rows.map(row => evaluate(node.args[0], row)).filter(value => typeof value === 'number');
+                const mean = values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+                const variance = values.length > 1
+                    ? values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1)
+                    : 0;
+                moments.set(node, { mean, sd: Math.sqrt(variance) });
+            }
+        };
+        
+        collectMoments(tree);
+        return (row) => evaluate(tree, row);
+    }
+    
+    evaluateUnary(operator, value) {
+        if (value === null) return null;
+        
+        if (operator === 'not') return !this.isTrue(value);
+        if (typeof value !== 'number' && typeof value !== 'boolean') return null;
+        return operator === '-' ? -Number(value) : Number(value);
+    }
+    
+    /**
+     * Missing operands give missing results, except that "false and missing" is false
+     * and "true or missing" is true; text in arithmetic counts as missing
+     */
+    evaluateBinary(operator, left, right) {
+        if (operator === 'and') {
+            if ((left !== null && !this.isTrue(left)) || (right !== null && !this.isTrue(right))) return false;
+            return left === null || right === null ? null : true;
+        }
+        if (operator === 'or') {
+            if ((left !== null && this.isTrue(left)) || (right !== null && this.isTrue(right))) return true;
+            return left === null || right === null ? null : false;
+        }
+        
+        if (left === null || right === null) return null;
+        
+        if (['=', '!=', '<', '<=', '>', '>='].includes(operator)) {
+            const numeric = typeof left !== 'string' && typeof right !== 'string';
+            const order = numeric
+                ? Number(left) - Number(right)
+                : String(left).localeCompare(String(right));
+                
+            switch (operator) {
+                case '=': return numeric ? order === 0 : String(left) === String(right);
+                case '!=': return numeric ? order !== 0 : String(left) !== String(right);
+                case '<': return order < 0;
+                case '<=': return order <= 0;
+                case '>': return order > 0;
+                default: return order >= 0;
+            }
+        }
+        
+        if (typeof left === 'string' || typeof right === 'string') return null;
+        
+        const a = Number(left);
+        const b = Number(right);
+        let result;
+        switch (operator) {
+            case '+': result = a + b; break;
+            case '-': result = a - b; break;
+            case '*': result = a * b; break;
+            case '/': result = b === 0 ? null : a / b; break;
+            case '%': result = b === 0 ? null : a % b; break;
+            default: result = Math.pow(a, b);
+        }
+        
+        return result === null || !isFinite(result) ? null : result;
+    }
+    
+    evaluateCall(name, args) {
+        if (name === 'missing') return args[0] === null;
+        if (name === 'if') {
+            if (args[0] === null) return null;
+            return this.isTrue(args[0]) ? args[1] : args[2];
+        }
+        
+        const numbers = args.filter(value => typeof value === 'number' || typeof value === 'boolean').map(Number);
+        
+        if (ROW_FUNCTIONS.includes(name)) {
+            // Row-wise over the valid arguments, like SPSS SUM/MEAN
+            if (name === 'nvalid') return numbers.length;
+            if (name === 'nmiss') return args.length - numbers.length;
+            if (numbers.length === 0) return null;
+            
+            const total = numbers.reduce((sum, value) => sum + value, 0);
+            switch (name) {
+                case 'sum': return total;
+                case 'mean': return total / numbers.length;
+                case 'min': return Math.min(...numbers);
+                case 'max': return Math.max(...numbers);
+                default: {
+                    if (numbers.length < 2) return null;
+                    const mean = total / numbers.length;
+                    return Math.sqrt(numbers.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (numbers.length - 1));
+                }
+            }
+        }
+        
+        const value = args[0];
+        if (typeof value !== 'number') return null;
+        
+        let result;
+        switch (name) {
+            case 'abs': result = Math.abs(value); break;
+            case 'sqrt': result = value < 0 ? null : Math.sqrt(value); break;
+            case 'exp': result = Math.exp(value); break;
+            case 'ln':
+            case 'log': result = value <= 0 ? null : Math.log(value); break;
+            case 'log10': result = value <= 0 ? null : Math.log10(value); break;
+            default: {
+                const digits = typeof args[1] === 'number' ? Math.max(0, Math.min(10, Math.round(args[1]))) : 0;
+                const factor = Math.pow(10, digits);
+                result = Math.round(value * factor) / factor;
+            }
+        }
+        
+        return result === null || !isFinite(result) ? null : result;
+    }
+}
+
+export default DataTransformer;
@@ -8,6 +8,7 @@ class UIManager {
         this.currentWizardStep = 1;
         this.wizardSelections = {};
         this.debounceTimers = {};
+        this.diagnosticCharts = {};
     }
     
     initialize() {
@@ -311,7 +312,7 @@ class UIManager {
         card.classList.add('selected');
     }
     
-    displayAssumptionResults(results) {
+    displayAssumptionResults(results, diagnostics = null) {
         const container = document.getElementById('assumption-results');
         if (!container) return;
         
@@ -320,21 +321,38 @@ class UIManager {
         Object.entries(results).forEach(([key, result]) => {
             if (!result) return;
             
+            const details = [];
+            if (result.statistic !== null && result.statistic !== undefined) {
+                details.push(`${result.statisticName || 'الإحصائي'} = ${result.statistic}`);
+            }
+            if (result.pValue !== null && result.pValue !== undefined) {
+                details.push(`p = ${result.pValue}`);
+            }
+            
             html += `
                 <div class="assumption-result-item">
                     <span class="assumption-result-name">${result.test}:</span>
                     <span class="assumption-result-value ${result.passed ? 'pass' : 'fail'}">
                         ${result.result}
                     </span>
+                    ${details.length > 0 ? `<span class="assumption-result-details">(${details.join(', ')})</span>` : ''}
                 </div>
             `;
         });
         
+        if (diagnostics) {
+            html += '<div id="assumption-diagnostics"></div>';
+        }
+        
         container.innerHTML = html;
         container.classList.remove('d-none');
+        
+        if (diagnostics) {
+            this.renderDiagnostics(diagnostics, 'assumption-diagnostics');
+        }
     }
     
-    displayAnalysisResults(results, test) {
+    displayAnalysisResults(results, test, diagnostics = null) {
         const container = document.querySelector('.results-container');
         if (!container) return;
         
@@ -351,6 +369,27 @@ class UIManager {
                     <button class="btn btn-outline-primary" onclick="statisticsApp.exportResults('json')">
                         <i class="fas fa-file-code me-2"></i>JSON
                     </button>
+                    <button class="btn btn-outline-primary" onclick="statisticsApp.exportResults('docx')" title="تقرير APA بصيغة Word">
+                        <i class="fas fa-file-word me-2"></i>Word
+                    </button>
+                    <button class="btn btn-outline-primary" onclick="statisticsApp.exportResults('odt')" title="تقرير APA بصيغة OpenDocument">
+                        <i class="fas fa-file-alt me-2"></i>ODT
+                    </button>
+                    <button class="btn btn-outline-primary" onclick="statisticsApp.exportResults('pdf')" title="تقرير APA للطباعة أو الحفظ بصيغة PDF">
+                        <i class="fas fa-file-pdf me-2"></i>PDF
+                    </button>
+                    <div class="btn-group" role="group">
+                        <button type="button" class="btn btn-outline-primary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false" title="سكربت يعيد التحليل للتحقق من نتائجه">
+                            <i class="fas fa-code me-2"></i>سكربت
+                        </button>
+                        <ul class="dropdown-menu">
+                            <li><button class="dropdown-item" onclick="statisticsApp.exportSyntax('spss')">SPSS (.sps)</button></li>
+                            <li><button class="dropdown-item" onclick="statisticsApp.exportSyntax('r')">R (.R)</button></li>
+                            <li><button class="dropdown-item" onclick="statisticsApp.exportSyntax('excel')">صيغ Excel</button></li>
+                            <li><hr class="dropdown-divider"></li>
+                            <li><button class="dropdown-item" onclick="statisticsApp.exportSyntax('data')">البيانات المحللة (CSV)</button></li>
+                        </ul>
+                    </div>
                 </div>
             </div>
             
@@ -374,6 +413,60 @@ class UIManager {
         
         html += `</div>`;
         
+        // Add factorial ANOVA source table
+        if (results.anovaTable) {
+            html += this.renderAnovaTable(results.anovaTable);
+        }
+        
+        // Add regression coefficients and diagnostics
+        if (results.coefficientsTable) {
+            html += this.renderCoefficientsTable(results);
+        }
+        
+        if (results.contingencyTable) {
+            html += this.renderContingencyTable(results.contingencyTable);
+        }
+        
+        if (results.frequencyTable) {
+            html += this.renderFrequencyTable(results.frequencyTable);
+        }
+        
+        if (results.descriptives) {
+            html += this.renderDescriptivesTable(results);
+        }
+        
+        if (results.frequencies && results.frequencies.length > 0) {
+            html += results.frequencies.map(table => this.renderValueFrequencies(table)).join('');
+        }
+        
+        if (results.crosstab) {
+            html += this.renderCrosstab(results.crosstab);
+        }
+        
+        if (results.loadingsTable) {
+            html += this.renderFactorAnalysisTables(results);
+        }
+        
+        if (results.itemStatistics) {
+            html += this.renderItemStatistics(results.itemStatistics);
+        }
+        
+        if (results.missingSummary) {
+            html += this.renderMissingDataTables(results);
+        }
+        
+        if (results.classificationTable) {
+            html += this.renderClassificationTable(results);
+        }
+        
+        if (results.assumptions && results.assumptions.assumptions) {
+            html += this.renderModelAssumptions(results.assumptions);
+        }
+        
+        if (diagnostics) {
+            html += '<div id="results-diagnostics"></div>';
+        }
+        
         // Add interpretation
         if (results.interpretation) {
             html += `
@@ -384,6 +477,26 @@ class UIManager {
             `;
         }
         
+        // Add a ready-to-cite English sentence (power analysis)
+        if (results.citation) {
+            html += `
+                <div class="interpretation-box">
+                    <h5 class="arabic-heading">نص قابل للاستشهاد:</h5>
+                    <div class="interpretation-content" dir="ltr" lang="en">${results.citation}</div>
+                </div>
+            `;
+        }
+        
+        // Add equal/unequal variance variants side by side
+        if (results.variants) {
+            html += this.renderVariantComparison(results.variants);
+        }
+        
+        // Add post-hoc comparisons
+        if (results.postHoc) {
+            html += this.renderPostHocResults(results.postHoc);
+        }
+        
         // Add recommendations
         if (results.recommendations) {
             html += `
@@ -412,10 +525,968 @@ class UIManager {
         // Create chart
         this.createResultsChart(results, test);
         
+        if (diagnostics) {
+            this.renderDiagnostics(diagnostics, 'results-diagnostics');
+        }
+        
         // Show results section
         document.querySelector('.results-section').classList.remove('d-none');
     }
     
+    renderAnovaTable(anovaTable) {
+        const rows = anovaTable.rows.map(row => `
+            <tr>
+                <th scope="row">${this.escapeHtml(row.source)}</th>
+                <td>${row.ss}</td>
+                <td>${row.df}</td>
+                <td>${row.ms}</td>
+                <td>${row.f}</td>
+                <td class="${row.significant ? 'posthoc-significant' : ''}">${row.pValue}</td>
+                <td>${row.partialEtaSquared}</td>
+                <td>${row.partialEtaSquaredCI || ''}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">جدول تحليل التباين (مجموع المربعات من النوع ${anovaTable.sumOfSquaresType}):</h5>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th>المصدر</th>
+                                <th>مجموع المربعات</th>
+                                <th>درجات الحرية</th>
+                                <th>متوسط المربعات</th>
+                                <th>F</th>
+                                <th>قيمة P</th>
+                                <th>مربع إيتا الجزئي</th>
+                                <th>فترة ثقة 95%</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows}
+                            ${anovaTable.subjects ? `
+                                <tr>
+                                    <th scope="row">الأفراد</th>
+                                    <td>${anovaTable.subjects.ss}</td>
+                                    <td>${anovaTable.subjects.df}</td>
+                                    <td>${anovaTable.subjects.ms}</td>
+                                    <td colspan="4"></td>
+                                </tr>
+                            ` : ''}
+                            <tr>
+                                <th scope="row">الخطأ</th>
+                                <td>${anovaTable.error.ss}</td>
+                                <td>${anovaTable.error.df}</td>
+                                <td>${anovaTable.error.ms}</td>
+                                <td colspan="4"></td>
+                            </tr>
+                            <tr>
+                                <th scope="row">الكلي المصحح</th>
+                                <td>${anovaTable.total.ss}</td>
+                                <td>${anovaTable.total.df}</td>
+                                <td colspan="5"></td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+    
+    renderCoefficientsTable(results) {
+        const table = results.coefficientsTable;
+        const rows = table.rows.map(row => `
+            <tr>
+                <th scope="row">${this.escapeHtml(row.term)}</th>
+                ${table.columns.map(column => {
+                    const value = row[column] !== null ? row[column] : '—';
+                    const significant = column === 'pValue' && parseFloat(row.pValue) < 0.05;
+                    return `<td class="${significant ? 'posthoc-significant' : ''}">${value}</td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+        
+        const dummyNotes = Object.entries(results.dummyCoding || {}).map(([predictor, coding]) =>
+            `<li>${this.escapeHtml(predictor)}: الفئة المرجعية "${this.escapeHtml(coding.reference)}"</li>`
+        ).join('');
+        
+        const cooks = results.diagnostics ? results.diagnostics.cooksDistance : null;
+        const influence = cooks ? `
+            <p class="variants-reason">
+                أكبر مسافة Cook: ${cooks.max} (الحد 4/n = ${cooks.threshold})،
+                عدد الحالات المؤثرة: ${cooks.influentialCount}
+                ${cooks.influentialCases.length > 0
+                    ? `— الصفوف: ${cooks.influentialCases.map(item => `${item.row} (${item.value})`).join('، ')}`
+                    : ''}
+            </p>
+        ` : '';
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">جدول المعاملات:</h5>
+                ${results.equation ? `<p class="variants-reason" dir="ltr">${this.escapeHtml(results.equation)}</p>` : ''}
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th>المتغير</th>
+                                ${table.columns.map(column => `<th>${this.translateStatistic(column)}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ${dummyNotes ? `<ul class="variants-reason">${dummyNotes}</ul>` : ''}
+                ${influence}
+            </div>
+        `;
+    }
+    
+    renderContingencyTable(table) {
+        const rows = table.rows.map((row, i) => `
+            <tr>
+                <th scope="row">${this.escapeHtml(row)}</th>
+                ${table.columns.map((_, j) => `
+                    <td>${table.observed[i][j]}${table.expected ? ` <small class="text-muted">(${table.expected[i][j]})</small>` : ''}</td>
+                `).join('')}
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">الجدول التقاطعي:</h5>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                ${table.columns.map(column => `<th>${this.escapeHtml(column)}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ${table.expected ? '<p class="variants-reason">القيم بين القوسين هي التكرارات المتوقعة.</p>' : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Missing values per variable and the frequency of each missing-data pattern
+     */
+    renderMissingDataTables(results) {
+        const summaryRows = results.missingSummary.map(row => `
+            <tr>
+                <th scope="row">${this.escapeHtml(row.variable)}</th>
+                <td>${row.missing}</td>
+                <td>${row.percent}%</td>
+                <td>${row.emMean}</td>
+            </tr>
+        `).join('');
+        
+        const patternRows = (results.missingPatterns || []).map(row => `
+            <tr>
+                <th scope="row">${row.pattern.length > 0 ? row.pattern.map(column => this.escapeHtml(column)).join('، ') : 'حالات كاملة'}</th>
+                <td>${row.count}</td>
+                <td>${row.percent}%</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">القيم المفقودة لكل متغير:</h5>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th>المتغير</th>
+                                <th>المفقود</th>
+                                <th>النسبة</th>
+                                <th>متوسط EM</th>
+                            </tr>
+                        </thead>
+                        <tbody>${summaryRows}</tbody>
+                    </table>
+                </div>
+                <h5 class="arabic-heading">أنماط الفقد:</h5>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th>المتغيرات المفقودة</th>
+                                <th>عدد الحالات</th>
+                                <th>النسبة</th>
+                            </tr>
+                        </thead>
+                        <tbody>${patternRows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+    
+    renderFrequencyTable(frequencyTable) {
+        const rows = frequencyTable.map(row => `
+            <tr>
+                <th scope="row">${this.escapeHtml(row.category)}</th>
+                <td>${row.observed}</td>
+                <td>${row.expected}</td>
+                <td>${row.proportion}</td>
+                <td class="${Math.abs(parseFloat(row.residual)) > 2 ? 'posthoc-significant' : ''}">${row.residual}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">التكرارات الملاحظة والمتوقعة:</h5>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th>الفئة</th>
+                                <th>الملاحظ</th>
+                                <th>المتوقع</th>
+                                <th>النسبة المتوقعة</th>
+                                <th>البواقي المعيارية</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Descriptive statistics per variable, or per variable and group
+     */
+    renderDescriptivesTable(results) {
+        const columns = ['n', 'missing', 'mean', 'sd', 'se', 'median', 'iqr', 'skewness', 'skewnessSE', 'kurtosis', 'kurtosisSE', 'min', 'max'];
+        const headers = {
+            n: 'n', missing: 'المفقود', mean: 'المتوسط', sd: 'الانحراف المعياري', se: 'الخطأ المعياري للمتوسط',
+            median: 'الوسيط', iqr: 'المدى الربيعي', skewness: 'الالتواء', skewnessSE: 'خ.م الالتواء',
+            kurtosis: 'التفلطح', kurtosisSE: 'خ.م التفلطح', min: 'أدنى قيمة', max: 'أعلى قيمة'
+        };
+        
+        const rows = results.descriptives.map(row => `
+            <tr>
+                <th scope="row">${this.escapeHtml(row.variable)}</th>
+                ${results.groupBy ? `<td>${this.escapeHtml(row.group)}</td>` : ''}
+                ${columns.map(column => `<td>${row[column] !== null ? row[column] : '—'}</td>`).join('')}
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">الإحصاءات الوصفية${results.groupBy ? ` حسب ${this.escapeHtml(results.groupBy)}` : ''}:</h5>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th>المتغير</th>
+                                ${results.groupBy ? `<th>${this.escapeHtml(results.groupBy)}</th>` : ''}
+                                ${columns.map(column => `<th>${headers[column]}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                <p class="variants-reason">الانحراف المعياري للعينة (n − 1)، والالتواء والتفلطح الزائد بصيغتي SPSS (G1 وG2). الربيعيات والمدى الربيعي بالاستيفاء الخطي (Hyndman-Fan النوع 7، كما في R وQUARTILE.INC في Excel)، وتختلف عن تعريف HAVERAGE في SPSS.</p>
+            </div>
+        `;
+    }
+    
+    /**
+     * Frequency table of one variable with valid and cumulative percentages
+     */
+    renderValueFrequencies(table) {
+        const rows = table.rows.map(row => `
+            <tr>
+                <th scope="row">${this.escapeHtml(row.value)}</th>
+                <td>${row.count}</td>
+                <td>${row.percent}%</td>
+                <td>${row.validPercent}%</td>
+                <td>${row.cumulativePercent}%</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">جدول تكرار ${this.escapeHtml(table.variable)}:</h5>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th>القيمة</th>
+                                <th>التكرار</th>
+                                <th>النسبة</th>
+                                <th>النسبة الصالحة</th>
+                                <th>النسبة التراكمية</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows}
+                            ${table.missing > 0 ? `
+                                <tr>
+                                    <th scope="row">مفقود</th>
+                                    <td>${table.missing}</td>
+                                    <td>${table.missingPercent}%</td>
+                                    <td></td>
+                                    <td></td>
+                                </tr>
+                            ` : ''}
+                            <tr>
+                                <th scope="row">المجموع</th>
+                                <td>${table.total}</td>
+                                <td>100.0%</td>
+                                <td></td>
+                                <td></td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Crosstab counts with row and column percentages and the margins
+     */
+    renderCrosstab(table) {
+        const rows = table.rows.map((row, i) => `
+            <tr>
+                <th scope="row">${this.escapeHtml(row)}</th>
+                ${table.columns.map((_, j) => `
+                    <td>${table.observed[i][j]} <small class="text-muted">(${table.rowPercents[i][j]}% / ${table.columnPercents[i][j]}%)</small></td>
+                `).join('')}
+                <td><strong>${table.rowTotals[i]}</strong></td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">الجدول التقاطعي: ${this.escapeHtml(table.rowVariable)} × ${this.escapeHtml(table.columnVariable)}</h5>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                ${table.columns.map(column => `<th>${this.escapeHtml(column)}</th>`).join('')}
+                                <th>المجموع</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows}
+                            <tr>
+                                <th scope="row">المجموع</th>
+                                ${table.columnTotals.map(total => `<td><strong>${total}</strong></td>`).join('')}
+                                <td><strong>${table.total}</strong></td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+                <p class="variants-reason">بين القوسين: نسبة الصف / نسبة العمود.${table.missing > 0 ? ` استُبعدت ${table.missing} حالة ينقصها أحد المتغيرين.` : ''}</p>
+            </div>
+        `;
+    }
+    
+    renderFactorAnalysisTables(results) {
+        const table = results.loadingsTable;
+        
+        const eigenRows = results.eigenvalues.map(row => `
+            <tr class="${row.component <= table.factors.length ? 'variant-selected' : ''}">
+                <th scope="row">${row.component}</th>
+                <td>${row.eigenvalue}</td>
+                <td>${row.percent}%</td>
+                <td>${row.cumulative}%</td>
+            </tr>
+        `).join('');
+        
+        // Loadings of at least 0.40 in absolute value are highlighted
+        const loadingRows = table.rows.map(row => `
+            <tr>
+                <th scope="row">${this.escapeHtml(row.variable)}</th>
+                ${row.loadings.map(value => `
+                    <td class="${Math.abs(parseFloat(value)) >= 0.4 ? 'posthoc-significant' : ''}">${value}</td>
+                `).join('')}
+                <td>${row.communality}</td>
+                <td>${row.msa}</td>
+            </tr>
+        `).join('');
+        
+        const structureRows = table.pattern ? table.rows.map(row => `
+            <tr>
+                <th scope="row">${this.escapeHtml(row.variable)}</th>
+                ${row.structure.map(value => `<td>${value}</td>`).join('')}
+            </tr>
+        `).join('') : '';
+        
+        const correlationRows = results.factorCorrelations ? results.factorCorrelations.map((row, i) => `
+            <tr>
+                <th scope="row">${table.factors[i]}</th>
+                ${row.map(value => `<td>${value}</td>`).join('')}
+            </tr>
+        `).join('') : '';
+        
+        const factorHeaders = table.factors.map(name => `<th>${name}</th>`).join('');
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">الجذور الكامنة والتباين المفسر:</h5>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th>العامل</th>
+                                <th>الجذر الكامن</th>
+                                <th>نسبة التباين</th>
+                                <th>النسبة التراكمية</th>
+                            </tr>
+                        </thead>
+                        <tbody>${eigenRows}</tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="variants-box">
+                <h5 class="arabic-heading">${table.pattern ? 'مصفوفة النمط (Pattern)' : 'مصفوفة التشبعات'}:</h5>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th>المتغير</th>
+                                ${factorHeaders}
+                                <th>الشيوع</th>
+                                <th>MSA</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${loadingRows}
+                            <tr>
+                                <th scope="row">مجموع مربعات التشبعات</th>
+                                ${table.ssLoadings.map(value => `<td>${value}</td>`).join('')}
+                                <td colspan="2"></td>
+                            </tr>
+                            <tr>
+                                <th scope="row">نسبة التباين</th>
+                                ${table.percentVariance.map(value => `<td>${value}%</td>`).join('')}
+                                <td colspan="2"></td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+                <p class="variants-reason">التشبعات التي تساوي 0.40 أو أكثر بالقيمة المطلقة مظللة.</p>
+            </div>
+            ${table.pattern ? `
+                <div class="variants-box">
+                    <h5 class="arabic-heading">مصفوفة البنية (Structure):</h5>
+                    <div class="table-responsive">
+                        <table class="table table-sm table-bordered variants-table">
+                            <thead><tr><th>المتغير</th>${factorHeaders}</tr></thead>
+                            <tbody>${structureRows}</tbody>
+                        </table>
+                    </div>
+                </div>
+                <div class="variants-box">
+                    <h5 class="arabic-heading">مصفوفة الارتباط بين العوامل:</h5>
+                    <div class="table-responsive">
+                        <table class="table table-sm table-bordered variants-table">
+                            <thead><tr><th></th>${factorHeaders}</tr></thead>
+                            <tbody>${correlationRows}</tbody>
+                        </table>
+                    </div>
+                </div>
+            ` : ''}
+        `;
+    }
+    
+    renderItemStatistics(itemStatistics) {
+        const rows = itemStatistics.rows.map(row => `
+            <tr>
+                <th scope="row">${this.escapeHtml(row.item)}${row.reversed ? ' <span class="badge bg-secondary">معكوس</span>' : ''}</th>
+                ${itemStatistics.columns.map(column => {
+                    const value = row[column] !== null ? row[column] : '—';
+                    const flagged = column === 'itemTotalCorrelation' && parseFloat(row[column]) < 0.3;
+                    return `<td class="${flagged ? 'text-danger' : ''}">${value}</td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">إحصاءات البنود:</h5>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th>البند</th>
+                                ${itemStatistics.columns.map(column => `<th>${this.translateStatistic(column)}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                <p class="variants-reason">الارتباط المصحح = ارتباط البند بمجموع بقية البنود؛ القيم الأقل من 0.30 مظللة.</p>
+            </div>
+        `;
+    }
+    
+    renderClassificationTable(results) {
+        const table = results.classificationTable;
+        const hl = results.hosmerLemeshow;
+        const rows = table.levels.map((level, i) => `
+            <tr>
+                <th scope="row">${this.escapeHtml(level)}</th>
+                <td>${table.counts[i][0]}</td>
+                <td>${table.counts[i][1]}</td>
+                <td>${table.percentCorrect[i]}%</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">جدول التصنيف (نقطة القطع ${table.cutoff}):</h5>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th>المشاهد \ المتوقع</th>
+                                <th>${this.escapeHtml(table.levels[0])}</th>
+                                <th>${this.escapeHtml(table.levels[1])}</th>
+                                <th>نسبة التصنيف الصحيح</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows}
+                            <tr>
+                                <th scope="row" colspan="3">النسبة الكلية</th>
+                                <td>${table.overall}%</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+                ${hl ? `
+                    <p class="variants-reason">
+                        اختبار Hosmer-Lemeshow: χ²(${hl.df}) = ${hl.statistic}، p = ${hl.pValue}
+                        (${hl.groups.length} مجموعات)
+                    </p>
+                ` : ''}
+                <p class="variants-reason">الفئة المتنبأ بها (الحدث): "${this.escapeHtml(results.eventLevel)}"</p>
+            </div>
+        `;
+    }
+    
+    renderModelAssumptions(assumptionCheck) {
+        const items = assumptionCheck.assumptions.map(assumption => `
+            <li>
+                <i class="fas ${assumption.passed ? 'fa-check-circle text-success' : 'fa-exclamation-triangle text-warning'} me-2"></i>
+                <strong>${assumption.name}:</strong> ${assumption.result}
+                <span class="assumption-result-details">${assumption.details}</span>
+            </li>
+        `).join('');
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">تشخيص المتبقيات:</h5>
+                <ul class="list-unstyled mb-2">${items}</ul>
+                ${assumptionCheck.recommendation ? `<p class="variants-reason">${assumptionCheck.recommendation}</p>` : ''}
+            </div>
+        `;
+    }
+    
+    renderVariantComparison(variants) {
+        const rows = variants.rows.map(row => `
+            <tr class="${row.id === variants.selected ? 'variant-selected' : ''}">
+                <th scope="row">${row.name}${row.id === variants.selected ? ' <span class="badge bg-success">معتمد</span>' : ''}</th>
+                ${variants.columns.map(column => `<td>${row.values[column] !== null ? row.values[column] : '—'}</td>`).join('')}
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="variants-box">
+                <h5 class="arabic-heading">${variants.title || 'مقارنة الصيغ حسب تجانس التباين:'}</h5>
+                <p class="variants-reason">${variants.reason}</p>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered variants-table">
+                        <thead>
+                            <tr>
+                                <th>الصيغة</th>
+                                ${variants.columns.map(column => `<th>${this.translateStatistic(column)}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+    
+    renderPostHocResults(postHoc) {
+        const primaryId = postHoc.primary;
+        const confidence = Math.round((1 - postHoc.alpha) * 100);
+        
+        const tabs = postHoc.methods.map(method => `
+            <li class="nav-item" role="presentation">
+                <button class="nav-link ${method.id === primaryId ? 'active' : ''}" type="button" role="tab"
+                        data-bs-toggle="tab" data-bs-target="#posthoc-${method.id}"
+                        aria-controls="posthoc-${method.id}" aria-selected="${method.id === primaryId}">
+                    ${method.name}
+                </button>
+            </li>
+        `).join('');
+        
+        const panes = postHoc.methods.map(method => {
+            const hasDf = method.comparisons.some(c => c.df !== null);
+            const hasUnadjusted = method.comparisons.some(c => c.pUnadjusted !== null);
+            const hasCi = method.comparisons.some(c => c.ciLower !== null);
+            
+            // Pairwise p-value matrix
+            const matrixRows = postHoc.groups.map((group, i) => `
+                <tr>
+                    <th scope="row">${this.escapeHtml(group)}</th>
+                    ${method.matrix[i].map(p => p === null
+                        ? '<td class="posthoc-diagonal">—</td>'
+                        : `<td class="${parseFloat(p) < postHoc.alpha ? 'posthoc-significant' : ''}">${p}</td>`
+                    ).join('')}
+                </tr>
+            `).join('');
+            
+            const comparisonRows = method.comparisons.map(c => `
+                <tr>
+                    <td>${this.escapeHtml(c.group1)} – ${this.escapeHtml(c.group2)}</td>
+                    <td>${c.difference}</td>
+                    <td>${c.standardError}</td>
+                    <td>${c.statistic}</td>
+                    ${hasDf ? `<td>${c.df}</td>` : ''}
+                    ${hasUnadjusted ? `<td>${c.pUnadjusted}</td>` : ''}
+                    <td class="${c.significant ? 'posthoc-significant' : ''}">${c.pValue}</td>
+                    ${hasCi ? `<td dir="ltr">[${c.ciLower}, ${c.ciUpper}]</td>` : ''}
+                    <td>${c.significant ? 'دال' : 'غير دال'}</td>
+                </tr>
+            `).join('');
+            
+            return `
+                <div class="tab-pane fade ${method.id === primaryId ? 'show active' : ''}"
+                     id="posthoc-${method.id}" role="tabpanel">
+                    <h6 class="arabic-heading mt-3">مصفوفة قيم P للمقارنات الزوجية:</h6>
+                    <div class="table-responsive">
+                        <table class="table table-sm table-bordered posthoc-matrix">
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    ${postHoc.groups.map(group => `<th scope="col">${this.escapeHtml(group)}</th>`).join('')}
+                                </tr>
+                            </thead>
+                            <tbody>${matrixRows}</tbody>
+                        </table>
+                    </div>
+                    
+                    <h6 class="arabic-heading mt-3">تفاصيل المقارنات:</h6>
+                    <div class="table-responsive">
+                        <table class="table table-sm table-striped posthoc-table">
+                            <thead>
+                                <tr>
+                                    <th>المقارنة</th>
+                                    <th>فرق المتوسطات (الأولى − الثانية)</th>
+                                    <th>الخطأ المعياري</th>
+                                    <th>|${method.statisticName}|</th>
+                                    ${hasDf ? '<th>درجات الحرية</th>' : ''}
+                                    ${hasUnadjusted ? '<th>P غير المعدلة</th>' : ''}
+                                    <th>${hasUnadjusted ? 'P المعدلة' : 'قيمة P'}</th>
+                                    ${hasCi ? `<th>فترة الثقة ${confidence}%</th>` : ''}
+                                    <th>الدلالة</th>
+                                </tr>
+                            </thead>
+                            <tbody>${comparisonRows}</tbody>
+                        </table>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div class="posthoc-box">
+                <h5 class="arabic-heading">المقارنات البعدية (Post-hoc):</h5>
+                <p class="posthoc-reason">${postHoc.reason}</p>
+                <ul class="nav nav-tabs" role="tablist">${tabs}</ul>
+                <div class="tab-content">${panes}</div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Normality tests table and the diagnostic plots built by AssumptionDiagnostics
+     */
+    renderDiagnostics(diagnostics, containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        const plots = [
+            diagnostics.residualPlot ? { id: 'residuals', title: 'البواقي مقابل القيم المتنبأ بها' } : null,
+            diagnostics.qqPlot ? { id: 'qq', title: 'مخطط Q-Q مقابل التوزيع الطبيعي' } : null,
+            diagnostics.histogram ? { id: 'histogram', title: 'المدرج التكراري ومنحنى الكثافة' } : null,
+            diagnostics.boxplots ? { id: 'boxplot', title: 'مخطط الصندوق والقيم المتطرفة' } : null
+        ].filter(Boolean);
+        
+        container.innerHTML = `
+            <div class="variants-box">
+                <h5 class="arabic-heading">${diagnostics.residualPlot ? 'مخططات تشخيص البواقي:' : 'مخططات التشخيص:'}</h5>
+                ${diagnostics.normality ? this.renderNormalityTable(diagnostics.normality) : ''}
+                <div class="diagnostics-grid">
+                    ${plots.map(plot => `
+                        <div class="diagnostic-plot">
+                            <canvas id="${containerId}-${plot.id}" aria-label="${plot.title}"></canvas>
+                            <div class="chart-fallback d-none">
+                                <i class="fas fa-chart-line"></i>
+                                <p>تعذر تحميل الرسم البياني</p>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+        
+        if (diagnostics.residualPlot) {
+            this.drawDiagnosticChart(`${containerId}-residuals`, this.residualChartConfig(diagnostics.residualPlot));
+        }
+        if (diagnostics.qqPlot) {
+            this.drawDiagnosticChart(`${containerId}-qq`, this.qqChartConfig(diagnostics.qqPlot));
+        }
+        if (diagnostics.histogram) {
+            this.drawDiagnosticChart(`${containerId}-histogram`, this.histogramChartConfig(diagnostics.histogram));
+        }
+        if (diagnostics.boxplots) {
+            this.drawDiagnosticChart(`${containerId}-boxplot`, this.boxplotChartConfig(diagnostics.boxplots));
+        }
+    }
+    
+    renderNormalityTable(normality) {
+        const cell = value => value !== null && value !== undefined ? value : '—';
+        const rows = normality.map(row => `
+            <tr>
+                <th scope="row">${row.group === null ? 'الكل' : this.escapeHtml(row.group)}</th>
+                <td>${row.n}</td>
+                <td>${cell(row.shapiroWilk.statistic)}</td>
+                <td>${cell(row.shapiroWilk.pValue)}</td>
+                <td>${cell(row.lilliefors.statistic)}</td>
+                <td>${cell(row.lilliefors.pValue)}</td>
+                <td>${row.shapiroWilk.passed !== null ? row.shapiroWilk.result : row.lilliefors.result}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="table-responsive">
+                <table class="table table-sm table-bordered variants-table">
+                    <thead>
+                        <tr>
+                            <th rowspan="2">المجموعة</th>
+                            <th rowspan="2">n</th>
+                            <th colspan="2">Shapiro-Wilk</th>
+                            <th colspan="2">Kolmogorov-Smirnov (Lilliefors)</th>
+                            <th rowspan="2">النتيجة</th>
+                        </tr>
+                        <tr>
+                            <th>W</th>
+                            <th>p</th>
+                            <th>D</th>
+                            <th>p</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+    
+    /**
+     * Create (or replace) the chart of one diagnostic canvas
+     */
+    drawDiagnosticChart(canvasId, config) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+        
+        try {
+            if (this.diagnosticCharts[canvasId]) {
+                this.diagnosticCharts[canvasId].destroy();
+            }
+            
+            this.diagnosticCharts[canvasId] = new Chart(canvas.getContext('2d'), config);
+        } catch (error) {
+            console.error('Error creating chart:', error);
+            canvas.classList.add('d-none');
+            canvas.parentElement.querySelector('.chart-fallback').classList.remove('d-none');
+        }
+    }
+    
+    diagnosticChartOptions(title, xTitle, yTitle) {
+        return {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'top',
+                    rtl: true
+                },
+                title: {
+                    display: true,
+                    text: title,
+                    font: {
+                        family: 'Amiri, serif',
+                        size: 14
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: xTitle }
+                },
+                y: {
+                    title: { display: true, text: yTitle }
+                }
+            }
+        };
+    }
+    
+    qqChartConfig(qqPlot) {
+        const line = qqPlot.range.map(x => ({ x: x, y: qqPlot.line.intercept + qqPlot.line.slope * x }));
+        
+        return {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'القيم المرتبة',
+                    data: qqPlot.points,
+                    backgroundColor: 'rgba(26, 54, 93, 0.7)',
+                    pointRadius: 3
+                }, {
+                    type: 'line',
+                    label: 'خط التوزيع الطبيعي',
+                    data: line,
+                    borderColor: 'rgba(220, 53, 69, 1)',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: false
+                }]
+            },
+            options: this.diagnosticChartOptions('مخطط Q-Q', 'الكميات النظرية (z)', 'القيم المشاهدة')
+        };
+    }
+    
+    histogramChartConfig(histogram) {
+        const options = this.diagnosticChartOptions('المدرج التكراري', 'القيمة', 'التكرار');
+        options.scales.x.offset = false;
+        options.scales.y.beginAtZero = true;
+        
+        return {
+            type: 'bar',
+            data: {
+                datasets: [{
+                    label: 'التكرار',
+                    data: histogram.bins.map(bin => ({ x: bin.center, y: bin.count })),
+                    backgroundColor: 'rgba(214, 158, 46, 0.6)',
+                    borderColor: 'rgba(214, 158, 46, 1)',
+                    borderWidth: 1,
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }, {
+                    type: 'line',
+                    label: 'كثافة النواة',
+                    data: histogram.density,
+                    borderColor: 'rgba(26, 54, 93, 1)',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: false
+                }, {
+                    type: 'line',
+                    label: 'التوزيع الطبيعي',
+                    data: histogram.normal,
+                    borderColor: 'rgba(220, 53, 69, 1)',
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    fill: false
+                }]
+            },
+            options: options
+        };
+    }
+    
+    /**
+     * Boxplots drawn as floating bars: whiskers as a thin bar, the box from Q1 to
+     * Q3 over it, the median as a line marker and the outliers as points
+     */
+    boxplotChartConfig(boxplots) {
+        const labels = boxplots.map(box => box.group === null ? 'الكل' : box.group);
+        const options = this.diagnosticChartOptions('مخطط الصندوق', 'المجموعة', 'القيمة');
+        options.scales.x = { type: 'category', title: { display: true, text: 'المجموعة' } };
+        options.scales.y.beginAtZero = false;
+        
+        return {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: 'الشاربان',
+                    data: boxplots.map(box => [box.lowerWhisker, box.upperWhisker]),
+                    backgroundColor: 'rgba(108, 117, 125, 1)',
+                    barPercentage: 0.04,
+                    grouped: false
+                }, {
+                    label: 'الربيعان الأول والثالث',
+                    data: boxplots.map(box => [box.q1, box.q3]),
+                    backgroundColor: 'rgba(26, 54, 93, 0.5)',
+                    borderColor: 'rgba(26, 54, 93, 1)',
+                    borderWidth: 1,
+                    barPercentage: 0.5,
+                    grouped: false
+                }, {
+                    type: 'line',
+                    label: 'الوسيط',
+                    data: boxplots.map(box => box.median),
+                    borderColor: 'rgba(214, 158, 46, 1)',
+                    backgroundColor: 'rgba(214, 158, 46, 1)',
+                    showLine: false,
+                    pointStyle: 'line',
+                    pointRadius: 20,
+                    pointBorderWidth: 3
+                }, {
+                    type: 'scatter',
+                    label: 'القيم المتطرفة',
+                    data: boxplots.flatMap((box, i) => box.outliers.map(value => ({ x: labels[i], y: value }))),
+                    backgroundColor: 'rgba(220, 53, 69, 0.9)',
+                    pointRadius: 4
+                }]
+            },
+            options: options
+        };
+    }
+    
+    residualChartConfig(residualPlot) {
+        return {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'البواقي',
+                    data: residualPlot.points,
+                    backgroundColor: 'rgba(26, 54, 93, 0.7)',
+                    pointRadius: 3
+                }, {
+                    type: 'line',
+                    label: 'الصفر',
+                    data: residualPlot.range.map(x => ({ x: x, y: 0 })),
+                    borderColor: 'rgba(220, 53, 69, 1)',
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    fill: false
+                }]
+            },
+            options: this.diagnosticChartOptions('البواقي مقابل القيم المتنبأ بها', 'القيم المتنبأ بها', 'البواقي')
+        };
+    }
+    
     createResultsChart(results, test) {
         const canvas = document.getElementById('results-chart');
         if (!canvas) return;
@@ -430,8 +1501,278 @@ class UIManager {
             
             // Create chart based on test type
             let chartData, chartOptions;
+            let chartType = 'bar';
             
-            if (results.groupStats) {
+            if (results.resamplingDistribution) {
+                // Histogram of the resampled statistic; the observed value's bin is highlighted
+                const distribution = results.resamplingDistribution;
+                const width = distribution.centers.length > 1
+                    ? distribution.centers[1] - distribution.centers[0]
+                    : 1;
+                const binOf = value => distribution.centers.findIndex(center =>
+                    Math.abs(value - center) <= width / 2 + 1e-12
+                );
+                const observedBin = binOf(distribution.observed);
+                const intervalBins = distribution.interval
+                    ? [binOf(distribution.interval.lower), binOf(distribution.interval.upper)]
+                    : null;
+                
+                chartData = {
+                    labels: distribution.centers.map(center => center.toFixed(3)),
+                    datasets: [{
+                        label: results.method === 'permutation' ? 'التوزيع التبديلي' : 'توزيع bootstrap',
+                        data: distribution.counts,
+                        backgroundColor: distribution.counts.map((_, i) => {
+                            if (i === observedBin) return 'rgba(220, 53, 69, 0.8)';
+                            if (intervalBins && i >= intervalBins[0] && i <= intervalBins[1]) {
+                                return 'rgba(26, 54, 93, 0.7)';
+                            }
+                            return 'rgba(26, 54, 93, 0.3)';
+                        }),
+                        borderWidth: 0,
+                        barPercentage: 1,
+                        categoryPercentage: 1
+                    }]
+                };
+                
+                chartOptions = {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            display: false
+                        },
+                        title: {
+                            display: true,
+                            text: `توزيع ${results.resampledStatistic} (القيمة المشاهدة = ${distribution.observed.toFixed(3)})`,
+                            font: {
+                                family: 'Amiri, serif',
+                                size: 16
+                            }
+                        }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            title: {
+                                display: true,
+                                text: 'التكرار',
+                                font: {
+                                    family: 'Cairo, sans-serif'
+                                }
+                            }
+                        }
+                    }
+                };
+                
+            } else if (results.powerCurve) {
+                // Power against total sample size with the target power as reference
+                const curve = results.powerCurve;
+                const labels = curve.points.map(point => point.n);
+                chartType = 'line';
+                
+                chartData = {
+                    labels: labels,
+                    datasets: [{
+                        label: 'القوة الإحصائية (1 - β)',
+                        data: curve.points.map(point => point.power),
+                        borderColor: 'rgba(26, 54, 93, 1)',
+                        backgroundColor: 'rgba(26, 54, 93, 0.1)',
+                        borderWidth: 2,
+                        pointRadius: curve.points.map(point => (point.n === curve.requiredN ? 6 : 0)),
+                        pointBackgroundColor: 'rgba(40, 167, 69, 1)',
+                        tension: 0.2
+                    }, {
+                        label: `القوة المستهدفة (${curve.targetPower})`,
+                        data: labels.map(() => curve.targetPower),
+                        borderColor: 'rgba(220, 53, 69, 0.8)',
+                        borderDash: [6, 4],
+                        borderWidth: 1,
+                        pointRadius: 0
+                    }]
+                };
+                
+                chartOptions = {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            position: 'top',
+                            rtl: true,
+                            labels: {
+                                font: {
+                                    family: 'Cairo, sans-serif'
+                                }
+                            }
+                        },
+                        title: {
+                            display: true,
+                            text: `منحنى القوة (N المطلوب = ${curve.requiredN})`,
+                            font: {
+                                family: 'Amiri, serif',
+                                size: 16
+                            }
+                        }
+                    },
+                    scales: {
+                        y: {
+                            min: 0,
+                            max: 1,
+                            title: {
+                                display: true,
+                                text: 'القوة الإحصائية',
+                                font: {
+                                    family: 'Cairo, sans-serif'
+                                }
+                            }
+                        },
+                        x: {
+                            title: {
+                                display: true,
+                                text: 'حجم العينة الكلي',
+                                font: {
+                                    family: 'Cairo, sans-serif'
+                                }
+                            }
+                        }
+                    }
+                };
+                
+            } else if (results.screePlot) {
+                // Scree plot with the Kaiser criterion (eigenvalue = 1) as reference
+                const plot = results.screePlot;
+                const labels = plot.eigenvalues.map((_, i) => i + 1);
+                chartType = 'line';
+                
+                chartData = {
+                    labels: labels,
+                    datasets: [{
+                        label: 'الجذر الكامن',
+                        data: plot.eigenvalues,
+                        borderColor: 'rgba(26, 54, 93, 1)',
+                        backgroundColor: 'rgba(26, 54, 93, 1)',
+                        borderWidth: 2,
+                        pointRadius: 5,
+                        tension: 0
+                    }, {
+                        label: 'محك كايزر (1)',
+                        data: labels.map(() => 1),
+                        borderColor: 'rgba(220, 53, 69, 0.8)',
+                        borderDash: [6, 4],
+                        borderWidth: 1,
+                        pointRadius: 0
+                    }]
+                };
+                
+                chartOptions = {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            position: 'top',
+                            rtl: true,
+                            labels: {
+                                font: {
+                                    family: 'Cairo, sans-serif'
+                                }
+                            }
+                        },
+                        title: {
+                            display: true,
+                            text: 'مخطط الانحدار (Scree Plot)',
+                            font: {
+                                family: 'Amiri, serif',
+                                size: 16
+                            }
+                        }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            title: {
+                                display: true,
+                                text: 'الجذر الكامن',
+                                font: {
+                                    family: 'Cairo, sans-serif'
+                                }
+                            }
+                        },
+                        x: {
+                            title: {
+                                display: true,
+                                text: 'رقم العامل',
+                                font: {
+                                    family: 'Cairo, sans-serif'
+                                }
+                            }
+                        }
+                    }
+                };
+                
+            } else if (results.interactionPlot) {
+                // Interaction plot: one line per level of the second factor
+                const plot = results.interactionPlot;
+                const colors = this.generateColors(plot.traceLevels.length, 1);
+                chartType = 'line';
+                
+                chartData = {
+                    labels: plot.xLevels,
+                    datasets: plot.traceLevels.map((level, i) => ({
+                        label: `${plot.traceFactor}: ${level}`,
+                        data: plot.means[i],
+                        borderColor: colors[i],
+                        backgroundColor: colors[i],
+                        borderWidth: 2,
+                        pointRadius: 5,
+                        tension: 0
+                    }))
+                };
+                
+                chartOptions = {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            position: 'top',
+                            rtl: true,
+                            labels: {
+                                font: {
+                                    family: 'Cairo, sans-serif'
+                                }
+                            }
+                        },
+                        title: {
+                            display: true,
+                            text: `رسم التفاعل: ${plot.xFactor} × ${plot.traceFactor}`,
+                            font: {
+                                family: 'Amiri, serif',
+                                size: 16
+                            }
+                        }
+                    },
+                    scales: {
+                        y: {
+                            title: {
+                                display: true,
+                                text: 'متوسط الخلية',
+                                font: {
+                                    family: 'Cairo, sans-serif'
+                                }
+                            }
+                        },
+                        x: {
+                            title: {
+                                display: true,
+                                text: plot.xFactor,
+                                font: {
+                                    family: 'Cairo, sans-serif'
+                                }
+                            }
+                        }
+                    }
+                };
+                
+            } else if (results.groupStats) {
                 // For tests with group comparisons
                 const groups = Object.keys(results.groupStats);
                 const means = groups.map(group => parseFloat(results.groupStats[group].mean));
@@ -511,6 +1852,86 @@ class UIManager {
                     }
                 };
                 
+            } else if (results.descriptives || (results.frequencies && results.frequencies.length > 0)) {
+                // Means of the described variables, otherwise the counts of the first frequency table
+                const means = results.descriptives ? results.descriptives.filter(row => row.mean !== null) : null;
+                const frequencies = means ? null : results.frequencies[0];
+                const labels = means
+                    ? means.map(row => row.group === null ? row.variable : `${row.variable} (${row.group})`)
+                    : frequencies.rows.map(row => row.value);
+                
+                chartData = {
+                    labels: labels,
+                    datasets: [{
+                        label: means ? 'المتوسطات' : 'التكرار',
+                        data: means ? means.map(row => parseFloat(row.mean)) : frequencies.rows.map(row => row.count),
+                        backgroundColor: this.generateColors(labels.length),
+                        borderColor: this.generateColors(labels.length, 1),
+                        borderWidth: 2
+                    }]
+                };
+                
+                chartOptions = {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            display: false
+                        },
+                        title: {
+                            display: true,
+                            text: means ? 'متوسطات المتغيرات' : `تكرارات ${frequencies.variable}`,
+                            font: {
+                                family: 'Amiri, serif',
+                                size: 16
+                            }
+                        }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true
+                        }
+                    }
+                };
+                
+            } else if (results.crosstab) {
+                // Clustered counts: one bar per column category within each row category
+                const table = results.crosstab;
+                const colors = this.generateColors(table.columns.length);
+                
+                chartData = {
+                    labels: table.rows,
+                    datasets: table.columns.map((column, j) => ({
+                        label: column,
+                        data: table.observed.map(counts => counts[j]),
+                        backgroundColor: colors[j]
+                    }))
+                };
+                
+                chartOptions = {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            position: 'top',
+                            rtl: true
+                        },
+                        title: {
+                            display: true,
+                            text: `${table.rowVariable} × ${table.columnVariable}`,
+                            font: {
+                                family: 'Amiri, serif',
+                                size: 16
+                            }
+                        }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true
+                        }
+                    }
+                };
+                
             } else if (results.statistics && results.statistics.r !== undefined) {
                 // For correlation tests
                 const r = parseFloat(results.statistics.r);
@@ -594,7 +2015,7 @@ class UIManager {
             
             // Create chart with RTL support
             window.resultsChart = new Chart(ctx, {
-                type: 'bar',
+                type: chartType,
                 data: chartData,
                 options: chartOptions
             });
@@ -606,6 +2027,32 @@ class UIManager {
         }
     }
     
+    /**
+     * A data value (group, category or column name) as HTML text. Imported cells are
+     * stored escaped, so the entities of the import are decoded before escaping once
+     */
+    escapeHtml(value) {
+        const decoded = {
+            '&amp;': '&',
+            '&lt;': '<',
+            '&gt;': '>',
+            '&quot;': '"',
+            '&#x27;': "'",
+            '&#x2F;': '/'
+        };
+        const encoded = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#x27;'
+        };
+        
+        return String(value)
+            .replace(/&(amp|lt|gt|quot|#x27|#x2F);/g, entity => decoded[entity])
+            .replace(/[&<>"']/g, char => encoded[char]);
+    }
+    
     generateColors(count, alpha = 0.8) {
         const colors = [
             'rgba(214, 158, 46, ALPHA)',  // Gold
@@ -634,11 +2081,120 @@ class UIManager {
             'r': 'معامل الارتباط',
             'rho': 'معامل سبيرمان',
             'pValue': 'قيمة P',
+            'method': 'طريقة حساب P',
+            'variant': 'الصيغة المعتمدة',
             'df': 'درجات الحرية',
+            'df1': 'درجات حرية البسط',
+            'df2': 'درجات حرية المقام',
+            'meanDifference': 'فرق المتوسطين',
+            'standardError': 'الخطأ المعياري',
+            'ciLower': 'الحد الأدنى لفترة الثقة 95%',
+            'ciUpper': 'الحد الأعلى لفترة الثقة 95%',
             'mean': 'المتوسط',
             'std': 'الانحراف المعياري',
             'n': 'حجم العينة',
-            'rSquared': 'معامل التحديد'
+            'rSquared': 'معامل التحديد',
+            'adjustedRSquared': 'معامل التحديد المعدل',
+            'cells': 'عدد الخلايا',
+            'dfError': 'درجات حرية الخطأ',
+            'msError': 'متوسط مربعات الخطأ',
+            'b': 'B',
+            'se': 'الخطأ المعياري',
+            'beta': 'β المعيارية',
+            'tolerance': 'التسامح',
+            'vif': 'VIF',
+            'dfRegression': 'درجات حرية الانحدار',
+            'dfResidual': 'درجات حرية البواقي',
+            'seRegression': 'الخطأ المعياري للتقدير',
+            'durbinWatson': 'Durbin-Watson',
+            'wald': 'Wald',
+            'oddsRatio': 'نسبة الأرجحية Exp(B)',
+            'minus2LL': '-2 Log Likelihood',
+            'coxSnellR2': 'R² كوكس وسنيل',
+            'nagelkerkeR2': 'R² ناجلكيرك',
+            'hosmerLemeshow': 'Hosmer-Lemeshow',
+            'hlPValue': 'قيمة P لـ Hosmer-Lemeshow',
+            'accuracy': 'نسبة التصنيف الصحيح',
+            'iterations': 'عدد التكرارات',
+            'epsilon': 'ε',
+            'partialEtaSquared': 'مربع إيتا الجزئي',
+            'mauchlyW': 'Mauchly W',
+            'mauchlyPValue': 'قيمة P لـ Mauchly',
+            'epsilonGG': 'ε Greenhouse-Geisser',
+            'epsilonHF': 'ε Huynh-Feldt',
+            'kendallW': 'معامل كندال W',
+            'cronbachAlpha': 'ألفا كرونباخ',
+            'standardizedAlpha': 'ألفا المعيارية',
+            'mcdonaldOmega': 'أوميغا ماكدونالد',
+            'meanInterItemCorrelation': 'متوسط الارتباط بين البنود',
+            'items': 'عدد البنود',
+            'scaleMean': 'متوسط الدرجة الكلية',
+            'scaleStd': 'الانحراف المعياري للدرجة الكلية',
+            'itemTotalCorrelation': 'الارتباط المصحح بالدرجة الكلية',
+            'alphaIfDeleted': 'ألفا عند حذف البند',
+            'loading': 'التشبع على العامل',
+            'kmo': 'مؤشر KMO',
+            'bartlettChiSquare': 'مربع كاي لبارتليت',
+            'bartlettDf': 'درجات حرية بارتليت',
+            'bartlettPValue': 'قيمة P لبارتليت',
+            'factors': 'عدد العوامل',
+            'extraction': 'طريقة الاستخلاص',
+            'rotation': 'التدوير',
+            'varianceExplained': 'التباين المفسر',
+            'exactPValue': 'قيمة P الدقيقة',
+            'simulations': 'عدد المحاكاة',
+            'seed': 'بذرة المولد العشوائي',
+            'cohensW': 'حجم الأثر w لكوهين',
+            'discordantPairs': 'الأزواج المتغيرة',
+            'effectSize': 'حجم الأثر',
+            'alpha': 'مستوى الدلالة α',
+            'targetPower': 'القوة المستهدفة',
+            'achievedPower': 'القوة الفعلية',
+            'sampleSizePerGroup': 'حجم العينة لكل مجموعة',
+            'secondGroupSize': 'حجم المجموعة الثانية',
+            'totalSampleSize': 'حجم العينة الكلي',
+            'criticalValue': 'القيمة الحرجة',
+            'noncentrality': 'معلمة اللامركزية',
+            'cohensD': 'حجم الأثر d لكوهين',
+            'cohensDCI': 'فترة ثقة 95% لـ d',
+            'etaSquared': 'مربع إيتا η²',
+            'etaSquaredCI': 'فترة ثقة 95% لـ η²',
+            'partialEtaSquaredCI': 'فترة ثقة 95% لـ η² الجزئي',
+            'epsilonSquared': 'مربع إبسيلون ε²',
+            'epsilonSquaredCI': 'فترة ثقة 95% لـ ε²',
+            'effectSizeR': 'حجم الأثر r',
+            'effectSizeRCI': 'فترة ثقة 95% لـ r',
+            'rCI': 'فترة ثقة 95% لمعامل الارتباط',
+            'rhoCI': 'فترة ثقة 95% لمعامل سبيرمان',
+            'cramersV': 'معامل كرامر V',
+            'cramersVCI': 'فترة ثقة 95% لـ V',
+            'cohensWCI': 'فترة ثقة 95% لـ w',
+            'kendallWCI': 'فترة ثقة 95% لـ W',
+            'oddsRatioCI': 'فترة ثقة 95% لنسبة الأرجحية',
+            'rSquaredCI': 'فترة ثقة 95% لمعامل التحديد',
+            'omegaSquared': 'مربع أوميغا ω²',
+            'fSquared': 'حجم الأثر f²',
+            'resampledStatistic': 'الإحصائية المعاد معاينتها',
+            'observedValue': 'القيمة المشاهدة',
+            'bootstrapMean': 'متوسط bootstrap',
+            'bias': 'التحيز',
+            'bootstrapSE': 'الخطأ المعياري bootstrap',
+            'confidenceLevel': 'مستوى الثقة',
+            'percentileCI': 'الفترة المئينية',
+            'bcaCI': 'فترة BCa',
+            'biasCorrection': 'تصحيح التحيز z₀',
+            'acceleration': 'معامل التسارع a',
+            'permutationPValue': 'قيمة P التبديلية',
+            'monteCarloError': 'خطأ مونت كارلو',
+            'asymptoticPValue': 'قيمة P المقاربة',
+            'alternative': 'الفرضية البديلة',
+            'extremeCount': 'عدد القيم الأكثر تطرفاً',
+            'replicates': 'عدد العينات المعاد سحبها',
+            'failedReplicates': 'العينات المستبعدة',
+            'patterns': 'عدد أنماط الفقد',
+            'variables': 'عدد المتغيرات',
+            'imputations': 'عدد مجموعات التعويض',
+            'imputationPValues': 'قيم P لكل مجموعة تعويض'
         };
         
         return translations[key] || key;
@@ -756,6 +2312,51 @@ class UIManager {
         }
     }
     
+    /**
+     * Loading overlay with a progress bar and a cancel button for long computations
+     */
+    showProgress(message, onCancel) {
+        this.showLoading(message);
+        
+        const container = document.querySelector('#loading-overlay .text-center');
+        const progress = document.createElement('div');
+        progress.className = 'progress mt-3';
+        progress.style.minWidth = '260px';
+        progress.innerHTML = `
+            <div class="progress-bar" id="loading-progress-bar" role="progressbar"
+                 style="width: 0%" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100">0%</div>
+        `;
+        container.appendChild(progress);
+        
+        if (onCancel) {
+            const cancelButton = document.createElement('button');
+            cancelButton.type = 'button';
+            cancelButton.className = 'btn btn-outline-light btn-sm mt-3';
+            cancelButton.innerHTML = '<i class="fas fa-times me-2"></i>إلغاء';
+            cancelButton.addEventListener('click', () => {
+                cancelButton.disabled = true;
+                onCancel();
+            });
+            container.appendChild(cancelButton);
+        }
+    }
+    
+    updateProgress(completed, total, phase = '') {
+        const bar = document.getElementById('loading-progress-bar');
+        if (!bar) return;
+        
+        const percent = total > 0 ? Math.round(100 * completed / total) : 0;
+        const phases = {
+            bootstrap: 'عينات bootstrap',
+            permutation: 'التبديلات',
+            jackknife: 'Jackknife'
+        };
+        
+        bar.style.width = `${percent}%`;
+        bar.setAttribute('aria-valuenow', percent);
+        bar.textContent = `${phases[phase] || phase} ${completed}/${total}`;
+    }
+    
     updateValidationResults() {
         // This would update validation results based on data validation
     }
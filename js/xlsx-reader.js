@@ -0,0 +1,280 @@
+/**
+ * Excel Workbook Reader
+ * Reads .xlsx files in the browser: the ZIP container is unpacked with
+ * DecompressionStream and the sheet XML parsed with DOMParser
+ */
+
+// Built-in number formats that display dates and times
+const DATE_FORMAT_IDS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+class XlsxReader {
+    /**
+     * Open a workbook from an ArrayBuffer and read its shared parts
+     */
+    async open(buffer) {
+        this.entries = this.readZipDirectory(new DataView(buffer), new Uint8Array(buffer));
+        
+        const workbook = await this.readXml('xl/workbook.xml');
+        if (!workbook) {
+            throw new Error('الملف ليس مصنف Excel صالحاً (xlsx)');
+        }
+        
+        const relationships = await this.readXml('xl/_rels/workbook.xml.rels');
+        const targets = {};
+        if (relationships) {
+            this.elements(relationships, 'Relationship').forEach(relationship => {
+                const target = relationship.getAttribute('Target');
+                targets[relationship.getAttribute('Id')] = target.startsWith('/')
+                    ? target.slice(1)
+                    : `xl/${target}`;
+            });
+        }
+        
+        this.sheets = this.elements(workbook, 'sheet').map((sheet, i) => ({
+            name: sheet.getAttribute('name'),
+            path: targets[this.getRelationshipId(sheet)] || `xl/worksheets/sheet${i + 1}.xml`
+        }));
+        
+        const properties = this.elements(workbook, 'workbookPr')[0];
+        this.date1904 = properties ? ['1', 'true'].includes(properties.getAttribute('date1904')) : false;
+        
+        this.sharedStrings = await this.readSharedStrings();
+        this.dateStyles = await this.readDateStyles();
+        
+        return this.sheets.map(sheet => sheet.name);
+    }
+    
+    /**
+     * Rows of one sheet as arrays of cell values; the first row holds the headers.
+     * limits: { maxRows, maxColumns } of the sheet (header row included); empty cells
+     * beyond them are ignored and a value beyond them is an error, so that the cell
+     * references of the file never size the result
+     */
+    async readSheet(name, limits = {}) {
+        const sheet = name ? this.sheets.find(item => item.name === name) : this.sheets[0];
+        if (!sheet) {
+            throw new Error(`الورقة غير موجودة: ${name}`);
+        }
+        
+        const xml = await this.readXml(sheet.path);
+        if (!xml) {
+            throw new Error(`تعذر قراءة الورقة: ${sheet.name}`);
+        }
+        
+        const maxRows = limits.maxRows || Infinity;
+        const maxColumns = limits.maxColumns || Infinity;
+        const rows = [];
+        let width = 0;
+        
+        this.elements(xml, 'row').forEach((rowElement, rowIndex) => {
+            const r = parseInt(rowElement.getAttribute('r'), 10);
+            const index = isNaN(r) ? rowIndex : r - 1;
+            const row = [];
+            
+            this.elements(rowElement, 'c').forEach((cell, cellIndex) => {
+                const reference = cell.getAttribute('r');
+                const column = reference ? this.columnIndex(reference) : cellIndex;
+                const value = this.readCell(cell);
+                
+                if (value === '' || value === null || value === undefined || column < 0) return;
+                
+                if (index >= maxRows) {
+                    throw new Error(`عدد الصفوف كبير جداً (الحد الأقصى: ${maxRows - 1})`);
+                }
+                if (column >= maxColumns) {
+                    throw new Error(`عدد الأعمدة كبير جداً (الحد الأقصى: ${maxColumns})`);
+                }
+                
+                row[column] = value;
+                width = Math.max(width, column + 1);
+            });
+            
+            if (row.length > 0 && index >= 0) {
+                rows[index] = row;
+            }
+        });
+        
+        // Fill the gaps left by empty rows and cells
+        return Array.from(rows, row => Array.from({ length: width }, (_, j) => {
+            const value = row ? row[j] : undefined;
+            return value === undefined ? '' : value;
+        }));
+    }
+    
+    readCell(cell) {
+        const type = cell.getAttribute('t');
+        const valueElement = this.elements(cell, 'v')[0];
+        const value = valueElement ? valueElement.textContent : '';
+        
+        switch (type) {
+            case 's':
+                return this.sharedStrings[parseInt(value, 10)] || '';
+            case 'inlineStr':
+                return this.elements(cell, 't').map(text => text.textContent).join('');
+            case 'b':
+                return value === '1' ? 'TRUE' : 'FALSE';
+            case 'e':
+                return '';
+            case 'str':
+            case 'd':
+                return value;
+            default: {
+                if (value === '') return '';
+                
+                const number = parseFloat(value);
+                const style = parseInt(cell.getAttribute('s'), 10);
+                return this.dateStyles.has(style) ? this.serialToDate(number) : number;
+            }
+        }
+    }
+    
+    /**
+     * Excel serial day number to an ISO date (with the time when there is one)
+     */
+    serialToDate(serial) {
+        // Serial 25569 is 1970-01-01 in the 1900 system (which counts a fictitious 29 Feb 1900)
+        const epochOffset = this.date1904 ? 24107 : 25569;
+        const date = new Date(Math.round((serial - epochOffset) * 86400000));
+        const iso = date.toISOString();
+        
+        return serial % 1 === 0 ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+    }
+    
+    /**
+     * Zero-based column index of a cell reference such as "AB12"
+     */
+    columnIndex(reference) {
+        const letters = reference.match(/^[A-Z]+/i)[0].toUpperCase();
+        return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+    
+    async readSharedStrings() {
+        const xml = await this.readXml('xl/sharedStrings.xml');
+        if (!xml) return [];
+        
+        // Rich text runs are concatenated; phonetic hints (rPh) are not part of the text
+        return this.elements(xml, 'si').map(item => this.elements(item, 't')
+            .filter(text => !text.parentNode || text.parentNode.localName !== 'rPh')
+            .map(text => text.textContent)
+            .join(''));
+    }
+    
+    /**
+     * Indices of the cell styles whose number format shows a date
+     */
+    async readDateStyles() {
+        const dateStyles = new Set();
+        const xml = await this.readXml('xl/styles.xml');
+        if (!xml) return dateStyles;
+        
+        const customDates = new Set();
+        this.elements(xml, 'numFmt').forEach(format => {
+            // Date tokens outside quoted text and [colour]/[locale] sections
+            const code = format.getAttribute('formatCode').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+            if (/[dmyhs]/i.test(code)) {
+                customDates.add(parseInt(format.getAttribute('numFmtId'), 10));
+            }
+        });
+        
+        const cellFormats = this.elements(xml, 'cellXfs')[0];
+        if (cellFormats) {
+            this.elements(cellFormats, 'xf').forEach((format, i) => {
+                const id = parseInt(format.getAttribute('numFmtId'), 10);
+                if (DATE_FORMAT_IDS.includes(id) || customDates.has(id)) {
+                    dateStyles.add(i);
+                }
+            });
+        }
+        
+        return dateStyles;
+    }
+    
+    getRelationshipId(element) {
+        const attribute = [...element.attributes].find(item => item.localName === 'id' && item.prefix);
+        return attribute ? attribute.value : element.getAttribute('r:id');
+    }
+    
+    elements(node, localName) {
+        return [...node.getElementsByTagNameNS('*', localName)];
+    }
+    
+    async readXml(path) {
+        const entry = this.entries[path];
+        if (!entry) return null;
+        
+        const text = new TextDecoder('utf-8').decode(await this.inflate(entry));
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`ملف XML غير صالح داخل المصنف: ${path}`);
+        }
+        
+        return xml;
+    }
+    
+    /**
+     * Central directory of the ZIP container: name → compressed bytes and method
+     */
+    readZipDirectory(view, bytes) {
+        // The end-of-central-directory record sits in the last 64 KB (after an optional comment)
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        
+        if (end < 0) {
+            throw new Error('الملف ليس مصنف Excel صالحاً (xlsx)');
+        }
+        
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const decoder = new TextDecoder('utf-8');
+        const entries = {};
+        
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('بنية ملف xlsx تالفة');
+            }
+            
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            
+            // The data follows the local header, whose extra field may differ from the central one
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                
+            entries[name] = {
+                method: method,
+                data: bytes.subarray(dataStart, dataStart + compressedSize)
+            };
+            
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        
+        return entries;
+    }
+    
+    async inflate(entry) {
+        if (entry.method === 0) return entry.data;
+        
+        if (entry.method !== 8) {
+            throw new Error('طريقة ضغط غير مدعومة في ملف xlsx');
+        }
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('المتصفح لا يدعم فك ضغط ملفات xlsx. الرجاء استخدام متصفح حديث.');
+        }
+        
+        const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+export default XlsxReader;